@@ -0,0 +1,150 @@
+require("dotenv").config();
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { Pool } = require("pg");
+
+/* ===================== MIGRATIONS ===================== */
+/*
+  Migraciones versionadas: migrations/NNNN_nombre.sql, aplicadas en orden de versión.
+  - Cada fichero va en su propia transacción y queda apuntado en economia.schema_migrations.
+  - Un advisory lock de sesión evita que dos instancias migren a la vez.
+  - Un fichero ya aplicado no se edita (se guarda su checksum): los cambios van en uno nuevo.
+
+  Uso:
+    npm run migrate             -> aplica las pendientes
+    npm run migrate -- status   -> lista aplicadas / pendientes
+*/
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATION_FILE_RE = /^(\d{4})_([a-z0-9_]+)\.sql$/;
+const MIGRATIONS_LOCK = "economia.schema_migrations";
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+  for (const file of fs.readdirSync(dir).sort()) {
+    const m = file.match(MIGRATION_FILE_RE);
+    if (!m) {
+      if (file.endsWith(".sql")) throw new Error(`Nombre de migración inválido: ${file}`);
+      continue;
+    }
+
+    const version = Number(m[1]);
+    if (migrations.some((x) => x.version === version)) {
+      throw new Error(`Versión de migración repetida: ${m[1]}`);
+    }
+
+    const sql = fs.readFileSync(path.join(dir, file), "utf8");
+    migrations.push({
+      version,
+      name: m[2],
+      file,
+      sql,
+      checksum: crypto.createHash("sha256").update(sql).digest("hex"),
+    });
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE SCHEMA IF NOT EXISTS economia;
+
+    CREATE TABLE IF NOT EXISTS economia.schema_migrations (
+      version INT PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+// ✅ Aplicadas / pendientes. Falla si un fichero aplicado ha cambiado o ha desaparecido.
+async function getMigrationStatus(db, migrations = loadMigrations()) {
+  const t = await db.query(`SELECT to_regclass('economia.schema_migrations') AS t`);
+  const applied = t.rows[0].t
+    ? (await db.query(`SELECT * FROM economia.schema_migrations ORDER BY version ASC`)).rows
+    : [];
+
+  for (const row of applied) {
+    const file = migrations.find((m) => m.version === row.version);
+    if (!file) {
+      throw new Error(`Migración ${row.version} (${row.name}) aplicada pero sin fichero`);
+    }
+    if (file.checksum !== row.checksum) {
+      throw new Error(`La migración ${file.file} ha cambiado después de aplicarse`);
+    }
+  }
+
+  const appliedVersions = new Set(applied.map((r) => r.version));
+  return {
+    applied,
+    pending: migrations.filter((m) => !appliedVersions.has(m.version)),
+  };
+}
+
+// ✅ Aplica las pendientes en orden. Devuelve las que ha aplicado esta llamada.
+async function runMigrations(pool, { log = console.log } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query(`SELECT pg_advisory_lock(hashtext($1))`, [MIGRATIONS_LOCK]);
+    try {
+      await ensureMigrationsTable(client);
+      const { pending } = await getMigrationStatus(client);
+
+      for (const m of pending) {
+        try {
+          await client.query("BEGIN");
+          await client.query(m.sql);
+          await client.query(
+            `INSERT INTO economia.schema_migrations (version, name, checksum) VALUES ($1,$2,$3)`,
+            [m.version, m.name, m.checksum]
+          );
+          await client.query("COMMIT");
+        } catch (err) {
+          await client.query("ROLLBACK");
+          err.message = `Migración ${m.file}: ${err.message}`;
+          throw err;
+        }
+        log(`🗄️ Migración aplicada: ${m.file}`);
+      }
+
+      return pending;
+    } finally {
+      await client.query(`SELECT pg_advisory_unlock(hashtext($1))`, [MIGRATIONS_LOCK]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { loadMigrations, getMigrationStatus, runMigrations };
+
+/* ===================== CLI ===================== */
+if (require.main === module) {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.DATABASE_URL ? { rejectUnauthorized: false } : false,
+  });
+  const command = process.argv[2] || "up";
+
+  (async () => {
+    if (command === "up") {
+      const applied = await runMigrations(pool);
+      if (applied.length) console.log(`✅ ${applied.length} migraciones aplicadas`);
+      else console.log("✅ Sin migraciones pendientes");
+    } else if (command === "status") {
+      const { applied, pending } = await getMigrationStatus(pool);
+      for (const r of applied) {
+        console.log(`  aplicada   ${r.version} ${r.name} (${r.applied_at.toISOString()})`);
+      }
+      for (const m of pending) console.log(`  pendiente  ${m.file}`);
+    } else {
+      throw new Error(`Comando desconocido: ${command} (usa "up" o "status")`);
+    }
+  })()
+    .catch((err) => {
+      console.error("❌ Error en migraciones:", err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
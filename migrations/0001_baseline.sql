@@ -0,0 +1,581 @@
+-- 0001 · Esquema base
+-- Foto del esquema y del seed que montaba initDb() hasta ahora. Todo es idempotente
+-- (IF NOT EXISTS / DO $$) para que las bases ya existentes lo puedan aplicar sin romper nada
+-- y queden registradas en economia.schema_migrations como cualquier otra.
+
+CREATE SCHEMA IF NOT EXISTS economia;
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'month_status' AND typnamespace = 'economia'::regnamespace) THEN
+    CREATE TYPE economia.month_status AS ENUM ('OPEN','CLOSED');
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'week_status' AND typnamespace = 'economia'::regnamespace) THEN
+    CREATE TYPE economia.week_status AS ENUM ('OPEN','CLOSED');
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'attribution' AND typnamespace = 'economia'::regnamespace) THEN
+    CREATE TYPE economia.attribution AS ENUM ('MINE','PARTNER','HOUSE');
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'payment_method' AND typnamespace = 'economia'::regnamespace) THEN
+    CREATE TYPE economia.payment_method AS ENUM ('CARD','CASH','TRANSFER');
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'tx_type' AND typnamespace = 'economia'::regnamespace) THEN
+    CREATE TYPE economia.tx_type AS ENUM (
+      'EXPENSE',
+      'EXTRA_INCOME',
+      'CASH_WITHDRAWAL',
+      'CASH_RETURN',
+      'CONSOLIDATE_TO_SAFETY',
+      'EMERGENCY_FROM_SAFETY',
+      'PIGGYBANK_DEPOSIT',
+      'SETTLEMENT'
+    );
+  END IF;
+END
+$$;
+
+/* ======= MONEY POLICY =======
+   Todas las cantidades monetarias se guardan en INT como CÉNTIMOS.
+*/
+
+/* ======= HOGARES =======
+   Un hogar es dueño de meses, semanas, categorías, huchas, gastos previstos
+   y transacciones. Cada usuario pertenece a un hogar (máx. 2: MINE/PARTNER).
+*/
+
+CREATE TABLE IF NOT EXISTS economia.household (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS economia.app_user (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email TEXT UNIQUE NOT NULL,
+  name TEXT NOT NULL,
+  password_hash TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS economia.household_invitation (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  household_id UUID NOT NULL REFERENCES economia.household(id) ON DELETE CASCADE,
+  code TEXT UNIQUE NOT NULL,
+  email TEXT NULL,
+  invited_by_user_id UUID NULL REFERENCES economia.app_user(id) ON DELETE SET NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  accepted_at TIMESTAMPTZ NULL,
+  accepted_by_user_id UUID NULL REFERENCES economia.app_user(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS economia.month (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  period_key TEXT UNIQUE NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  income_amount INT NOT NULL,
+  weekly_budget_amount INT NOT NULL,
+  saving_goal_amount INT NOT NULL,
+  status economia.month_status NOT NULL DEFAULT 'OPEN',
+  closed_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS economia.week (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  month_id UUID NOT NULL REFERENCES economia.month(id) ON DELETE CASCADE,
+  week_index INT NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  cash_withdraw_amount INT NOT NULL,
+  cash_returned_to_bank_amount INT NOT NULL DEFAULT 0,
+  status economia.week_status NOT NULL DEFAULT 'OPEN',
+  closed_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (month_id, week_index)
+);
+
+CREATE TABLE IF NOT EXISTS economia.category (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT UNIQUE NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS economia.planned_expense (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  amount INT NOT NULL,
+  frequency TEXT NOT NULL,
+  next_due_date DATE NOT NULL,
+  attribution economia.attribution NOT NULL,
+  category_id UUID NULL REFERENCES economia.category(id) ON DELETE SET NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS economia.category_budget (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  month_id UUID NOT NULL REFERENCES economia.month(id) ON DELETE CASCADE,
+  category_id UUID NOT NULL REFERENCES economia.category(id) ON DELETE CASCADE,
+  amount INT NOT NULL CHECK (amount >= 0),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (month_id, category_id)
+);
+
+CREATE TABLE IF NOT EXISTS economia.piggy_bank (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  type TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (type)
+);
+
+CREATE TABLE IF NOT EXISTS economia.piggy_bank_entry (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  piggy_bank_id UUID NOT NULL REFERENCES economia.piggy_bank(id) ON DELETE CASCADE,
+  date_time TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  amount INT NOT NULL,
+  note TEXT NULL,
+  month_id UUID NULL REFERENCES economia.month(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS economia.transaction (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  date_time TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  amount INT NOT NULL CHECK (amount > 0),
+  direction TEXT NOT NULL CHECK (direction IN ('OUT','IN')),
+  type economia.tx_type NOT NULL,
+
+  month_id UUID NOT NULL REFERENCES economia.month(id) ON DELETE CASCADE,
+  week_id UUID NULL REFERENCES economia.week(id) ON DELETE SET NULL,
+  category_id UUID NULL REFERENCES economia.category(id) ON DELETE SET NULL,
+
+  attribution economia.attribution NOT NULL,
+  payment_method economia.payment_method NOT NULL,
+
+  concept TEXT NULL,
+  note TEXT NULL,
+
+  -- link entry <-> transaction (para borrar coherente)
+  piggy_entry_id UUID NULL,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tx_month_date ON economia.transaction(month_id, date_time);
+CREATE INDEX IF NOT EXISTS idx_tx_type ON economia.transaction(type);
+CREATE INDEX IF NOT EXISTS idx_tx_category ON economia.transaction(category_id);
+
+/* ======= AUDITORÍA =======
+   Historial de cambios (antes/después) para deshacer por grupo (una petición = un grupo).
+*/
+
+CREATE TABLE IF NOT EXISTS economia.audit_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  seq BIGSERIAL NOT NULL,
+  household_id UUID NOT NULL REFERENCES economia.household(id) ON DELETE CASCADE,
+  group_id UUID NOT NULL,
+  user_id UUID NULL REFERENCES economia.app_user(id) ON DELETE SET NULL,
+  route TEXT NOT NULL,
+  entity_type TEXT NOT NULL CHECK (entity_type IN ('transaction','month','week','piggy_bank_entry')),
+  entity_id UUID NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('CREATE','UPDATE','DELETE')),
+  before JSONB NULL,
+  after JSONB NULL,
+  undo_of_group_id UUID NULL,
+  undone_at TIMESTAMPTZ NULL,
+  undone_by_user_id UUID NULL REFERENCES economia.app_user(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_entity ON economia.audit_log(entity_type, entity_id, seq);
+CREATE INDEX IF NOT EXISTS idx_audit_household ON economia.audit_log(household_id, seq);
+CREATE INDEX IF NOT EXISTS idx_audit_group ON economia.audit_log(group_id);
+
+/* ======= IMPORTACIÓN CSV =======
+   Un lote (batch) guarda el mapeo usado; cada fila es un borrador
+   que no se convierte en transacción hasta confirmar el lote.
+*/
+
+CREATE TABLE IF NOT EXISTS economia.import_batch (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  month_id UUID NOT NULL REFERENCES economia.month(id) ON DELETE CASCADE,
+  filename TEXT NULL,
+  options JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING','CONFIRMED','DISCARDED')),
+  confirmed_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS economia.import_draft (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  batch_id UUID NOT NULL REFERENCES economia.import_batch(id) ON DELETE CASCADE,
+  row_number INT NOT NULL,
+  raw JSONB NOT NULL,
+  date_time TIMESTAMPTZ NULL,
+  amount INT NULL,
+  direction TEXT NULL CHECK (direction IN ('OUT','IN')),
+  concept TEXT NULL,
+  category_id UUID NULL REFERENCES economia.category(id) ON DELETE SET NULL,
+  attribution economia.attribution NOT NULL DEFAULT 'HOUSE',
+  payment_method economia.payment_method NOT NULL DEFAULT 'CARD',
+  duplicate_of UUID NULL REFERENCES economia.transaction(id) ON DELETE SET NULL,
+  error TEXT NULL,
+  include BOOLEAN NOT NULL DEFAULT TRUE,
+  transaction_id UUID NULL REFERENCES economia.transaction(id) ON DELETE SET NULL,
+  UNIQUE (batch_id, row_number)
+);
+
+-- MIGRACIÓN IDÉMPOTENTE para DBs ya existentes: columna + índice + FK
+DO $$
+BEGIN
+  -- 1) Columna piggy_entry_id
+  IF NOT EXISTS (
+    SELECT 1
+    FROM information_schema.columns
+    WHERE table_schema = 'economia'
+      AND table_name = 'transaction'
+      AND column_name = 'piggy_entry_id'
+  ) THEN
+    ALTER TABLE economia.transaction
+      ADD COLUMN piggy_entry_id UUID NULL;
+  END IF;
+
+  -- 2) FK (si no existe)
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_constraint
+    WHERE conname = 'transaction_piggy_entry_fk'
+  ) THEN
+    ALTER TABLE economia.transaction
+      ADD CONSTRAINT transaction_piggy_entry_fk
+      FOREIGN KEY (piggy_entry_id)
+      REFERENCES economia.piggy_bank_entry(id)
+      ON DELETE CASCADE;
+  END IF;
+
+  -- 3) Índice (si no existe)
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_indexes
+    WHERE schemaname = 'economia'
+      AND indexname = 'idx_tx_piggy_entry'
+  ) THEN
+    CREATE INDEX idx_tx_piggy_entry ON economia.transaction(piggy_entry_id);
+  END IF;
+END
+$$;
+
+-- MIGRACIÓN IDÉMPOTENTE: gastos previstos -> transacciones (sin duplicar ocurrencias)
+DO $$
+BEGIN
+  -- 1) Método de pago del gasto previsto
+  IF NOT EXISTS (
+    SELECT 1
+    FROM information_schema.columns
+    WHERE table_schema = 'economia'
+      AND table_name = 'planned_expense'
+      AND column_name = 'payment_method'
+  ) THEN
+    ALTER TABLE economia.planned_expense
+      ADD COLUMN payment_method economia.payment_method NOT NULL DEFAULT 'TRANSFER';
+  END IF;
+
+  -- 2) Columnas planned_expense_id + planned_due_date en transaction
+  IF NOT EXISTS (
+    SELECT 1
+    FROM information_schema.columns
+    WHERE table_schema = 'economia'
+      AND table_name = 'transaction'
+      AND column_name = 'planned_expense_id'
+  ) THEN
+    ALTER TABLE economia.transaction
+      ADD COLUMN planned_expense_id UUID NULL
+        REFERENCES economia.planned_expense(id) ON DELETE SET NULL,
+      ADD COLUMN planned_due_date DATE NULL;
+  END IF;
+
+  -- 3) Una ocurrencia (gasto previsto + fecha) solo se publica una vez
+  IF NOT EXISTS (
+    SELECT 1
+    FROM pg_indexes
+    WHERE schemaname = 'economia'
+      AND indexname = 'uq_tx_planned_occurrence'
+  ) THEN
+    CREATE UNIQUE INDEX uq_tx_planned_occurrence
+      ON economia.transaction(planned_expense_id, planned_due_date)
+      WHERE planned_expense_id IS NOT NULL;
+  END IF;
+END
+$$;
+
+-- MIGRACIÓN IDÉMPOTENTE: MINE/PARTNER apuntan a un usuario real
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM information_schema.columns
+    WHERE table_schema = 'economia'
+      AND table_name = 'transaction'
+      AND column_name = 'attributed_user_id'
+  ) THEN
+    ALTER TABLE economia.transaction
+      ADD COLUMN attributed_user_id UUID NULL
+        REFERENCES economia.app_user(id) ON DELETE SET NULL;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM information_schema.columns
+    WHERE table_schema = 'economia'
+      AND table_name = 'planned_expense'
+      AND column_name = 'attributed_user_id'
+  ) THEN
+    ALTER TABLE economia.planned_expense
+      ADD COLUMN attributed_user_id UUID NULL
+        REFERENCES economia.app_user(id) ON DELETE SET NULL;
+  END IF;
+END
+$$;
+
+-- MIGRACIÓN IDÉMPOTENTE: multi-hogar
+-- Los datos previos (sin hogar) pasan a un hogar por defecto "Casa" junto con los usuarios.
+DO $$
+DECLARE
+  tbl TEXT;
+  has_orphans BOOLEAN;
+  any_orphans BOOLEAN := false;
+  default_household UUID;
+  scoped_tables TEXT[] := ARRAY[
+    'app_user', 'month', 'week', 'category', 'piggy_bank',
+    'planned_expense', 'transaction', 'import_batch'
+  ];
+BEGIN
+  -- 1) Columna household_id en cada tabla con dueño
+  FOREACH tbl IN ARRAY scoped_tables LOOP
+    IF NOT EXISTS (
+      SELECT 1
+      FROM information_schema.columns
+      WHERE table_schema = 'economia'
+        AND table_name = tbl
+        AND column_name = 'household_id'
+    ) THEN
+      EXECUTE format(
+        'ALTER TABLE economia.%I ADD COLUMN household_id UUID NULL
+           REFERENCES economia.household(id) ON DELETE CASCADE',
+        tbl
+      );
+      EXECUTE format(
+        'CREATE INDEX IF NOT EXISTS %I ON economia.%I(household_id)',
+        'idx_' || tbl || '_household',
+        tbl
+      );
+    END IF;
+
+    EXECUTE format('SELECT EXISTS (SELECT 1 FROM economia.%I WHERE household_id IS NULL)', tbl)
+      INTO has_orphans;
+    any_orphans := any_orphans OR has_orphans;
+  END LOOP;
+
+  -- 2) Datos existentes -> hogar por defecto
+  IF any_orphans THEN
+    INSERT INTO economia.household (name) VALUES ('Casa') RETURNING id INTO default_household;
+
+    FOREACH tbl IN ARRAY scoped_tables LOOP
+      EXECUTE format('UPDATE economia.%I SET household_id = $1 WHERE household_id IS NULL', tbl)
+        USING default_household;
+    END LOOP;
+  END IF;
+
+  -- 3) NOT NULL
+  FOREACH tbl IN ARRAY scoped_tables LOOP
+    IF EXISTS (
+      SELECT 1
+      FROM information_schema.columns
+      WHERE table_schema = 'economia'
+        AND table_name = tbl
+        AND column_name = 'household_id'
+        AND is_nullable = 'YES'
+    ) THEN
+      EXECUTE format('ALTER TABLE economia.%I ALTER COLUMN household_id SET NOT NULL', tbl);
+    END IF;
+  END LOOP;
+
+  -- 4) Unicidad por hogar (period_key, nombre de categoría, tipo de hucha)
+  IF EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'month_period_key_key') THEN
+    ALTER TABLE economia.month DROP CONSTRAINT month_period_key_key;
+  END IF;
+  -- (más tarde se sustituye por un índice parcial que ignora la papelera)
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'month_household_period_key')
+     AND NOT EXISTS (
+       SELECT 1 FROM pg_indexes WHERE schemaname = 'economia' AND indexname = 'uq_month_household_period'
+     ) THEN
+    ALTER TABLE economia.month
+      ADD CONSTRAINT month_household_period_key UNIQUE (household_id, period_key);
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'category_name_key') THEN
+    ALTER TABLE economia.category DROP CONSTRAINT category_name_key;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'category_household_name_key') THEN
+    ALTER TABLE economia.category
+      ADD CONSTRAINT category_household_name_key UNIQUE (household_id, name);
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'piggy_bank_type_key') THEN
+    ALTER TABLE economia.piggy_bank DROP CONSTRAINT piggy_bank_type_key;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'piggy_bank_household_type_key') THEN
+    ALTER TABLE economia.piggy_bank
+      ADD CONSTRAINT piggy_bank_household_type_key UNIQUE (household_id, type);
+  END IF;
+
+  -- 5) La pareja ya no se guarda: es el otro miembro del hogar
+  IF EXISTS (
+    SELECT 1
+    FROM information_schema.columns
+    WHERE table_schema = 'economia'
+      AND table_name = 'app_user'
+      AND column_name = 'partner_user_id'
+  ) THEN
+    ALTER TABLE economia.app_user DROP COLUMN partner_user_id;
+  END IF;
+END
+$$;
+
+-- MIGRACIÓN IDÉMPOTENTE: metadatos de presentación de categorías
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM information_schema.columns
+    WHERE table_schema = 'economia'
+      AND table_name = 'category'
+      AND column_name = 'color'
+  ) THEN
+    ALTER TABLE economia.category
+      ADD COLUMN color TEXT NULL,
+      ADD COLUMN icon TEXT NULL,
+      ADD COLUMN sort_order INT NOT NULL DEFAULT 0;
+  END IF;
+END
+$$;
+
+-- MIGRACIÓN IDÉMPOTENTE: quién pagó cada movimiento + ajustes de cuentas entre la pareja
+-- (ADD VALUE no puede ir dentro de un DO $$)
+ALTER TYPE economia.tx_type ADD VALUE IF NOT EXISTS 'SETTLEMENT';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM information_schema.columns
+    WHERE table_schema = 'economia'
+      AND table_name = 'transaction'
+      AND column_name = 'paid_by_user_id'
+  ) THEN
+    ALTER TABLE economia.transaction
+      ADD COLUMN paid_by_user_id UUID NULL
+        REFERENCES economia.app_user(id) ON DELETE SET NULL;
+  END IF;
+END
+$$;
+
+-- Búsqueda full-text (concepto + nota) y paginación por cursor de /transactions
+CREATE INDEX IF NOT EXISTS idx_tx_search ON economia.transaction
+  USING GIN (to_tsvector('spanish', COALESCE(concept, '') || ' ' || COALESCE(note, '')));
+CREATE INDEX IF NOT EXISTS idx_tx_household_date
+  ON economia.transaction(household_id, date_time DESC, id DESC);
+
+-- MIGRACIÓN IDÉMPOTENTE: papelera (borrado lógico) de meses, transacciones y entradas de hucha
+DO $$
+DECLARE
+  tbl TEXT;
+BEGIN
+  FOREACH tbl IN ARRAY ARRAY['month', 'transaction', 'piggy_bank_entry'] LOOP
+    IF NOT EXISTS (
+      SELECT 1
+      FROM information_schema.columns
+      WHERE table_schema = 'economia'
+        AND table_name = tbl
+        AND column_name = 'deleted_at'
+    ) THEN
+      EXECUTE format('ALTER TABLE economia.%I ADD COLUMN deleted_at TIMESTAMPTZ NULL', tbl);
+      EXECUTE format(
+        'CREATE INDEX IF NOT EXISTS %I ON economia.%I(deleted_at) WHERE deleted_at IS NOT NULL',
+        'idx_' || tbl || '_trash',
+        tbl
+      );
+    END IF;
+  END LOOP;
+
+  -- Transacciones que entran en la papelera arrastradas por su mes / entrada de hucha
+  IF NOT EXISTS (
+    SELECT 1
+    FROM information_schema.columns
+    WHERE table_schema = 'economia'
+      AND table_name = 'transaction'
+      AND column_name = 'trashed_with_id'
+  ) THEN
+    ALTER TABLE economia.transaction ADD COLUMN trashed_with_id UUID NULL;
+    CREATE INDEX idx_tx_trashed_with ON economia.transaction(trashed_with_id)
+      WHERE trashed_with_id IS NOT NULL;
+  END IF;
+
+  -- Un mes en la papelera no bloquea volver a crear su period_key
+  IF EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'month_household_period_key') THEN
+    ALTER TABLE economia.month DROP CONSTRAINT month_household_period_key;
+  END IF;
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_indexes WHERE schemaname = 'economia' AND indexname = 'uq_month_household_period'
+  ) THEN
+    CREATE UNIQUE INDEX uq_month_household_period
+      ON economia.month(household_id, period_key)
+      WHERE deleted_at IS NULL;
+  END IF;
+END
+$$;
+
+-- Categorías y huchas iniciales de un hogar (idempotente). Se usa al registrar hogares nuevos.
+CREATE OR REPLACE FUNCTION economia.seed_household(p_household_id UUID)
+RETURNS VOID
+LANGUAGE sql
+AS $$
+  INSERT INTO economia.category (household_id, name, sort_order)
+  SELECT p_household_id, s.name, s.ord * 10
+  FROM unnest(ARRAY[
+    'Alquiler',
+    'Estudios',
+    'Café',
+    'Tabaco',
+    'Farmacia',
+    'Compra',
+    'Bares',
+    'Ocio',
+    'Comida a domicilio',
+    'Bebé',
+    'Pádel',
+    'Gasolina',
+    'Extra'
+  ]) WITH ORDINALITY AS s(name, ord)
+  ON CONFLICT (household_id, name) DO NOTHING;
+
+  INSERT INTO economia.piggy_bank (household_id, name, type)
+  VALUES
+    (p_household_id, 'Hucha 2€', 'TWO_EURO'),
+    (p_household_id, 'Hucha normal', 'NORMAL')
+  ON CONFLICT (household_id, type) DO NOTHING;
+$$;
+
+-- Hogares creados por la migración multi-hogar (o sin seed por cualquier motivo)
+SELECT economia.seed_household(h.id)
+FROM economia.household h
+WHERE NOT EXISTS (SELECT 1 FROM economia.category c WHERE c.household_id = h.id)
+  AND NOT EXISTS (SELECT 1 FROM economia.piggy_bank p WHERE p.household_id = h.id);
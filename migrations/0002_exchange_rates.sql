@@ -0,0 +1,25 @@
+-- 0002 · Multimoneda
+-- Tabla de tipos de cambio del hogar y moneda original en los movimientos. amount sigue
+-- siendo céntimos de euro (todos los totales igual); original_amount está en centésimas de
+-- original_currency y exchange_rate son los euros que valía 1 unidad de esa moneda.
+
+CREATE TABLE economia.exchange_rate (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  household_id UUID NOT NULL REFERENCES economia.household(id) ON DELETE CASCADE,
+  currency TEXT NOT NULL CHECK (currency ~ '^[A-Z]{3}$' AND currency <> 'EUR'),
+  rate_date DATE NOT NULL,
+  rate DOUBLE PRECISION NOT NULL CHECK (rate > 0),
+  source TEXT NOT NULL DEFAULT 'MANUAL' CHECK (source IN ('MANUAL','IMPORT')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (household_id, currency, rate_date)
+);
+
+ALTER TABLE economia.transaction
+  ADD COLUMN original_currency TEXT NULL CHECK (original_currency ~ '^[A-Z]{3}$'),
+  ADD COLUMN original_amount INT NULL CHECK (original_amount > 0),
+  ADD COLUMN exchange_rate DOUBLE PRECISION NULL CHECK (exchange_rate > 0),
+  -- los tres van juntos: o el movimiento es en euros o lleva moneda, importe y tipo
+  ADD CONSTRAINT transaction_original_fields_check CHECK (
+    (original_currency IS NULL) = (original_amount IS NULL)
+    AND (original_currency IS NULL) = (exchange_rate IS NULL)
+  );
@@ -0,0 +1,30 @@
+-- 0003 · Plantillas de mes
+-- Importes, presupuestos por categoría y gastos previstos con los que arrancar un mes sin
+-- volver a teclearlos (POST /month/start-next).
+
+CREATE TABLE economia.month_template (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  household_id UUID NOT NULL REFERENCES economia.household(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  income_amount INT NOT NULL CHECK (income_amount > 0),
+  weekly_budget_amount INT NOT NULL CHECK (weekly_budget_amount >= 0),
+  saving_goal_amount INT NOT NULL CHECK (saving_goal_amount >= 0),
+  -- TRUE: todos los gastos previstos activos; FALSE: solo los de month_template_planned
+  all_planned_expenses BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (household_id, name)
+);
+
+CREATE TABLE economia.month_template_budget (
+  template_id UUID NOT NULL REFERENCES economia.month_template(id) ON DELETE CASCADE,
+  category_id UUID NOT NULL REFERENCES economia.category(id) ON DELETE CASCADE,
+  amount INT NOT NULL CHECK (amount >= 0),
+  PRIMARY KEY (template_id, category_id)
+);
+
+CREATE TABLE economia.month_template_planned (
+  template_id UUID NOT NULL REFERENCES economia.month_template(id) ON DELETE CASCADE,
+  planned_expense_id UUID NOT NULL REFERENCES economia.planned_expense(id) ON DELETE CASCADE,
+  PRIMARY KEY (template_id, planned_expense_id)
+);
@@ -0,0 +1,16 @@
+-- 0004 · Avisos
+-- Lo que hace el servidor por su cuenta (p.ej. el cierre automático de mes) queda aquí para
+-- enseñárselo al hogar.
+
+CREATE TABLE economia.notification (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  household_id UUID NOT NULL REFERENCES economia.household(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  message TEXT NOT NULL,
+  data JSONB NULL,
+  -- clock_timestamp(): varios avisos de una misma transacción salen en orden
+  created_at TIMESTAMPTZ NOT NULL DEFAULT clock_timestamp(),
+  read_at TIMESTAMPTZ NULL
+);
+
+CREATE INDEX idx_notification_household ON economia.notification(household_id, created_at DESC);
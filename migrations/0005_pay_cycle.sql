@@ -0,0 +1,11 @@
+-- 0005 · Ciclo de cobro
+-- Cómo se cortan los meses del hogar: mes natural (CALENDAR), desde un día fijo
+-- (FIXED_DAY + pay_cycle_day, p.ej. del 25 al 24) o desde el último día laborable
+-- (LAST_WORKING_DAY). period_key pasa a ser el mes en que termina el periodo.
+
+ALTER TABLE economia.household
+  ADD COLUMN pay_cycle_type TEXT NOT NULL DEFAULT 'CALENDAR'
+    CHECK (pay_cycle_type IN ('CALENDAR','FIXED_DAY','LAST_WORKING_DAY')),
+  ADD COLUMN pay_cycle_day INT NULL CHECK (pay_cycle_day BETWEEN 1 AND 31),
+  ADD CONSTRAINT household_pay_cycle_fixed_day_check
+    CHECK ((pay_cycle_type = 'FIXED_DAY') = (pay_cycle_day IS NOT NULL));
@@ -0,0 +1,33 @@
+-- 0006 · Objetivos de ahorro
+-- Metas con nombre (coche, vacaciones...), importe objetivo y fecha límite opcional. Las
+-- aportaciones salen del cierre de mes, de transferencias a mano o de romper una hucha; las
+-- que salen de un mes llevan su movimiento GOAL_CONTRIBUTION (transaction_id) y caen con él.
+
+ALTER TYPE economia.tx_type ADD VALUE IF NOT EXISTS 'GOAL_CONTRIBUTION';
+
+CREATE TABLE economia.savings_goal (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  household_id UUID NOT NULL REFERENCES economia.household(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  target_amount INT NOT NULL CHECK (target_amount > 0),
+  deadline DATE NULL,
+  archived_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (household_id, name)
+);
+
+CREATE TABLE economia.savings_goal_contribution (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  goal_id UUID NOT NULL REFERENCES economia.savings_goal(id) ON DELETE CASCADE,
+  amount INT NOT NULL CHECK (amount > 0),
+  source TEXT NOT NULL CHECK (source IN ('MONTH_CLOSE','MANUAL','PIGGY_BREAK')),
+  month_id UUID NULL REFERENCES economia.month(id) ON DELETE SET NULL,
+  transaction_id UUID NULL REFERENCES economia.transaction(id) ON DELETE CASCADE,
+  note TEXT NULL,
+  created_by_user_id UUID NULL REFERENCES economia.app_user(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT clock_timestamp()
+);
+
+CREATE INDEX idx_goal_contribution_goal ON economia.savings_goal_contribution(goal_id, created_at);
+CREATE INDEX idx_goal_contribution_tx ON economia.savings_goal_contribution(transaction_id);
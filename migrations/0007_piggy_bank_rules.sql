@@ -0,0 +1,51 @@
+-- 0007 · Huchas configurables
+-- Además de las dos del seed (TWO_EURO, NORMAL), el hogar puede crear las suyas (CUSTOM),
+-- renombrarlas y archivarlas. Cada hucha lleva su regla de aportación en rule (céntimos):
+--   {"multipleOf": 200}                 múltiplos de 2€
+--   {"denominations": [200, 100, 50]}   solo lo que se pueda juntar con esas monedas/billetes
+--   {"min": 100, "max": 5000}           mínimo / máximo por aportación
+-- Las claves se combinan; {} = cualquier importe.
+
+ALTER TABLE economia.piggy_bank
+  ADD COLUMN rule JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ADD COLUMN archived_at TIMESTAMPTZ NULL,
+  ADD CONSTRAINT piggy_bank_type_check CHECK (type IN ('TWO_EURO','NORMAL','CUSTOM')),
+  DROP CONSTRAINT piggy_bank_household_type_key,
+  ADD CONSTRAINT piggy_bank_household_name_key UNIQUE (household_id, name);
+
+-- una sola hucha de cada tipo del seed por hogar; CUSTOM, las que se quieran
+CREATE UNIQUE INDEX piggy_bank_household_seed_type_key
+  ON economia.piggy_bank(household_id, type)
+  WHERE type <> 'CUSTOM';
+
+UPDATE economia.piggy_bank SET rule = '{"multipleOf": 200}'::jsonb WHERE type = 'TWO_EURO';
+
+CREATE OR REPLACE FUNCTION economia.seed_household(p_household_id UUID)
+RETURNS VOID
+LANGUAGE sql
+AS $$
+  INSERT INTO economia.category (household_id, name, sort_order)
+  SELECT p_household_id, s.name, s.ord * 10
+  FROM unnest(ARRAY[
+    'Alquiler',
+    'Estudios',
+    'Café',
+    'Tabaco',
+    'Farmacia',
+    'Compra',
+    'Bares',
+    'Ocio',
+    'Comida a domicilio',
+    'Bebé',
+    'Pádel',
+    'Gasolina',
+    'Extra'
+  ]) WITH ORDINALITY AS s(name, ord)
+  ON CONFLICT (household_id, name) DO NOTHING;
+
+  INSERT INTO economia.piggy_bank (household_id, name, type, rule)
+  VALUES
+    (p_household_id, 'Hucha 2€', 'TWO_EURO', '{"multipleOf": 200}'::jsonb),
+    (p_household_id, 'Hucha normal', 'NORMAL', '{}'::jsonb)
+  ON CONFLICT DO NOTHING;
+$$;
@@ -0,0 +1,13 @@
+-- 0008 · Sacar dinero de una hucha / romperla
+-- Una retirada es una entrada con amount negativo y su movimiento PIGGYBANK_WITHDRAWAL
+-- (piggy_entry_id). destination dice adónde fue el dinero: al banco, al efectivo de la
+-- semana o a un objetivo de ahorro (aportación PIGGY_BREAK enlazada por transaction_id).
+-- Los depósitos la dejan a NULL.
+
+ALTER TYPE economia.tx_type ADD VALUE IF NOT EXISTS 'PIGGYBANK_WITHDRAWAL';
+
+ALTER TABLE economia.piggy_bank_entry
+  ADD COLUMN destination TEXT NULL CHECK (destination IN ('BANK','CASH','GOAL')),
+  ADD CONSTRAINT piggy_bank_entry_withdrawal_check CHECK (
+    (amount < 0) = (destination IS NOT NULL)
+  );
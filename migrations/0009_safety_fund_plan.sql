@@ -0,0 +1,21 @@
+-- 0009 · Fondo de seguridad: nivel objetivo, plan de reposición y motivo de los imprevistos
+-- El objetivo es un importe fijo o N meses del gasto medio de los últimos meses cerrados
+-- (nunca los dos). Lo que falte para llegar se repone en safety_replenish_months cuotas; con
+-- safety_auto_replenish el cierre de mes aparta la cuota antes de repartir a objetivos.
+
+ALTER TABLE economia.household
+  ADD COLUMN safety_target_months INT NULL CHECK (safety_target_months BETWEEN 1 AND 24),
+  ADD COLUMN safety_target_amount INT NULL CHECK (safety_target_amount > 0),
+  ADD COLUMN safety_replenish_months INT NOT NULL DEFAULT 6
+    CHECK (safety_replenish_months BETWEEN 1 AND 36),
+  ADD COLUMN safety_auto_replenish BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD CONSTRAINT household_safety_target_check CHECK (
+    safety_target_months IS NULL OR safety_target_amount IS NULL
+  );
+
+ALTER TABLE economia.transaction
+  ADD COLUMN emergency_reason TEXT NULL
+    CHECK (emergency_reason IN ('HEALTH','HOME','VEHICLE','JOB','FAMILY','OTHER')),
+  ADD CONSTRAINT transaction_emergency_reason_type_check CHECK (
+    emergency_reason IS NULL OR type = 'EMERGENCY_FROM_SAFETY'
+  );
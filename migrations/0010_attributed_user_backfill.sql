@@ -0,0 +1,32 @@
+-- 0010 · MINE/PARTNER anteriores a las cuentas de usuario
+-- Las filas MINE/PARTNER creadas antes de attributed_user_id lo tienen a NULL y se veían igual
+-- desde los dos miembros del hogar. MINE pasa al primer usuario del hogar (por created_at) y
+-- PARTNER al otro miembro; sin segundo miembro, PARTNER sigue a NULL.
+
+WITH member AS (
+  SELECT
+    id,
+    household_id,
+    ROW_NUMBER() OVER (PARTITION BY household_id ORDER BY created_at, id) AS position
+  FROM economia.app_user
+)
+UPDATE economia.transaction t
+SET attributed_user_id = m.id
+FROM member m
+WHERE t.attributed_user_id IS NULL
+  AND m.household_id = t.household_id
+  AND m.position = CASE t.attribution WHEN 'MINE' THEN 1 WHEN 'PARTNER' THEN 2 END;
+
+WITH member AS (
+  SELECT
+    id,
+    household_id,
+    ROW_NUMBER() OVER (PARTITION BY household_id ORDER BY created_at, id) AS position
+  FROM economia.app_user
+)
+UPDATE economia.planned_expense p
+SET attributed_user_id = m.id
+FROM member m
+WHERE p.attributed_user_id IS NULL
+  AND m.household_id = p.household_id
+  AND m.position = CASE p.attribution WHEN 'MINE' THEN 1 WHEN 'PARTNER' THEN 2 END;
@@ -0,0 +1,6 @@
+-- 0011 · Filas repetidas dentro del mismo CSV
+-- duplicate_of apunta a un movimiento ya existente; duplicate_of_row, al número de fila del
+-- borrador anterior del mismo lote con el mismo día, importe, sentido y concepto.
+
+ALTER TABLE economia.import_draft
+  ADD COLUMN duplicate_of_row INT NULL CHECK (duplicate_of_row > 0);
@@ -1,7 +1,8 @@
 require("dotenv").config();
+const crypto = require("crypto");
 const express = require("express");
 const cors = require("cors");
-const { Pool } = require("pg");
+const { createStorage } = require("./storage");
 
 const app = express();
 
@@ -10,21 +11,26 @@ app.use(
   cors({
     origin: "*",
     methods: "GET, POST, PUT, DELETE",
-    allowedHeaders: "Content-Type",
+    allowedHeaders: "Content-Type, Authorization",
   })
 );
-app.use(express.json());
+app.use(express.json({ limit: "2mb" }));
 
-/* ===================== POSTGRES ===================== */
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.DATABASE_URL ? { rejectUnauthorized: false } : false,
-  max: 10,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 5000,
+// JSON mal formado: mismo formato de error que la validación (ver VALIDATION)
+app.use((err, _req, res, next) => {
+  if (err.type === "entity.parse.failed") {
+    return sendInvalid(res, 400, "INVALID_JSON", null, "El cuerpo no es un JSON válido");
+  }
+  next(err);
 });
 
-pool.on("error", (err) => console.error("❌ Error en PostgreSQL:", err));
+/* ===================== STORAGE ===================== */
+// Postgres o SQLite según STORAGE (ver storage/index.js). `pool` tiene la interfaz del Pool
+// de pg en ambos casos (connect, BEGIN/COMMIT); el SQL de cada módulo está en los
+// repositorios (`repo`).
+const storage = createStorage();
+const pool = storage.db;
+const repo = storage.repos;
 
 /* ===================== HELPERS ===================== */
 
@@ -59,6 +65,15 @@ function centsToEur(cents) {
   return Math.round(n) / 100;
 }
 
+// "1,0825" o 1.0825 -> 1.0825; null si no es un número
+function parseDecimal(input) {
+  if (typeof input === "number") return Number.isFinite(input) ? input : null;
+  if (typeof input !== "string" || !/^\s*-?\d+([.,]\d+)?\s*$/.test(input)) return null;
+  return Number(input.trim().replace(",", "."));
+}
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 function toPeriodKey(d = new Date()) {
   const y = d.getFullYear();
   const m = String(d.getMonth() + 1).padStart(2, "0");
@@ -88,1492 +103,5923 @@ function addDays(date, n) {
   return d;
 }
 
-// ✅ Auto-retirada semanal (bank -> cash) idempotente
-async function ensureCashWithdrawalForWeek(client, week) {
-  if (!week?.id) return;
+function addMonths(date, n) {
+  // Si el día no existe en el mes destino (31 -> febrero), se queda en el último día
+  const d = new Date(date);
+  const day = d.getDate();
+  d.setDate(1);
+  d.setMonth(d.getMonth() + n);
+  const lastDay = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+  d.setDate(Math.min(day, lastDay));
+  return d;
+}
 
-  if (!week.cash_withdraw_amount || week.cash_withdraw_amount <= 0) return;
+const PLANNED_FREQUENCIES = ["WEEKLY", "MONTHLY", "QUARTERLY", "YEARLY"];
+
+function nextDueDate(date, frequency) {
+  switch (frequency) {
+    case "WEEKLY":
+      return addDays(date, 7);
+    case "MONTHLY":
+      return addMonths(date, 1);
+    case "QUARTERLY":
+      return addMonths(date, 3);
+    case "YEARLY":
+      return addMonths(date, 12);
+    default:
+      throw new Error(`Frecuencia desconocida: ${frequency}`);
+  }
+}
 
-  const exists = await client.query(
-    `SELECT 1
-     FROM economia.transaction
-     WHERE week_id = $1
-       AND type = 'CASH_WITHDRAWAL'
-     LIMIT 1`,
-    [week.id]
-  );
-  if (exists.rows.length) return;
+/* ===================== AUTH HELPERS ===================== */
+const AUTH_TOKEN_TTL_HOURS = Number(process.env.AUTH_TOKEN_TTL_HOURS || 24 * 30);
 
-  await client.query(
-    `INSERT INTO economia.transaction
-      (date_time, amount, direction, type, month_id, week_id, attribution, payment_method, concept, note)
-     VALUES
-      ($1, $2, 'OUT', 'CASH_WITHDRAWAL', $3, $4, 'HOUSE', 'TRANSFER', $5, NULL)`,
-    [
-      new Date(week.start_date),
-      week.cash_withdraw_amount,
-      week.month_id,
-      week.id,
-      `Retirada efectivo semana ${week.week_index}`,
-    ]
-  );
+// Sin secreto fijo los tokens dejarían de valer en cada reinicio (o entre instancias)
+const AUTH_SECRET = process.env.AUTH_SECRET;
+if (!AUTH_SECRET) {
+  console.error("❌ AUTH_SECRET no definido: hace falta para firmar los tokens");
+  process.exit(1);
 }
 
-/* ===================== INIT DB ===================== */
-async function initDb() {
-  await pool.query(`
-    CREATE SCHEMA IF NOT EXISTS economia;
-    CREATE EXTENSION IF NOT EXISTS pgcrypto;
-
-    DO $$
-    BEGIN
-      IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'month_status' AND typnamespace = 'economia'::regnamespace) THEN
-        CREATE TYPE economia.month_status AS ENUM ('OPEN','CLOSED');
-      END IF;
-
-      IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'week_status' AND typnamespace = 'economia'::regnamespace) THEN
-        CREATE TYPE economia.week_status AS ENUM ('OPEN','CLOSED');
-      END IF;
-
-      IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'attribution' AND typnamespace = 'economia'::regnamespace) THEN
-        CREATE TYPE economia.attribution AS ENUM ('MINE','PARTNER','HOUSE');
-      END IF;
-
-      IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'payment_method' AND typnamespace = 'economia'::regnamespace) THEN
-        CREATE TYPE economia.payment_method AS ENUM ('CARD','CASH','TRANSFER');
-      END IF;
-
-      IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'tx_type' AND typnamespace = 'economia'::regnamespace) THEN
-        CREATE TYPE economia.tx_type AS ENUM (
-          'EXPENSE',
-          'EXTRA_INCOME',
-          'CASH_WITHDRAWAL',
-          'CASH_RETURN',
-          'CONSOLIDATE_TO_SAFETY',
-          'EMERGENCY_FROM_SAFETY',
-          'PIGGYBANK_DEPOSIT'
-        );
-      END IF;
-    END
-    $$;
-
-    /* ======= MONEY POLICY =======
-       Todas las cantidades monetarias se guardan en INT como CÉNTIMOS.
-    */
-
-    CREATE TABLE IF NOT EXISTS economia.month (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      period_key TEXT UNIQUE NOT NULL,
-      start_date DATE NOT NULL,
-      end_date DATE NOT NULL,
-      income_amount INT NOT NULL,
-      weekly_budget_amount INT NOT NULL,
-      saving_goal_amount INT NOT NULL,
-      status economia.month_status NOT NULL DEFAULT 'OPEN',
-      closed_at TIMESTAMPTZ NULL,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-    );
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(String(password), salt, 64).toString("hex");
+  return `scrypt:${salt}:${hash}`;
+}
 
-    CREATE TABLE IF NOT EXISTS economia.week (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      month_id UUID NOT NULL REFERENCES economia.month(id) ON DELETE CASCADE,
-      week_index INT NOT NULL,
-      start_date DATE NOT NULL,
-      end_date DATE NOT NULL,
-      cash_withdraw_amount INT NOT NULL,
-      cash_returned_to_bank_amount INT NOT NULL DEFAULT 0,
-      status economia.week_status NOT NULL DEFAULT 'OPEN',
-      closed_at TIMESTAMPTZ NULL,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      UNIQUE (month_id, week_index)
-    );
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split(":");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
 
-    CREATE TABLE IF NOT EXISTS economia.category (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      name TEXT UNIQUE NOT NULL,
-      is_active BOOLEAN NOT NULL DEFAULT TRUE,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-    );
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
 
-    CREATE TABLE IF NOT EXISTS economia.planned_expense (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      name TEXT NOT NULL,
-      amount INT NOT NULL,
-      frequency TEXT NOT NULL,
-      next_due_date DATE NOT NULL,
-      attribution economia.attribution NOT NULL,
-      category_id UUID NULL REFERENCES economia.category(id) ON DELETE SET NULL,
-      is_active BOOLEAN NOT NULL DEFAULT TRUE,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-    );
+// Token bearer firmado (HMAC-SHA256): base64url(payload).base64url(firma)
+function signToken(user) {
+  const payload = Buffer.from(
+    JSON.stringify({ sub: user.id, exp: Date.now() + AUTH_TOKEN_TTL_HOURS * 3600 * 1000 })
+  ).toString("base64url");
+  const signature = crypto.createHmac("sha256", AUTH_SECRET).update(payload).digest("base64url");
+  return `${payload}.${signature}`;
+}
 
-    CREATE TABLE IF NOT EXISTS economia.piggy_bank (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      name TEXT NOT NULL,
-      type TEXT NOT NULL,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      UNIQUE (type)
-    );
+function verifyToken(token) {
+  const [payload, signature] = String(token || "").split(".");
+  if (!payload || !signature) return null;
 
-    CREATE TABLE IF NOT EXISTS economia.piggy_bank_entry (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      piggy_bank_id UUID NOT NULL REFERENCES economia.piggy_bank(id) ON DELETE CASCADE,
-      date_time TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      amount INT NOT NULL,
-      note TEXT NULL,
-      month_id UUID NULL REFERENCES economia.month(id) ON DELETE SET NULL
-    );
+  const expected = crypto.createHmac("sha256", AUTH_SECRET).update(payload).digest();
+  const actual = Buffer.from(signature, "base64url");
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
 
-    CREATE TABLE IF NOT EXISTS economia.transaction (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      date_time TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      amount INT NOT NULL CHECK (amount > 0),
-      direction TEXT NOT NULL CHECK (direction IN ('OUT','IN')),
-      type economia.tx_type NOT NULL,
+  try {
+    const data = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (!data.sub || !data.exp || data.exp < Date.now()) return null;
+    return data;
+  } catch {
+    return null;
+  }
+}
 
-      month_id UUID NOT NULL REFERENCES economia.month(id) ON DELETE CASCADE,
-      week_id UUID NULL REFERENCES economia.week(id) ON DELETE SET NULL,
-      category_id UUID NULL REFERENCES economia.category(id) ON DELETE SET NULL,
+function publicUser(u) {
+  if (!u) return null;
+  return {
+    id: u.id,
+    email: u.email,
+    name: u.name,
+    household_id: u.household_id,
+    partner_user_id: u.partner_user_id,
+    created_at: u.created_at,
+  };
+}
 
-      attribution economia.attribution NOT NULL,
-      payment_method economia.payment_method NOT NULL,
+// ✅ Middleware: Authorization: Bearer <token> -> req.user + req.householdId
+async function requireAuth(req, res, next) {
+  try {
+    const header = req.headers.authorization || "";
+    const token = header.startsWith("Bearer ") ? header.slice(7).trim() : null;
 
-      concept TEXT NULL,
-      note TEXT NULL,
+    const data = verifyToken(token);
+    if (!data) return res.status(401).json({ error: "No autenticado" });
 
-      -- ✅ link entry <-> transaction (para borrar coherente)
-      piggy_entry_id UUID NULL,
+    const user = await repo.users.getById(pool, data.sub);
+    if (!user) return res.status(401).json({ error: "No autenticado" });
 
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-    );
+    req.user = user;
+    req.householdId = user.household_id;
+    next();
+  } catch (error) {
+    console.error("❌ Error en requireAuth:", error);
+    res.status(500).json({ error: "Error autenticando" });
+  }
+}
 
-    CREATE INDEX IF NOT EXISTS idx_tx_month_date ON economia.transaction(month_id, date_time);
-    CREATE INDEX IF NOT EXISTS idx_tx_type ON economia.transaction(type);
-    CREATE INDEX IF NOT EXISTS idx_tx_category ON economia.transaction(category_id);
-  `);
-
-  // ✅ MIGRACIÓN IDÉMPOTENTE para DBs ya existentes: columna + índice + FK
-  await pool.query(`
-    DO $$
-    BEGIN
-      -- 1) Columna piggy_entry_id
-      IF NOT EXISTS (
-        SELECT 1
-        FROM information_schema.columns
-        WHERE table_schema = 'economia'
-          AND table_name = 'transaction'
-          AND column_name = 'piggy_entry_id'
-      ) THEN
-        ALTER TABLE economia.transaction
-          ADD COLUMN piggy_entry_id UUID NULL;
-      END IF;
-
-      -- 2) FK (si no existe)
-      IF NOT EXISTS (
-        SELECT 1
-        FROM pg_constraint
-        WHERE conname = 'transaction_piggy_entry_fk'
-      ) THEN
-        ALTER TABLE economia.transaction
-          ADD CONSTRAINT transaction_piggy_entry_fk
-          FOREIGN KEY (piggy_entry_id)
-          REFERENCES economia.piggy_bank_entry(id)
-          ON DELETE CASCADE;
-      END IF;
-
-      -- 3) Índice (si no existe)
-      IF NOT EXISTS (
-        SELECT 1
-        FROM pg_indexes
-        WHERE schemaname = 'economia'
-          AND indexname = 'idx_tx_piggy_entry'
-      ) THEN
-        CREATE INDEX idx_tx_piggy_entry ON economia.transaction(piggy_entry_id);
-      END IF;
-    END
-    $$;
-  `);
-
-  const categories = [
-    "Alquiler",
-    "Estudios",
-    "Café",
-    "Tabaco",
-    "Farmacia",
-    "Compra",
-    "Bares",
-    "Ocio",
-    "Comida a domicilio",
-    "Bebé",
-    "Pádel",
-    "Gasolina",
-    "Extra",
-  ];
+// MINE = quien escribe, PARTNER = su pareja, HOUSE = nadie
+function resolveAttribution(attribution, user) {
+  if (attribution === "MINE") return user.id;
+  if (attribution === "PARTNER") return user.partner_user_id || null;
+  return null;
+}
 
-  for (const name of categories) {
-    await pool.query(
-      `INSERT INTO economia.category (name) VALUES ($1)
-       ON CONFLICT (name) DO NOTHING`,
-      [name]
-    );
+// Al leer, MINE/PARTNER se calculan respecto al usuario que consulta
+function toViewerAttribution(row, user) {
+  if (!row) return row;
+  const out = { ...row };
+  if (row.attributed_user_id && row.attribution !== "HOUSE") {
+    out.attribution = row.attributed_user_id === user.id ? "MINE" : "PARTNER";
+  }
+  // quién pagó: sin usuario = cuenta común (HOUSE)
+  if ("paid_by_user_id" in row) {
+    out.payer = !row.paid_by_user_id ? "HOUSE" : row.paid_by_user_id === user.id ? "MINE" : "PARTNER";
   }
+  return out;
+}
 
-  await pool.query(
-    `INSERT INTO economia.piggy_bank (name, type)
-     VALUES ($1,$2)
-     ON CONFLICT (type) DO NOTHING`,
-    ["Hucha 2€", "TWO_EURO"]
-  );
+function viewerAttributionSql(alias, userParam) {
+  return `(CASE
+    WHEN ${alias}.attribution = 'HOUSE' OR ${alias}.attributed_user_id IS NULL THEN ${alias}.attribution
+    WHEN ${alias}.attributed_user_id = ${userParam} THEN 'MINE'
+    ELSE 'PARTNER'
+  END)`;
+}
 
-  await pool.query(
-    `INSERT INTO economia.piggy_bank (name, type)
-     VALUES ($1,$2)
-     ON CONFLICT (type) DO NOTHING`,
-    ["Hucha normal", "NORMAL"]
-  );
+// payer usa el mismo vocabulario que attribution: HOUSE = cuenta común
+const PAYERS = ["MINE", "PARTNER", "HOUSE"];
 
-  console.log("✅ Economia DB OK (tablas + seed)");
+function validatePayer(payer, user) {
+  if (!PAYERS.includes(payer)) return `payer debe ser uno de: ${PAYERS.join(", ")}`;
+  if (payer === "PARTNER" && !user.partner_user_id) return "No hay pareja en el hogar";
+  return null;
 }
 
-initDb().catch((err) => {
-  console.error("❌ Error en initDb:", err);
-  process.exit(1);
-});
+/* ===================== HOUSEHOLD HELPERS ===================== */
+const HOUSEHOLD_MAX_MEMBERS = 2;
+const INVITATION_TTL_DAYS = 7;
 
-/* ===================== ROUTES ===================== */
-app.get("/", (_req, res) => res.send("Economia API funcionando correctamente"));
-app.get("/health", (_req, res) => res.json({ ok: true }));
+// Una invitación con email solo la puede usar ese email (se guarda en minúsculas)
+function invitationAllowsEmail(invitation, email) {
+  return !invitation.email || invitation.email === String(email).trim().toLowerCase();
+}
 
-/* ===================== CATEGORIES ===================== */
-app.get("/categories", async (_req, res) => {
-  try {
-    const { rows } = await pool.query(
-      `SELECT id, name, is_active, created_at
-       FROM economia.category
-       WHERE is_active = true
-       ORDER BY name ASC`
-    );
-    res.json(rows);
-  } catch (error) {
-    console.error("❌ Error en GET /categories:", error);
-    res.status(500).json({ error: "Error obteniendo categorías" });
+const HOUSEHOLD_TABLES = [
+  "month",
+  "week",
+  "category",
+  "piggy_bank",
+  "planned_expense",
+  "transaction",
+  "import_batch",
+  "month_template",
+  "savings_goal",
+];
+
+// Tablas con papelera (deleted_at): lo que está en la papelera no existe para el resto de la API
+const SOFT_DELETE_TABLES = ["month", "transaction", "piggy_bank_entry"];
+
+// ✅ ¿El id (mes, semana, categoría...) pertenece al hogar? (y no está en la papelera)
+async function belongsToHousehold(db, table, id, householdId) {
+  if (!HOUSEHOLD_TABLES.includes(table)) throw new Error(`Tabla sin hogar: ${table}`);
+  if (!id) return false;
+
+  let trashFilter = "";
+  if (SOFT_DELETE_TABLES.includes(table)) trashFilter = "AND x.deleted_at IS NULL";
+  if (table === "week") {
+    trashFilter = `AND NOT EXISTS (
+      SELECT 1 FROM economia.month m WHERE m.id = x.month_id AND m.deleted_at IS NOT NULL
+    )`;
   }
-});
 
-/* ===================== MONTHS ===================== */
-app.get("/month/current", async (_req, res) => {
-  try {
-    const { rows } = await pool.query(
-      `SELECT
-         *,
-         (income_amount / 100.0) AS income_amount_eur,
-         (weekly_budget_amount / 100.0) AS weekly_budget_amount_eur,
-         (saving_goal_amount / 100.0) AS saving_goal_amount_eur
-       FROM economia.month
-       WHERE status='OPEN'
-       ORDER BY created_at DESC
-       LIMIT 1`
-    );
-    res.json(rows[0] || null);
-  } catch (error) {
-    console.error("❌ Error en GET /month/current:", error);
-    res.status(500).json({ error: "Error obteniendo mes actual" });
-  }
-});
+  const { rows } = await db.query(
+    `SELECT 1 FROM economia."${table}" x WHERE x.id = $1 AND x.household_id = $2 ${trashFilter} LIMIT 1`,
+    [id, householdId]
+  );
+  return rows.length > 0;
+}
 
-app.get("/week/current", async (_req, res) => {
-  try {
-    const m = await pool.query(
-      `SELECT * FROM economia.month WHERE status='OPEN' ORDER BY created_at DESC LIMIT 1`
-    );
-    if (!m.rows.length) return res.json(null);
-
-    const month = m.rows[0];
-
-    const w = await pool.query(
-      `SELECT
-         *,
-         (cash_withdraw_amount / 100.0) AS cash_withdraw_amount_eur,
-         (cash_returned_to_bank_amount / 100.0) AS cash_returned_to_bank_amount_eur
-       FROM economia.week
-       WHERE month_id = $1
-         AND start_date <= CURRENT_DATE
-         AND end_date >= CURRENT_DATE
-       ORDER BY week_index ASC
-       LIMIT 1`,
-      [month.id]
-    );
+/* ===================== VALIDATION ===================== */
+/*
+  Esquemas de body / query / params, comprobados antes de llegar a la ruta:
+    app.post("/x", validate({ body: { amount: v.money({ required: true, min: 1 }) } }), handler)
+  Un fallo responde { error, code, field }:
+    400 REQUIRED, INVALID_TYPE, INVALID_FORMAT, INVALID_JSON -> petición mal formada
+    422 INVALID_VALUE, OUT_OF_RANGE, TOO_SHORT, TOO_LONG     -> bien formada pero no admitida
+    404 NOT_FOUND -> un v.uuid({ ref }) que no es del hogar (o está en la papelera)
+  Solo comprueba: la ruta sigue leyendo y convirtiendo req.body / req.query como antes.
+  undefined, null y "" cuentan como vacío: un opcional vacío se acepta (la ruta pone su valor
+  por defecto) salvo con notEmpty, que exige un valor si el campo viene.
+*/
+const EMAIL_RE = /^[^\s@]+@[^\s@]+$/;
+// longitudes máximas de los textos libres
+const NAME_MAX = 100;
+const CONCEPT_MAX = 200;
+const NOTE_MAX = 1000;
+const UUID_PARAMS = ["id", "entryId", "draftId", "categoryId", "entityId", "contributionId"];
+
+const REF_NOT_FOUND = {
+  month: "Mes no encontrado",
+  week: "Semana no encontrada",
+  category: "Categoría no encontrada",
+  piggy_bank: "Hucha no encontrada",
+  planned_expense: "Gasto previsto no encontrado",
+  month_template: "Plantilla no encontrada",
+  savings_goal: "Objetivo no encontrado",
+};
+
+// Reglas. Todas admiten required, notEmpty y check(value) -> mensaje | null (422 INVALID_VALUE)
+const v = {
+  string: (opts = {}) => ({ type: "string", ...opts }), // min / max (longitud), pattern + message
+  uuid: (opts = {}) => ({ type: "uuid", ...opts }), // ref: tabla del hogar (ver belongsToHousehold)
+  oneOf: (values, opts = {}) => ({ type: "oneOf", values, ...opts }), // ignoreCase
+  money: (opts = {}) => ({ type: "money", ...opts }), // min en céntimos
+  int: (opts = {}) => ({ type: "int", ...opts }), // min / max
+  number: (opts = {}) => ({ type: "number", ...opts }), // decimal ("1,08" vale); positive
+  date: (opts = {}) => ({ type: "date", ...opts }),
+  boolean: (opts = {}) => ({ type: "boolean", ...opts }),
+  list: (item, opts = {}) => ({ type: "list", item, ...opts }), // array (body) o "a,b" (query)
+  object: (schema, opts = {}) => ({ type: "object", schema, ...opts }),
+  any: (opts = {}) => ({ type: "any", ...opts }),
+};
+
+function sendInvalid(res, status, code, field, error) {
+  return res.status(status).json({ error, code, field });
+}
 
-    if (!w.rows.length) {
-      const fallback = await pool.query(
-        `SELECT
-           *,
-           (cash_withdraw_amount / 100.0) AS cash_withdraw_amount_eur,
-           (cash_returned_to_bank_amount / 100.0) AS cash_returned_to_bank_amount_eur
-         FROM economia.week
-         WHERE month_id = $1
-         ORDER BY week_index DESC
-         LIMIT 1`,
-        [month.id]
-      );
-      return res.json(fallback.rows[0] || null);
-    }
+const isEmptyValue = (value) =>
+  value === undefined || value === null || (typeof value === "string" && !value.trim());
 
-    res.json(w.rows[0]);
-  } catch (error) {
-    console.error("❌ Error en GET /week/current:", error);
-    res.status(500).json({ error: "Error obteniendo semana actual" });
-  }
-});
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
 
-app.get("/summary/current", async (_req, res) => {
-  try {
-    const m = await pool.query(
-      `SELECT
-         *,
-         (income_amount / 100.0) AS income_amount_eur,
-         (weekly_budget_amount / 100.0) AS weekly_budget_amount_eur,
-         (saving_goal_amount / 100.0) AS saving_goal_amount_eur
-       FROM economia.month
-       WHERE status='OPEN'
-       ORDER BY created_at DESC
-       LIMIT 1`
-    );
-    if (!m.rows.length) return res.json(null);
-
-    const month = m.rows[0];
-
-    const w = await pool.query(
-      `SELECT
-         *,
-         (cash_withdraw_amount / 100.0) AS cash_withdraw_amount_eur,
-         (cash_returned_to_bank_amount / 100.0) AS cash_returned_to_bank_amount_eur
-       FROM economia.week
-       WHERE month_id = $1
-         AND start_date <= CURRENT_DATE
-         AND end_date >= CURRENT_DATE
-       ORDER BY week_index ASC
-       LIMIT 1`,
-      [month.id]
-    );
-    const week = w.rows[0] || null;
+// Importe en céntimos con signo, o null si no es un importe
+function moneyValueToCents(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? Math.round(value * 100) : null;
+  if (typeof value !== "string" || !/\d/.test(value)) return null;
+  const cents = parseMoneyToCents(value);
+  if (cents === null) return null;
+  return value.trim().startsWith("-") ? -cents : cents;
+}
 
-    // ✅ Auto-retirada (bank -> cash) al entrar en la semana (idempotente)
-    if (week) {
-      const client = await pool.connect();
-      try {
-        await client.query("BEGIN");
-        await ensureCashWithdrawalForWeek(client, week);
-        await client.query("COMMIT");
-      } catch (e) {
-        await client.query("ROLLBACK");
-        console.error("❌ ensureCashWithdrawalForWeek:", e);
-      } finally {
-        client.release();
+// Tipo / formato / rango de un valor no vacío -> [status, code, mensaje] o null.
+// En query y params todo llega como texto (fromText)
+function checkValue(rule, value, field, fromText) {
+  switch (rule.type) {
+    case "string": {
+      if (typeof value !== "string") return [400, "INVALID_TYPE", `${field} debe ser texto`];
+      const text = value.trim();
+      if (rule.pattern && !rule.pattern.test(text)) {
+        return [400, "INVALID_FORMAT", rule.message || `${field} no tiene un formato válido`];
+      }
+      if (rule.min !== undefined && text.length < rule.min) {
+        return [422, "TOO_SHORT", `${field} debe tener al menos ${rule.min} caracteres`];
       }
+      if (rule.max !== undefined && text.length > rule.max) {
+        return [422, "TOO_LONG", `${field} admite como máximo ${rule.max} caracteres`];
+      }
+      return null;
     }
 
-    // Totales del mes (céntimos): GASTOS = EXPENSE
-    const totalsQ = await pool.query(
-      `SELECT
-         COALESCE(SUM(CASE WHEN direction='OUT' AND type='EXPENSE' THEN amount ELSE 0 END),0)::int AS total_expenses,
-         COALESCE(SUM(CASE WHEN direction='IN' AND type='EXTRA_INCOME' THEN amount ELSE 0 END),0)::int AS extra_income
-       FROM economia.transaction
-       WHERE month_id = $1`,
-      [month.id]
-    );
-
-    const totalExpenses = totalsQ.rows[0].total_expenses;
-    const extraIncome = totalsQ.rows[0].extra_income;
-    const totalIncome = (month.income_amount || 0) + extraIncome;
-    const remainingMonth = totalIncome - totalExpenses;
+    case "uuid":
+      if (typeof value === "string" && UUID_RE.test(value)) return null;
+      return [400, "INVALID_FORMAT", `${field} no es un identificador válido`];
 
-    // ✅ Semana: SOLO gasto CASH
-    let weekSpentCash = 0;
-    let remainingWeekCash = null;
+    case "oneOf": {
+      const text = typeof value === "string" ? value.trim() : value;
+      const same = (x) => (rule.ignoreCase ? x.toLowerCase() === text.toLowerCase() : x === text);
+      const allowed = typeof text === "string" && rule.values.some(same);
+      if (allowed) return null;
+      return [422, "INVALID_VALUE", `${field} debe ser uno de: ${rule.values.join(", ")}`];
+    }
 
-    if (week) {
-      const ws = await pool.query(
-        `SELECT COALESCE(SUM(amount),0)::int AS week_spent_cash
-         FROM economia.transaction
-         WHERE month_id=$1
-           AND direction='OUT'
-           AND type='EXPENSE'
-           AND payment_method='CASH'
-           AND date_time::date >= $2::date
-           AND date_time::date <= $3::date`,
-        [month.id, week.start_date, week.end_date]
-      );
-      weekSpentCash = ws.rows[0].week_spent_cash;
-      remainingWeekCash = (week.cash_withdraw_amount || 0) - weekSpentCash;
+    case "money": {
+      const cents = moneyValueToCents(value);
+      if (cents === null) return [400, "INVALID_FORMAT", `${field} no es un importe válido`];
+      if (rule.min !== undefined && cents < rule.min) {
+        const bound = rule.min === 1 ? "mayor que 0" : `al menos ${centsToEur(rule.min)}€`;
+        return [422, "OUT_OF_RANGE", `${field} debe ser ${bound}`];
+      }
+      return null;
     }
 
-    // Split por attribution (solo EXPENSE)
-    const split = await pool.query(
-      `SELECT
-         attribution,
-         COALESCE(SUM(amount),0)::int AS total
-       FROM economia.transaction
-       WHERE month_id=$1
-         AND direction='OUT'
-         AND type='EXPENSE'
-       GROUP BY attribution`,
-      [month.id]
-    );
+    case "int": {
+      if (fromText && !/^-?\d+$/.test(String(value).trim())) {
+        return [400, "INVALID_FORMAT", `${field} debe ser un entero`];
+      }
+      if (!fromText && !Number.isInteger(value)) {
+        return [400, "INVALID_TYPE", `${field} debe ser un entero`];
+      }
+      const n = Number(value);
+      if (rule.min !== undefined && n < rule.min) {
+        return [422, "OUT_OF_RANGE", `${field} debe ser ${rule.min} o más`];
+      }
+      if (rule.max !== undefined && n > rule.max) {
+        return [422, "OUT_OF_RANGE", `${field} debe ser ${rule.max} o menos`];
+      }
+      return null;
+    }
 
-    const byAttr = { MINE: 0, PARTNER: 0, HOUSE: 0 };
-    for (const r of split.rows) {
-      if (byAttr[r.attribution] !== undefined) byAttr[r.attribution] = r.total;
+    case "number": {
+      const n = parseDecimal(value);
+      if (n === null) return [400, "INVALID_FORMAT", `${field} no es un número válido`];
+      if (rule.positive && n <= 0) return [422, "OUT_OF_RANGE", `${field} debe ser mayor que 0`];
+      return null;
     }
 
-    // Días restantes
-    const daysLeftQ = await pool.query(
-      `SELECT GREATEST(1, (economia.month.end_date - CURRENT_DATE + 1))::int AS days_left
-       FROM economia.month
-       WHERE id=$1`,
-      [month.id]
-    );
-    const daysLeft = daysLeftQ.rows[0].days_left;
+    case "date":
+      if (typeof value === "string" && !Number.isNaN(new Date(value).getTime())) return null;
+      return [400, "INVALID_FORMAT", `${field} no es una fecha válida`];
 
-    const dailyPace = remainingMonth / daysLeft;
+    case "boolean":
+      if (fromText ? ["true", "false"].includes(value) : typeof value === "boolean") return null;
+      return [400, "INVALID_TYPE", `${field} debe ser true o false`];
 
-    // BANK vs CASH
-    const bankAgg = await pool.query(
-      `SELECT
-        COALESCE(SUM(CASE WHEN type='EXTRA_INCOME' THEN amount ELSE 0 END),0)::int AS extra_in,
-        COALESCE(SUM(CASE WHEN type='CASH_RETURN' THEN amount ELSE 0 END),0)::int AS cash_return_in,
-        COALESCE(SUM(CASE WHEN type='EXPENSE' AND payment_method IN ('CARD','TRANSFER') THEN amount ELSE 0 END),0)::int AS bank_expenses_out,
-        COALESCE(SUM(CASE WHEN type='CASH_WITHDRAWAL' THEN amount ELSE 0 END),0)::int AS cash_withdraw_out
-      FROM economia.transaction
-      WHERE month_id=$1`,
-      [month.id]
-    );
+    case "list":
+      if (fromText || Array.isArray(value)) return null;
+      return [400, "INVALID_TYPE", `${field} debe ser una lista`];
 
-    const cashAgg = await pool.query(
-      `SELECT
-        COALESCE(SUM(CASE WHEN type='CASH_WITHDRAWAL' THEN amount ELSE 0 END),0)::int AS withdraw_in,
-        COALESCE(SUM(CASE WHEN type='CASH_RETURN' THEN amount ELSE 0 END),0)::int AS return_out,
-        COALESCE(SUM(CASE WHEN type='EXPENSE' AND payment_method='CASH' THEN amount ELSE 0 END),0)::int AS cash_expenses_out,
-        COALESCE(SUM(CASE WHEN type='PIGGYBANK_DEPOSIT' AND payment_method='CASH' THEN amount ELSE 0 END),0)::int AS piggy_out
-      FROM economia.transaction
-      WHERE month_id=$1`,
-      [month.id]
-    );
+    case "object":
+      if (isPlainObject(value)) return null;
+      return [400, "INVALID_TYPE", `${field} debe ser un objeto`];
 
-    const bankStart = (month.income_amount || 0) + bankAgg.rows[0].extra_in;
-    const bankOut = bankAgg.rows[0].bank_expenses_out + bankAgg.rows[0].cash_withdraw_out;
-    const bankIn = bankAgg.rows[0].cash_return_in;
-    const bankBalance = bankStart + bankIn - bankOut;
+    default:
+      return null;
+  }
+}
 
-    const cashIn = cashAgg.rows[0].withdraw_in;
-    const cashOut =
-      cashAgg.rows[0].cash_expenses_out + cashAgg.rows[0].return_out + cashAgg.rows[0].piggy_out;
-    const cashBalance = cashIn - cashOut;
+// Devuelve el primer fallo { status, code, field, error } o null.
+// Los uuid con ref se apuntan en refs: se comprueban contra la base al final
+function checkRule(rule, value, field, fromText, refs) {
+  if (isEmptyValue(value)) {
+    if (rule.required || (rule.notEmpty && value !== undefined)) {
+      return { status: 400, code: "REQUIRED", field, error: `${field} es obligatorio` };
+    }
+    return null;
+  }
 
-    res.json({
-      month,
-      week,
-      totals: {
-        totalIncome,
-        extraIncome,
-        totalExpenses,
-        remainingMonth,
+  const failure = checkValue(rule, value, field, fromText);
+  if (failure) {
+    const [status, code, error] = failure;
+    return { status, code, field, error };
+  }
 
-        weekSpent: weekSpentCash,
-        remainingWeek: remainingWeekCash,
+  if (rule.type === "list") {
+    const items = fromText ? queryList(value) : value;
+    for (const [i, item] of items.entries()) {
+      const itemField = fromText ? field : `${field}[${i}]`;
+      const itemRule = { required: true, ...rule.item };
+      const itemFailure = checkRule(itemRule, item, itemField, fromText, refs);
+      if (itemFailure) return itemFailure;
+    }
+  }
+  if (rule.type === "object") {
+    const nested = checkSchema(rule.schema, value, `${field}.`, fromText, refs);
+    if (nested) return nested;
+  }
+  if (rule.type === "uuid" && rule.ref) refs.push({ table: rule.ref, field, id: value });
 
-        daysLeft,
-        dailyPace,
-        byAttr,
+  const message = rule.check ? rule.check(value) : null;
+  if (message) return { status: 422, code: "INVALID_VALUE", field, error: message };
 
-        totalIncome_eur: centsToEur(totalIncome),
-        extraIncome_eur: centsToEur(extraIncome),
-        totalExpenses_eur: centsToEur(totalExpenses),
-        remainingMonth_eur: centsToEur(remainingMonth),
+  return null;
+}
 
-        weekSpent_eur: centsToEur(weekSpentCash),
-        remainingWeek_eur: remainingWeekCash === null ? null : centsToEur(remainingWeekCash),
+function checkSchema(schema, data, prefix, fromText, refs) {
+  for (const [name, rule] of Object.entries(schema)) {
+    const failure = checkRule(rule, data?.[name], `${prefix}${name}`, fromText, refs);
+    if (failure) return failure;
+  }
+  return null;
+}
 
-        dailyPace_eur: Number.isFinite(dailyPace) ? dailyPace / 100 : 0,
-        byAttr_eur: {
-          MINE: centsToEur(byAttr.MINE),
-          PARTNER: centsToEur(byAttr.PARTNER),
-          HOUSE: centsToEur(byAttr.HOUSE),
-        },
-      },
+// Middleware: validate({ params, query, body }) con un esquema { campo: regla } por parte
+function validate(schemas) {
+  return async (req, res, next) => {
+    try {
+      if (schemas.body) {
+        // sin cuerpo (o sin Content-Type JSON) Express deja req.body sin definir
+        if (req.body === undefined) req.body = {};
+        if (!isPlainObject(req.body)) {
+          return sendInvalid(res, 400, "INVALID_TYPE", null, "El cuerpo debe ser un objeto JSON");
+        }
+      }
 
-      balances: {
-        bank: bankBalance,
-        bank_eur: centsToEur(bankBalance),
-        bank_start: bankStart,
-        bank_start_eur: centsToEur(bankStart),
-        bank_in: bankIn,
-        bank_in_eur: centsToEur(bankIn),
-        bank_out: bankOut,
-        bank_out_eur: centsToEur(bankOut),
+      const refs = [];
+      for (const part of ["params", "query", "body"]) {
+        if (!schemas[part]) continue;
+        const failure = checkSchema(schemas[part], req[part], "", part !== "body", refs);
+        if (failure) {
+          return sendInvalid(res, failure.status, failure.code, failure.field, failure.error);
+        }
+      }
 
-        cash: cashBalance,
-        cash_eur: centsToEur(cashBalance),
-        cash_in: cashIn,
-        cash_in_eur: centsToEur(cashIn),
-        cash_out: cashOut,
-        cash_out_eur: centsToEur(cashOut),
-      },
-    });
-  } catch (error) {
-    console.error("❌ Error en GET /summary/current:", error);
-    res.status(500).json({ error: "Error obteniendo summary" });
-  }
-});
+      for (const { table, field, id } of refs) {
+        if (!(await belongsToHousehold(pool, table, id, req.householdId))) {
+          return sendInvalid(res, 404, "NOT_FOUND", field, REF_NOT_FOUND[table]);
+        }
+      }
 
-/* ===================== MONTH START/CLOSE/UPDATE/DELETE ===================== */
-app.post("/month/start", async (req, res) => {
-  const client = await pool.connect();
-  try {
-    const { incomeAmount, savingGoalAmount, weeklyBudgetAmount, startDate } = req.body;
+      next();
+    } catch (error) {
+      console.error(`❌ Error validando ${req.method} ${req.path}:`, error);
+      res.status(500).json({ error: "Error validando la petición" });
+    }
+  };
+}
 
-    const incomeCents = parseMoneyToCents(incomeAmount);
-    const savingCents = parseMoneyToCents(savingGoalAmount);
-    const weeklyCents = parseMoneyToCents(weeklyBudgetAmount);
+// Los ids de la ruta (:id, :entryId...) son siempre UUID: uno mal formado no llega a la base
+for (const name of UUID_PARAMS) {
+  app.param(name, (req, res, next, value) => {
+    if (UUID_RE.test(value)) return next();
+    sendInvalid(res, 400, "INVALID_FORMAT", name, `${name} no es un identificador válido`);
+  });
+}
 
-    if (incomeCents === null || savingCents === null || weeklyCents === null) {
-      return res.status(400).json({
-        error: "incomeAmount, savingGoalAmount y weeklyBudgetAmount son obligatorios (válidos)",
-      });
+/* ===================== AUDIT HELPERS ===================== */
+/*
+  Cada mutación de transacciones, meses, semanas y entradas de hucha deja una fila en
+  economia.audit_log con la foto completa antes/después. Todas las filas de una misma
+  petición comparten group_id: deshacer revierte el grupo entero (p.ej. cerrar semana =
+  semana + entradas de hucha + transacciones).
+*/
+const AUDIT_ENTITIES = ["transaction", "month", "week", "piggy_bank_entry"];
+const AUDIT_ACTIONS = ["CREATE", "UPDATE", "DELETE"];
+
+// Foto de las filas tal cual están en DB (ver repo.audit.snapshots); where sobre el alias x
+async function auditSnapshots(db, entityType, where, params) {
+  if (!AUDIT_ENTITIES.includes(entityType)) throw new Error(`Entidad sin auditoría: ${entityType}`);
+  return repo.audit.snapshots(db, entityType, { where: [where], params });
+}
+
+async function auditSnapshot(db, entityType, id) {
+  const rows = await auditSnapshots(db, entityType, "x.id = $1", [id]);
+  return rows[0] || null;
+}
+
+// Para CREATE/UPDATE la foto "after" se lee aquí; `before` debe venir de auditSnapshot()
+async function recordAudit(db, req, entityType, action, entityId, before = null, undoOfGroupId = null) {
+  if (!AUDIT_ACTIONS.includes(action)) throw new Error(`Acción de auditoría desconocida: ${action}`);
+  if (!req.auditGroupId) req.auditGroupId = crypto.randomUUID();
+
+  const after = action === "DELETE" ? null : await auditSnapshot(db, entityType, entityId);
+
+  await repo.audit.insert(db, {
+    householdId: req.householdId,
+    groupId: req.auditGroupId,
+    userId: req.user ? req.user.id : null,
+    route: `${req.method} ${req.route ? req.route.path : req.path}`,
+    entityType,
+    entityId,
+    action,
+    before,
+    after,
+    undoOfGroupId,
+  });
+}
+
+/* ===================== CSV IMPORT HELPERS ===================== */
+
+// CSV mínimo (RFC 4180): comillas dobles, "" escapado y saltos de línea dentro de comillas
+function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const s = String(text).replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (s[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
     }
-    if (incomeCents <= 0 || savingCents < 0 || weeklyCents < 0) {
-      return res.status(400).json({
-        error: "incomeAmount debe ser > 0. savingGoalAmount y weeklyBudgetAmount deben ser >= 0.",
-      });
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && s[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
     }
+  }
 
-    const open = await client.query(`SELECT id FROM economia.month WHERE status='OPEN' LIMIT 1`);
-    if (open.rows.length) {
-      return res.status(400).json({ error: "Ya existe un mes OPEN" });
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // fuera filas vacías
+  return rows.filter((r) => r.some((v) => String(v).trim() !== ""));
+}
+
+function detectCsvDelimiter(text) {
+  const firstLine = String(text).split(/\r?\n/, 1)[0] || "";
+  const candidates = [";", ",", "\t", "|"];
+  let best = ",";
+  let bestCount = 0;
+  for (const c of candidates) {
+    const n = firstLine.split(c).length - 1;
+    if (n > bestCount) {
+      best = c;
+      bestCount = n;
     }
+  }
+  return best;
+}
 
-    const start = startDate ? new Date(startDate) : new Date();
-    const periodKey = toPeriodKey(start);
-    const end = new Date(start.getFullYear(), start.getMonth() + 1, 0);
+// "-1.234,56" (decimal coma) o "-1,234.56" (decimal punto) -> { cents: 123456, negative: true }
+function parseBankAmount(input, decimal = "comma") {
+  if (input === null || input === undefined) return null;
 
-    await client.query("BEGIN");
+  let s = String(input).trim();
+  if (!s) return null;
 
-    const monthIns = await client.query(
-      `INSERT INTO economia.month
-        (period_key, start_date, end_date, income_amount, weekly_budget_amount, saving_goal_amount, status)
-       VALUES ($1,$2,$3,$4,$5,$6,'OPEN')
-       RETURNING
-         *,
-         (income_amount / 100.0) AS income_amount_eur,
-         (weekly_budget_amount / 100.0) AS weekly_budget_amount_eur,
-         (saving_goal_amount / 100.0) AS saving_goal_amount_eur`,
-      [periodKey, toDateOnly(start), toDateOnly(end), incomeCents, weeklyCents, savingCents]
-    );
+  const negative = /^\(.*\)$/.test(s) || s.startsWith("-") || s.endsWith("-");
 
-    const month = monthIns.rows[0];
+  // quitar separador de miles para que parseMoneyToCents vea un único decimal
+  s = decimal === "comma" ? s.replace(/\./g, "") : s.replace(/,/g, "");
 
-    // Generar semanas lunes-domingo que intersecten con [start..end]
-    let cursor = startOfWeekMonday(start);
-    const endDate = new Date(end);
-    endDate.setHours(0, 0, 0, 0);
+  const cents = parseMoneyToCents(s);
+  if (cents === null) return null;
 
-    let weekIndex = 1;
-    while (cursor <= endDate) {
-      const wStart = cursor;
-      const wEnd = addDays(wStart, 6);
+  return { cents, negative };
+}
 
-      const rangeStart = new Date(start);
-      rangeStart.setHours(0, 0, 0, 0);
+// Formatos con DD, MM, YYYY o YY en cualquier orden: "DD/MM/YYYY", "YYYY-MM-DD"...
+// formato de fecha de parseDateWithFormat en un body (POST /imports, /exchange-rates/import)
+const csvDateFormatRule = () =>
+  v.string({
+    check: (x) =>
+      ["DD", "MM", "YY"].every((t) => x.includes(t))
+        ? null
+        : "dateFormat debe incluir DD, MM y YYYY",
+  });
+
+function parseDateWithFormat(input, format = "DD/MM/YYYY") {
+  if (!input) return null;
+
+  const tokens = [];
+  const pattern = String(format)
+    .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/YYYY|YY|MM|DD/g, (t) => {
+      tokens.push(t);
+      return t.length === 4 ? "(\\d{4})" : "(\\d{1,2})";
+    });
 
-      const realStart = wStart < rangeStart ? rangeStart : wStart;
-      const realEnd = wEnd > endDate ? endDate : wEnd;
+  const match = new RegExp(`^${pattern}`).exec(String(input).trim());
+  if (!match) return null;
 
-      await client.query(
-        `INSERT INTO economia.week
-          (month_id, week_index, start_date, end_date, cash_withdraw_amount, status)
-         VALUES ($1,$2,$3,$4,$5,'OPEN')`,
-        [month.id, weekIndex, toDateOnly(realStart), toDateOnly(realEnd), weeklyCents]
-      );
+  let y = null;
+  let m = null;
+  let d = null;
+  tokens.forEach((t, i) => {
+    const n = Number(match[i + 1]);
+    if (t === "YYYY") y = n;
+    if (t === "YY") y = 2000 + n;
+    if (t === "MM") m = n;
+    if (t === "DD") d = n;
+  });
 
-      weekIndex += 1;
-      cursor = addDays(cursor, 7);
-    }
+  const date = new Date(y, m - 1, d);
+  if (date.getFullYear() !== y || date.getMonth() !== m - 1 || date.getDate() !== d) return null;
 
-    await client.query("COMMIT");
-    res.json(month);
-  } catch (error) {
-    await client.query("ROLLBACK");
-    console.error("❌ Error en POST /month/start:", error);
-    res.status(500).json({ error: "Error creando mes" });
-  } finally {
-    client.release();
-  }
-});
+  return toDateOnly(date);
+}
 
-app.post("/month/close", async (req, res) => {
-  const client = await pool.connect();
-  try {
-    const { monthId } = req.body;
-    if (!monthId) return res.status(400).json({ error: "monthId es obligatorio" });
+// "COMPRA TARJ. Café  Pepe " -> "compra tarj cafe pepe"
+function normalizeConcept(input) {
+  return String(input || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
 
-    await client.query("BEGIN");
+function conceptsLookAlike(a, b) {
+  const na = normalizeConcept(a);
+  const nb = normalizeConcept(b);
+  if (!na || !nb) return true; // sin concepto: manda fecha + importe
+  return na === nb || na.includes(nb) || nb.includes(na);
+}
 
-    const m = await client.query(`SELECT * FROM economia.month WHERE id=$1`, [monthId]);
-    if (!m.rows.length) return res.status(404).json({ error: "Mes no encontrado" });
+// ✅ Auto-retirada semanal (bank -> cash) idempotente
+async function ensureCashWithdrawalForWeek(client, week) {
+  if (!week?.id) return;
 
-    const month = m.rows[0];
-    if (month.status !== "OPEN") return res.status(400).json({ error: "El mes no está OPEN" });
+  if (!week.cash_withdraw_amount || week.cash_withdraw_amount <= 0) return;
 
-    const out = await client.query(
-      `SELECT COALESCE(SUM(amount),0)::int AS total
-       FROM economia.transaction
-       WHERE month_id=$1 AND direction='OUT' AND type IN ('EXPENSE')`,
-      [monthId]
-    );
+  if (await repo.transactions.hasCashWithdrawal(client, week.id)) return;
+
+  await repo.transactions.create(client, {
+    household_id: week.household_id,
+    date_time: new Date(week.start_date),
+    amount: week.cash_withdraw_amount,
+    direction: "OUT",
+    type: "CASH_WITHDRAWAL",
+    month_id: week.month_id,
+    week_id: week.id,
+    attribution: "HOUSE",
+    payment_method: "TRANSFER",
+    concept: `Retirada efectivo semana ${week.week_index}`,
+  });
+}
 
-    const extra = await client.query(
-      `SELECT COALESCE(SUM(amount),0)::int AS total
-       FROM economia.transaction
-       WHERE month_id=$1 AND direction='IN' AND type='EXTRA_INCOME'`,
-      [monthId]
-    );
+// ✅ Publica los gastos previstos que vencen dentro del mes (idempotente)
+// Cada ocurrencia genera un EXPENSE y next_due_date avanza según la frecuencia.
+// Las ocurrencias anteriores al inicio del mes se saltan: pertenecen a meses ya cerrados.
+// plannedIds: solo esos gastos previstos (null = todos los activos, p.ej. según la plantilla)
+async function postDuePlannedExpenses(client, month, plannedIds = null) {
+  if (!month?.id) return [];
+
+  const monthStart = toDateOnly(new Date(month.start_date));
+  const monthEnd = toDateOnly(new Date(month.end_date));
+
+  const pending = await repo.plannedExpenses.listDue(
+    client,
+    month.household_id,
+    monthEnd,
+    plannedIds
+  );
 
-    const totalIncome = (month.income_amount || 0) + extra.rows[0].total;
-    const remainder = totalIncome - out.rows[0].total;
-    const toConsolidate = Math.max(0, remainder);
+  const posted = [];
 
-    if (toConsolidate > 0) {
-      await client.query(
-        `INSERT INTO economia.transaction
-          (date_time, amount, direction, type, month_id, attribution, payment_method, concept, note)
-         VALUES (NOW(), $1, 'IN', 'CONSOLIDATE_TO_SAFETY', $2, 'HOUSE', 'TRANSFER', 'Cierre de mes', 'Ahorro objetivo + sobrante')`,
-        [toConsolidate, monthId]
-      );
-    }
+  for (const planned of pending) {
+    let due = new Date(planned.next_due_date);
 
-    const closed = await client.query(
-      `UPDATE economia.month
-       SET status='CLOSED', closed_at=NOW()
-       WHERE id=$1
-       RETURNING *`,
-      [monthId]
-    );
+    while (toDateOnly(due) <= monthEnd) {
+      const dueKey = toDateOnly(due);
 
-    await client.query("COMMIT");
-    res.json({
-      month: closed.rows[0],
+      if (dueKey >= monthStart) {
+        const week = await repo.weeks.findContaining(client, month.id, dueKey);
+
+        const tx = await repo.plannedExpenses.postOccurrence(client, planned, {
+          monthId: month.id,
+          weekId: week ? week.id : null,
+          dueDate: dueKey,
+        });
+        if (tx) posted.push(tx);
+      }
+
+      due = nextDueDate(due, planned.frequency);
+    }
+
+    await repo.plannedExpenses.setNextDueDate(client, planned.id, toDateOnly(due));
+  }
+
+  return posted;
+}
+
+// ✅ Presupuestos por categoría del mes: gastado, restante, % y aviso por ritmo diario
+// Los gastos previstos publicados cuentan como fijos; solo el resto se proyecta a fin de mes.
+async function getCategoryBudgetStatus(db, month) {
+  const rows = await repo.categoryBudgets.listWithSpent(db, month.id);
+
+  return rows.map((r) => {
+    const spent = r.planned_spent + r.variable_spent;
+    const remaining = r.budget - spent;
+    const projected = Math.round(
+      r.planned_spent + (r.variable_spent / r.days_elapsed) * r.days_total
+    );
+
+    let status = "OK";
+    if (spent > r.budget) status = "OVER";
+    else if (projected > r.budget) status = "AT_RISK";
+
+    return {
+      category_id: r.category_id,
+      category_name: r.category_name,
+      color: r.color,
+      icon: r.icon,
+      budget: r.budget,
+      spent,
+      remaining,
+      percentage: r.budget > 0 ? Math.round((spent / r.budget) * 1000) / 10 : null,
+      projected,
+      status,
+      over: status === "OVER",
+      atRisk: status === "AT_RISK",
+
+      budget_eur: centsToEur(r.budget),
+      spent_eur: centsToEur(spent),
+      remaining_eur: centsToEur(remaining),
+      projected_eur: centsToEur(projected),
+    };
+  });
+}
+
+/* ===================== INIT DB ===================== */
+// Postgres aplica las migraciones de migrations/; SQLite crea su esquema (ver storage/)
+const dbReady = storage.init().catch((err) => {
+  console.error("❌ Error en initDb:", err);
+  process.exit(1);
+});
+
+/* ===================== ROUTES ===================== */
+app.get("/", (_req, res) => res.send("Economia API funcionando correctamente"));
+app.get("/health", (_req, res) => res.json({ ok: true }));
+
+/* ===================== AUTH ===================== */
+const PASSWORD_MIN = 8;
+
+const emailRule = (opts = {}) =>
+  v.string({ pattern: EMAIL_RE, message: "email no es un email válido", max: 254, ...opts });
+
+// Sin invitación se crea un hogar nuevo: solo para el primer usuario o con ALLOW_REGISTRATION=true.
+// Con inviteCode el usuario entra en el hogar que le invitó.
+const REGISTER_SCHEMA = {
+  email: emailRule({ required: true }),
+  password: v.string({ required: true, min: PASSWORD_MIN }),
+  name: v.string({ required: true, max: NAME_MAX }),
+  inviteCode: v.string(),
+  householdName: v.string({ max: NAME_MAX }),
+};
+
+app.post("/auth/register", validate({ body: REGISTER_SCHEMA }), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { email, password, name, inviteCode, householdName } = req.body;
+
+    const finalEmail = email.trim().toLowerCase();
+
+    await client.query("BEGIN");
+
+    let householdId = null;
+    let invitation = null;
+
+    if (inviteCode) {
+      invitation = await repo.invitations.findOpenByCode(
+        client,
+        String(inviteCode).trim().toUpperCase()
+      );
+      if (!invitation) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "Invitación inválida o caducada" });
+      }
+      if (!invitationAllowsEmail(invitation, finalEmail)) {
+        await client.query("ROLLBACK");
+        return res.status(403).json({ error: "La invitación es para otro email" });
+      }
+      householdId = invitation.household_id;
+
+      if ((await repo.users.countInHousehold(client, householdId)) >= HOUSEHOLD_MAX_MEMBERS) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "El hogar ya está completo" });
+      }
+    } else {
+      if ((await repo.users.any(client)) && process.env.ALLOW_REGISTRATION !== "true") {
+        await client.query("ROLLBACK");
+        return res.status(403).json({ error: "Registro cerrado: necesitas una invitación" });
+      }
+
+      householdId = await repo.households.create(
+        client,
+        String(householdName || "").trim() || `Casa de ${String(name).trim()}`
+      );
+      await repo.households.seed(client, householdId);
+    }
+
+    const userId = await repo.users.create(client, {
+      householdId,
+      email: finalEmail,
+      name: String(name).trim(),
+      passwordHash: hashPassword(password),
+    });
+
+    if (invitation) await repo.invitations.markAccepted(client, invitation.id, userId);
+
+    const user = await repo.users.getById(client, userId);
+
+    await client.query("COMMIT");
+    res.json({ token: signToken(user), user: publicUser(user) });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    if (error.code === "23505") {
+      return res.status(409).json({ error: "Ya existe un usuario con ese email" });
+    }
+    console.error("❌ Error en POST /auth/register:", error);
+    res.status(500).json({ error: "Error registrando usuario" });
+  } finally {
+    client.release();
+  }
+});
+
+const LOGIN_SCHEMA = {
+  email: v.string({ required: true }),
+  password: v.string({ required: true }),
+};
+
+app.post("/auth/login", validate({ body: LOGIN_SCHEMA }), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const finalEmail = email.trim().toLowerCase();
+    const found = await repo.users.getByEmail(pool, finalEmail);
+
+    if (!found || !verifyPassword(password, found.password_hash)) {
+      return res.status(401).json({ error: "Credenciales incorrectas" });
+    }
+
+    const user = await repo.users.getById(pool, found.id);
+    res.json({ token: signToken(user), user: publicUser(user) });
+  } catch (error) {
+    console.error("❌ Error en POST /auth/login:", error);
+    res.status(500).json({ error: "Error iniciando sesión" });
+  }
+});
+
+// ✅ A partir de aquí todas las rutas requieren token
+app.use(requireAuth);
+
+app.get("/auth/me", async (req, res) => {
+  try {
+    const partner = req.user.partner_user_id
+      ? await repo.users.getById(pool, req.user.partner_user_id)
+      : null;
+
+    res.json({ user: publicUser(req.user), partner: publicUser(partner) });
+  } catch (error) {
+    console.error("❌ Error en GET /auth/me:", error);
+    res.status(500).json({ error: "Error obteniendo usuario" });
+  }
+});
+
+const PASSWORD_SCHEMA = {
+  currentPassword: v.string({ required: true }),
+  newPassword: v.string({ required: true, min: PASSWORD_MIN }),
+};
+
+app.put("/auth/password", validate({ body: PASSWORD_SCHEMA }), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!verifyPassword(currentPassword, req.user.password_hash)) {
+      return res.status(401).json({ error: "Credenciales incorrectas" });
+    }
+
+    await repo.users.setPassword(pool, req.user.id, hashPassword(newPassword));
+    res.json({ ok: true });
+  } catch (error) {
+    console.error("❌ Error en PUT /auth/password:", error);
+    res.status(500).json({ error: "Error cambiando contraseña" });
+  }
+});
+
+/* ===================== HOUSEHOLD ===================== */
+const HOUSEHOLD_SCHEMA = { name: v.string({ required: true, max: NAME_MAX }) };
+const INVITATION_SCHEMA = { email: emailRule() };
+const JOIN_SCHEMA = { code: v.string({ required: true }) };
+
+app.get("/household", async (req, res) => {
+  try {
+    const household = await repo.households.getById(pool, req.householdId);
+    const members = await repo.users.listByHousehold(pool, req.householdId);
+
+    res.json({ household, members });
+  } catch (error) {
+    console.error("❌ Error en GET /household:", error);
+    res.status(500).json({ error: "Error obteniendo hogar" });
+  }
+});
+
+app.put("/household", validate({ body: HOUSEHOLD_SCHEMA }), async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    res.json(await repo.households.rename(pool, req.householdId, String(name).trim()));
+  } catch (error) {
+    console.error("❌ Error en PUT /household:", error);
+    res.status(500).json({ error: "Error editando hogar" });
+  }
+});
+
+app.get("/household/invitations", async (req, res) => {
+  try {
+    res.json(await repo.invitations.listOpen(pool, req.householdId));
+  } catch (error) {
+    console.error("❌ Error en GET /household/invitations:", error);
+    res.status(500).json({ error: "Error obteniendo invitaciones" });
+  }
+});
+
+// ✅ Invitar al segundo miembro: devuelve un código para /auth/register o /household/join
+app.post("/household/invitations", validate({ body: INVITATION_SCHEMA }), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if ((await repo.users.countInHousehold(pool, req.householdId)) >= HOUSEHOLD_MAX_MEMBERS) {
+      return res.status(400).json({ error: "El hogar ya está completo" });
+    }
+
+    const invitation = await repo.invitations.create(pool, {
+      householdId: req.householdId,
+      code: crypto.randomBytes(5).toString("hex").toUpperCase(),
+      email: email ? String(email).trim().toLowerCase() : null,
+      invitedByUserId: req.user.id,
+      ttlDays: INVITATION_TTL_DAYS,
+    });
+    res.json(invitation);
+  } catch (error) {
+    console.error("❌ Error en POST /household/invitations:", error);
+    res.status(500).json({ error: "Error creando invitación" });
+  }
+});
+
+app.delete("/household/invitations/:id", async (req, res) => {
+  try {
+    if (!(await repo.invitations.removeOpen(pool, req.params.id, req.householdId))) {
+      return res.status(404).json({ error: "Invitación no encontrada" });
+    }
+    res.json({ ok: true });
+  } catch (error) {
+    console.error("❌ Error en DELETE /household/invitations/:id:", error);
+    res.status(500).json({ error: "Error borrando invitación" });
+  }
+});
+
+// ✅ Usuario ya registrado que se une a otro hogar.
+// Solo si está solo en su hogar actual y no tiene meses: ese hogar vacío se elimina.
+app.post("/household/join", validate({ body: JOIN_SCHEMA }), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { code } = req.body;
+
+    await client.query("BEGIN");
+
+    const invitation = await repo.invitations.findOpenByCode(
+      client,
+      String(code).trim().toUpperCase()
+    );
+    if (!invitation) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Invitación inválida o caducada" });
+    }
+    if (!invitationAllowsEmail(invitation, req.user.email)) {
+      await client.query("ROLLBACK");
+      return res.status(403).json({ error: "La invitación es para otro email" });
+    }
+
+    if (invitation.household_id === req.householdId) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Ya perteneces a ese hogar" });
+    }
+    if (req.user.partner_user_id) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Tu hogar actual tiene otro miembro" });
+    }
+
+    if (await repo.months.exists(client, req.householdId)) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Tu hogar actual ya tiene meses: no se puede abandonar" });
+    }
+
+    if (
+      (await repo.users.countInHousehold(client, invitation.household_id)) >= HOUSEHOLD_MAX_MEMBERS
+    ) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "El hogar ya está completo" });
+    }
+
+    const previousHouseholdId = req.householdId;
+
+    await repo.users.moveToHousehold(client, req.user.id, invitation.household_id);
+    await repo.invitations.markAccepted(client, invitation.id, req.user.id);
+    await repo.households.remove(client, previousHouseholdId);
+
+    const user = await repo.users.getById(client, req.user.id);
+
+    await client.query("COMMIT");
+    res.json({ user: publicUser(user) });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Error en POST /household/join:", error);
+    res.status(500).json({ error: "Error uniéndose al hogar" });
+  } finally {
+    client.release();
+  }
+});
+
+/* ===================== CATEGORIES ===================== */
+const HEX_COLOR_RE = /^#[0-9a-fA-F]{6}$/;
+
+const categoryFields = ({ required = false } = {}) => ({
+  name: v.string({ required, notEmpty: true, max: NAME_MAX }),
+  color: v.string({ pattern: HEX_COLOR_RE, message: "color debe ser hexadecimal (#RRGGBB)" }),
+  icon: v.string({ max: 50 }),
+  sort_order: v.int(),
+});
+
+app.get("/categories", validate({ query: { includeArchived: v.boolean() } }), async (req, res) => {
+  try {
+    const includeArchived = req.query.includeArchived === "true";
+
+    res.json(await repo.categories.list(pool, req.householdId, { includeArchived }));
+  } catch (error) {
+    console.error("❌ Error en GET /categories:", error);
+    res.status(500).json({ error: "Error obteniendo categorías" });
+  }
+});
+
+const CATEGORY_CREATE_SCHEMA = categoryFields({ required: true });
+const CATEGORY_UPDATE_SCHEMA = categoryFields();
+
+app.post("/categories", validate({ body: CATEGORY_CREATE_SCHEMA }), async (req, res) => {
+  try {
+    const { name, color, icon, sort_order } = req.body;
+
+    const category = await repo.categories.create(pool, req.householdId, {
+      name: String(name).trim(),
+      color: color || null,
+      icon: icon || null,
+      sortOrder: sort_order ?? null,
+    });
+
+    res.json(category);
+  } catch (error) {
+    if (error.code === "23505") {
+      return res.status(409).json({ error: "Ya existe una categoría con ese nombre" });
+    }
+    console.error("❌ Error en POST /categories:", error);
+    res.status(500).json({ error: "Error creando categoría" });
+  }
+});
+
+app.put("/categories/:id", validate({ body: CATEGORY_UPDATE_SCHEMA }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, color, icon, sort_order } = req.body;
+
+    // color/icon admiten null explícito para limpiar el valor
+    const category = await repo.categories.update(pool, id, req.householdId, {
+      name: name === undefined ? undefined : String(name).trim(),
+      color,
+      icon,
+      sortOrder: sort_order,
+    });
+
+    if (!category) return res.status(404).json({ error: "Categoría no encontrada" });
+    res.json(category);
+  } catch (error) {
+    if (error.code === "23505") {
+      return res.status(409).json({ error: "Ya existe una categoría con ese nombre" });
+    }
+    console.error("❌ Error en PUT /categories/:id:", error);
+    res.status(500).json({ error: "Error editando categoría" });
+  }
+});
+
+// ✅ Archivar / reactivar (las transacciones conservan su categoría)
+app.post("/categories/:id/archive", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const category = await repo.categories.setActive(pool, id, req.householdId, false);
+
+    if (!category) return res.status(404).json({ error: "Categoría no encontrada" });
+    res.json(category);
+  } catch (error) {
+    console.error("❌ Error en POST /categories/:id/archive:", error);
+    res.status(500).json({ error: "Error archivando categoría" });
+  }
+});
+
+app.post("/categories/:id/unarchive", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const category = await repo.categories.setActive(pool, id, req.householdId, true);
+
+    if (!category) return res.status(404).json({ error: "Categoría no encontrada" });
+    res.json(category);
+  } catch (error) {
+    console.error("❌ Error en POST /categories/:id/unarchive:", error);
+    res.status(500).json({ error: "Error reactivando categoría" });
+  }
+});
+
+// ✅ Fusionar: todo lo que apunta a :id pasa a targetId y :id desaparece
+const MERGE_SCHEMA = { targetId: v.uuid({ required: true, ref: "category" }) };
+
+app.post("/categories/:id/merge", validate({ body: MERGE_SCHEMA }), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const { targetId } = req.body;
+
+    if (targetId === id) {
+      return sendInvalid(
+        res,
+        422,
+        "INVALID_VALUE",
+        "targetId",
+        "No puedes fusionar una categoría consigo misma"
+      );
+    }
+
+    await client.query("BEGIN");
+
+    if ((await repo.categories.lockMany(client, [id, targetId], req.householdId)) !== 2) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Categoría no encontrada" });
+    }
+
+    const { category, moved } = await repo.categories.merge(client, id, targetId);
+
+    await client.query("COMMIT");
+    res.json({ ok: true, category, moved });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Error en POST /categories/:id/merge:", error);
+    res.status(500).json({ error: "Error fusionando categorías" });
+  } finally {
+    client.release();
+  }
+});
+
+/* ===================== MONTHS ===================== */
+app.get("/month/current", async (req, res) => {
+  try {
+    res.json(await repo.months.getCurrent(pool, req.householdId));
+  } catch (error) {
+    console.error("❌ Error en GET /month/current:", error);
+    res.status(500).json({ error: "Error obteniendo mes actual" });
+  }
+});
+
+app.get("/week/current", async (req, res) => {
+  try {
+    const month = await repo.months.getOpen(pool, req.householdId);
+    if (!month) return res.json(null);
+
+    const week =
+      (await repo.weeks.getCurrent(pool, month.id)) || (await repo.weeks.getLast(pool, month.id));
+    res.json(week);
+  } catch (error) {
+    console.error("❌ Error en GET /week/current:", error);
+    res.status(500).json({ error: "Error obteniendo semana actual" });
+  }
+});
+
+app.get("/summary/current", async (req, res) => {
+  try {
+    const month = await repo.months.getCurrent(pool, req.householdId);
+    if (!month) return res.json(null);
+
+    const week = await repo.weeks.getCurrent(pool, month.id);
+
+    // ✅ Auto-retirada (bank -> cash) al entrar en la semana (idempotente)
+    if (week) {
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        await ensureCashWithdrawalForWeek(client, week);
+        await client.query("COMMIT");
+      } catch (e) {
+        await client.query("ROLLBACK");
+        console.error("❌ ensureCashWithdrawalForWeek:", e);
+      } finally {
+        client.release();
+      }
+    }
+
+    // ✅ Gastos previstos que vencen en el mes (idempotente)
+    {
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        await postDuePlannedExpenses(client, month);
+        await client.query("COMMIT");
+      } catch (e) {
+        await client.query("ROLLBACK");
+        console.error("❌ postDuePlannedExpenses:", e);
+      } finally {
+        client.release();
+      }
+    }
+
+    // Totales del mes (céntimos): GASTOS = EXPENSE
+    const agg = await repo.transactions.monthTotals(pool, month.id);
+
+    const totalExpenses = agg.total_expenses;
+    const extraIncome = agg.extra_income;
+    const totalIncome = (month.income_amount || 0) + extraIncome;
+    // lo aportado a objetivos desde el mes ya no está disponible
+    const remainingMonth = totalIncome - totalExpenses - agg.goal_contributions;
+
+    // ✅ Semana: SOLO gasto CASH
+    let weekSpentCash = 0;
+    let remainingWeekCash = null;
+
+    if (week) {
+      weekSpentCash = await repo.transactions.cashSpentBetween(
+        pool,
+        month.id,
+        week.start_date,
+        week.end_date
+      );
+      remainingWeekCash = (week.cash_withdraw_amount || 0) - weekSpentCash;
+    }
+
+    // Split por attribution (solo EXPENSE), visto desde el usuario que consulta
+    const split = await repo.transactions.monthExpensesByAttribution(pool, month.id);
+
+    const byAttr = { MINE: 0, PARTNER: 0, HOUSE: 0 };
+    for (const r of split) {
+      const { attribution } = toViewerAttribution(r, req.user);
+      if (byAttr[attribution] !== undefined) byAttr[attribution] += r.total;
+    }
+
+    // Días restantes
+    const daysLeft = await repo.months.daysLeft(pool, month.id);
+
+    const dailyPace = remainingMonth / daysLeft;
+
+    // BANK vs CASH
+    const bankStart = (month.income_amount || 0) + agg.extra_in;
+    const bankOut = agg.bank_expenses + agg.cash_withdraw + agg.goal_contributions;
+    const bankIn = agg.cash_return + agg.piggy_to_bank;
+    const bankBalance = bankStart + bankIn - bankOut;
+
+    const cashIn = agg.cash_withdraw + agg.piggy_to_cash;
+    const cashOut = agg.cash_expenses + agg.cash_return + agg.piggy_cash;
+    const cashBalance = cashIn - cashOut;
+
+    // Presupuestos por categoría
+    const budgets = await getCategoryBudgetStatus(pool, month);
+
+    res.json({
+      month,
+      week,
+      totals: {
+        totalIncome,
+        extraIncome,
+        totalExpenses,
+        remainingMonth,
+
+        weekSpent: weekSpentCash,
+        remainingWeek: remainingWeekCash,
+
+        daysLeft,
+        dailyPace,
+        byAttr,
+
+        totalIncome_eur: centsToEur(totalIncome),
+        extraIncome_eur: centsToEur(extraIncome),
+        totalExpenses_eur: centsToEur(totalExpenses),
+        remainingMonth_eur: centsToEur(remainingMonth),
+
+        weekSpent_eur: centsToEur(weekSpentCash),
+        remainingWeek_eur: remainingWeekCash === null ? null : centsToEur(remainingWeekCash),
+
+        dailyPace_eur: Number.isFinite(dailyPace) ? dailyPace / 100 : 0,
+        byAttr_eur: {
+          MINE: centsToEur(byAttr.MINE),
+          PARTNER: centsToEur(byAttr.PARTNER),
+          HOUSE: centsToEur(byAttr.HOUSE),
+        },
+      },
+
+      budgets,
+
+      balances: {
+        bank: bankBalance,
+        bank_eur: centsToEur(bankBalance),
+        bank_start: bankStart,
+        bank_start_eur: centsToEur(bankStart),
+        bank_in: bankIn,
+        bank_in_eur: centsToEur(bankIn),
+        bank_out: bankOut,
+        bank_out_eur: centsToEur(bankOut),
+
+        cash: cashBalance,
+        cash_eur: centsToEur(cashBalance),
+        cash_in: cashIn,
+        cash_in_eur: centsToEur(cashIn),
+        cash_out: cashOut,
+        cash_out_eur: centsToEur(cashOut),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error en GET /summary/current:", error);
+    res.status(500).json({ error: "Error obteniendo summary" });
+  }
+});
+
+/* ===================== PAY CYCLE ===================== */
+/*
+  Los meses del hogar pueden ir de cobro a cobro en vez de por mes natural:
+    CALENDAR          del 1 al último día del mes (lo de siempre)
+    FIXED_DAY         desde el día pay_cycle_day (en meses más cortos, su último día)
+    LAST_WORKING_DAY  desde el último día laborable (lunes a viernes) de cada mes
+  Un mes termina la víspera del siguiente inicio de ciclo, salvo que se pida un endDate
+  explícito, y su period_key es el mes natural en el que cae la mitad del periodo
+  (del 25-ene al 24-feb -> 2026-02). Dos meses del hogar no pueden solaparse.
+*/
+const PAY_CYCLE_TYPES = ["CALENDAR", "FIXED_DAY", "LAST_WORKING_DAY"];
+
+const PAY_CYCLE_SCHEMA = {
+  type: v.oneOf(PAY_CYCLE_TYPES, { required: true, ignoreCase: true }),
+  day: v.int({ min: 1, max: 31 }),
+};
+
+function atMidnight(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+// Inicio del ciclo dentro del mes natural (monthIndex 0-11; se desborda bien: 12 -> enero)
+function payCycleStartIn(cycle, year, monthIndex) {
+  const lastDay = new Date(year, monthIndex + 1, 0);
+  if (cycle.type === "FIXED_DAY") {
+    return new Date(year, monthIndex, Math.min(cycle.day, lastDay.getDate()));
+  }
+  if (cycle.type === "LAST_WORKING_DAY") {
+    while (lastDay.getDay() === 0 || lastDay.getDay() === 6) lastDay.setDate(lastDay.getDate() - 1);
+    return lastDay;
+  }
+  return new Date(year, monthIndex, 1);
+}
+
+// Primer inicio de ciclo posterior a date
+function nextPayCycleStart(cycle, date) {
+  const d = atMidnight(date);
+  const inMonth = payCycleStartIn(cycle, d.getFullYear(), d.getMonth());
+  return inMonth > d ? inMonth : payCycleStartIn(cycle, d.getFullYear(), d.getMonth() + 1);
+}
+
+// Inicio del ciclo que contiene date
+function currentPayCycleStart(cycle, date) {
+  const d = atMidnight(date);
+  const inMonth = payCycleStartIn(cycle, d.getFullYear(), d.getMonth());
+  return inMonth <= d ? inMonth : payCycleStartIn(cycle, d.getFullYear(), d.getMonth() - 1);
+}
+
+function payCyclePeriodKey(start, end) {
+  const days = Math.round((end - start) / 86400000);
+  return toPeriodKey(addDays(start, Math.floor(days / 2)));
+}
+
+// Fechas de un mes nuevo según el ciclo del hogar. startDate / endDate: YYYY-MM-DD o vacío
+// (sin startDate: hoy con CALENDAR, el inicio del ciclo en curso con los demás).
+// -> { start, end, periodKey } | { invalid: [...] } | { conflict: mensaje }
+async function resolveMonthPeriod(db, householdId, { startDate, endDate }) {
+  const cycle = await repo.households.getPayCycle(db, householdId);
+
+  let start;
+  if (startDate) start = atMidnight(startDate);
+  else if (cycle.type === "CALENDAR") start = atMidnight(new Date());
+  else start = currentPayCycleStart(cycle, new Date());
+
+  let end = endDate ? atMidnight(endDate) : addDays(nextPayCycleStart(cycle, start), -1);
+  if (end < start) {
+    return {
+      invalid: [422, "OUT_OF_RANGE", "endDate", "endDate no puede ser anterior al inicio del mes"],
+    };
+  }
+
+  let periodKey = payCyclePeriodKey(start, end);
+  // el resto de un ciclo cortado con endDate cae en un mes que ya existe: va con el siguiente
+  if (!endDate && (await repo.months.existsPeriod(db, householdId, periodKey))) {
+    end = addDays(nextPayCycleStart(cycle, addDays(end, 1)), -1);
+    periodKey = payCyclePeriodKey(start, end);
+  }
+  const overlapping = await repo.months.findOverlapping(
+    db,
+    householdId,
+    toDateOnly(start),
+    toDateOnly(end)
+  );
+  if (overlapping) {
+    return {
+      conflict: `Del ${toDateOnly(start)} al ${toDateOnly(end)} se solapa con el mes ${overlapping.period_key}`,
+    };
+  }
+  if (await repo.months.existsPeriod(db, householdId, periodKey)) {
+    return { conflict: `El mes ${periodKey} ya existe` };
+  }
+
+  return { start, end, periodKey };
+}
+
+function payCycleView(cycle) {
+  const start = currentPayCycleStart(cycle, new Date());
+  const end = addDays(nextPayCycleStart(cycle, start), -1);
+  return {
+    type: cycle.type,
+    day: cycle.day,
+    current_period: {
+      period_key: payCyclePeriodKey(start, end),
+      start_date: toDateOnly(start),
+      end_date: toDateOnly(end),
+    },
+  };
+}
+
+app.get("/pay-cycle", async (req, res) => {
+  try {
+    const cycle = await repo.households.getPayCycle(pool, req.householdId);
+    res.json(payCycleView(cycle));
+  } catch (error) {
+    console.error("❌ Error en GET /pay-cycle:", error);
+    res.status(500).json({ error: "Error obteniendo ciclo de cobro" });
+  }
+});
+
+// Solo afecta a los meses que se abran a partir de ahora
+app.put("/pay-cycle", validate({ body: PAY_CYCLE_SCHEMA }), async (req, res) => {
+  try {
+    const type = String(req.body.type).toUpperCase();
+    const hasDay = !isEmptyValue(req.body.day);
+
+    if (type === "FIXED_DAY" && !hasDay) {
+      return sendInvalid(res, 400, "REQUIRED", "day", "day es obligatorio con FIXED_DAY");
+    }
+    if (type !== "FIXED_DAY" && hasDay) {
+      return sendInvalid(res, 422, "INVALID_VALUE", "day", "day solo se usa con FIXED_DAY");
+    }
+
+    const cycle = { type, day: hasDay ? Number(req.body.day) : null };
+    await repo.households.setPayCycle(pool, req.householdId, cycle);
+    res.json(payCycleView(cycle));
+  } catch (error) {
+    console.error("❌ Error en PUT /pay-cycle:", error);
+    res.status(500).json({ error: "Error guardando ciclo de cobro" });
+  }
+});
+
+/* ===================== MONTH START/CLOSE/UPDATE/DELETE ===================== */
+const MONTH_START_SCHEMA = {
+  incomeAmount: v.money({ required: true, min: 1 }),
+  savingGoalAmount: v.money({ required: true, min: 0 }),
+  weeklyBudgetAmount: v.money({ required: true, min: 0 }),
+  startDate: v.date(),
+  endDate: v.date(),
+};
+
+// Mes [start..end] (ver resolveMonthPeriod) con sus semanas lunes-domingo y los gastos
+// previstos que caen dentro. Va dentro de la transacción de client (ver /month/start y
+// /month/start-next)
+async function createMonthWithWeeks(
+  client,
+  req,
+  { start, end, periodKey, income, weeklyBudget, savingGoal, plannedIds }
+) {
+  const month = await repo.months.create(client, {
+    householdId: req.householdId,
+    periodKey,
+    startDate: toDateOnly(start),
+    endDate: toDateOnly(end),
+    income,
+    weeklyBudget,
+    savingGoal,
+  });
+  await recordAudit(client, req, "month", "CREATE", month.id);
+
+  // Generar semanas lunes-domingo que intersecten con [start..end]
+  let cursor = startOfWeekMonday(start);
+  const endDate = new Date(end);
+  endDate.setHours(0, 0, 0, 0);
+
+  let weekIndex = 1;
+  while (cursor <= endDate) {
+    const wStart = cursor;
+    const wEnd = addDays(wStart, 6);
+
+    const rangeStart = new Date(start);
+    rangeStart.setHours(0, 0, 0, 0);
+
+    const realStart = wStart < rangeStart ? rangeStart : wStart;
+    const realEnd = wEnd > endDate ? endDate : wEnd;
+
+    const weekId = await repo.weeks.create(client, {
+      householdId: req.householdId,
+      monthId: month.id,
+      weekIndex,
+      startDate: toDateOnly(realStart),
+      endDate: toDateOnly(realEnd),
+      cashWithdraw: weeklyBudget,
+    });
+    await recordAudit(client, req, "week", "CREATE", weekId);
+
+    weekIndex += 1;
+    cursor = addDays(cursor, 7);
+  }
+
+  const posted = await postDuePlannedExpenses(client, month, plannedIds);
+  for (const tx of posted) await recordAudit(client, req, "transaction", "CREATE", tx.id);
+
+  return month;
+}
+
+app.post("/month/start", validate({ body: MONTH_START_SCHEMA }), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { incomeAmount, savingGoalAmount, weeklyBudgetAmount, startDate, endDate } = req.body;
+
+    const incomeCents = parseMoneyToCents(incomeAmount);
+    const savingCents = parseMoneyToCents(savingGoalAmount);
+    const weeklyCents = parseMoneyToCents(weeklyBudgetAmount);
+
+    const open = await repo.months.getOpen(client, req.householdId);
+    if (open) {
+      return res.status(400).json({ error: "Ya existe un mes OPEN" });
+    }
+
+    const period = await resolveMonthPeriod(client, req.householdId, { startDate, endDate });
+    if (period.invalid) return sendInvalid(res, ...period.invalid);
+    if (period.conflict) return res.status(409).json({ error: period.conflict });
+
+    await client.query("BEGIN");
+
+    const month = await createMonthWithWeeks(client, req, {
+      ...period,
+      income: incomeCents,
+      weeklyBudget: weeklyCents,
+      savingGoal: savingCents,
+      plannedIds: null,
+    });
+
+    await client.query("COMMIT");
+    res.json(month);
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Error en POST /month/start:", error);
+    res.status(500).json({ error: "Error creando mes" });
+  } finally {
+    client.release();
+  }
+});
+
+// Consolida en el fondo de seguridad lo que sobra del mes (ingresos - gastos) y lo cierra.
+// Lo ya aportado a objetivos durante el mes no se consolida otra vez; goals ([{ goalId,
+// amount }] en céntimos) reparte parte del sobrante entre objetivos antes de consolidar.
+// month: fila OPEN leída dentro de la transacción de client (ver /month/close y MONTH ROLLOVER)
+// -> { month, totals, goals } | { invalid: [...] }
+async function closeMonthWithConsolidation(client, req, month, goals = []) {
+  const monthBefore = await auditSnapshot(client, "month", month.id);
+
+  const {
+    total_expenses: totalExpenses,
+    extra_income: extraIncome,
+    goal_contributions: alreadyToGoals,
+  } = await repo.transactions.monthTotals(client, month.id);
+
+  const totalIncome = (month.income_amount || 0) + extraIncome;
+  const remainder = totalIncome - totalExpenses;
+  const available = Math.max(0, remainder - alreadyToGoals);
+
+  // con el plan de reposición automático, la cuota del fondo va antes que los objetivos
+  const { plan: safetyPlan } = await getSafetyStatus(client, month.household_id);
+  const replenish = safetyPlan.auto_apply ? Math.min(safetyPlan.monthly, available) : 0;
+
+  const closeToGoals = goals.reduce((sum, g) => sum + g.amount, 0);
+  if (closeToGoals > available - replenish) {
+    const reserved = replenish ? ` (${centsToEur(replenish)}€ van a reponer el fondo)` : "";
+    return {
+      invalid: [
+        422,
+        "OUT_OF_RANGE",
+        "goals",
+        `Solo quedan ${centsToEur(available - replenish)}€ del mes para repartir entre ` +
+          `objetivos${reserved}`,
+      ],
+    };
+  }
+
+  const contributions = [];
+  for (const { goalId, amount } of goals) {
+    const [goal] = await getSavingsGoals(client, req.householdId, {
+      id: goalId,
+      includeArchived: true,
+    });
+    if (goal.archived_at) {
+      return {
+        invalid: [422, "INVALID_VALUE", "goals", `El objetivo ${goal.name} está archivado`],
+      };
+    }
+    contributions.push(
+      await createGoalContribution(client, req, goal, {
+        amount,
+        source: "MONTH_CLOSE",
+        monthId: month.id,
+        note: "Cierre de mes",
+      })
+    );
+  }
+
+  const toConsolidate = available - closeToGoals;
+  const toGoals = alreadyToGoals + closeToGoals;
+
+  // la cuota va en su propio movimiento para que se vea en /safety/history
+  if (replenish > 0) {
+    const tx = await repo.transactions.create(client, {
+      household_id: month.household_id,
+      amount: replenish,
+      direction: "IN",
+      type: "CONSOLIDATE_TO_SAFETY",
+      month_id: month.id,
+      attribution: "HOUSE",
+      payment_method: "TRANSFER",
+      concept: "Reposición del fondo",
+      note: `Plan de reposición en ${safetyPlan.months} meses`,
+    });
+    await recordAudit(client, req, "transaction", "CREATE", tx.id);
+  }
+
+  if (toConsolidate - replenish > 0) {
+    const tx = await repo.transactions.create(client, {
+      household_id: month.household_id,
+      amount: toConsolidate - replenish,
+      direction: "IN",
+      type: "CONSOLIDATE_TO_SAFETY",
+      month_id: month.id,
+      attribution: "HOUSE",
+      payment_method: "TRANSFER",
+      concept: "Cierre de mes",
+      note: "Ahorro objetivo + sobrante",
+    });
+    await recordAudit(client, req, "transaction", "CREATE", tx.id);
+  }
+
+  const closed = await repo.months.close(client, month.id);
+  await recordAudit(client, req, "month", "UPDATE", month.id, monthBefore);
+
+  return {
+    month: closed,
+    totals: {
+      totalIncome,
+      totalExpenses,
+      remainder,
+      consolidated: toConsolidate,
+      replenished: replenish,
+      toGoals,
+      totalIncome_eur: centsToEur(totalIncome),
+      totalExpenses_eur: centsToEur(totalExpenses),
+      remainder_eur: centsToEur(remainder),
+      consolidated_eur: centsToEur(toConsolidate),
+      replenished_eur: centsToEur(replenish),
+      toGoals_eur: centsToEur(toGoals),
+    },
+    goals: contributions,
+  };
+}
+
+const MONTH_CLOSE_SCHEMA = {
+  monthId: v.uuid({ required: true, ref: "month" }),
+  goals: v.list(
+    v.object({
+      goalId: v.uuid({ required: true, ref: "savings_goal" }),
+      amount: v.money({ required: true, min: 1 }),
+    })
+  ),
+};
+
+app.post("/month/close", validate({ body: MONTH_CLOSE_SCHEMA }), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { monthId, goals } = req.body;
+
+    await client.query("BEGIN");
+
+    const month = await repo.months.getById(client, monthId, req.householdId);
+    if (!month) return res.status(404).json({ error: "Mes no encontrado" });
+
+    if (month.status !== "OPEN") return res.status(400).json({ error: "El mes no está OPEN" });
+
+    const result = await closeMonthWithConsolidation(
+      client,
+      req,
+      month,
+      (goals || []).map((g) => ({ goalId: g.goalId, amount: parseMoneyToCents(g.amount) }))
+    );
+    if (result.invalid) {
+      await client.query("ROLLBACK");
+      return sendInvalid(res, ...result.invalid);
+    }
+
+    await client.query("COMMIT");
+    res.json(result);
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Error en POST /month/close:", error);
+    res.status(500).json({ error: "Error cerrando mes" });
+  } finally {
+    client.release();
+  }
+});
+
+app.get("/months", async (req, res) => {
+  try {
+    res.json(await repo.months.list(pool, req.householdId));
+  } catch (error) {
+    console.error("❌ Error en GET /months:", error);
+    res.status(500).json({ error: "Error obteniendo meses" });
+  }
+});
+
+const MONTH_UPDATE_SCHEMA = {
+  incomeAmount: v.money({ notEmpty: true, min: 0 }),
+  savingGoalAmount: v.money({ notEmpty: true, min: 0 }),
+  weeklyBudgetAmount: v.money({ notEmpty: true, min: 0 }),
+};
+
+app.put("/month/:id", validate({ body: MONTH_UPDATE_SCHEMA }), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const { incomeAmount, savingGoalAmount, weeklyBudgetAmount } = req.body;
+
+    if (
+      incomeAmount === undefined &&
+      savingGoalAmount === undefined &&
+      weeklyBudgetAmount === undefined
+    ) {
+      return sendInvalid(
+        res,
+        400,
+        "REQUIRED",
+        null,
+        "Debes enviar incomeAmount, savingGoalAmount o weeklyBudgetAmount (al menos uno)."
+      );
+    }
+
+    await client.query("BEGIN");
+
+    const month = await repo.months.getById(client, id, req.householdId);
+    if (!month) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Mes no encontrado" });
+    }
+
+    const monthBefore = await auditSnapshot(client, "month", id);
+
+    const newIncome =
+      incomeAmount === undefined ? month.income_amount : parseMoneyToCents(incomeAmount);
+    const newSaving =
+      savingGoalAmount === undefined
+        ? month.saving_goal_amount
+        : parseMoneyToCents(savingGoalAmount);
+    const newWeekly =
+      weeklyBudgetAmount === undefined
+        ? month.weekly_budget_amount
+        : parseMoneyToCents(weeklyBudgetAmount);
+
+    const updated = await repo.months.updateAmounts(client, id, {
+      income: newIncome,
+      savingGoal: newSaving,
+      weeklyBudget: newWeekly,
+    });
+
+    await recordAudit(client, req, "month", "UPDATE", id, monthBefore);
+
+    if (weeklyBudgetAmount !== undefined && newWeekly !== month.weekly_budget_amount) {
+      const weeksBefore = await auditSnapshots(
+        client,
+        "week",
+        "x.month_id = $1 AND x.status = 'OPEN'",
+        [id]
+      );
+      await repo.weeks.setOpenCashWithdraw(client, id, newWeekly);
+      for (const w of weeksBefore) await recordAudit(client, req, "week", "UPDATE", w.id, w);
+    }
+
+    await client.query("COMMIT");
+    res.json(updated);
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Error en PUT /month/:id:", error);
+    res.status(500).json({ error: "Error actualizando el mes" });
+  } finally {
+    client.release();
+  }
+});
+
+app.delete("/month/:id", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+
+    await client.query("BEGIN");
+
+    if (!(await repo.months.getById(client, id, req.householdId))) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Mes no encontrado" });
+    }
+
+    // El mes va a la papelera junto con sus movimientos activos
+    const monthBefore = await auditSnapshot(client, "month", id);
+    const txs = await auditSnapshots(client, "transaction", "x.month_id = $1 AND x.deleted_at IS NULL", [id]);
+
+    await repo.months.softDelete(client, id);
+
+    for (const t of txs) await recordAudit(client, req, "transaction", "UPDATE", t.id, t);
+    await recordAudit(client, req, "month", "UPDATE", id, monthBefore);
+
+    await client.query("COMMIT");
+    res.json({ ok: true, deletedMonthId: id });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Error en DELETE /month/:id:", error);
+    res.status(500).json({ error: "Error borrando el mes" });
+  } finally {
+    client.release();
+  }
+});
+
+/* ===================== CATEGORY BUDGETS ===================== */
+app.get("/month/:id/budgets", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const month = await repo.months.getById(pool, id, req.householdId);
+    if (!month) return res.status(404).json({ error: "Mes no encontrado" });
+
+    res.json(await getCategoryBudgetStatus(pool, month));
+  } catch (error) {
+    console.error("❌ Error en GET /month/:id/budgets:", error);
+    res.status(500).json({ error: "Error obteniendo presupuestos" });
+  }
+});
+
+const BUDGET_SCHEMA = {
+  params: { id: v.uuid({ ref: "month" }), categoryId: v.uuid({ ref: "category" }) },
+  body: { amount: v.money({ required: true, min: 0 }) },
+};
+
+app.put("/month/:id/budgets/:categoryId", validate(BUDGET_SCHEMA), async (req, res) => {
+  try {
+    const { id, categoryId } = req.params;
+    const amountCents = parseMoneyToCents(req.body.amount);
+
+    res.json(await repo.categoryBudgets.upsert(pool, id, categoryId, amountCents));
+  } catch (error) {
+    console.error("❌ Error en PUT /month/:id/budgets/:categoryId:", error);
+    res.status(500).json({ error: "Error guardando presupuesto" });
+  }
+});
+
+app.delete("/month/:id/budgets/:categoryId", async (req, res) => {
+  try {
+    const { id, categoryId } = req.params;
+
+    const removed = await repo.categoryBudgets.remove(pool, id, categoryId, req.householdId);
+    if (!removed) {
+      return res.status(404).json({ error: "Presupuesto no encontrado" });
+    }
+    res.json({ ok: true });
+  } catch (error) {
+    console.error("❌ Error en DELETE /month/:id/budgets/:categoryId:", error);
+    res.status(500).json({ error: "Error borrando presupuesto" });
+  }
+});
+
+// ✅ Copiar presupuestos del mes anterior (no pisa los ya definidos salvo overwrite=true)
+const COPY_BUDGETS_SCHEMA = { body: { overwrite: v.boolean() } };
+
+app.post("/month/:id/budgets/copy-previous", validate(COPY_BUDGETS_SCHEMA), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const overwrite = req.body.overwrite === true;
+
+    await client.query("BEGIN");
+
+    const month = await repo.months.getById(client, id, req.householdId);
+    if (!month) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Mes no encontrado" });
+    }
+
+    const prev = await repo.months.getPrevious(client, req.householdId, month.start_date);
+    if (!prev) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "No hay mes anterior" });
+    }
+
+    const copied = await repo.categoryBudgets.copy(client, prev.id, id, { overwrite });
+
+    await client.query("COMMIT");
+    res.json({
+      copied,
+      from_month_id: prev.id,
+      budgets: await getCategoryBudgetStatus(pool, month),
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Error en POST /month/:id/budgets/copy-previous:", error);
+    res.status(500).json({ error: "Error copiando presupuestos" });
+  } finally {
+    client.release();
+  }
+});
+
+/* ===================== MONTH TEMPLATES ===================== */
+/*
+  Plantilla = importes del mes + presupuestos por categoría + qué gastos previstos aplican.
+  POST /month/start-next arranca el mes siguiente a partir de una plantilla o, sin ella, del
+  último mes (mismos importes y presupuestos, todos los gastos previstos), con cualquier campo
+  sobrescrito en el body.
+*/
+const TEMPLATE_BUDGETS_RULE = v.list(
+  v.object({
+    categoryId: v.uuid({ required: true, ref: "category" }),
+    amount: v.money({ required: true, min: 0 }),
+  })
+);
+// sin plannedExpenseIds = todos los activos; [] = ninguno
+const TEMPLATE_PLANNED_RULE = v.list(v.uuid({ ref: "planned_expense" }));
+
+const MONTH_TEMPLATE_SCHEMA = {
+  name: v.string({ required: true, max: NAME_MAX }),
+  incomeAmount: MONTH_START_SCHEMA.incomeAmount,
+  savingGoalAmount: MONTH_START_SCHEMA.savingGoalAmount,
+  weeklyBudgetAmount: MONTH_START_SCHEMA.weeklyBudgetAmount,
+  budgets: TEMPLATE_BUDGETS_RULE,
+  plannedExpenseIds: TEMPLATE_PLANNED_RULE,
+};
+
+// Una plantilla (templateId) o todas las del hogar, con presupuestos y gastos previstos
+function getMonthTemplates(db, householdId, templateId = null) {
+  return repo.monthTemplates.list(db, householdId, templateId);
+}
+
+// Importes y líneas de la plantilla a partir del body (euros -> céntimos)
+function monthTemplateFields(body) {
+  return {
+    name: String(body.name).trim(),
+    income: parseMoneyToCents(body.incomeAmount),
+    weeklyBudget: parseMoneyToCents(body.weeklyBudgetAmount),
+    savingGoal: parseMoneyToCents(body.savingGoalAmount),
+    allPlannedExpenses: !Array.isArray(body.plannedExpenseIds),
+  };
+}
+
+// Reemplaza presupuestos y gastos previstos de la plantilla por los del body
+function saveMonthTemplateLines(client, templateId, { budgets, plannedExpenseIds }) {
+  return repo.monthTemplates.replaceLines(client, templateId, {
+    budgets: (budgets || []).map((b) => [b.categoryId, parseMoneyToCents(b.amount)]),
+    plannedIds: [...new Set(plannedExpenseIds || [])],
+  });
+}
+
+app.get("/month-templates", async (req, res) => {
+  try {
+    res.json(await getMonthTemplates(pool, req.householdId));
+  } catch (error) {
+    console.error("❌ Error en GET /month-templates:", error);
+    res.status(500).json({ error: "Error obteniendo plantillas" });
+  }
+});
+
+app.get("/month-templates/:id", async (req, res) => {
+  try {
+    const [template] = await getMonthTemplates(pool, req.householdId, req.params.id);
+    if (!template) return res.status(404).json({ error: "Plantilla no encontrada" });
+    res.json(template);
+  } catch (error) {
+    console.error("❌ Error en GET /month-templates/:id:", error);
+    res.status(500).json({ error: "Error obteniendo plantilla" });
+  }
+});
+
+app.post("/month-templates", validate({ body: MONTH_TEMPLATE_SCHEMA }), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const id = await repo.monthTemplates.create(
+      client,
+      req.householdId,
+      monthTemplateFields(req.body)
+    );
+    await saveMonthTemplateLines(client, id, req.body);
+
+    await client.query("COMMIT");
+    const [template] = await getMonthTemplates(pool, req.householdId, id);
+    res.json(template);
+  } catch (error) {
+    await client.query("ROLLBACK");
+    if (error.code === "23505") {
+      return res.status(409).json({ error: "Ya existe una plantilla con ese nombre" });
+    }
+    console.error("❌ Error en POST /month-templates:", error);
+    res.status(500).json({ error: "Error creando plantilla" });
+  } finally {
+    client.release();
+  }
+});
+
+// Reemplaza la plantilla entera (mismo body que al crearla)
+app.put(
+  "/month-templates/:id",
+  validate({ params: { id: v.uuid({ ref: "month_template" }) }, body: MONTH_TEMPLATE_SCHEMA }),
+  async (req, res) => {
+    const client = await pool.connect();
+    try {
+      const { id } = req.params;
+
+      await client.query("BEGIN");
+
+      await repo.monthTemplates.update(client, id, req.householdId, monthTemplateFields(req.body));
+      await saveMonthTemplateLines(client, id, req.body);
+
+      await client.query("COMMIT");
+      const [template] = await getMonthTemplates(pool, req.householdId, id);
+      res.json(template);
+    } catch (error) {
+      await client.query("ROLLBACK");
+      if (error.code === "23505") {
+        return res.status(409).json({ error: "Ya existe una plantilla con ese nombre" });
+      }
+      console.error("❌ Error en PUT /month-templates/:id:", error);
+      res.status(500).json({ error: "Error editando plantilla" });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+app.delete("/month-templates/:id", async (req, res) => {
+  try {
+    if (!(await repo.monthTemplates.remove(pool, req.params.id, req.householdId))) {
+      return res.status(404).json({ error: "Plantilla no encontrada" });
+    }
+    res.json({ ok: true });
+  } catch (error) {
+    console.error("❌ Error en DELETE /month-templates/:id:", error);
+    res.status(500).json({ error: "Error borrando plantilla" });
+  }
+});
+
+// ✅ Arrancar el mes siguiente desde una plantilla o desde el último mes.
+// Lo que venga en el body sobrescribe: importes, startDate, presupuestos (por categoría) y
+// plannedExpenseIds (sustituye la selección)
+const START_NEXT_SCHEMA = {
+  templateId: v.uuid({ ref: "month_template" }),
+  incomeAmount: v.money({ min: 1 }),
+  savingGoalAmount: v.money({ min: 0 }),
+  weeklyBudgetAmount: v.money({ min: 0 }),
+  startDate: v.date(),
+  endDate: v.date(),
+  budgets: TEMPLATE_BUDGETS_RULE,
+  plannedExpenseIds: TEMPLATE_PLANNED_RULE,
+};
+
+app.post("/month/start-next", validate({ body: START_NEXT_SCHEMA }), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { templateId, startDate, endDate, budgets, plannedExpenseIds } = req.body;
+
+    if (await repo.months.getOpen(client, req.householdId)) {
+      return res.status(400).json({ error: "Ya existe un mes OPEN" });
+    }
+
+    const previous = (await repo.months.list(client, req.householdId))[0] || null;
+
+    // base: plantilla o último mes -> importes en céntimos, presupuestos y gastos previstos
+    let source;
+    let base;
+    if (templateId) {
+      const [template] = await getMonthTemplates(client, req.householdId, templateId);
+      source = { type: "TEMPLATE", id: template.id, name: template.name };
+      base = {
+        income: template.income_amount,
+        weeklyBudget: template.weekly_budget_amount,
+        savingGoal: template.saving_goal_amount,
+        budgets: template.budgets.map((b) => [b.category_id, b.amount]),
+        plannedIds: template.planned_expense_ids,
+      };
+    } else if (previous) {
+      const prevBudgets = await repo.categoryBudgets.listActive(client, previous.id);
+      source = { type: "PREVIOUS", id: previous.id, period_key: previous.period_key };
+      base = {
+        income: previous.income_amount,
+        weeklyBudget: previous.weekly_budget_amount,
+        savingGoal: previous.saving_goal_amount,
+        budgets: prevBudgets.map((b) => [b.category_id, b.amount]),
+        plannedIds: null,
+      };
+    } else {
+      return res
+        .status(404)
+        .json({ error: "No hay mes anterior: indica templateId o usa /month/start" });
+    }
+
+    const pick = (field, fallback) =>
+      isEmptyValue(req.body[field]) ? fallback : parseMoneyToCents(req.body[field]);
+
+    // por defecto, el día siguiente al último mes
+    const period = await resolveMonthPeriod(client, req.householdId, {
+      startDate: startDate || (previous ? toDateOnly(addDays(new Date(previous.end_date), 1)) : null),
+      endDate,
+    });
+    if (period.invalid) return sendInvalid(res, ...period.invalid);
+    if (period.conflict) return res.status(409).json({ error: period.conflict });
+
+    const categoryBudgets = new Map(base.budgets);
+    for (const b of budgets || []) categoryBudgets.set(b.categoryId, parseMoneyToCents(b.amount));
+
+    await client.query("BEGIN");
+
+    const month = await createMonthWithWeeks(client, req, {
+      ...period,
+      income: pick("incomeAmount", base.income),
+      weeklyBudget: pick("weeklyBudgetAmount", base.weeklyBudget),
+      savingGoal: pick("savingGoalAmount", base.savingGoal),
+      plannedIds: Array.isArray(plannedExpenseIds) ? plannedExpenseIds : base.plannedIds,
+    });
+
+    for (const [categoryId, amount] of categoryBudgets) {
+      await repo.categoryBudgets.upsert(client, month.id, categoryId, amount);
+    }
+
+    await client.query("COMMIT");
+    res.json({ month, source, budgets: await getCategoryBudgetStatus(pool, month) });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    if (error.code === "23505") {
+      return res.status(409).json({ error: "Ya existe ese mes" });
+    }
+    console.error("❌ Error en POST /month/start-next:", error);
+    res.status(500).json({ error: "Error creando mes" });
+  } finally {
+    client.release();
+  }
+});
+
+/* ===================== WEEKS ===================== */
+app.get("/weeks", async (req, res) => {
+  try {
+    const month = await repo.months.getOpen(pool, req.householdId);
+    if (!month) return res.json([]);
+
+    res.json(await repo.weeks.listByMonth(pool, month.id));
+  } catch (error) {
+    console.error("❌ Error en GET /weeks:", error);
+    res.status(500).json({ error: "Error obteniendo semanas" });
+  }
+});
+
+const CASH_RETURN_SCHEMA = { amount: v.money({ required: true, min: 1 }) };
+
+app.post("/weeks/:id/cash-return", validate({ body: CASH_RETURN_SCHEMA }), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const amountCents = parseMoneyToCents(req.body.amount);
+
+    await client.query("BEGIN");
+
+    const week = await repo.weeks.getById(client, id, req.householdId);
+    if (!week) return res.status(404).json({ error: "Semana no encontrada" });
+
+    const weekBefore = await auditSnapshot(client, "week", id);
+
+    const updated = await repo.weeks.addCashReturn(client, id, amountCents);
+
+    const tx = await repo.transactions.create(client, {
+      household_id: req.householdId,
+      amount: amountCents,
+      direction: "IN",
+      type: "CASH_RETURN",
+      month_id: week.month_id,
+      week_id: id,
+      attribution: "HOUSE",
+      payment_method: "CASH",
+      concept: "Devolver billetes",
+    });
+
+    await recordAudit(client, req, "week", "UPDATE", id, weekBefore);
+    await recordAudit(client, req, "transaction", "CREATE", tx.id);
+
+    await client.query("COMMIT");
+    res.json(updated);
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Error en POST /weeks/:id/cash-return:", error);
+    res.status(500).json({ error: "Error devolviendo efectivo al banco" });
+  } finally {
+    client.release();
+  }
+});
+
+// ✅ Cerrar semana (reparte sobrante)
+// piggyTwoAmount / piggyNormalAmount van a las huchas del seed; piggies, a cualquier hucha.
+// Cada aportación pasa por la regla de su hucha (checkPiggyDeposit)
+const WEEK_CLOSE_SCHEMA = {
+  piggyTwoAmount: v.money({ min: 0 }),
+  piggyNormalAmount: v.money({ min: 0 }),
+  piggies: v.list(
+    v.object({
+      piggyBankId: v.uuid({ required: true, ref: "piggy_bank" }),
+      amount: v.money({ required: true, min: 1 }),
+    })
+  ),
+  returnToBankAmount: v.money({ min: 0 }),
+  note: v.string({ max: NOTE_MAX }),
+};
+
+app.post("/weeks/:id/close", validate({ body: WEEK_CLOSE_SCHEMA }), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const { piggyTwoAmount, piggyNormalAmount, returnToBankAmount, note } = req.body;
+
+    const twoCents = parseMoneyToCents(piggyTwoAmount || "0") || 0;
+    const normalCents = parseMoneyToCents(piggyNormalAmount || "0") || 0;
+    const returnCents = parseMoneyToCents(returnToBankAmount || "0") || 0;
+
+    // ids de huchas
+    const piggies = await repo.piggyBanks.list(client, req.householdId);
+    const twoPiggy = piggies.find((p) => p.type === "TWO_EURO");
+    const normalPiggy = piggies.find((p) => p.type === "NORMAL");
+
+    if (!twoPiggy || !normalPiggy) {
+      return res.status(500).json({ error: "No existen huchas seed en DB" });
+    }
+
+    // [{ piggy, amount, field }] en el orden en que se aportan
+    const deposits = [];
+    if (twoCents > 0) deposits.push({ piggy: twoPiggy, amount: twoCents, field: "piggyTwoAmount" });
+    if (normalCents > 0) {
+      deposits.push({ piggy: normalPiggy, amount: normalCents, field: "piggyNormalAmount" });
+    }
+    (req.body.piggies || []).forEach((x, i) => {
+      deposits.push({
+        piggy: piggies.find((p) => p.id === x.piggyBankId),
+        amount: parseMoneyToCents(x.amount),
+        field: `piggies[${i}].amount`,
+      });
+    });
+
+    for (const deposit of deposits) {
+      const ruleError = checkPiggyDeposit(deposit.piggy, deposit.amount);
+      if (ruleError) return sendInvalid(res, 422, "INVALID_VALUE", deposit.field, ruleError);
+    }
+
+    const piggyCents = deposits.reduce((acc, x) => acc + x.amount, 0);
+    const totalMove = piggyCents + returnCents;
+    if (totalMove <= 0) {
+      return sendInvalid(res, 422, "OUT_OF_RANGE", null, "Debes mover algún importe");
+    }
+
+    await client.query("BEGIN");
+
+    const week = await repo.weeks.getById(client, id, req.householdId);
+    if (!week) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Semana no encontrada" });
+    }
+
+    if (week.status !== "OPEN") {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "La semana ya está cerrada" });
+    }
+    const weekBefore = await auditSnapshot(client, "week", week.id);
+
+    const { balance: cashBalance } = await repo.weeks.cashPocket(client, week);
+
+    if (totalMove > cashBalance) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({
+        error: `No puedes mover más de lo que queda en el bolsillo de esa semana (${centsToEur(
+          cashBalance
+        )}€)`,
+      });
+    }
+
+    // Aportes a huchas
+    for (const deposit of deposits) {
+      await createPiggyDeposit(client, req, deposit.piggy, {
+        amount: deposit.amount,
+        note: note || null,
+        monthId: week.month_id,
+        weekId: week.id,
+      });
+    }
+
+    // Devolver al banco
+    if (returnCents > 0) {
+      await repo.weeks.addCashReturn(client, week.id, returnCents);
+
+      const tx = await repo.transactions.create(client, {
+        household_id: req.householdId,
+        amount: returnCents,
+        direction: "IN",
+        type: "CASH_RETURN",
+        month_id: week.month_id,
+        week_id: week.id,
+        attribution: "HOUSE",
+        payment_method: "CASH",
+        concept: "Cierre semana: vuelve al banco",
+        note: note || null,
+      });
+
+      await recordAudit(client, req, "transaction", "CREATE", tx.id);
+    }
+
+    // cerrar semana
+    await repo.weeks.close(client, week.id);
+    await recordAudit(client, req, "week", "UPDATE", week.id, weekBefore);
+
+    await client.query("COMMIT");
+
+    res.json({
+      ok: true,
+      week_id: week.id,
+      moved: {
+        piggy_two: twoCents,
+        piggy_two_eur: centsToEur(twoCents),
+        piggy_normal: normalCents,
+        piggy_normal_eur: centsToEur(normalCents),
+        piggies: deposits.map((x) => ({
+          piggy_bank_id: x.piggy.id,
+          name: x.piggy.name,
+          amount: x.amount,
+          amount_eur: centsToEur(x.amount),
+        })),
+        return_to_bank: returnCents,
+        return_to_bank_eur: centsToEur(returnCents),
+        total: totalMove,
+        total_eur: centsToEur(totalMove),
+      },
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Error en POST /weeks/:id/close:", error);
+    res.status(500).json({ error: "Error cerrando semana" });
+  } finally {
+    client.release();
+  }
+});
+
+/* ===================== INCOME EXTRA ===================== */
+const EXTRA_INCOME_SCHEMA = {
+  month_id: v.uuid({ required: true, ref: "month" }),
+  amount: v.money({ required: true, min: 1 }),
+  attribution: v.oneOf(PAYERS),
+  concept: v.string({ max: CONCEPT_MAX }),
+  note: v.string({ max: NOTE_MAX }),
+};
+
+app.post("/income/extra", validate({ body: EXTRA_INCOME_SCHEMA }), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { month_id, amount, attribution, concept, note } = req.body;
+
+    const amountCents = parseMoneyToCents(amount);
+    const finalAttr = attribution || "HOUSE";
+
+    await client.query("BEGIN");
+
+    const tx = await repo.transactions.create(client, {
+      household_id: req.householdId,
+      amount: amountCents,
+      direction: "IN",
+      type: "EXTRA_INCOME",
+      month_id,
+      attribution: finalAttr,
+      attributed_user_id: resolveAttribution(finalAttr, req.user),
+      payment_method: "TRANSFER",
+      concept: concept && String(concept).trim() ? String(concept).trim() : "Ingreso extra",
+      note: note || null,
+    });
+    await recordAudit(client, req, "transaction", "CREATE", tx.id);
+
+    await client.query("COMMIT");
+    res.json(toViewerAttribution(tx, req.user));
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Error en POST /income/extra:", error);
+    res.status(500).json({ error: "Error creando ingreso extra" });
+  } finally {
+    client.release();
+  }
+});
+
+/* ===================== TRANSACTIONS ===================== */
+const TX_TYPES = [
+  "EXPENSE",
+  "EXTRA_INCOME",
+  "CASH_WITHDRAWAL",
+  "CASH_RETURN",
+  "CONSOLIDATE_TO_SAFETY",
+  "EMERGENCY_FROM_SAFETY",
+  "PIGGYBANK_DEPOSIT",
+  "SETTLEMENT",
+  "GOAL_CONTRIBUTION",
+  "PIGGYBANK_WITHDRAWAL",
+];
+// GOAL_CONTRIBUTION solo lo crean las aportaciones a objetivos (ver SAVINGS GOALS) y
+// PIGGYBANK_WITHDRAWAL las retiradas de hucha (ver PIGGYBANKS)
+const TX_MANUAL_TYPES = TX_TYPES.filter(
+  (t) => t !== "GOAL_CONTRIBUTION" && t !== "PIGGYBANK_WITHDRAWAL"
+);
+const TX_DIRECTIONS = ["OUT", "IN"];
+const TX_PAYMENT_METHODS = ["CARD", "CASH", "TRANSFER"];
+
+/* ---- moneda original ---- */
+/*
+  Un movimiento en otra moneda guarda amount en céntimos de euro como cualquier otro (todos los
+  totales, informes y balances siguen igual) y además original_currency, original_amount
+  (centésimas de esa moneda) y el exchange_rate usado (euros por 1 unidad). El tipo sale de:
+    1. exchange_rate del body
+    2. amount del body (lo que cargó el banco en euros) / original_amount
+    3. la tabla del hogar (ver EXCHANGE RATES): el último tipo en o antes de la fecha
+*/
+const BASE_CURRENCY = "EUR";
+const CURRENCY_RE = /^[A-Za-z]{3}$/;
+const CURRENCY_MESSAGE = "La moneda debe ser un código ISO de 3 letras (USD, GBP...)";
+const RATE_DECIMALS = 6;
+
+const roundRate = (rate) => Number(rate.toFixed(RATE_DECIMALS));
+
+// -> { amount, original_currency, original_amount, exchange_rate } o { invalid: [status, code, field, error] }
+async function resolveTransactionAmount(db, householdId, body) {
+  const currency = isEmptyValue(body.currency)
+    ? BASE_CURRENCY
+    : body.currency.trim().toUpperCase();
+  const amountCents = parseMoneyToCents(body.amount);
+
+  if (currency === BASE_CURRENCY) {
+    if (amountCents === null) return { invalid: [400, "REQUIRED", "amount", "amount es obligatorio"] };
+    return { amount: amountCents, original_currency: null, original_amount: null, exchange_rate: null };
+  }
+
+  const originalCents = parseMoneyToCents(body.original_amount);
+  if (originalCents === null) {
+    return {
+      invalid: [400, "REQUIRED", "original_amount", `original_amount es obligatorio con ${currency}`],
+    };
+  }
+
+  let rate = isEmptyValue(body.exchange_rate) ? null : parseDecimal(body.exchange_rate);
+  if (rate !== null && amountCents !== null) {
+    return {
+      invalid: [422, "INVALID_VALUE", "exchange_rate", "Envía amount o exchange_rate, no los dos"],
+    };
+  }
+
+  if (rate === null && amountCents !== null) rate = amountCents / originalCents;
+
+  if (rate === null) {
+    const day = toDateOnly(body.date_time ? new Date(body.date_time) : new Date());
+    const found = await repo.exchangeRates.findOn(db, householdId, currency, day);
+    if (!found) {
+      return {
+        invalid: [
+          422,
+          "INVALID_VALUE",
+          "currency",
+          `No hay tipo de cambio de ${currency} para el ${day}: envía amount o exchange_rate`,
+        ],
+      };
+    }
+    rate = found.rate;
+  }
+
+  const amount = amountCents ?? Math.round(originalCents * rate);
+  if (amount < 1) {
+    return { invalid: [422, "OUT_OF_RANGE", "amount", "El importe en euros debe ser mayor que 0"] };
+  }
+
+  return {
+    amount,
+    original_currency: currency,
+    original_amount: originalCents,
+    exchange_rate: roundRate(rate),
+  };
+}
+
+// amount solo es obligatorio en euros (ver resolveTransactionAmount)
+const TX_CREATE_SCHEMA = {
+  date_time: v.date(),
+  amount: v.money({ min: 1 }),
+  currency: v.string({ pattern: CURRENCY_RE, message: CURRENCY_MESSAGE }),
+  original_amount: v.money({ min: 1 }),
+  exchange_rate: v.number({ positive: true }),
+  type: v.oneOf(TX_MANUAL_TYPES),
+  direction: v.oneOf(TX_DIRECTIONS),
+  month_id: v.uuid({ required: true, ref: "month" }),
+  week_id: v.uuid({ ref: "week" }),
+  category_id: v.uuid({ ref: "category" }),
+  attribution: v.oneOf(PAYERS, { required: true }),
+  payment_method: v.oneOf(TX_PAYMENT_METHODS, { required: true }),
+  concept: v.string({ max: CONCEPT_MAX }),
+  note: v.string({ max: NOTE_MAX }),
+  payer: v.oneOf(PAYERS),
+};
+
+// Al editar no se cambian el mes, la semana ni el tipo
+const TX_UPDATE_SCHEMA = {
+  date_time: TX_CREATE_SCHEMA.date_time,
+  amount: TX_CREATE_SCHEMA.amount,
+  currency: TX_CREATE_SCHEMA.currency,
+  original_amount: TX_CREATE_SCHEMA.original_amount,
+  exchange_rate: TX_CREATE_SCHEMA.exchange_rate,
+  category_id: TX_CREATE_SCHEMA.category_id,
+  attribution: TX_CREATE_SCHEMA.attribution,
+  payment_method: TX_CREATE_SCHEMA.payment_method,
+  concept: TX_CREATE_SCHEMA.concept,
+  note: TX_CREATE_SCHEMA.note,
+  payer: TX_CREATE_SCHEMA.payer,
+};
+
+app.post("/transactions", validate({ body: TX_CREATE_SCHEMA }), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const {
+      date_time,
+      type,
+      direction,
+      month_id,
+      week_id,
+      category_id,
+      attribution,
+      payment_method,
+      concept,
+      note,
+      payer = "HOUSE",
+    } = req.body;
+
+    const payerError = validatePayer(payer, req.user);
+    if (payerError) return sendInvalid(res, 422, "INVALID_VALUE", "payer", payerError);
+
+    const finalType = type || "EXPENSE";
+    const finalDirection = direction || (finalType === "EXTRA_INCOME" ? "IN" : "OUT");
+
+    if (finalType === "EXPENSE" && !category_id) {
+      return sendInvalid(
+        res,
+        400,
+        "REQUIRED",
+        "category_id",
+        "category_id es obligatorio cuando type=EXPENSE"
+      );
+    }
+
+    const money = await resolveTransactionAmount(client, req.householdId, req.body);
+    if (money.invalid) return sendInvalid(res, ...money.invalid);
+
+    await client.query("BEGIN");
+
+    const tx = await repo.transactions.create(client, {
+      household_id: req.householdId,
+      date_time: date_time || null,
+      ...money,
+      direction: finalDirection,
+      type: finalType,
+      month_id,
+      week_id: week_id || null,
+      category_id: category_id || null,
+      attribution,
+      attributed_user_id: resolveAttribution(attribution, req.user),
+      payment_method,
+      concept: concept && String(concept).trim() ? String(concept).trim() : null,
+      note: note || null,
+      paid_by_user_id: resolveAttribution(payer, req.user),
+    });
+    await recordAudit(client, req, "transaction", "CREATE", tx.id);
+
+    await client.query("COMMIT");
+    res.json(toViewerAttribution(tx, req.user));
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Error en POST /transactions:", error);
+    res.status(500).json({ error: "Error creando transacción" });
+  } finally {
+    client.release();
+  }
+});
+
+/* ---- filtros / búsqueda / paginación ---- */
+const TX_PAGE_DEFAULT = 50;
+const TX_PAGE_MAX = 200;
+
+// "a,b" o ?x=a&x=b -> ["a","b"]
+function queryList(value) {
+  return []
+    .concat(value ?? [])
+    .flatMap((v) => String(v).split(","))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+// Cursor opaco: base64url({ d, id }) del último elemento de la página.
+// d es el timestamptz como texto de Postgres (microsegundos; un Date de JS los perdería)
+const CURSOR_TS_RE = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d{1,6})?([+-]\d{2}(:\d{2})?|Z)?$/;
+
+function encodeTxCursor(row) {
+  return Buffer.from(JSON.stringify({ d: row.cursor_ts, id: row.id })).toString("base64url");
+}
+
+function decodeTxCursor(cursor) {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!data || !CURSOR_TS_RE.test(data.d) || !UUID_RE.test(data.id)) return null;
+    return data;
+  } catch {
+    return null;
+  }
+}
+
+const TX_FILTER_SCHEMA = {
+  monthId: v.list(v.uuid()),
+  from: v.date(),
+  to: v.date(),
+  categoryId: v.list(v.uuid()),
+  type: v.list(v.oneOf(TX_TYPES, { ignoreCase: true })),
+  direction: v.list(v.oneOf(TX_DIRECTIONS, { ignoreCase: true })),
+  payment_method: v.list(v.oneOf(TX_PAYMENT_METHODS, { ignoreCase: true })),
+  attribution: v.list(v.oneOf(PAYERS, { ignoreCase: true })),
+  payer: v.list(v.oneOf(PAYERS, { ignoreCase: true })),
+  currency: v.list(v.string({ pattern: CURRENCY_RE, message: CURRENCY_MESSAGE })),
+  minAmount: v.money({ min: 0 }),
+  maxAmount: v.money({ min: 0 }),
+  q: v.string(),
+  limit: v.int({ min: 1 }),
+  cursor: v.string({ check: (x) => (decodeTxCursor(x) ? null : "cursor inválido") }),
+};
+
+// Devuelve { where, params } a partir de una query ya validada (TX_FILTER_SCHEMA).
+// El SQL sale del dialect del backend (ver storage/): lo consumen los repositorios
+function buildTransactionFilter(query, householdId, userId) {
+  const d = storage.dialect;
+  const where = ["t.household_id = $1"];
+  const params = [householdId];
+  const add = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  // attribution/payer son relativos a quien consulta (parámetro solo si se usa)
+  let viewer = null;
+  const viewerParam = () => viewer || (viewer = add(userId));
+
+  const monthIds = queryList(query.monthId);
+  if (monthIds.length) {
+    where.push(d.anyOf("t.month_id", add(monthIds), "uuid"));
+  }
+
+  for (const key of ["from", "to"]) {
+    if (!query[key]) continue;
+    where.push(
+      `${d.date("t.date_time")} ${key === "from" ? ">=" : "<="} ${d.cast(add(query[key]), "date")}`
+    );
+  }
+
+  const categoryIds = queryList(query.categoryId);
+  if (categoryIds.length) {
+    where.push(d.anyOf("t.category_id", add(categoryIds), "uuid"));
+  }
+
+  const enumFilters = [
+    ["type", () => "CAST(t.type AS TEXT)"],
+    ["direction", () => "t.direction"],
+    ["payment_method", () => "CAST(t.payment_method AS TEXT)"],
+    ["attribution", () => `CAST(${viewerAttributionSql("t", viewerParam())} AS TEXT)`],
+    [
+      "payer",
+      () => `(CASE WHEN t.paid_by_user_id IS NULL THEN 'HOUSE'
+             WHEN t.paid_by_user_id = ${viewerParam()} THEN 'MINE' ELSE 'PARTNER' END)`,
+    ],
+    ["currency", () => `COALESCE(t.original_currency, '${BASE_CURRENCY}')`],
+  ];
+
+  for (const [key, column] of enumFilters) {
+    const values = queryList(query[key]).map((x) => x.toUpperCase());
+    if (!values.length) continue;
+    where.push(d.anyOf(column(), add(values), "text"));
+  }
+
+  for (const [key, op] of [
+    ["minAmount", ">="],
+    ["maxAmount", "<="],
+  ]) {
+    const cents = parseMoneyToCents(query[key]);
+    if (cents === null) continue;
+    where.push(`t.amount ${op} ${add(cents)}`);
+  }
+
+  const q = String(query.q || "").trim();
+  if (q) {
+    const tsParam = add(q);
+    const likeParam = add(`%${q.replace(/[\\%_]/g, "\\$&")}%`);
+    where.push(d.textSearch("t", tsParam, likeParam));
+  }
+
+  return { where, params };
+}
+
+/*
+  GET /transactions
+  - Solo ?monthId=... -> array del mes (compatibilidad con la app actual)
+  - Con cualquier otro filtro / limit / cursor -> { items, next_cursor, totals }
+    totals resume el conjunto filtrado completo, no solo la página.
+*/
+app.get("/transactions", validate({ query: TX_FILTER_SCHEMA }), async (req, res) => {
+  try {
+    const keys = Object.keys(req.query);
+    const legacy = keys.length === 1 && keys[0] === "monthId";
+    if (!keys.length) {
+      return sendInvalid(res, 400, "REQUIRED", "monthId", "monthId o algún filtro es obligatorio");
+    }
+
+    const filter = buildTransactionFilter(req.query, req.householdId, req.user.id);
+
+    if (legacy) {
+      const rows = await repo.transactions.list(pool, filter);
+      return res.json(rows.map((r) => toViewerAttribution(r, req.user)));
+    }
+
+    const limit = Math.min(parseInt(req.query.limit || TX_PAGE_DEFAULT, 10), TX_PAGE_MAX);
+    const cursor = req.query.cursor ? decodeTxCursor(req.query.cursor) : null;
+
+    const totals = await repo.transactions.totals(pool, filter);
+    const rows = await repo.transactions.page(pool, filter, { cursor, limit: limit + 1 });
+
+    const hasMore = rows.length > limit;
+    const items = hasMore ? rows.slice(0, limit) : rows;
+    const { count, total_out, total_in } = totals;
+    const net = total_in - total_out;
+
+    res.json({
+      items: items.map(({ cursor_ts, ...r }) => toViewerAttribution(r, req.user)),
+      next_cursor: hasMore ? encodeTxCursor(items[items.length - 1]) : null,
       totals: {
-        totalIncome,
-        totalExpenses: out.rows[0].total,
-        remainder,
-        consolidated: toConsolidate,
-        totalIncome_eur: centsToEur(totalIncome),
-        totalExpenses_eur: centsToEur(out.rows[0].total),
-        remainder_eur: centsToEur(remainder),
-        consolidated_eur: centsToEur(toConsolidate),
+        count,
+        total_out,
+        total_in,
+        net,
+        total_out_eur: centsToEur(total_out),
+        total_in_eur: centsToEur(total_in),
+        net_eur: centsToEur(net),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error en GET /transactions:", error);
+    res.status(500).json({ error: "Error obteniendo transacciones" });
+  }
+});
+
+app.get("/transactions/:id", async (req, res) => {
+  try {
+    const tx = await repo.transactions.getById(pool, req.params.id, req.householdId);
+
+    if (!tx) return res.status(404).json({ error: "Movimiento no encontrado" });
+    res.json(toViewerAttribution(tx, req.user));
+  } catch (error) {
+    console.error("❌ Error en GET /transactions/:id:", error);
+    res.status(500).json({ error: "Error obteniendo movimiento" });
+  }
+});
+
+app.put("/transactions/:id", validate({ body: TX_UPDATE_SCHEMA }), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+
+    const { date_time, category_id, attribution, payment_method, concept, note, payer } = req.body;
+
+    // payer es opcional al editar: si no viene se mantiene
+    if (payer !== undefined) {
+      const payerError = validatePayer(payer, req.user);
+      if (payerError) return sendInvalid(res, 422, "INVALID_VALUE", "payer", payerError);
+    }
+
+    await client.query("BEGIN");
+
+    const current = await repo.transactions.getById(client, id, req.householdId);
+    if (!current) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Movimiento no encontrado" });
+    }
+
+    // sin currency el movimiento pasa a ser en euros (se borra la moneda original)
+    const money = await resolveTransactionAmount(client, req.householdId, {
+      ...req.body,
+      date_time: date_time || current.date_time,
+    });
+    if (money.invalid) {
+      await client.query("ROLLBACK");
+      return sendInvalid(res, ...money.invalid);
+    }
+
+    const before = await auditSnapshot(client, "transaction", id);
+
+    const tx = await repo.transactions.update(client, id, req.householdId, {
+      date_time: date_time || null,
+      ...money,
+      category_id: category_id || null,
+      attribution,
+      attributed_user_id: resolveAttribution(attribution, req.user),
+      payment_method,
+      concept: concept && String(concept).trim() ? String(concept).trim() : null,
+      note: note || null,
+      paid_by_user_id: payer !== undefined ? resolveAttribution(payer, req.user) : undefined,
+    });
+    await recordAudit(client, req, "transaction", "UPDATE", id, before);
+
+    await client.query("COMMIT");
+    res.json(toViewerAttribution(tx, req.user));
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Error en PUT /transactions/:id:", error);
+    res.status(500).json({ error: "Error editando movimiento" });
+  } finally {
+    client.release();
+  }
+});
+
+app.delete("/transactions/:id", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+
+    await client.query("BEGIN");
+
+    const before = await auditSnapshot(client, "transaction", id);
+
+    if (!(await repo.transactions.softDelete(client, id, req.householdId))) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Movimiento no encontrado" });
+    }
+    await recordAudit(client, req, "transaction", "UPDATE", id, before);
+
+    await client.query("COMMIT");
+    res.json({ ok: true });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Error en DELETE /transactions/:id:", error);
+    res.status(500).json({ error: "Error borrando movimiento" });
+  } finally {
+    client.release();
+  }
+});
+
+/* ===================== EXCHANGE RATES ===================== */
+// Tipos de cambio del hogar (euros por 1 unidad de la moneda), a mano o desde un CSV.
+// Los usa POST/PUT /transactions cuando el movimiento no trae ni amount ni exchange_rate
+
+const RATE_SCHEMA = {
+  currency: v.string({
+    required: true,
+    pattern: CURRENCY_RE,
+    message: CURRENCY_MESSAGE,
+    check: (x) => (x.trim().toUpperCase() === BASE_CURRENCY ? "El euro no necesita tipo" : null),
+  }),
+  date: v.string({
+    required: true,
+    check: (x) => (parseDateWithFormat(x, "YYYY-MM-DD") ? null : "date debe ser YYYY-MM-DD"),
+  }),
+  rate: v.number({ required: true, positive: true }),
+};
+
+const RATE_LIST_SCHEMA = {
+  currency: v.string({ pattern: CURRENCY_RE, message: CURRENCY_MESSAGE }),
+};
+
+app.get("/exchange-rates", validate({ query: RATE_LIST_SCHEMA }), async (req, res) => {
+  try {
+    const currency = req.query.currency ? req.query.currency.trim().toUpperCase() : null;
+    res.json(await repo.exchangeRates.list(pool, req.householdId, { currency }));
+  } catch (error) {
+    console.error("❌ Error en GET /exchange-rates:", error);
+    res.status(500).json({ error: "Error obteniendo tipos de cambio" });
+  }
+});
+
+// ✅ alta manual (mismo día y moneda = se sobrescribe)
+app.post("/exchange-rates", validate({ body: RATE_SCHEMA }), async (req, res) => {
+  try {
+    const { currency, date, rate } = req.body;
+
+    const saved = await repo.exchangeRates.upsert(pool, req.householdId, {
+      currency: currency.trim().toUpperCase(),
+      rateDate: parseDateWithFormat(date, "YYYY-MM-DD"),
+      rate: roundRate(parseDecimal(rate)),
+    });
+    res.json(saved);
+  } catch (error) {
+    console.error("❌ Error en POST /exchange-rates:", error);
+    res.status(500).json({ error: "Error guardando tipo de cambio" });
+  }
+});
+
+// ✅ importar CSV: moneda;fecha;tipo por fila (p.ej. exportado del BCE). Las filas con error se
+// saltan y se devuelven; el resto se guarda de una vez
+const RATE_IMPORT_SCHEMA = {
+  csv: v.string({ required: true }),
+  delimiter: v.string({ max: 1 }),
+  dateFormat: csvDateFormatRule(),
+  hasHeader: v.boolean(),
+};
+
+app.post("/exchange-rates/import", validate({ body: RATE_IMPORT_SCHEMA }), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { csv, delimiter, dateFormat, hasHeader } = req.body;
+
+    const parsed = parseCsv(csv, delimiter || detectCsvDelimiter(csv));
+    const firstRow = hasHeader !== false ? 2 : 1;
+    const dataRows = hasHeader !== false ? parsed.slice(1) : parsed;
+
+    if (!dataRows.length) {
+      return res.status(400).json({ error: "El CSV no tiene filas" });
+    }
+
+    const rates = [];
+    const errors = [];
+    dataRows.forEach((row, i) => {
+      const currency = String(row[0] || "").trim().toUpperCase();
+      const rateDate = parseDateWithFormat(row[1], dateFormat || "YYYY-MM-DD");
+      const rate = parseDecimal(String(row[2] || ""));
+
+      let error = null;
+      if (!CURRENCY_RE.test(currency) || currency === BASE_CURRENCY) error = "Moneda no válida";
+      else if (!rateDate) error = "Fecha no válida";
+      else if (rate === null || rate <= 0) error = "Tipo no válido";
+
+      if (error) errors.push({ row: firstRow + i, error });
+      else rates.push({ currency, rateDate, rate: roundRate(rate), source: "IMPORT" });
+    });
+
+    await client.query("BEGIN");
+    for (const rate of rates) {
+      await repo.exchangeRates.upsert(client, req.householdId, rate);
+    }
+    await client.query("COMMIT");
+
+    res.json({ imported: rates.length, errors });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Error en POST /exchange-rates/import:", error);
+    res.status(500).json({ error: "Error importando tipos de cambio" });
+  } finally {
+    client.release();
+  }
+});
+
+app.delete("/exchange-rates/:id", async (req, res) => {
+  try {
+    if (!(await repo.exchangeRates.remove(pool, req.params.id, req.householdId))) {
+      return res.status(404).json({ error: "Tipo de cambio no encontrado" });
+    }
+    res.json({ ok: true });
+  } catch (error) {
+    console.error("❌ Error en DELETE /exchange-rates/:id:", error);
+    res.status(500).json({ error: "Error borrando tipo de cambio" });
+  }
+});
+
+/* ===================== BALANCES (PAREJA) ===================== */
+/*
+  Quién debe a quién. Solo cuentan gastos pagados por una persona (payer MINE/PARTNER);
+  lo pagado desde la cuenta común no genera deuda.
+  - Gasto HOUSE pagado por A: B debe a A la mitad (el céntimo impar lo asume A).
+  - Gasto personal de B pagado por A: B debe a A el total.
+  - Un SETTLEMENT es un pago de B a A atribuido a A, así que compensa con la misma regla.
+*/
+const SETTLEMENT_CONCEPT = "Ajuste de cuentas";
+
+// Positivo = la pareja me debe; negativo = yo le debo
+async function getPartnerBalance(db, householdId, user) {
+  const pair = [householdId, user.id, user.partner_user_id];
+  const balance = await repo.balances.total(db, ...pair);
+  const lastSettlement = await repo.balances.lastSettlement(db, ...pair);
+  // movimientos que generan deuda desde el último ajuste
+  const movements = await repo.balances.movementsSince(
+    db,
+    ...pair,
+    lastSettlement ? lastSettlement.date_time : null
+  );
+
+  return {
+    balance,
+    balance_eur: centsToEur(balance),
+    status: balance > 0 ? "PARTNER_OWES_ME" : balance < 0 ? "I_OWE_PARTNER" : "SETTLED",
+    last_settlement: lastSettlement
+      ? {
+          ...toViewerAttribution(lastSettlement, user),
+          amount_eur: centsToEur(lastSettlement.amount),
+        }
+      : null,
+    movements: movements.map((r) => toViewerAttribution(r, user)),
+  };
+}
+
+app.get("/balances", async (req, res) => {
+  try {
+    if (!req.user.partner_user_id) {
+      return res.status(400).json({ error: "No hay pareja en el hogar" });
+    }
+
+    const partner = await repo.users.getById(pool, req.user.partner_user_id);
+    const balance = await getPartnerBalance(pool, req.householdId, req.user);
+
+    res.json({
+      partner: partner ? { id: partner.id, name: partner.name } : null,
+      ...balance,
+    });
+  } catch (error) {
+    console.error("❌ Error en GET /balances:", error);
+    res.status(500).json({ error: "Error calculando saldo entre la pareja" });
+  }
+});
+
+// ✅ saldar: registra un SETTLEMENT del deudor al acreedor por el saldo pendiente (queda a 0)
+const SETTLE_SCHEMA = {
+  month_id: v.uuid({ ref: "month" }),
+  payment_method: v.oneOf(TX_PAYMENT_METHODS),
+  note: v.string({ max: NOTE_MAX }),
+};
+
+app.post("/balances/settle", validate({ body: SETTLE_SCHEMA }), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { month_id, payment_method = "TRANSFER", note } = req.body;
+
+    if (!req.user.partner_user_id) {
+      return res.status(400).json({ error: "No hay pareja en el hogar" });
+    }
+
+    await client.query("BEGIN");
+
+    // serializa ajustes concurrentes del mismo hogar
+    await repo.households.lock(client, req.householdId);
+
+    let month;
+    if (month_id) {
+      month = await repo.months.getById(client, month_id, req.householdId);
+      if (!month) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Mes no encontrado" });
+      }
+    } else {
+      month = await repo.months.getOpen(client, req.householdId);
+      if (!month) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "No hay ningún mes OPEN" });
+      }
+    }
+
+    const { balance } = await getPartnerBalance(client, req.householdId, req.user);
+    if (balance === 0) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "No hay saldo pendiente entre la pareja" });
+    }
+
+    // balance > 0: la pareja me paga a mí; balance < 0: yo pago a la pareja
+    const debtorId = balance > 0 ? req.user.partner_user_id : req.user.id;
+    const creditorId = balance > 0 ? req.user.id : req.user.partner_user_id;
+
+    const settlement = await repo.transactions.create(client, {
+      household_id: req.householdId,
+      amount: Math.abs(balance),
+      direction: "OUT",
+      type: "SETTLEMENT",
+      month_id: month.id,
+      attribution: creditorId === req.user.id ? "MINE" : "PARTNER",
+      attributed_user_id: creditorId,
+      paid_by_user_id: debtorId,
+      payment_method,
+      concept: SETTLEMENT_CONCEPT,
+      note: note || null,
+    });
+    await recordAudit(client, req, "transaction", "CREATE", settlement.id);
+
+    await client.query("COMMIT");
+    res.json({
+      settlement: toViewerAttribution(settlement, req.user),
+      balance: 0,
+      balance_eur: 0,
+      status: "SETTLED",
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Error en POST /balances/settle:", error);
+    res.status(500).json({ error: "Error saldando cuentas" });
+  } finally {
+    client.release();
+  }
+});
+
+/* ===================== REPORTS ===================== */
+/*
+  Series listas para gráficas: un array `months` (period_key, de más antiguo a más reciente)
+  y, por cada serie, arrays alineados con él. Céntimos + *_eur como en el resto de la API.
+*/
+const REPORT_MONTHS_DEFAULT = 6;
+const REPORT_MONTHS_MAX = 24;
+const REPORT_WINDOW_DEFAULT = 3;
+const REPORT_WINDOW_MAX = 12;
+
+const REPORT_QUERY_SCHEMA = {
+  months: v.int({ min: 1 }),
+  window: v.int({ min: 1 }),
+  until: v.string({ pattern: /^\d{4}-\d{2}$/, message: "until debe ser YYYY-MM" }),
+};
+
+// Por encima del máximo se recorta (no es un error)
+function parseReportInt(value, fallback, max) {
+  if (!value) return fallback;
+  return Math.min(parseInt(value, 10), max);
+}
+
+const eurArray = (values) => values.map((v) => (v === null ? null : centsToEur(v)));
+
+// Diferencia con el mes anterior (null en el primero)
+function monthDeltas(values) {
+  return values.map((v, i) => (i === 0 ? null : v - values[i - 1]));
+}
+
+function monthDeltaPcts(values) {
+  return values.map((v, i) => {
+    if (i === 0 || !values[i - 1]) return null;
+    return Math.round(((v - values[i - 1]) / values[i - 1]) * 1000) / 10;
+  });
+}
+
+// Media móvil de `window` meses (ventana parcial en los primeros meses)
+function rollingAverage(values, window) {
+  return values.map((_, i) => {
+    const slice = values.slice(Math.max(0, i - window + 1), i + 1);
+    return Math.round(slice.reduce((a, b) => a + b, 0) / slice.length);
+  });
+}
+
+function buildReportSeries(values, window) {
+  const deltas = monthDeltas(values);
+  const rolling = rollingAverage(values, window);
+  const total = values.reduce((a, b) => a + b, 0);
+  const average = values.length ? Math.round(total / values.length) : 0;
+
+  return {
+    values,
+    values_eur: eurArray(values),
+    deltas,
+    deltas_eur: eurArray(deltas),
+    delta_pcts: monthDeltaPcts(values),
+    rolling_avg: rolling,
+    rolling_avg_eur: eurArray(rolling),
+    total,
+    total_eur: centsToEur(total),
+    average,
+    average_eur: centsToEur(average),
+  };
+}
+
+// query ya validada con REPORT_QUERY_SCHEMA
+function parseReportQuery(query) {
+  return {
+    count: parseReportInt(query.months, REPORT_MONTHS_DEFAULT, REPORT_MONTHS_MAX),
+    window: parseReportInt(query.window, REPORT_WINDOW_DEFAULT, REPORT_WINDOW_MAX),
+    until: query.until || null,
+  };
+}
+
+// ✅ gasto por categoría en los últimos N meses + deltas mes a mes + media móvil
+app.get("/reports/categories", validate({ query: REPORT_QUERY_SCHEMA }), async (req, res) => {
+  try {
+    const opts = parseReportQuery(req.query);
+
+    const months = await repo.reports.months(pool, req.householdId, opts);
+    const monthIndex = new Map(months.map((m, i) => [m.id, i]));
+
+    const rows = await repo.reports.expensesByMonthAndCategory(
+      pool,
+      req.householdId,
+      months.map((m) => m.id)
+    );
+
+    const byCategory = new Map();
+    for (const r of rows) {
+      const key = r.category_id || "none";
+      if (!byCategory.has(key)) {
+        byCategory.set(key, {
+          category_id: r.category_id,
+          name: r.category_name || "Sin categoría",
+          color: r.color || null,
+          icon: r.icon || null,
+          sort_order: r.sort_order ?? Number.MAX_SAFE_INTEGER,
+          values: months.map(() => 0),
+        });
+      }
+      byCategory.get(key).values[monthIndex.get(r.month_id)] = r.total;
+    }
+
+    const series = [...byCategory.values()]
+      .sort((a, b) => a.sort_order - b.sort_order || a.name.localeCompare(b.name, "es"))
+      .map(({ values, sort_order, ...meta }) => ({ ...meta, ...buildReportSeries(values, opts.window) }));
+
+    const totals = months.map((_, i) => series.reduce((acc, s) => acc + s.values[i], 0));
+
+    res.json({
+      months: months.map((m) => m.period_key),
+      window: opts.window,
+      series,
+      totals: buildReportSeries(totals, opts.window),
+    });
+  } catch (error) {
+    console.error("❌ Error en GET /reports/categories:", error);
+    res.status(500).json({ error: "Error generando informe por categorías" });
+  }
+});
+
+// ✅ ingresos vs gastos vs ahorro consolidado por mes
+app.get("/reports/cashflow", validate({ query: REPORT_QUERY_SCHEMA }), async (req, res) => {
+  try {
+    const opts = parseReportQuery(req.query);
+
+    const months = await repo.reports.months(pool, req.householdId, opts);
+
+    const rows = await repo.reports.monthFlows(
+      pool,
+      req.householdId,
+      months.map((m) => m.id)
+    );
+    const byMonth = new Map(rows.map((r) => [r.month_id, r]));
+
+    const pick = (key) => months.map((m) => (byMonth.get(m.id) || {})[key] || 0);
+    const extraIncome = pick("extra_income");
+    const income = months.map((m, i) => (m.income_amount || 0) + extraIncome[i]);
+    const expenses = pick("expenses");
+    const savings = pick("savings");
+    const net = income.map((v, i) => v - expenses[i]);
+
+    res.json({
+      months: months.map((m) => m.period_key),
+      status: months.map((m) => m.status),
+      window: opts.window,
+      series: {
+        income: buildReportSeries(income, opts.window),
+        extra_income: buildReportSeries(extraIncome, opts.window),
+        expenses: buildReportSeries(expenses, opts.window),
+        savings: buildReportSeries(savings, opts.window),
+        net: buildReportSeries(net, opts.window),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error en GET /reports/cashflow:", error);
+    res.status(500).json({ error: "Error generando informe de ingresos y gastos" });
+  }
+});
+
+// ✅ gasto en otras monedas por mes: importe original (en su moneda) y lo que costó en euros
+app.get("/reports/currencies", validate({ query: REPORT_QUERY_SCHEMA }), async (req, res) => {
+  try {
+    const opts = parseReportQuery(req.query);
+
+    const months = await repo.reports.months(pool, req.householdId, opts);
+    const monthIndex = new Map(months.map((m, i) => [m.id, i]));
+
+    const rows = await repo.reports.currencyExpenses(
+      pool,
+      req.householdId,
+      months.map((m) => m.id)
+    );
+
+    const byCurrency = new Map();
+    for (const r of rows) {
+      if (!byCurrency.has(r.currency)) {
+        byCurrency.set(r.currency, {
+          currency: r.currency,
+          count: 0,
+          original: months.map(() => 0),
+          values: months.map(() => 0),
+        });
+      }
+      const c = byCurrency.get(r.currency);
+      const i = monthIndex.get(r.month_id);
+      c.count += r.count;
+      c.original[i] = r.original;
+      c.values[i] = r.total;
+    }
+
+    // original en centésimas de su moneda; *_decimal en unidades (12.5 = 12,50 USD)
+    const series = [...byCurrency.values()]
+      .sort((a, b) => a.currency.localeCompare(b.currency))
+      .map(({ original, values, ...meta }) => {
+        const originalTotal = original.reduce((a, b) => a + b, 0);
+        const eur = buildReportSeries(values, opts.window);
+        return {
+          ...meta,
+          original: {
+            values: original,
+            values_decimal: original.map((x) => centsToEur(x)),
+            total: originalTotal,
+            total_decimal: centsToEur(originalTotal),
+          },
+          ...eur,
+          // euros por unidad, media ponderada del periodo
+          average_rate: originalTotal ? roundRate(eur.total / originalTotal) : null,
+        };
+      });
+
+    res.json({ months: months.map((m) => m.period_key), window: opts.window, series });
+  } catch (error) {
+    console.error("❌ Error en GET /reports/currencies:", error);
+    res.status(500).json({ error: "Error generando informe por monedas" });
+  }
+});
+
+// ✅ resumen anual (año natural por period_key): ingresos, gastos, ahorro y mejor/peor mes
+const YEAR_SCHEMA = { year: v.string({ pattern: /^\d{4}$/, message: "year debe ser YYYY" }) };
+
+app.get("/reports/year/:year", validate({ params: YEAR_SCHEMA }), async (req, res) => {
+  try {
+    const { year } = req.params;
+
+    const months = await repo.reports.monthsOfYear(pool, req.householdId, year);
+    if (!months.length) return res.status(404).json({ error: "No hay meses en ese año" });
+
+    const monthIds = months.map((r) => r.id);
+
+    const perMonth = await repo.reports.monthFlows(pool, req.householdId, monthIds);
+    const byMonthId = new Map(perMonth.map((r) => [r.month_id, r]));
+
+    const byCategory = await repo.reports.expensesByCategory(pool, req.householdId, monthIds);
+    const byAttr = await repo.reports.expensesByAttribution(pool, req.householdId, monthIds);
+
+    const monthRows = months.map((month) => {
+      const t = byMonthId.get(month.id) || {};
+      const income = (month.income_amount || 0) + (t.extra_income || 0);
+      const expenses = t.expenses || 0;
+      return {
+        month_id: month.id,
+        period_key: month.period_key,
+        status: month.status,
+        income,
+        expenses,
+        savings: t.savings || 0,
+        net: income - expenses,
+        income_eur: centsToEur(income),
+        expenses_eur: centsToEur(expenses),
+        savings_eur: centsToEur(t.savings || 0),
+        net_eur: centsToEur(income - expenses),
+      };
+    });
+
+    const sum = (key) => months.reduce((acc, month) => acc + ((byMonthId.get(month.id) || {})[key] || 0), 0);
+    const baseIncome = months.reduce((acc, month) => acc + (month.income_amount || 0), 0);
+    const extraIncome = sum("extra_income");
+    const totalExpenses = sum("expenses");
+    const consolidated = sum("savings");
+    const piggyDeposits = sum("piggy_deposits");
+    const piggyWithdrawals = sum("piggy_withdrawals");
+    const emergency = sum("emergency");
+
+    const attrTotals = { MINE: 0, PARTNER: 0, HOUSE: 0 };
+    for (const r of byAttr) attrTotals[toViewerAttribution(r, req.user).attribution] += r.total;
+
+    // mejor / peor mes por balance (ingresos - gastos)
+    const ranked = [...monthRows].sort((a, b) => b.net - a.net);
+
+    res.json({
+      year: Number(year),
+      months_count: months.length,
+      income: {
+        base: baseIncome,
+        extra: extraIncome,
+        total: baseIncome + extraIncome,
+        base_eur: centsToEur(baseIncome),
+        extra_eur: centsToEur(extraIncome),
+        total_eur: centsToEur(baseIncome + extraIncome),
+      },
+      expenses: {
+        total: totalExpenses,
+        total_eur: centsToEur(totalExpenses),
+        byCategory: byCategory.map((r) => ({
+          ...r,
+          total_eur: centsToEur(r.total),
+          pct: totalExpenses ? Math.round((r.total / totalExpenses) * 1000) / 10 : 0,
+        })),
+        byAttr: attrTotals,
+        byAttr_eur: {
+          MINE: centsToEur(attrTotals.MINE),
+          PARTNER: centsToEur(attrTotals.PARTNER),
+          HOUSE: centsToEur(attrTotals.HOUSE),
+        },
       },
+      savings: {
+        consolidated,
+        piggy_deposits: piggyDeposits,
+        piggy_withdrawals: piggyWithdrawals,
+        emergency_withdrawals: emergency,
+        safety_net: consolidated - emergency,
+        consolidated_eur: centsToEur(consolidated),
+        piggy_deposits_eur: centsToEur(piggyDeposits),
+        piggy_withdrawals_eur: centsToEur(piggyWithdrawals),
+        emergency_withdrawals_eur: centsToEur(emergency),
+        safety_net_eur: centsToEur(consolidated - emergency),
+      },
+      best_month: ranked[0],
+      worst_month: ranked[ranked.length - 1],
+      months: monthRows,
+    });
+  } catch (error) {
+    console.error("❌ Error en GET /reports/year/:year:", error);
+    res.status(500).json({ error: "Error generando informe anual" });
+  }
+});
+
+/* ===================== FORECAST ===================== */
+/*
+  Previsión de cierre del mes OPEN:
+  - lo ya gastado (EXPENSE)
+  - gastos previstos pendientes hasta end_date (sin publicarlos)
+  - efectivo: lo que queda de la semana actual + retiradas de semanas futuras (se asume gastado)
+  - gasto variable (tarjeta/transferencia no previsto): por categoría, ritmo diario del mes
+    mezclado con el de los meses anteriores; cuanto más avanzado el mes, más peso al actual.
+  El rango usa el ritmo diario variable más bajo y más alto observado (mes actual + histórico).
+*/
+const FORECAST_HISTORY_MONTHS = 3;
+
+// Ocurrencias de gastos previstos aún sin publicar dentro del mes (solo lectura)
+async function getPendingPlannedOccurrences(db, month) {
+  const monthStart = toDateOnly(new Date(month.start_date));
+  const monthEnd = toDateOnly(new Date(month.end_date));
+
+  const rows = await repo.forecast.plannedUntil(db, month.household_id, monthEnd);
+
+  const items = [];
+  for (const planned of rows) {
+    let due = new Date(planned.next_due_date);
+    while (toDateOnly(due) <= monthEnd) {
+      if (toDateOnly(due) >= monthStart) {
+        items.push({
+          planned_expense_id: planned.id,
+          name: planned.name,
+          category_id: planned.category_id,
+          category_name: planned.category_name,
+          payment_method: planned.payment_method,
+          due_date: toDateOnly(due),
+          amount: planned.amount,
+          amount_eur: centsToEur(planned.amount),
+        });
+      }
+      due = nextDueDate(due, planned.frequency);
+    }
+  }
+  return items;
+}
+
+async function getMonthForecast(db, month) {
+  const {
+    days_total: daysTotal,
+    days_elapsed: daysElapsed,
+    today,
+  } = await repo.forecast.days(db, month.id);
+  const daysLeft = daysTotal - daysElapsed;
+
+  const spent = await repo.forecast.spent(db, month.id);
+  const variableSpent = spent.total - spent.planned - spent.cash;
+  const totalIncome = (month.income_amount || 0) + spent.extra_income;
+
+  // Gastos previstos aún no publicados
+  const pendingPlanned = await getPendingPlannedOccurrences(db, month);
+  const pendingPlannedTotal = pendingPlanned.reduce((acc, p) => acc + p.amount, 0);
+
+  // Efectivo: semana actual (lo que queda) + semanas futuras (retirada completa)
+  const weeks = await repo.forecast.cashWeeks(db, month.id);
+  const pendingCash = weeks.map((w) => {
+    const amount = w.is_future
+      ? w.cash_withdraw_amount
+      : Math.max(0, w.cash_withdraw_amount - w.cash_spent);
+    return {
+      week_id: w.id,
+      week_index: w.week_index,
+      start_date: toDateOnly(new Date(w.start_date)),
+      pending: amount,
+      pending_eur: centsToEur(amount),
+      withdrawn: !w.is_future,
+    };
+  });
+  const pendingCashTotal = pendingCash.reduce((acc, w) => acc + w.pending, 0);
+
+  // Gasto variable por categoría: mes actual + histórico (meses CLOSED anteriores)
+  const history = await repo.forecast.history(
+    db,
+    month.household_id,
+    toDateOnly(new Date(month.start_date)),
+    FORECAST_HISTORY_MONTHS
+  );
+  const historyDays = new Map(history.map((h) => [h.id, h.days]));
+
+  const variable = await repo.forecast.variableByCategory(db, [month.id, ...historyDays.keys()]);
+
+  const categories = new Map();
+  const historyRates = new Map([...historyDays.keys()].map((id) => [id, 0]));
+  for (const r of variable) {
+    const key = r.category_id || "none";
+    if (!categories.has(key)) {
+      categories.set(key, {
+        category_id: r.category_id,
+        category_name: r.category_name,
+        spent: 0,
+        history_total_rate: 0,
+      });
+    }
+    const cat = categories.get(key);
+    if (r.month_id === month.id) {
+      cat.spent += r.total;
+    } else {
+      const rate = r.total / historyDays.get(r.month_id);
+      cat.history_total_rate += rate;
+      historyRates.set(r.month_id, historyRates.get(r.month_id) + rate);
+    }
+  }
+
+  const historyCount = historyDays.size;
+  const weight = daysElapsed / daysTotal;
+  const byCategory = [...categories.values()]
+    .map((cat) => {
+      const currentRate = cat.spent / daysElapsed;
+      const historyRate = historyCount ? cat.history_total_rate / historyCount : currentRate;
+      const blendedRate = weight * currentRate + (1 - weight) * historyRate;
+      const projectedRemaining = Math.round(blendedRate * daysLeft);
+      return {
+        category_id: cat.category_id,
+        category_name: cat.category_name,
+        spent: cat.spent,
+        current_daily_rate: Math.round(currentRate),
+        history_daily_rate: Math.round(historyRate),
+        projected_remaining: projectedRemaining,
+        projected_total: cat.spent + projectedRemaining,
+        spent_eur: centsToEur(cat.spent),
+        projected_remaining_eur: centsToEur(projectedRemaining),
+        projected_total_eur: centsToEur(cat.spent + projectedRemaining),
+      };
+    })
+    .sort((a, b) => b.projected_total - a.projected_total);
+
+  const projectedVariable = byCategory.reduce((acc, c) => acc + c.projected_remaining, 0);
+
+  // Rango: ritmo variable mínimo / máximo observado
+  const rates = [variableSpent / daysElapsed, ...historyRates.values()];
+  const variableLow = Math.round(Math.min(...rates) * daysLeft);
+  const variableHigh = Math.round(Math.max(...rates) * daysLeft);
+
+  const fixedPending = pendingPlannedTotal + pendingCashTotal;
+  const projectedExpenses = spent.total + fixedPending + projectedVariable;
+  const projectedRemainder = totalIncome - projectedExpenses;
+  const remainderLow = totalIncome - (spent.total + fixedPending + variableHigh);
+  const remainderHigh = totalIncome - (spent.total + fixedPending + variableLow);
+  const goal = month.saving_goal_amount || 0;
+
+  let confidence = "MEDIUM";
+  if (historyCount >= FORECAST_HISTORY_MONTHS && weight >= 0.5) confidence = "HIGH";
+  else if (historyCount === 0 && weight < 0.25) confidence = "LOW";
+
+  return {
+    month_id: month.id,
+    period_key: month.period_key,
+    as_of: today,
+    days_total: daysTotal,
+    days_elapsed: daysElapsed,
+    days_left: daysLeft,
+    history_months: historyCount,
+
+    income: totalIncome,
+    spent: {
+      total: spent.total,
+      planned: spent.planned,
+      cash: spent.cash,
+      variable: variableSpent,
+    },
+    pending: {
+      planned: pendingPlannedTotal,
+      planned_items: pendingPlanned,
+      cash: pendingCashTotal,
+      cash_weeks: pendingCash,
+      variable: projectedVariable,
+      variable_by_category: byCategory,
+    },
+
+    projected_expenses: projectedExpenses,
+    projected_remainder: projectedRemainder,
+    range: { low: remainderLow, high: remainderHigh },
+    confidence,
+
+    saving_goal_amount: goal,
+    meets_goal: projectedRemainder >= goal,
+    goal_gap: projectedRemainder - goal,
+
+    income_eur: centsToEur(totalIncome),
+    spent_eur: {
+      total: centsToEur(spent.total),
+      planned: centsToEur(spent.planned),
+      cash: centsToEur(spent.cash),
+      variable: centsToEur(variableSpent),
+    },
+    pending_eur: {
+      planned: centsToEur(pendingPlannedTotal),
+      cash: centsToEur(pendingCashTotal),
+      variable: centsToEur(projectedVariable),
+    },
+    projected_expenses_eur: centsToEur(projectedExpenses),
+    projected_remainder_eur: centsToEur(projectedRemainder),
+    range_eur: { low: centsToEur(remainderLow), high: centsToEur(remainderHigh) },
+    saving_goal_amount_eur: centsToEur(goal),
+    goal_gap_eur: centsToEur(projectedRemainder - goal),
+  };
+}
+
+app.get("/forecast/current", async (req, res) => {
+  try {
+    const month = await repo.months.getOpen(pool, req.householdId);
+    if (!month) return res.json(null);
+
+    res.json(await getMonthForecast(pool, month));
+  } catch (error) {
+    console.error("❌ Error en GET /forecast/current:", error);
+    res.status(500).json({ error: "Error calculando previsión de fin de mes" });
+  }
+});
+
+/* ===================== EXPORT ===================== */
+const ATTRIBUTION_LABELS = { MINE: "Mío", PARTNER: "Pareja", HOUSE: "Casa" };
+const PAYMENT_METHOD_LABELS = { CARD: "Tarjeta", CASH: "Efectivo", TRANSFER: "Transferencia" };
+const EXPORT_FORMATS = ["csv", "jsonl", "ofx"];
+const EXPORT_BATCH_SIZE = 500;
+
+const eurFormatter = new Intl.NumberFormat("es-ES", {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2,
+});
+
+function csvField(value, delimiter = ";") {
+  const s = value === null || value === undefined ? "" : String(value);
+  if (s.includes(delimiter) || s.includes('"') || s.includes("\n") || s.includes("\r")) {
+    return `"${s.replace(/"/g, '""')}"`;
+  }
+  return s;
+}
+
+function xmlEscape(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+// 2026-03-05T10:20:00Z -> 20260305102000
+function toOfxDate(d) {
+  const date = new Date(d);
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`
+  );
+}
+
+// query ya validada con EXPORT_QUERY_SCHEMA
+function buildExportFilter(query) {
+  const monthIds = []
+    .concat(query.monthIds || [])
+    .flatMap((v) => String(v).split(","))
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+  return { from: query.from || null, to: query.to || null, monthIds };
+}
+
+// Recorre las transacciones por lotes (keyset date_time + id) sin cargar todo en memoria
+async function* iterateExportRows(householdId, filter) {
+  let last = null;
+
+  while (true) {
+    const rows = await repo.transactions.exportBatch(
+      pool,
+      householdId,
+      filter,
+      last,
+      EXPORT_BATCH_SIZE
+    );
+
+    for (const r of rows) yield r;
+    if (rows.length < EXPORT_BATCH_SIZE) return;
+
+    // el cursor va como texto: un Date de JS perdería los microsegundos y repetiría filas
+    const { cursor_ts, id } = rows[rows.length - 1];
+    last = { d: cursor_ts, id };
+  }
+}
+
+function exportCsvRow(r) {
+  const sign = r.direction === "OUT" ? -1 : 1;
+  return (
+    [
+      toDateOnly(new Date(r.date_time)).split("-").reverse().join("/"),
+      r.period_key,
+      r.type,
+      r.direction,
+      eurFormatter.format((sign * r.amount) / 100),
+      r.category_name,
+      ATTRIBUTION_LABELS[r.attribution] || r.attribution,
+      PAYMENT_METHOD_LABELS[r.payment_method] || r.payment_method,
+      r.concept,
+      r.note,
+      r.original_currency ? eurFormatter.format((sign * r.original_amount) / 100) : null,
+      r.original_currency,
+    ]
+      .map((v) => csvField(v))
+      .join(";") + "\r\n"
+  );
+}
+
+function exportJsonRow(r) {
+  return (
+    JSON.stringify({
+      id: r.id,
+      date_time: r.date_time,
+      period_key: r.period_key,
+      type: r.type,
+      direction: r.direction,
+      amount: r.amount,
+      amount_eur: centsToEur(r.amount),
+      category: r.category_name,
+      attribution: r.attribution,
+      attribution_label: ATTRIBUTION_LABELS[r.attribution] || r.attribution,
+      payment_method: r.payment_method,
+      payment_method_label: PAYMENT_METHOD_LABELS[r.payment_method] || r.payment_method,
+      concept: r.concept,
+      note: r.note,
+      original_currency: r.original_currency,
+      original_amount: r.original_amount,
+      original_amount_decimal: centsToEur(r.original_amount),
+      exchange_rate: r.exchange_rate,
+    }) + "\n"
+  );
+}
+
+function exportOfxRow(r) {
+  const signed = r.direction === "OUT" ? -r.amount : r.amount;
+  const trnType =
+    r.type === "CASH_WITHDRAWAL" ? "ATM" : r.direction === "OUT" ? "DEBIT" : "CREDIT";
+  const memo = [
+    r.category_name,
+    ATTRIBUTION_LABELS[r.attribution] || r.attribution,
+    PAYMENT_METHOD_LABELS[r.payment_method] || r.payment_method,
+    r.note,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  return (
+    `<STMTTRN>` +
+    `<TRNTYPE>${trnType}</TRNTYPE>` +
+    `<DTPOSTED>${toOfxDate(r.date_time)}</DTPOSTED>` +
+    `<TRNAMT>${(signed / 100).toFixed(2)}</TRNAMT>` +
+    `<FITID>${r.id}</FITID>` +
+    `<NAME>${xmlEscape((r.concept || r.category_name || r.type).slice(0, 32))}</NAME>` +
+    `<MEMO>${xmlEscape(memo)}</MEMO>` +
+    `</STMTTRN>\n`
+  );
+}
+
+const EXPORT_QUERY_SCHEMA = {
+  format: v.oneOf(EXPORT_FORMATS, { ignoreCase: true }),
+  from: v.date(),
+  to: v.date(),
+  monthIds: v.list(v.uuid()),
+};
+
+// ✅ Export streaming: CSV (es-ES), JSON Lines u OFX 2
+app.get("/export/transactions", validate({ query: EXPORT_QUERY_SCHEMA }), async (req, res) => {
+  let aborted = false;
+  req.on("close", () => {
+    aborted = true;
+  });
+
+  try {
+    const format = String(req.query.format || "csv").toLowerCase();
+
+    const filter = buildExportFilter(req.query);
+
+    // rango y saldo del export (OFX los necesita en cabecera/pie)
+    const { first_at, last_at, net } = await repo.transactions.exportSummary(
+      pool,
+      req.householdId,
+      filter
+    );
+
+    const stamp = toDateOnly(new Date()).replace(/-/g, "");
+    const contentTypes = {
+      csv: "text/csv; charset=utf-8",
+      jsonl: "application/x-ndjson; charset=utf-8",
+      ofx: "application/x-ofx; charset=utf-8",
+    };
+    res.setHeader("Content-Type", contentTypes[format]);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="economia-${stamp}.${format}"`
+    );
+
+    const write = async (chunk) => {
+      if (!res.write(chunk)) {
+        await new Promise((resolve) => {
+          res.once("drain", resolve);
+          res.once("close", resolve);
+        });
+      }
+    };
+
+    if (format === "csv") {
+      await write(
+        "\uFEFFFecha;Mes;Tipo;Dirección;Importe (€);Categoría;Atribución;Método de pago;Concepto;Nota;Importe original;Moneda\r\n"
+      );
+    }
+    if (format === "ofx") {
+      await write(
+        `<?xml version="1.0" encoding="UTF-8"?>\n` +
+          `<?OFX OFXHEADER="200" VERSION="211" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>\n` +
+          `<OFX>\n` +
+          `<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>` +
+          `<DTSERVER>${toOfxDate(new Date())}</DTSERVER><LANGUAGE>SPA</LANGUAGE></SONRS></SIGNONMSGSRSV1>\n` +
+          `<BANKMSGSRSV1><STMTTRNRS><TRNUID>${stamp}</TRNUID>` +
+          `<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>\n` +
+          `<STMTRS><CURDEF>EUR</CURDEF>` +
+          `<BANKACCTFROM><BANKID>ECONOMIA</BANKID><ACCTID>ECONOMIA</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>\n` +
+          `<BANKTRANLIST><DTSTART>${toOfxDate(req.query.from || first_at || new Date())}</DTSTART>` +
+          `<DTEND>${toOfxDate(req.query.to || last_at || new Date())}</DTEND>\n`
+      );
+    }
+
+    const toLine = { csv: exportCsvRow, jsonl: exportJsonRow, ofx: exportOfxRow }[format];
+
+    for await (const row of iterateExportRows(req.householdId, filter)) {
+      if (aborted) return;
+      await write(toLine(toViewerAttribution(row, req.user)));
+    }
+
+    if (format === "ofx") {
+      await write(
+        `</BANKTRANLIST>\n` +
+          `<LEDGERBAL><BALAMT>${(Number(net) / 100).toFixed(2)}</BALAMT>` +
+          `<DTASOF>${toOfxDate(last_at || new Date())}</DTASOF></LEDGERBAL>\n` +
+          `</STMTRS></STMTTRNRS></BANKMSGSRSV1>\n</OFX>\n`
+      );
+    }
+
+    res.end();
+  } catch (error) {
+    console.error("❌ Error en GET /export/transactions:", error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: "Error exportando transacciones" });
+  }
+});
+
+/* ===================== IMPORTS (CSV banco) ===================== */
+async function getImportPreview(db, householdId, batchId) {
+  const batch = await repo.imports.getBatch(db, batchId, householdId);
+  if (!batch) return null;
+
+  const drafts = await repo.imports.listDrafts(db, batchId);
+
+  const stats = {
+    rows: drafts.length,
+    included: drafts.filter((d) => d.include && !d.error).length,
+    duplicates: drafts.filter((d) => d.duplicate_of || d.duplicate_of_row).length,
+    errors: drafts.filter((d) => d.error).length,
+    missingCategory: drafts.filter(
+      (d) => d.include && !d.error && d.direction === "OUT" && !d.category_id
+    ).length,
+  };
+
+  return { batch, stats, drafts };
+}
+
+app.get("/imports", async (req, res) => {
+  try {
+    const rows = await repo.imports.listBatches(pool, req.householdId);
+    res.json(rows);
+  } catch (error) {
+    console.error("❌ Error en GET /imports:", error);
+    res.status(500).json({ error: "Error obteniendo importaciones" });
+  }
+});
+
+// ✅ Subir CSV -> lote PENDING con borradores (no crea transacciones todavía)
+// columna del CSV: índice (0..n) o nombre de cabecera
+const csvColumnRule = () =>
+  v.any({
+    required: true,
+    check: (x) =>
+      (Number.isInteger(x) && x >= 0) || typeof x === "string"
+        ? null
+        : "La columna debe ser un índice (0..n) o un nombre de cabecera",
+  });
+
+const IMPORT_SCHEMA = {
+  csv: v.string({ required: true }),
+  filename: v.string({ max: 255 }),
+  mapping: v.object(
+    { date: csvColumnRule(), amount: csvColumnRule(), description: csvColumnRule() },
+    { required: true }
+  ),
+  decimal: v.oneOf(["comma", "point"]),
+  delimiter: v.string({ max: 1 }),
+  dateFormat: csvDateFormatRule(),
+  hasHeader: v.boolean(),
+  attribution: v.oneOf(PAYERS),
+  payment_method: v.oneOf(TX_PAYMENT_METHODS),
+};
+
+app.post("/imports", validate({ body: IMPORT_SCHEMA }), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const {
+      csv,
+      filename,
+      mapping,
+      decimal,
+      delimiter,
+      dateFormat,
+      hasHeader,
+      attribution,
+      payment_method,
+    } = req.body;
+
+    const options = {
+      mapping: { date: mapping.date, amount: mapping.amount, description: mapping.description },
+      decimal: decimal || "comma",
+      delimiter: delimiter || detectCsvDelimiter(csv),
+      dateFormat: dateFormat || "DD/MM/YYYY",
+      hasHeader: hasHeader !== false,
+      attribution: attribution || "HOUSE",
+      payment_method: payment_method || "CARD",
+    };
+
+    const parsed = parseCsv(csv, options.delimiter);
+    const header = options.hasHeader ? (parsed[0] || []).map((h) => String(h).trim()) : null;
+    const dataRows = options.hasHeader ? parsed.slice(1) : parsed;
+
+    if (!dataRows.length) {
+      return res.status(400).json({ error: "El CSV no tiene filas" });
+    }
+
+    // columna por índice (0..n) o por nombre de cabecera
+    const columnIndex = (ref) => {
+      if (Number.isInteger(ref)) return ref;
+      if (!header) return -1;
+      return header.findIndex((h) => normalizeConcept(h) === normalizeConcept(ref));
+    };
+
+    const cols = {
+      date: columnIndex(options.mapping.date),
+      amount: columnIndex(options.mapping.amount),
+      description: columnIndex(options.mapping.description),
+    };
+    for (const [key, idx] of Object.entries(cols)) {
+      if (idx < 0) {
+        return res
+          .status(400)
+          .json({ error: `Columna no encontrada en el CSV: ${key}=${options.mapping[key]}` });
+      }
+    }
+
+    await client.query("BEGIN");
+
+    const month = await repo.months.getOpen(client, req.householdId);
+    if (!month) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "No hay ningún mes OPEN" });
+    }
+    const monthStart = toDateOnly(new Date(month.start_date));
+    const monthEnd = toDateOnly(new Date(month.end_date));
+
+    // candidatos a duplicado: movimientos del mes
+    const existing = await repo.imports.duplicateCandidates(client, month.id);
+
+    // sugerencia de categoría: la última usada con el mismo concepto
+    const history = await repo.imports.conceptCategories(client, req.householdId, 2000);
+    const suggested = new Map();
+    for (const h of history) {
+      const key = normalizeConcept(h.concept);
+      if (key && !suggested.has(key)) suggested.set(key, h.category_id);
+    }
+
+    const batchId = await repo.imports.createBatch(client, {
+      householdId: req.householdId,
+      monthId: month.id,
+      filename: filename || null,
+      options,
+    });
+
+    // clave día|importe|sentido|concepto -> número de fila donde apareció primero
+    const seen = new Map();
+    for (const [i, row] of dataRows.entries()) {
+      const raw = header ? Object.fromEntries(header.map((h, j) => [h, row[j] ?? ""])) : row;
+
+      const day = parseDateWithFormat(row[cols.date], options.dateFormat);
+      const amt = parseBankAmount(row[cols.amount], options.decimal);
+      const concept = String(row[cols.description] ?? "").trim() || null;
+
+      let error = null;
+      if (!day) error = "Fecha inválida";
+      else if (!amt || amt.cents <= 0) error = "Importe inválido";
+      else if (day < monthStart || day > monthEnd) error = "Fecha fuera del mes OPEN";
+
+      const direction = amt?.negative ? "OUT" : "IN";
+
+      const duplicate = error
+        ? null
+        : existing.find(
+            (t) =>
+              t.day === day &&
+              t.amount === amt.cents &&
+              t.direction === direction &&
+              conceptsLookAlike(t.concept, concept)
+          );
+
+      // la misma fila repetida en el CSV: solo se incluye la primera
+      const rowKey = error
+        ? null
+        : [day, amt.cents, direction, normalizeConcept(concept)].join("|");
+      const repeatedRow = rowKey ? seen.get(rowKey) || null : null;
+      if (rowKey && !repeatedRow) seen.set(rowKey, i + 1);
+
+      await repo.imports.createDraft(client, batchId, {
+        rowNumber: i + 1,
+        raw,
+        day,
+        amount: amt ? amt.cents : null,
+        direction: error ? null : direction,
+        concept,
+        categoryId: direction === "OUT" ? suggested.get(normalizeConcept(concept)) || null : null,
+        attribution: options.attribution,
+        paymentMethod: options.payment_method,
+        duplicateOf: duplicate ? duplicate.id : null,
+        duplicateOfRow: repeatedRow,
+        error,
+        include: !error && !duplicate && !repeatedRow,
+      });
+    }
+
+    await client.query("COMMIT");
+    res.json(await getImportPreview(pool, req.householdId, batchId));
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Error en POST /imports:", error);
+    res.status(500).json({ error: "Error importando CSV" });
+  } finally {
+    client.release();
+  }
+});
+
+app.get("/imports/:id", async (req, res) => {
+  try {
+    const preview = await getImportPreview(pool, req.householdId, req.params.id);
+    if (!preview) return res.status(404).json({ error: "Importación no encontrada" });
+    res.json(preview);
+  } catch (error) {
+    console.error("❌ Error en GET /imports/:id:", error);
+    res.status(500).json({ error: "Error obteniendo importación" });
+  }
+});
+
+// ✅ Ajustar un borrador antes de confirmar (categoría, incluir/excluir...)
+const DRAFT_SCHEMA = {
+  category_id: v.uuid({ ref: "category" }),
+  attribution: v.oneOf(PAYERS),
+  payment_method: v.oneOf(TX_PAYMENT_METHODS),
+  concept: v.string({ max: CONCEPT_MAX }),
+  include: v.boolean(),
+};
+
+app.put("/imports/:id/drafts/:draftId", validate({ body: DRAFT_SCHEMA }), async (req, res) => {
+  try {
+    const { id, draftId } = req.params;
+    const { category_id, attribution, payment_method, concept, include } = req.body;
+
+    const draft = await repo.imports.getDraft(pool, draftId, id, req.householdId);
+    if (!draft) return res.status(404).json({ error: "Borrador no encontrado" });
+
+    if (draft.batch_status !== "PENDING") {
+      return res.status(400).json({ error: "La importación ya no está PENDING" });
+    }
+    if (include === true && draft.error) {
+      return res.status(400).json({ error: `No se puede incluir una fila con error: ${draft.error}` });
+    }
+
+    const updated = await repo.imports.updateDraft(pool, draftId, {
+      categoryId: category_id === undefined ? draft.category_id : category_id || null,
+      attribution: attribution || null,
+      paymentMethod: payment_method || null,
+      concept: concept === undefined ? draft.concept : String(concept || "").trim() || null,
+      include: typeof include === "boolean" ? include : null,
+    });
+
+    res.json(updated);
+  } catch (error) {
+    console.error("❌ Error en PUT /imports/:id/drafts/:draftId:", error);
+    res.status(500).json({ error: "Error editando borrador" });
+  }
+});
+
+// ✅ Confirmar: los borradores incluidos pasan a ser transacciones
+app.post("/imports/:id/confirm", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+
+    await client.query("BEGIN");
+
+    const batch = await repo.imports.lockBatch(client, id, req.householdId);
+    if (!batch) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Importación no encontrada" });
+    }
+
+    if (batch.status !== "PENDING") {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "La importación ya no está PENDING" });
+    }
+    if (batch.month_status !== "OPEN") {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "El mes de la importación no está OPEN" });
+    }
+
+    const drafts = await repo.imports.listIncludedDrafts(client, id);
+
+    const missing = drafts.filter((d) => d.direction === "OUT" && !d.category_id);
+    if (missing.length) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({
+        error: "category_id es obligatorio en los gastos incluidos",
+        draft_ids: missing.map((d) => d.id),
+      });
+    }
+
+    const created = [];
+    for (const d of drafts) {
+      const week = await repo.weeks.findContaining(
+        client,
+        batch.month_id,
+        toDateOnly(new Date(d.date_time))
+      );
+
+      const tx = await repo.transactions.create(client, {
+        household_id: req.householdId,
+        date_time: d.date_time,
+        amount: d.amount,
+        direction: d.direction,
+        type: d.direction === "OUT" ? "EXPENSE" : "EXTRA_INCOME",
+        month_id: batch.month_id,
+        week_id: week ? week.id : null,
+        category_id: d.direction === "OUT" ? d.category_id : null,
+        attribution: d.attribution,
+        attributed_user_id: resolveAttribution(d.attribution, req.user),
+        payment_method: d.payment_method,
+        concept: d.concept,
+        note: batch.filename ? `Importado de ${batch.filename}` : "Importado de CSV",
+      });
+
+      await repo.imports.linkDraft(client, d.id, tx.id);
+      await recordAudit(client, req, "transaction", "CREATE", tx.id);
+      created.push(tx);
+    }
+
+    await repo.imports.confirmBatch(client, id);
+
+    await client.query("COMMIT");
+    res.json({
+      ok: true,
+      batch_id: id,
+      created: created.length,
+      transactions: created.map((r) => toViewerAttribution(r, req.user)),
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Error en POST /imports/:id/confirm:", error);
+    res.status(500).json({ error: "Error confirmando importación" });
+  } finally {
+    client.release();
+  }
+});
+
+app.delete("/imports/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const discarded = await repo.imports.discardBatch(pool, id, req.householdId);
+    if (!discarded) {
+      return res.status(404).json({ error: "Importación PENDING no encontrada" });
+    }
+    res.json({ ok: true });
+  } catch (error) {
+    console.error("❌ Error en DELETE /imports/:id:", error);
+    res.status(500).json({ error: "Error descartando importación" });
+  }
+});
+
+/* ===================== PLANNED EXPENSES ===================== */
+const PLANNED_LIST_SCHEMA = { includeInactive: v.boolean() };
+
+app.get("/planned-expenses", validate({ query: PLANNED_LIST_SCHEMA }), async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === "true";
+
+    const rows = await repo.plannedExpenses.list(pool, req.householdId, { includeInactive });
+
+    res.json(rows.map((r) => toViewerAttribution(r, req.user)));
+  } catch (error) {
+    console.error("❌ Error en GET /planned-expenses:", error);
+    res.status(500).json({ error: "Error obteniendo gastos previstos" });
+  }
+});
+
+app.get("/planned-expenses/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const planned = await repo.plannedExpenses.getById(pool, id, req.householdId);
+
+    if (!planned) return res.status(404).json({ error: "Gasto previsto no encontrado" });
+    res.json(toViewerAttribution(planned, req.user));
+  } catch (error) {
+    console.error("❌ Error en GET /planned-expenses/:id:", error);
+    res.status(500).json({ error: "Error obteniendo gasto previsto" });
+  }
+});
+
+const plannedFields = ({ required = false } = {}) => ({
+  name: v.string({ required, notEmpty: true, max: NAME_MAX }),
+  amount: v.money({ required, notEmpty: true, min: 1 }),
+  frequency: v.oneOf(PLANNED_FREQUENCIES, { required, notEmpty: true, ignoreCase: true }),
+  next_due_date: v.date({ required }),
+  attribution: v.oneOf(PAYERS, { required }),
+  category_id: v.uuid({ ref: "category" }),
+  payment_method: v.oneOf(TX_PAYMENT_METHODS),
+});
+
+const PLANNED_CREATE_SCHEMA = plannedFields({ required: true });
+const PLANNED_UPDATE_SCHEMA = { ...plannedFields(), is_active: v.boolean() };
+
+app.post("/planned-expenses", validate({ body: PLANNED_CREATE_SCHEMA }), async (req, res) => {
+  try {
+    const { name, amount, frequency, next_due_date, attribution, category_id, payment_method } =
+      req.body;
+
+    const amountCents = parseMoneyToCents(amount);
+    const finalFrequency = frequency.trim().toUpperCase();
+
+    const planned = await repo.plannedExpenses.create(pool, req.householdId, {
+      name: String(name).trim(),
+      amount: amountCents,
+      frequency: finalFrequency,
+      next_due_date,
+      attribution,
+      attributed_user_id: resolveAttribution(attribution, req.user),
+      category_id: category_id || null,
+      payment_method: payment_method || "TRANSFER",
+    });
+
+    res.json(toViewerAttribution(planned, req.user));
+  } catch (error) {
+    console.error("❌ Error en POST /planned-expenses:", error);
+    res.status(500).json({ error: "Error creando gasto previsto" });
+  }
+});
+
+app.put("/planned-expenses/:id", validate({ body: PLANNED_UPDATE_SCHEMA }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      name,
+      amount,
+      frequency,
+      next_due_date,
+      attribution,
+      category_id,
+      payment_method,
+      is_active,
+    } = req.body;
+
+    const current = await repo.plannedExpenses.getById(pool, id, req.householdId);
+    if (!current) return res.status(404).json({ error: "Gasto previsto no encontrado" });
+
+    const newName = name === undefined ? current.name : name.trim();
+    const newAmount = amount === undefined ? current.amount : parseMoneyToCents(amount);
+    const newFrequency =
+      frequency === undefined ? current.frequency : frequency.trim().toUpperCase();
+
+    const planned = await repo.plannedExpenses.update(pool, id, {
+      name: newName,
+      amount: newAmount,
+      frequency: newFrequency,
+      next_due_date: next_due_date || null,
+      attribution: attribution || null,
+      attributed_user_id: attribution
+        ? resolveAttribution(attribution, req.user)
+        : current.attributed_user_id,
+      category_id: category_id === undefined ? current.category_id : category_id || null,
+      payment_method: payment_method || null,
+      is_active: typeof is_active === "boolean" ? is_active : null,
+    });
+
+    res.json(toViewerAttribution(planned, req.user));
+  } catch (error) {
+    console.error("❌ Error en PUT /planned-expenses/:id:", error);
+    res.status(500).json({ error: "Error editando gasto previsto" });
+  }
+});
+
+// Las transacciones ya publicadas se conservan (planned_expense_id -> NULL)
+app.delete("/planned-expenses/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await repo.plannedExpenses.remove(pool, id, req.householdId))) {
+      return res.status(404).json({ error: "Gasto previsto no encontrado" });
+    }
+    res.json({ ok: true });
+  } catch (error) {
+    console.error("❌ Error en DELETE /planned-expenses/:id:", error);
+    res.status(500).json({ error: "Error borrando gasto previsto" });
+  }
+});
+
+// ✅ Lanzar el motor a mano sobre el mes OPEN
+app.post("/planned-expenses/post-due", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const month = await repo.months.getOpen(client, req.householdId);
+    if (!month) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "No hay ningún mes OPEN" });
+    }
+
+    const posted = await postDuePlannedExpenses(client, month);
+    for (const tx of posted) await recordAudit(client, req, "transaction", "CREATE", tx.id);
+
+    await client.query("COMMIT");
+    res.json({
+      month_id: month.id,
+      posted: posted.map((r) => toViewerAttribution(r, req.user)),
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Error en POST /planned-expenses/post-due:", error);
+    res.status(500).json({ error: "Error publicando gastos previstos" });
+  } finally {
+    client.release();
+  }
+});
+
+/* ===================== PIGGYBANKS ===================== */
+/*
+  Huchas: las dos del seed (TWO_EURO, NORMAL) y las que cree el hogar (CUSTOM). Cada una
+  lleva su regla de aportación en rule, en céntimos y combinable:
+    multipleOf     el importe tiene que ser múltiplo (hucha 2€: 200)
+    denominations  solo lo que se pueda juntar con esas monedas/billetes
+    min / max      por aportación
+  Ninguna aportación pasa de PIGGY_AMOUNT_MAX, tenga la regla que tenga.
+  checkPiggyDeposit() es la única comprobación: la usan /piggybanks/:id/entries y
+  /weeks/:id/close. Una hucha archivada no admite aportaciones.
+  Sacar dinero (o romperla) es POST /piggybanks/:id/withdraw: una entrada negativa, nunca
+  por encima del saldo.
+*/
+const PIGGY_AMOUNT_MAX = 1000000; // 10.000€ por aportación
+const PIGGY_DENOMINATIONS_MAX = 20;
+
+const PIGGY_RULE_SCHEMA = v.object({
+  multipleOf: v.money({ min: 1 }),
+  denominations: v.list(v.money({ min: 1 })),
+  min: v.money({ min: 1 }),
+  max: v.money({ min: 1 }),
+});
+
+const PIGGY_PARAMS_SCHEMA = { id: v.uuid({ ref: "piggy_bank" }) };
+
+const PIGGY_SCHEMA = {
+  name: v.string({ required: true, notEmpty: true, max: NAME_MAX }),
+  rule: PIGGY_RULE_SCHEMA,
+};
+const PIGGY_UPDATE_SCHEMA = {
+  name: v.string({ notEmpty: true, max: NAME_MAX }),
+  rule: PIGGY_RULE_SCHEMA,
+};
+
+// Regla del body (euros) -> regla guardada (céntimos) | { invalid: [...] }
+function parsePiggyRule(input) {
+  const rule = {};
+  if (!input) return rule;
+
+  if (!isEmptyValue(input.multipleOf)) rule.multipleOf = parseMoneyToCents(input.multipleOf);
+  if (Array.isArray(input.denominations) && input.denominations.length) {
+    const denominations = new Set(input.denominations.map((x) => parseMoneyToCents(x)));
+    rule.denominations = [...denominations].sort((a, b) => b - a);
+    if (rule.denominations.length > PIGGY_DENOMINATIONS_MAX) {
+      const msg = `rule.denominations admite como mucho ${PIGGY_DENOMINATIONS_MAX} importes`;
+      return { invalid: [422, "OUT_OF_RANGE", "rule.denominations", msg] };
+    }
+  }
+  if (!isEmptyValue(input.min)) rule.min = parseMoneyToCents(input.min);
+  if (!isEmptyValue(input.max)) rule.max = parseMoneyToCents(input.max);
+
+  if (rule.min && rule.max && rule.min > rule.max) {
+    const msg = "rule.max no puede ser menor que rule.min";
+    return { invalid: [422, "OUT_OF_RANGE", "rule.max", msg] };
+  }
+  return rule;
+}
+
+// ¿Se junta amount con esas monedas/billetes (tantas de cada como haga falta)?
+function isPayableWith(amount, denominations) {
+  const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+  const step = denominations.reduce(gcd);
+  if (amount % step !== 0) return false;
+
+  const units = denominations.map((x) => x / step);
+  const target = amount / step;
+  const smallest = Math.min(...units);
+  const largest = Math.max(...units);
+  if (target % smallest === 0) return true;
+  // unidades sin divisor común: desde (menor-1)·(mayor-1) todo se puede juntar (cota de Schur)
+  if (target >= (smallest - 1) * (largest - 1)) return true;
+
+  const reachable = new Uint8Array(target + 1);
+  reachable[0] = 1;
+  for (let i = 1; i < reachable.length; i++) {
+    reachable[i] = units.some((u) => u <= i && reachable[i - u]) ? 1 : 0;
+  }
+  return reachable[reachable.length - 1] === 1;
+}
+
+const eurText = (cents) => `${centsToEur(cents)}€`;
+
+// Mensaje si amount (céntimos) no vale para la hucha; null si vale
+function checkPiggyDeposit(piggy, amount) {
+  const { multipleOf, denominations, min, max } = piggy.rule || {};
+
+  if (piggy.archived_at) return `${piggy.name} está archivada`;
+  if (amount > PIGGY_AMOUNT_MAX) {
+    return `${piggy.name}: como mucho ${eurText(PIGGY_AMOUNT_MAX)} por aportación`;
+  }
+  if (min && amount < min) return `${piggy.name}: mínimo ${eurText(min)} por aportación`;
+  if (max && amount > max) return `${piggy.name}: máximo ${eurText(max)} por aportación`;
+  if (multipleOf && amount % multipleOf !== 0) {
+    return `${piggy.name}: solo múltiplos de ${eurText(multipleOf)}`;
+  }
+  if (denominations && denominations.length && !isPayableWith(amount, denominations)) {
+    return `${piggy.name}: no se puede juntar con ${denominations.map(eurText).join(", ")}`;
+  }
+  return null;
+}
+
+function piggyView(piggy) {
+  const rule = piggy.rule || {};
+  const ruleEur = {};
+  if (rule.multipleOf) ruleEur.multipleOf = centsToEur(rule.multipleOf);
+  if (rule.denominations) ruleEur.denominations = rule.denominations.map(centsToEur);
+  if (rule.min) ruleEur.min = centsToEur(rule.min);
+  if (rule.max) ruleEur.max = centsToEur(rule.max);
+  return { ...piggy, rule_eur: ruleEur };
+}
+
+// Entrada en la hucha y, si sale de un mes, su PIGGYBANK_DEPOSIT en efectivo.
+// Va dentro de la transacción de client (ver /piggybanks/:id/entries y /weeks/:id/close)
+async function createPiggyDeposit(
+  client,
+  req,
+  piggy,
+  { amount, note = null, monthId = null, weekId = undefined }
+) {
+  const entry = await repo.piggyBanks.createEntry(client, {
+    piggyBankId: piggy.id,
+    amount,
+    note,
+    monthId,
+  });
+  await recordAudit(client, req, "piggy_bank_entry", "CREATE", entry.id);
+
+  if (monthId) {
+    const tx = await repo.transactions.create(client, {
+      household_id: req.householdId,
+      amount,
+      direction: "OUT",
+      type: "PIGGYBANK_DEPOSIT",
+      month_id: monthId,
+      week_id: weekId,
+      attribution: "HOUSE",
+      payment_method: "CASH",
+      concept: `Aporte ${piggy.name}`,
+      note,
+      piggy_entry_id: entry.id,
+    });
+    await recordAudit(client, req, "transaction", "CREATE", tx.id);
+  }
+
+  return entry;
+}
+
+app.get(
+  "/piggybanks/summary",
+  validate({ query: { includeArchived: v.boolean() } }),
+  async (req, res) => {
+    try {
+      const includeArchived = req.query.includeArchived === "true";
+      const piggies = await repo.piggyBanks.summary(pool, req.householdId, { includeArchived });
+      res.json(piggies.map(piggyView));
+    } catch (error) {
+      console.error("❌ Error en GET /piggybanks/summary:", error);
+      res.status(500).json({ error: "Error obteniendo resumen de huchas" });
+    }
+  }
+);
+
+app.post("/piggybanks", validate({ body: PIGGY_SCHEMA }), async (req, res) => {
+  try {
+    const rule = parsePiggyRule(req.body.rule);
+    if (rule.invalid) return sendInvalid(res, ...rule.invalid);
+
+    const piggy = await repo.piggyBanks.create(pool, req.householdId, {
+      name: String(req.body.name).trim(),
+      rule,
     });
+    res.json(piggyView(piggy));
   } catch (error) {
-    await client.query("ROLLBACK");
-    console.error("❌ Error en POST /month/close:", error);
-    res.status(500).json({ error: "Error cerrando mes" });
-  } finally {
-    client.release();
+    if (error.code === "23505") {
+      return res.status(409).json({ error: "Ya existe una hucha con ese nombre" });
+    }
+    console.error("❌ Error en POST /piggybanks:", error);
+    res.status(500).json({ error: "Error creando hucha" });
   }
 });
 
-app.get("/months", async (_req, res) => {
-  try {
-    const { rows } = await pool.query(
-      `SELECT
-         id,
-         period_key,
-         start_date,
-         end_date,
-         income_amount,
-         (income_amount / 100.0) AS income_amount_eur,
-         weekly_budget_amount,
-         (weekly_budget_amount / 100.0) AS weekly_budget_amount_eur,
-         saving_goal_amount,
-         (saving_goal_amount / 100.0) AS saving_goal_amount_eur,
-         status,
-         created_at,
-         closed_at
-       FROM economia.month
-       ORDER BY start_date DESC`
-    );
-    res.json(rows);
+// Renombrar y/o cambiar la regla (rule sustituye a la anterior; {} = sin regla).
+// Las entradas que ya había no se revisan
+app.put(
+  "/piggybanks/:id",
+  validate({ params: PIGGY_PARAMS_SCHEMA, body: PIGGY_UPDATE_SCHEMA }),
+  async (req, res) => {
+    try {
+      const { name } = req.body;
+      const hasRule = req.body.rule !== undefined;
+      const rule = parsePiggyRule(req.body.rule);
+      if (rule.invalid) return sendInvalid(res, ...rule.invalid);
+
+      const piggy = await repo.piggyBanks.update(pool, req.params.id, req.householdId, {
+        name: name === undefined ? undefined : String(name).trim(),
+        rule: hasRule ? rule : undefined,
+      });
+
+      if (!piggy) return res.status(404).json({ error: "Hucha no encontrada" });
+      res.json(piggyView(piggy));
+    } catch (error) {
+      if (error.code === "23505") {
+        return res.status(409).json({ error: "Ya existe una hucha con ese nombre" });
+      }
+      console.error("❌ Error en PUT /piggybanks/:id:", error);
+      res.status(500).json({ error: "Error editando hucha" });
+    }
+  }
+);
+
+// ✅ Archivar / reactivar (el saldo y las entradas se conservan)
+app.post(
+  "/piggybanks/:id/archive",
+  validate({ params: PIGGY_PARAMS_SCHEMA }),
+  async (req, res) => {
+    try {
+      const piggy = await repo.piggyBanks.setArchived(pool, req.params.id, req.householdId, true);
+
+      if (!piggy) return res.status(404).json({ error: "Hucha no encontrada" });
+      res.json(piggyView(piggy));
+    } catch (error) {
+      console.error("❌ Error en POST /piggybanks/:id/archive:", error);
+      res.status(500).json({ error: "Error archivando hucha" });
+    }
+  }
+);
+
+app.post(
+  "/piggybanks/:id/unarchive",
+  validate({ params: PIGGY_PARAMS_SCHEMA }),
+  async (req, res) => {
+    try {
+      const piggy = await repo.piggyBanks.setArchived(pool, req.params.id, req.householdId, false);
+
+      if (!piggy) return res.status(404).json({ error: "Hucha no encontrada" });
+      res.json(piggyView(piggy));
+    } catch (error) {
+      console.error("❌ Error en POST /piggybanks/:id/unarchive:", error);
+      res.status(500).json({ error: "Error reactivando hucha" });
+    }
+  }
+);
+
+app.get("/piggybanks/:id/entries", validate({ params: PIGGY_PARAMS_SCHEMA }), async (req, res) => {
+  try {
+    res.json(await repo.piggyBanks.listEntries(pool, req.params.id));
   } catch (error) {
-    console.error("❌ Error en GET /months:", error);
-    res.status(500).json({ error: "Error obteniendo meses" });
+    console.error("❌ Error en GET /piggybanks/:id/entries:", error);
+    res.status(500).json({ error: "Error obteniendo entradas de la hucha" });
   }
 });
 
-app.put("/month/:id", async (req, res) => {
+// ✅ crear entry + crear transaction vinculada (con la regla de la hucha)
+const PIGGY_ENTRY_SCHEMA = {
+  params: PIGGY_PARAMS_SCHEMA,
+  body: {
+    amount: v.money({ required: true, min: 1 }),
+    note: v.string({ max: NOTE_MAX }),
+    month_id: v.uuid({ ref: "month" }),
+  },
+};
+
+app.post("/piggybanks/:id/entries", validate(PIGGY_ENTRY_SCHEMA), async (req, res) => {
   const client = await pool.connect();
   try {
     const { id } = req.params;
-    const { incomeAmount, savingGoalAmount, weeklyBudgetAmount } = req.body;
+    const { amount, note, month_id } = req.body;
 
-    if (
-      incomeAmount === undefined &&
-      savingGoalAmount === undefined &&
-      weeklyBudgetAmount === undefined
-    ) {
-      return res.status(400).json({
-        error: "Debes enviar incomeAmount, savingGoalAmount o weeklyBudgetAmount (al menos uno).",
-      });
-    }
+    const amountCents = parseMoneyToCents(amount);
+    const piggy = await repo.piggyBanks.getById(client, id, req.householdId);
+
+    const ruleError = checkPiggyDeposit(piggy, amountCents);
+    if (ruleError) return sendInvalid(res, 422, "INVALID_VALUE", "amount", ruleError);
 
     await client.query("BEGIN");
 
-    const m = await client.query(`SELECT * FROM economia.month WHERE id=$1`, [id]);
-    if (!m.rows.length) {
-      await client.query("ROLLBACK");
-      return res.status(404).json({ error: "Mes no encontrado" });
+    const entry = await createPiggyDeposit(client, req, piggy, {
+      amount: amountCents,
+      note: note || null,
+      monthId: month_id || null,
+    });
+
+    await client.query("COMMIT");
+    res.json(entry);
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Error en POST /piggybanks/:id/entries:", error);
+    res.status(500).json({ error: "Error creando entrada en hucha" });
+  } finally {
+    client.release();
+  }
+});
+
+// ✅ sacar dinero / romper la hucha: entrada negativa + PIGGYBANK_WITHDRAWAL vinculado.
+// Sin amount sale todo el saldo. El dinero va al banco, al efectivo (con week_id, al bolsillo
+// de esa semana) o a un objetivo de ahorro (aportación PIGGY_BREAK)
+const PIGGY_WITHDRAW_DESTINATIONS = ["BANK", "CASH", "GOAL"];
+const PIGGY_WITHDRAW_SCHEMA = {
+  params: PIGGY_PARAMS_SCHEMA,
+  body: {
+    amount: v.money({ min: 1 }),
+    destination: v.oneOf(PIGGY_WITHDRAW_DESTINATIONS, { required: true }),
+    goal_id: v.uuid({ ref: "savings_goal" }),
+    month_id: v.uuid({ ref: "month" }),
+    week_id: v.uuid({ ref: "week" }),
+    note: v.string({ max: NOTE_MAX }),
+  },
+};
+
+app.post("/piggybanks/:id/withdraw", validate(PIGGY_WITHDRAW_SCHEMA), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const { amount, destination, goal_id, month_id, week_id, note } = req.body;
+
+    if (destination === "GOAL" && !goal_id) {
+      return sendInvalid(res, 400, "REQUIRED", "goal_id", "goal_id es obligatorio con GOAL");
+    }
+    if (destination !== "GOAL" && goal_id) {
+      return sendInvalid(res, 422, "INVALID_VALUE", "goal_id", "goal_id solo vale con GOAL");
+    }
+    if (destination !== "CASH" && week_id) {
+      return sendInvalid(res, 422, "INVALID_VALUE", "week_id", "week_id solo vale con CASH");
     }
 
-    const month = m.rows[0];
+    await client.query("BEGIN");
 
-    const newIncome =
-      incomeAmount === undefined ? month.income_amount : parseMoneyToCents(incomeAmount);
-    const newSaving =
-      savingGoalAmount === undefined
-        ? month.saving_goal_amount
-        : parseMoneyToCents(savingGoalAmount);
-    const newWeekly =
-      weeklyBudgetAmount === undefined
-        ? month.weekly_budget_amount
-        : parseMoneyToCents(weeklyBudgetAmount);
+    const piggy = await repo.piggyBanks.getById(client, id, req.householdId);
+    const balance = await repo.piggyBanks.balance(client, id);
+    const amountCents = isEmptyValue(amount) ? balance : parseMoneyToCents(amount);
 
-    if (!Number.isFinite(newIncome) || newIncome < 0) {
+    if (balance <= 0) {
       await client.query("ROLLBACK");
-      return res.status(400).json({ error: "incomeAmount inválido" });
+      return sendInvalid(res, 422, "OUT_OF_RANGE", "amount", `${piggy.name} está vacía`);
     }
-    if (!Number.isFinite(newSaving) || newSaving < 0) {
+    if (amountCents > balance) {
       await client.query("ROLLBACK");
-      return res.status(400).json({ error: "savingGoalAmount inválido" });
+      return sendInvalid(
+        res,
+        422,
+        "OUT_OF_RANGE",
+        "amount",
+        `En ${piggy.name} solo hay ${centsToEur(balance)}€`
+      );
     }
-    if (!Number.isFinite(newWeekly) || newWeekly < 0) {
+
+    // mes del movimiento: el de la semana, el indicado o el abierto
+    const week = week_id ? await repo.weeks.getById(client, week_id, req.householdId) : null;
+    if (week && month_id && week.month_id !== month_id) {
       await client.query("ROLLBACK");
-      return res.status(400).json({ error: "weeklyBudgetAmount inválido" });
-    }
-
-    const up = await client.query(
-      `UPDATE economia.month
-       SET income_amount=$1,
-           saving_goal_amount=$2,
-           weekly_budget_amount=$3
-       WHERE id=$4
-       RETURNING
-         *,
-         (income_amount / 100.0) AS income_amount_eur,
-         (weekly_budget_amount / 100.0) AS weekly_budget_amount_eur,
-         (saving_goal_amount / 100.0) AS saving_goal_amount_eur`,
-      [newIncome, newSaving, newWeekly, id]
-    );
+      return sendInvalid(res, 422, "INVALID_VALUE", "week_id", "La semana no es de ese mes");
+    }
+    const monthId = week ? week.month_id : month_id;
+    const month = monthId
+      ? await repo.months.getById(client, monthId, req.householdId)
+      : await repo.months.getOpen(client, req.householdId);
+    if (!month) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "No hay ningún mes OPEN" });
+    }
+    if (month.status !== "OPEN") {
+      await client.query("ROLLBACK");
+      const field = week ? "week_id" : "month_id";
+      return sendInvalid(res, 422, "INVALID_VALUE", field, "El mes no está OPEN");
+    }
 
-    if (weeklyBudgetAmount !== undefined && newWeekly !== month.weekly_budget_amount) {
-      await client.query(
-        `UPDATE economia.week
-         SET cash_withdraw_amount=$1
-         WHERE month_id=$2 AND status='OPEN'`,
-        [newWeekly, id]
-      );
+    let goal = null;
+    if (destination === "GOAL") {
+      [goal] = await getSavingsGoals(client, req.householdId, {
+        id: goal_id,
+        includeArchived: true,
+      });
+      if (goal.archived_at) {
+        await client.query("ROLLBACK");
+        return sendInvalid(
+          res,
+          422,
+          "INVALID_VALUE",
+          "goal_id",
+          `El objetivo ${goal.name} está archivado`
+        );
+      }
     }
 
+    const entry = await repo.piggyBanks.createEntry(client, {
+      piggyBankId: id,
+      amount: -amountCents,
+      note: note || null,
+      monthId: month.id,
+      destination,
+    });
+    await recordAudit(client, req, "piggy_bank_entry", "CREATE", entry.id);
+
+    const to = { BANK: "banco", CASH: "efectivo", GOAL: goal && `objetivo ${goal.name}` };
+    const tx = await repo.transactions.create(client, {
+      household_id: req.householdId,
+      amount: amountCents,
+      direction: "IN",
+      type: "PIGGYBANK_WITHDRAWAL",
+      month_id: month.id,
+      week_id: week ? week.id : undefined,
+      attribution: "HOUSE",
+      payment_method: destination === "CASH" ? "CASH" : "TRANSFER",
+      concept: `${piggy.name} → ${to[destination]}`,
+      note: note || null,
+      piggy_entry_id: entry.id,
+    });
+    await recordAudit(client, req, "transaction", "CREATE", tx.id);
+
+    const contribution = goal
+      ? await createGoalContribution(client, req, goal, {
+          amount: amountCents,
+          source: "PIGGY_BREAK",
+          monthId: month.id,
+          note: note || null,
+          transactionId: tx.id,
+        })
+      : null;
+
     await client.query("COMMIT");
-    res.json(up.rows[0]);
+    res.json({
+      entry,
+      transaction: tx,
+      contribution,
+      balance: balance - amountCents,
+      balance_eur: centsToEur(balance - amountCents),
+    });
   } catch (error) {
     await client.query("ROLLBACK");
-    console.error("❌ Error en PUT /month/:id:", error);
-    res.status(500).json({ error: "Error actualizando el mes" });
+    console.error("❌ Error en POST /piggybanks/:id/withdraw:", error);
+    res.status(500).json({ error: "Error sacando dinero de la hucha" });
   } finally {
     client.release();
   }
 });
 
-app.delete("/month/:id", async (req, res) => {
+// ✅ borrar entry (a la papelera, con su transacción vinculada)
+app.delete("/piggybanks/entries/:entryId", async (req, res) => {
   const client = await pool.connect();
   try {
-    const { id } = req.params;
+    const { entryId } = req.params;
 
     await client.query("BEGIN");
 
-    const m = await client.query(`SELECT * FROM economia.month WHERE id=$1`, [id]);
-    if (!m.rows.length) {
+    const target = await repo.piggyBanks.getEntry(client, entryId, req.householdId);
+    if (!target) {
       await client.query("ROLLBACK");
-      return res.status(404).json({ error: "Mes no encontrado" });
+      return res.status(404).json({ error: "Entrada no encontrada" });
+    }
+
+    // una aportación cuyo dinero ya se ha sacado dejaría la hucha en negativo
+    if (target.amount > 0) {
+      const balance = await repo.piggyBanks.balance(client, target.piggy_bank_id);
+      if (balance < target.amount) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({
+          error: `No se puede borrar: en la hucha solo quedan ${centsToEur(balance)}€`,
+        });
+      }
     }
 
-    await client.query(`DELETE FROM economia.month WHERE id=$1`, [id]);
+    // la entrada va a la papelera junto con su transacción vinculada
+    const txs = await auditSnapshots(
+      client,
+      "transaction",
+      "x.piggy_entry_id = $1 AND x.deleted_at IS NULL",
+      [entryId]
+    );
+    const entry = await auditSnapshot(client, "piggy_bank_entry", entryId);
+
+    await repo.piggyBanks.softDeleteEntry(client, entryId);
+
+    for (const t of txs) await recordAudit(client, req, "transaction", "UPDATE", t.id, t);
+    await recordAudit(client, req, "piggy_bank_entry", "UPDATE", entryId, entry);
 
     await client.query("COMMIT");
-    res.json({ ok: true, deletedMonthId: id });
+    res.json({ ok: true });
   } catch (error) {
     await client.query("ROLLBACK");
-    console.error("❌ Error en DELETE /month/:id:", error);
-    res.status(500).json({ error: "Error borrando el mes" });
+    console.error("❌ Error en DELETE /piggybanks/entries/:entryId:", error);
+    res.status(500).json({ error: "Error borrando entrada de hucha" });
   } finally {
     client.release();
   }
 });
 
-/* ===================== WEEKS ===================== */
-app.get("/weeks", async (_req, res) => {
-  try {
-    const m = await pool.query(
-      `SELECT id FROM economia.month WHERE status='OPEN' ORDER BY created_at DESC LIMIT 1`
-    );
-    if (!m.rows.length) return res.json([]);
-
-    const monthId = m.rows[0].id;
-
-    const { rows } = await pool.query(
-      `SELECT
-         *,
-         (cash_withdraw_amount / 100.0) AS cash_withdraw_amount_eur,
-         (cash_returned_to_bank_amount / 100.0) AS cash_returned_to_bank_amount_eur
-       FROM economia.week
-       WHERE month_id=$1
-       ORDER BY week_index ASC`,
-      [monthId]
-    );
+/* ===================== SAFETY FUND ===================== */
+/*
+  Fondo de seguridad: entra con CONSOLIDATE_TO_SAFETY (cierre de mes) y sale con
+  EMERGENCY_FROM_SAFETY (imprevistos, con su motivo).
+  - Un imprevisto no puede dejar el fondo en negativo salvo que se pida (allowOverdraft); en
+    ese caso queda un aviso SAFETY_OVERDRAFT.
+  - Nivel objetivo: importe fijo o N meses del gasto medio de los últimos
+    SAFETY_HISTORY_MONTHS meses cerrados. Lo que falte se repone en replenishMonths cuotas y,
+    con autoReplenish, el cierre de mes aparta la cuota antes de repartir a objetivos de
+    ahorro (ver closeMonthWithConsolidation).
+*/
+const SAFETY_HISTORY_MONTHS = 6;
+const EMERGENCY_REASONS = ["HEALTH", "HOME", "VEHICLE", "JOB", "FAMILY", "OTHER"];
+
+// Saldo, nivel objetivo y cuota de reposición del hogar (céntimos)
+async function getSafetyStatus(db, householdId) {
+  const plan = await repo.households.getSafetyPlan(db, householdId);
+  const balance = await repo.safety.balance(db, householdId);
+
+  const history = await repo.safety.closedMonthExpenses(db, householdId, SAFETY_HISTORY_MONTHS);
+  const avgExpenses = history.length
+    ? Math.round(history.reduce((acc, m) => acc + m.expenses, 0) / history.length)
+    : null;
+
+  let target = plan.target_amount || null;
+  if (plan.target_months && avgExpenses !== null) target = plan.target_months * avgExpenses;
+
+  const gap = target === null ? null : Math.max(0, target - balance);
+  // cuota en euros enteros (la última sale algo más corta)
+  const monthly = gap ? Math.min(gap, Math.ceil(gap / plan.replenish_months / 100) * 100) : 0;
+
+  return {
+    balance,
+    target_months: plan.target_months,
+    target_amount: plan.target_amount,
+    history_months: history.length,
+    avg_monthly_expenses: avgExpenses,
+    target,
+    gap,
+    progress_pct: target
+      ? Math.min(100, Math.max(0, Math.round((balance / target) * 1000) / 10))
+      : null,
+    plan: {
+      months: plan.replenish_months,
+      monthly,
+      auto_apply: plan.auto_replenish,
+      monthly_eur: centsToEur(monthly),
+    },
+    balance_eur: centsToEur(balance),
+    target_amount_eur: plan.target_amount === null ? null : centsToEur(plan.target_amount),
+    avg_monthly_expenses_eur: avgExpenses === null ? null : centsToEur(avgExpenses),
+    target_eur: target === null ? null : centsToEur(target),
+    gap_eur: gap === null ? null : centsToEur(gap),
+  };
+}
 
-    res.json(rows);
+app.get("/safety/balance", async (req, res) => {
+  try {
+    const balance = await repo.safety.balance(pool, req.householdId);
+    res.json({ balance, balance_eur: centsToEur(balance) });
   } catch (error) {
-    console.error("❌ Error en GET /weeks:", error);
-    res.status(500).json({ error: "Error obteniendo semanas" });
+    console.error("❌ Error en GET /safety/balance:", error);
+    res.status(500).json({ error: "Error calculando fondo de seguridad" });
   }
 });
 
-app.post("/weeks/:id/cash-return", async (req, res) => {
-  const client = await pool.connect();
+app.get("/safety/target", async (req, res) => {
   try {
-    const { id } = req.params;
-    const { amount } = req.body;
-
-    const amountCents = parseMoneyToCents(amount);
-    if (amountCents === null || amountCents <= 0) {
-      return res.status(400).json({ error: "amount es obligatorio (válido)" });
-    }
-
-    await client.query("BEGIN");
-
-    const w = await client.query(`SELECT * FROM economia.week WHERE id=$1`, [id]);
-    if (!w.rows.length) return res.status(404).json({ error: "Semana no encontrada" });
+    res.json(await getSafetyStatus(pool, req.householdId));
+  } catch (error) {
+    console.error("❌ Error en GET /safety/target:", error);
+    res.status(500).json({ error: "Error calculando objetivo del fondo" });
+  }
+});
 
-    const week = w.rows[0];
+// Solo cambia lo que se envía; targetMonths y targetAmount se excluyen (null = sin objetivo)
+const SAFETY_TARGET_SCHEMA = {
+  targetMonths: v.int({ min: 1, max: 24 }),
+  targetAmount: v.money({ min: 1 }),
+  replenishMonths: v.int({ min: 1, max: 36 }),
+  autoReplenish: v.boolean(),
+};
 
-    const up = await client.query(
-      `UPDATE economia.week
-       SET cash_returned_to_bank_amount = cash_returned_to_bank_amount + $1
-       WHERE id=$2
-       RETURNING
-         *,
-         (cash_returned_to_bank_amount / 100.0) AS cash_returned_to_bank_amount_eur`,
-      [amountCents, id]
-    );
+app.put("/safety/target", validate({ body: SAFETY_TARGET_SCHEMA }), async (req, res) => {
+  try {
+    const { targetMonths, targetAmount, replenishMonths, autoReplenish } = req.body;
+
+    if (!isEmptyValue(targetMonths) && !isEmptyValue(targetAmount)) {
+      return sendInvalid(
+        res,
+        422,
+        "INVALID_VALUE",
+        "targetAmount",
+        "Envía targetMonths o targetAmount, no los dos"
+      );
+    }
 
-    await client.query(
-      `INSERT INTO economia.transaction
-        (date_time, amount, direction, type, month_id, week_id, attribution, payment_method, concept, note)
-       VALUES (NOW(), $1, 'IN', 'CASH_RETURN', $2, $3, 'HOUSE', 'CASH', 'Devolver billetes', NULL)`,
-      [amountCents, week.month_id, id]
-    );
+    const plan = await repo.households.getSafetyPlan(pool, req.householdId);
+    if (targetMonths !== undefined || targetAmount !== undefined) {
+      plan.target_months = isEmptyValue(targetMonths) ? null : Number(targetMonths);
+      plan.target_amount = isEmptyValue(targetAmount) ? null : parseMoneyToCents(targetAmount);
+    }
+    if (!isEmptyValue(replenishMonths)) plan.replenish_months = Number(replenishMonths);
+    if (autoReplenish !== undefined && autoReplenish !== null) {
+      plan.auto_replenish = autoReplenish;
+    }
 
-    await client.query("COMMIT");
-    res.json(up.rows[0]);
+    await repo.households.setSafetyPlan(pool, req.householdId, plan);
+    res.json(await getSafetyStatus(pool, req.householdId));
   } catch (error) {
-    await client.query("ROLLBACK");
-    console.error("❌ Error en POST /weeks/:id/cash-return:", error);
-    res.status(500).json({ error: "Error devolviendo efectivo al banco" });
-  } finally {
-    client.release();
+    console.error("❌ Error en PUT /safety/target:", error);
+    res.status(500).json({ error: "Error guardando objetivo del fondo" });
   }
 });
 
-// ✅ Cerrar semana (reparte sobrante)
-app.post("/weeks/:id/close", async (req, res) => {
+const EMERGENCY_SCHEMA = {
+  month_id: v.uuid({ required: true, ref: "month" }),
+  amount: v.money({ required: true, min: 1 }),
+  note: v.string({ required: true, max: NOTE_MAX }),
+  reason: v.oneOf(EMERGENCY_REASONS, { ignoreCase: true }),
+  allowOverdraft: v.boolean(),
+};
+
+app.post("/safety/emergency", validate({ body: EMERGENCY_SCHEMA }), async (req, res) => {
   const client = await pool.connect();
   try {
-    const { id } = req.params;
-    const { piggyTwoAmount, piggyNormalAmount, returnToBankAmount, note } = req.body;
-
-    const twoCents = parseMoneyToCents(piggyTwoAmount || "0") || 0;
-    const normalCents = parseMoneyToCents(piggyNormalAmount || "0") || 0;
-    const returnCents = parseMoneyToCents(returnToBankAmount || "0") || 0;
-
-    if (twoCents < 0 || normalCents < 0 || returnCents < 0) {
-      return res.status(400).json({ error: "Cantidades inválidas" });
-    }
-
-    const totalMove = twoCents + normalCents + returnCents;
-    if (totalMove <= 0) {
-      return res.status(400).json({ error: "Debes mover algún importe" });
-    }
+    const { month_id, amount, note, reason, allowOverdraft } = req.body;
 
-    // ✅ regla hucha 2€: múltiplos de 2€
-    if (twoCents % 200 !== 0) {
-      return res.status(400).json({ error: "Hucha 2€: solo múltiplos de 2€ (2,4,6...)." });
-    }
+    const amountCents = parseMoneyToCents(amount);
 
     await client.query("BEGIN");
 
-    const wq = await client.query(`SELECT * FROM economia.week WHERE id=$1 LIMIT 1`, [id]);
-    if (!wq.rows.length) {
-      await client.query("ROLLBACK");
-      return res.status(404).json({ error: "Semana no encontrada" });
-    }
-    const week = wq.rows[0];
-
-    if (week.status !== "OPEN") {
+    const balance = await repo.safety.balance(client, req.householdId, { lock: true });
+    const overdraft = Math.max(0, amountCents - balance);
+    if (overdraft > 0 && allowOverdraft !== true) {
       await client.query("ROLLBACK");
-      return res.status(400).json({ error: "La semana ya está cerrada" });
+      return sendInvalid(
+        res,
+        422,
+        "OUT_OF_RANGE",
+        "amount",
+        `En el fondo solo hay ${centsToEur(Math.max(0, balance))}€ (allowOverdraft para sacar más)`
+      );
     }
 
-    // ✅ bolsillo semana = retiradas - (gastos cash + piggy + devoluciones)
-    const cashAgg = await client.query(
-      `SELECT
-        COALESCE(SUM(CASE WHEN type='CASH_WITHDRAWAL' THEN amount ELSE 0 END),0)::int AS cash_in,
-        COALESCE(SUM(CASE WHEN type='EXPENSE' AND payment_method='CASH' THEN amount ELSE 0 END),0)::int AS cash_expense_out,
-        COALESCE(SUM(CASE WHEN type='PIGGYBANK_DEPOSIT' AND payment_method='CASH' THEN amount ELSE 0 END),0)::int AS piggy_out,
-        COALESCE(SUM(CASE WHEN type='CASH_RETURN' THEN amount ELSE 0 END),0)::int AS return_out
-      FROM economia.transaction
-      WHERE month_id=$1 AND week_id=$2`,
-      [week.month_id, week.id]
-    );
-
-    const cashIn = cashAgg.rows[0].cash_in;
-    const cashOut =
-      cashAgg.rows[0].cash_expense_out + cashAgg.rows[0].piggy_out + cashAgg.rows[0].return_out;
-    const cashBalance = cashIn - cashOut;
-
-    if (totalMove > cashBalance) {
-      await client.query("ROLLBACK");
-      return res.status(400).json({
-        error: `No puedes mover más de lo que queda en el bolsillo de esa semana (${centsToEur(
-          cashBalance
-        )}€)`,
+    const tx = await repo.transactions.create(client, {
+      household_id: req.householdId,
+      amount: amountCents,
+      direction: "OUT",
+      type: "EMERGENCY_FROM_SAFETY",
+      month_id,
+      attribution: "HOUSE",
+      payment_method: "TRANSFER",
+      concept: "Imprevisto",
+      note,
+      emergency_reason: reason ? String(reason).toUpperCase() : "OTHER",
+    });
+    await recordAudit(client, req, "transaction", "CREATE", tx.id);
+
+    if (overdraft > 0) {
+      await repo.notifications.create(client, {
+        householdId: req.householdId,
+        type: "SAFETY_OVERDRAFT",
+        message: `Imprevisto de ${centsToEur(amountCents)}€ con ${centsToEur(
+          Math.max(0, balance)
+        )}€ en el fondo: queda en ${centsToEur(balance - amountCents)}€`,
+        data: { transaction_id: tx.id, balance, amount: amountCents, overdraft },
       });
     }
 
-    // ids de huchas
-    const piggies = await client.query(`SELECT id, type FROM economia.piggy_bank`);
-    const twoPiggy = piggies.rows.find((p) => p.type === "TWO_EURO");
-    const normalPiggy = piggies.rows.find((p) => p.type === "NORMAL");
+    await client.query("COMMIT");
+    res.json({
+      ...tx,
+      overdraft,
+      overdraft_eur: centsToEur(overdraft),
+      safety_balance: balance - amountCents,
+      safety_balance_eur: centsToEur(balance - amountCents),
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Error en POST /safety/emergency:", error);
+    res.status(500).json({ error: "Error usando fondo de seguridad" });
+  } finally {
+    client.release();
+  }
+});
 
-    if (!twoPiggy || !normalPiggy) {
-      await client.query("ROLLBACK");
-      return res.status(500).json({ error: "No existen huchas seed en DB" });
-    }
+app.get("/safety/history", validate({ query: { limit: v.int({ min: 1 }) } }), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || "50", 10), 200);
 
-    // Aporte hucha 2€
-    if (twoCents > 0) {
-      const entry = await client.query(
-        `INSERT INTO economia.piggy_bank_entry (piggy_bank_id, amount, note, month_id)
-         VALUES ($1,$2,$3,$4)
-         RETURNING id`,
-        [twoPiggy.id, twoCents, note || null, week.month_id]
-      );
+    res.json(await repo.safety.history(pool, req.householdId, limit));
+  } catch (error) {
+    console.error("❌ Error en GET /safety/history:", error);
+    res.status(500).json({ error: "Error obteniendo histórico del fondo" });
+  }
+});
 
-      await client.query(
-        `INSERT INTO economia.transaction
-          (date_time, amount, direction, type, month_id, week_id, attribution, payment_method, concept, note, piggy_entry_id)
-         VALUES (NOW(), $1, 'OUT', 'PIGGYBANK_DEPOSIT', $2, $3, 'HOUSE', 'CASH', 'Aporte hucha 2€', $4, $5)`,
-        [twoCents, week.month_id, week.id, note || null, entry.rows[0].id]
-      );
-    }
+/* ===================== SAVINGS GOALS ===================== */
+/*
+  Objetivos de ahorro con nombre (coche, vacaciones...), importe objetivo y fecha límite
+  opcional. Las aportaciones llegan por tres vías:
+    MONTH_CLOSE  POST /month/close con goals: parte del sobrante en vez de ir al fondo
+    MANUAL       POST /savings-goals/:id/contributions (con monthId sale del mes)
+    PIGGY_BREAK  POST /piggybanks/:id/withdraw con destination GOAL
+  Una aportación que sale de un mes lleva su movimiento GOAL_CONTRIBUTION (cuenta como ahorro
+  del mes en los informes); la de una hucha, su PIGGYBANK_WITHDRAWAL. Si ese movimiento está
+  en la papelera, la aportación no cuenta.
+*/
+const GOAL_SCHEMA = {
+  name: v.string({ required: true, notEmpty: true, max: NAME_MAX }),
+  targetAmount: v.money({ required: true, min: 1 }),
+  deadline: v.date(),
+};
+const GOAL_UPDATE_SCHEMA = {
+  name: v.string({ notEmpty: true, max: NAME_MAX }),
+  targetAmount: v.money({ min: 1 }),
+  deadline: v.date(),
+};
+const GOAL_PARAMS_SCHEMA = { id: v.uuid({ ref: "savings_goal" }) };
+const GOAL_CONTRIBUTION_SCHEMA = {
+  params: GOAL_PARAMS_SCHEMA,
+  body: {
+    amount: v.money({ required: true, min: 1 }),
+    monthId: v.uuid({ ref: "month" }),
+    note: v.string({ max: NOTE_MAX }),
+  },
+};
+
+// Progreso y aportación mensual necesaria para llegar a la fecha límite (contando el mes
+// en curso; con la fecha ya pasada, todo lo que falta)
+function withGoalProgress(goal, today = new Date()) {
+  const remaining = Math.max(0, goal.target_amount - goal.saved_amount);
+
+  let monthsLeft = null;
+  let requiredMonthly = null;
+  if (goal.deadline) {
+    const [year, month] = goal.deadline.split("-").map(Number);
+    const current = today.getFullYear() * 12 + today.getMonth() + 1;
+    monthsLeft = Math.max(0, year * 12 + month - current + 1);
+    requiredMonthly = Math.ceil(remaining / Math.max(1, monthsLeft));
+  }
 
-    // Aporte hucha normal
-    if (normalCents > 0) {
-      const entry = await client.query(
-        `INSERT INTO economia.piggy_bank_entry (piggy_bank_id, amount, note, month_id)
-         VALUES ($1,$2,$3,$4)
-         RETURNING id`,
-        [normalPiggy.id, normalCents, note || null, week.month_id]
-      );
+  let status = "ACTIVE";
+  if (goal.archived_at) status = "ARCHIVED";
+  else if (remaining === 0) status = "REACHED";
+  else if (goal.deadline && goal.deadline < toDateOnly(today)) status = "OVERDUE";
+
+  return {
+    ...goal,
+    status,
+    target_amount_eur: centsToEur(goal.target_amount),
+    saved_amount_eur: centsToEur(goal.saved_amount),
+    remaining_amount: remaining,
+    remaining_amount_eur: centsToEur(remaining),
+    progress_pct: Math.round((goal.saved_amount * 1000) / goal.target_amount) / 10,
+    months_left: monthsLeft,
+    required_monthly: requiredMonthly,
+    required_monthly_eur: centsToEur(requiredMonthly),
+  };
+}
 
-      await client.query(
-        `INSERT INTO economia.transaction
-          (date_time, amount, direction, type, month_id, week_id, attribution, payment_method, concept, note, piggy_entry_id)
-         VALUES (NOW(), $1, 'OUT', 'PIGGYBANK_DEPOSIT', $2, $3, 'HOUSE', 'CASH', 'Aporte hucha normal', $4, $5)`,
-        [normalCents, week.month_id, week.id, note || null, entry.rows[0].id]
-      );
-    }
+// Un objetivo (id) o todos los del hogar, con lo ahorrado y su progreso
+async function getSavingsGoals(db, householdId, opts = {}) {
+  const goals = await repo.savingsGoals.list(db, householdId, opts);
+  return goals.map((g) => withGoalProgress(g));
+}
 
-    // Devolver al banco
-    if (returnCents > 0) {
-      await client.query(
-        `UPDATE economia.week
-         SET cash_returned_to_bank_amount = cash_returned_to_bank_amount + $1
-         WHERE id=$2`,
-        [returnCents, week.id]
-      );
+// Aportación a un objetivo; con monthId deja además su movimiento GOAL_CONTRIBUTION en el mes,
+// salvo que ya venga con el suyo (transactionId: la retirada de una hucha, que no sale del mes).
+// Va dentro de la transacción de client (ver /month/close y /savings-goals/:id/contributions)
+async function createGoalContribution(
+  client,
+  req,
+  goal,
+  { amount, source, monthId = null, note = null, transactionId = null }
+) {
+  if (monthId && !transactionId) {
+    const tx = await repo.transactions.create(client, {
+      household_id: req.householdId,
+      amount,
+      direction: "IN",
+      type: "GOAL_CONTRIBUTION",
+      month_id: monthId,
+      attribution: "HOUSE",
+      payment_method: "TRANSFER",
+      concept: `Objetivo: ${goal.name}`,
+      note,
+    });
+    await recordAudit(client, req, "transaction", "CREATE", tx.id);
+    transactionId = tx.id;
+  }
 
-      await client.query(
-        `INSERT INTO economia.transaction
-          (date_time, amount, direction, type, month_id, week_id, attribution, payment_method, concept, note)
-         VALUES (NOW(), $1, 'IN', 'CASH_RETURN', $2, $3, 'HOUSE', 'CASH', 'Cierre semana: vuelve al banco', $4)`,
-        [returnCents, week.month_id, week.id, note || null]
-      );
-    }
+  return repo.savingsGoals.createContribution(client, {
+    goalId: goal.id,
+    amount,
+    source,
+    monthId,
+    transactionId,
+    note,
+    userId: req.user ? req.user.id : null,
+  });
+}
 
-    // cerrar semana
-    await client.query(`UPDATE economia.week SET status='CLOSED', closed_at=NOW() WHERE id=$1`, [
-      week.id,
-    ]);
+app.get(
+  "/savings-goals",
+  validate({ query: { includeArchived: v.boolean() } }),
+  async (req, res) => {
+    try {
+      const includeArchived = req.query.includeArchived === "true";
+      const goals = await getSavingsGoals(pool, req.householdId, { includeArchived });
+
+      const active = goals.filter((g) => !g.archived_at);
+      const sum = (key) => active.reduce((acc, g) => acc + (g[key] || 0), 0);
+      res.json({
+        goals,
+        totals: {
+          target_amount: sum("target_amount"),
+          saved_amount: sum("saved_amount"),
+          required_monthly: sum("required_monthly"),
+          target_amount_eur: centsToEur(sum("target_amount")),
+          saved_amount_eur: centsToEur(sum("saved_amount")),
+          required_monthly_eur: centsToEur(sum("required_monthly")),
+        },
+      });
+    } catch (error) {
+      console.error("❌ Error en GET /savings-goals:", error);
+      res.status(500).json({ error: "Error obteniendo objetivos de ahorro" });
+    }
+  }
+);
 
-    await client.query("COMMIT");
+app.get("/savings-goals/:id", async (req, res) => {
+  try {
+    const [goal] = await getSavingsGoals(pool, req.householdId, {
+      id: req.params.id,
+      includeArchived: true,
+    });
+    if (!goal) return res.status(404).json({ error: "Objetivo no encontrado" });
+    res.json(goal);
+  } catch (error) {
+    console.error("❌ Error en GET /savings-goals/:id:", error);
+    res.status(500).json({ error: "Error obteniendo objetivo" });
+  }
+});
 
-    res.json({
-      ok: true,
-      week_id: week.id,
-      moved: {
-        piggy_two: twoCents,
-        piggy_two_eur: centsToEur(twoCents),
-        piggy_normal: normalCents,
-        piggy_normal_eur: centsToEur(normalCents),
-        return_to_bank: returnCents,
-        return_to_bank_eur: centsToEur(returnCents),
-        total: totalMove,
-        total_eur: centsToEur(totalMove),
-      },
+app.post("/savings-goals", validate({ body: GOAL_SCHEMA }), async (req, res) => {
+  try {
+    const { name, targetAmount, deadline } = req.body;
+
+    const id = await repo.savingsGoals.create(pool, req.householdId, {
+      name: String(name).trim(),
+      targetAmount: parseMoneyToCents(targetAmount),
+      deadline: deadline || null,
     });
+
+    const [goal] = await getSavingsGoals(pool, req.householdId, { id });
+    res.json(goal);
   } catch (error) {
-    await client.query("ROLLBACK");
-    console.error("❌ Error en POST /weeks/:id/close:", error);
-    res.status(500).json({ error: "Error cerrando semana" });
-  } finally {
-    client.release();
+    if (error.code === "23505") {
+      return res.status(409).json({ error: "Ya existe un objetivo con ese nombre" });
+    }
+    console.error("❌ Error en POST /savings-goals:", error);
+    res.status(500).json({ error: "Error creando objetivo" });
   }
 });
 
-/* ===================== INCOME EXTRA ===================== */
-app.post("/income/extra", async (req, res) => {
+app.put("/savings-goals/:id", validate({ body: GOAL_UPDATE_SCHEMA }), async (req, res) => {
   try {
-    const { month_id, amount, attribution, concept, note } = req.body;
+    const { id } = req.params;
+    const { name, targetAmount, deadline } = req.body;
 
-    const amountCents = parseMoneyToCents(amount);
-    if (!month_id || amountCents === null || amountCents <= 0) {
-      return res.status(400).json({ error: "month_id y amount son obligatorios (amount válido)" });
+    // deadline admite null explícito para quitar la fecha límite
+    const found = await repo.savingsGoals.update(pool, id, req.householdId, {
+      name: name === undefined ? undefined : String(name).trim(),
+      targetAmount: isEmptyValue(targetAmount) ? undefined : parseMoneyToCents(targetAmount),
+      deadline,
+    });
+
+    if (!found) return res.status(404).json({ error: "Objetivo no encontrado" });
+    const [goal] = await getSavingsGoals(pool, req.householdId, { id, includeArchived: true });
+    res.json(goal);
+  } catch (error) {
+    if (error.code === "23505") {
+      return res.status(409).json({ error: "Ya existe un objetivo con ese nombre" });
     }
+    console.error("❌ Error en PUT /savings-goals/:id:", error);
+    res.status(500).json({ error: "Error editando objetivo" });
+  }
+});
 
-    const finalAttr = attribution || "HOUSE";
+// ✅ Archivar / reactivar (un objetivo archivado no admite aportaciones)
+app.post("/savings-goals/:id/archive", async (req, res) => {
+  try {
+    const found = await repo.savingsGoals.setArchived(pool, req.params.id, req.householdId, true);
 
-    const { rows } = await pool.query(
-      `INSERT INTO economia.transaction
-        (date_time, amount, direction, type, month_id, attribution, payment_method, concept, note)
-       VALUES (NOW(), $1, 'IN', 'EXTRA_INCOME', $2, $3::economia.attribution, 'TRANSFER', $4, $5)
-       RETURNING
-         *,
-         (amount / 100.0) AS amount_eur`,
-      [
-        amountCents,
-        month_id,
-        finalAttr,
-        concept && String(concept).trim() ? String(concept).trim() : "Ingreso extra",
-        note || null,
-      ]
-    );
+    if (!found) return res.status(404).json({ error: "Objetivo no encontrado" });
+    const [goal] = await getSavingsGoals(pool, req.householdId, {
+      id: req.params.id,
+      includeArchived: true,
+    });
+    res.json(goal);
+  } catch (error) {
+    console.error("❌ Error en POST /savings-goals/:id/archive:", error);
+    res.status(500).json({ error: "Error archivando objetivo" });
+  }
+});
 
-    res.json(rows[0]);
+app.post("/savings-goals/:id/unarchive", async (req, res) => {
+  try {
+    const found = await repo.savingsGoals.setArchived(pool, req.params.id, req.householdId, false);
+
+    if (!found) return res.status(404).json({ error: "Objetivo no encontrado" });
+    const [goal] = await getSavingsGoals(pool, req.householdId, { id: req.params.id });
+    res.json(goal);
   } catch (error) {
-    console.error("❌ Error en POST /income/extra:", error);
-    res.status(500).json({ error: "Error creando ingreso extra" });
+    console.error("❌ Error en POST /savings-goals/:id/unarchive:", error);
+    res.status(500).json({ error: "Error reactivando objetivo" });
   }
 });
 
-/* ===================== TRANSACTIONS ===================== */
-app.post("/transactions", async (req, res) => {
+// Solo sin aportaciones: con historial, se archiva
+app.delete("/savings-goals/:id", async (req, res) => {
   try {
-    const {
-      date_time,
-      amount,
-      type,
-      direction,
-      month_id,
-      week_id,
-      category_id,
-      attribution,
-      payment_method,
-      concept,
-      note,
-    } = req.body;
+    if (await repo.savingsGoals.hasContributions(pool, req.params.id, req.householdId)) {
+      return res.status(409).json({ error: "El objetivo tiene aportaciones: archívalo" });
+    }
 
-    const amountCents = parseMoneyToCents(amount);
+    if (!(await repo.savingsGoals.remove(pool, req.params.id, req.householdId))) {
+      return res.status(404).json({ error: "Objetivo no encontrado" });
+    }
+    res.json({ ok: true });
+  } catch (error) {
+    console.error("❌ Error en DELETE /savings-goals/:id:", error);
+    res.status(500).json({ error: "Error borrando objetivo" });
+  }
+});
 
-    if (amountCents === null || amountCents <= 0 || !month_id || !attribution || !payment_method) {
-      return res.status(400).json({
-        error: "amount, month_id, attribution y payment_method son obligatorios (amount válido)",
-      });
+// Historial de aportaciones (más recientes primero) con lo acumulado tras cada una;
+// counted = false si su movimiento está en la papelera
+app.get(
+  "/savings-goals/:id/contributions",
+  validate({ params: GOAL_PARAMS_SCHEMA }),
+  async (req, res) => {
+    try {
+      const rows = await repo.savingsGoals.listContributions(pool, req.params.id);
+      res.json(rows.map((r) => ({ ...r, saved_after_eur: centsToEur(r.saved_after) })));
+    } catch (error) {
+      console.error("❌ Error en GET /savings-goals/:id/contributions:", error);
+      res.status(500).json({ error: "Error obteniendo aportaciones" });
     }
+  }
+);
 
-    const finalType = type || "EXPENSE";
-    const finalDirection = direction || (finalType === "EXTRA_INCOME" ? "IN" : "OUT");
+app.post(
+  "/savings-goals/:id/contributions",
+  validate(GOAL_CONTRIBUTION_SCHEMA),
+  async (req, res) => {
+    const client = await pool.connect();
+    try {
+      const { amount, monthId, note } = req.body;
+
+      const [goal] = await getSavingsGoals(client, req.householdId, {
+        id: req.params.id,
+        includeArchived: true,
+      });
+      if (goal.archived_at) {
+        return sendInvalid(res, 422, "INVALID_VALUE", "id", "El objetivo está archivado");
+      }
 
-    if (finalType === "EXPENSE" && !category_id) {
-      return res.status(400).json({ error: "category_id es obligatorio cuando type=EXPENSE" });
-    }
-
-    const { rows } = await pool.query(
-      `INSERT INTO economia.transaction
-        (date_time, amount, direction, type, month_id, week_id, category_id, attribution, payment_method, concept, note)
-       VALUES
-        (COALESCE($1, NOW()), $2, $3, $4::economia.tx_type, $5, $6, $7, $8::economia.attribution, $9::economia.payment_method, $10, $11)
-       RETURNING
-         *,
-         (amount / 100.0) AS amount_eur`,
-      [
-        date_time || null,
-        amountCents,
-        finalDirection,
-        finalType,
-        month_id,
-        week_id || null,
-        category_id || null,
-        attribution,
-        payment_method,
-        concept && String(concept).trim() ? String(concept).trim() : null,
-        note || null,
-      ]
-    );
+      await client.query("BEGIN");
 
-    res.json(rows[0]);
-  } catch (error) {
-    console.error("❌ Error en POST /transactions:", error);
-    res.status(500).json({ error: "Error creando transacción" });
+      // el movimiento cuenta en el mes: solo en uno OPEN (como el resto de movimientos)
+      if (monthId) {
+        const month = await repo.months.getById(client, monthId, req.householdId);
+        if (month.status !== "OPEN") {
+          await client.query("ROLLBACK");
+          return sendInvalid(res, 422, "INVALID_VALUE", "monthId", "El mes no está OPEN");
+        }
+      }
+
+      const contribution = await createGoalContribution(client, req, goal, {
+        amount: parseMoneyToCents(amount),
+        source: "MANUAL",
+        monthId: monthId || null,
+        note: note || null,
+      });
+
+      await client.query("COMMIT");
+      res.json(contribution);
+    } catch (error) {
+      await client.query("ROLLBACK");
+      console.error("❌ Error en POST /savings-goals/:id/contributions:", error);
+      res.status(500).json({ error: "Error registrando aportación" });
+    } finally {
+      client.release();
+    }
   }
-});
+);
 
-app.get("/transactions", async (req, res) => {
+// ✅ borrar aportación. Con movimiento, este va a la papelera: la aportación deja de contar
+// y vuelve con él si se restaura
+app.delete("/savings-goals/contributions/:contributionId", async (req, res) => {
+  const client = await pool.connect();
   try {
-    const { monthId } = req.query;
-    if (!monthId) return res.status(400).json({ error: "monthId es obligatorio" });
+    const { contributionId } = req.params;
+
+    await client.query("BEGIN");
 
-    const { rows } = await pool.query(
-      `SELECT
-         t.*,
-         (t.amount / 100.0) AS amount_eur,
-         c.name AS category_name
-       FROM economia.transaction t
-       LEFT JOIN economia.category c ON c.id = t.category_id
-       WHERE t.month_id = $1
-       ORDER BY t.date_time DESC`,
-      [String(monthId)]
+    const contribution = await repo.savingsGoals.getContribution(
+      client,
+      contributionId,
+      req.householdId
     );
+    if (!contribution) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Aportación no encontrada" });
+    }
 
-    res.json(rows);
+    const { source, transaction_id: transactionId } = contribution;
+    if (source === "PIGGY_BREAK" && transactionId) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        error: "Esta aportación sale de una hucha: borra la retirada desde la hucha",
+      });
+    }
+    if (transactionId) {
+      const before = await auditSnapshot(client, "transaction", transactionId);
+      // ya en la papelera: la aportación no cuenta, como si no existiera
+      if (!(await repo.transactions.softDelete(client, transactionId, req.householdId))) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Aportación no encontrada" });
+      }
+      await recordAudit(client, req, "transaction", "UPDATE", transactionId, before);
+    } else {
+      await repo.savingsGoals.removeContribution(client, contributionId);
+    }
+
+    await client.query("COMMIT");
+    res.json({ ok: true });
   } catch (error) {
-    console.error("❌ Error en GET /transactions:", error);
-    res.status(500).json({ error: "Error obteniendo transacciones" });
+    await client.query("ROLLBACK");
+    console.error("❌ Error en DELETE /savings-goals/contributions/:contributionId:", error);
+    res.status(500).json({ error: "Error borrando aportación" });
+  } finally {
+    client.release();
   }
 });
 
-app.get("/transactions/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
+/* ===================== TRASH ===================== */
+/*
+  Papelera: meses, movimientos y entradas de hucha borrados (deleted_at).
+  - Un mes arrastra sus movimientos activos y una entrada su transacción vinculada
+    (trashed_with_id); al restaurar vuelven con él.
+  - Pasados TRASH_RETENTION_DAYS días se purgan solos (borrado definitivo, sin auditoría).
+*/
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 30);
+const TRASH_PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+const TRASH_TYPES = ["month", "transaction", "piggy_bank_entry"];
+
+// Purga definitiva (ver repo.trash.purge). Sin householdId purga todos los hogares (solo con
+// expiredOnly).
+function purgeTrash(db, householdId, opts = {}) {
+  return repo.trash.purge(db, householdId, { ...opts, retentionDays: TRASH_RETENTION_DAYS });
+}
 
-    const { rows } = await pool.query(
-      `SELECT
-         t.*,
-         (t.amount / 100.0) AS amount_eur,
-         c.name AS category_name
-       FROM economia.transaction t
-       LEFT JOIN economia.category c ON c.id = t.category_id
-       WHERE t.id = $1
-       LIMIT 1`,
-      [id]
-    );
+async function purgeExpiredTrash() {
+  const purged = await purgeTrash(pool, null, { expiredOnly: true });
+  const total = purged.month + purged.transaction + purged.piggy_bank_entry;
+  if (total) console.log("🗑️ Papelera purgada:", purged);
+  return purged;
+}
 
-    if (!rows.length) return res.status(404).json({ error: "Movimiento no encontrado" });
-    res.json(rows[0]);
+app.get("/trash", async (req, res) => {
+  try {
+    const trashed = await repo.trash.list(pool, req.householdId, TRASH_RETENTION_DAYS);
+
+    res.json({
+      retention_days: TRASH_RETENTION_DAYS,
+      months: trashed.months,
+      transactions: trashed.transactions,
+      piggy_bank_entries: trashed.piggyBankEntries,
+    });
   } catch (error) {
-    console.error("❌ Error en GET /transactions/:id:", error);
-    res.status(500).json({ error: "Error obteniendo movimiento" });
+    console.error("❌ Error en GET /trash:", error);
+    res.status(500).json({ error: "Error obteniendo la papelera" });
   }
 });
 
-app.put("/transactions/:id", async (req, res) => {
+// Saca de la papelera los movimientos arrastrados por un mes / entrada
+async function restoreTrashedWith(db, req, ownerId) {
+  const txs = await auditSnapshots(db, "transaction", "x.trashed_with_id = $1", [ownerId]);
+  await repo.trash.restoreTrashedWith(db, ownerId);
+  for (const t of txs) await recordAudit(db, req, "transaction", "UPDATE", t.id, t);
+  return txs.length;
+}
+
+// Una retirada de hucha solo vuelve (papelera o deshacer) si la hucha aún tiene ese dinero
+async function piggyWithdrawalRestoreConflict(db, entry) {
+  if (entry.amount >= 0) return null;
+  const balance = await repo.piggyBanks.balance(db, entry.piggy_bank_id);
+  if (balance >= -entry.amount) return null;
+  return `En la hucha solo quedan ${centsToEur(balance)}€: no se puede volver a sacar`;
+}
+
+const TRASH_ITEM_SCHEMA = { params: { type: v.oneOf(TRASH_TYPES) } };
+
+app.post("/trash/:type/:id/restore", validate(TRASH_ITEM_SCHEMA), async (req, res) => {
+  const client = await pool.connect();
   try {
-    const { id } = req.params;
+    const { type, id } = req.params;
 
-    const { date_time, amount, category_id, attribution, payment_method, concept, note } = req.body;
+    await client.query("BEGIN");
 
-    const amountCents = parseMoneyToCents(amount);
+    const row = await repo.trash.getRow(client, type, id, req.householdId);
+    if (!row) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "No está en la papelera" });
+    }
 
-    if (amountCents === null || amountCents <= 0 || !attribution || !payment_method) {
-      return res.status(400).json({
-        error: "amount, attribution y payment_method son obligatorios (amount válido)",
-      });
+    if (type === "month" && row.status === "OPEN") {
+      const open = await repo.months.getOpen(client, req.householdId);
+      if (open) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ error: `Ya hay otro mes OPEN (${open.period_key})` });
+      }
     }
 
-    const { rows } = await pool.query(
-      `UPDATE economia.transaction
-       SET
-         date_time = COALESCE($1, date_time),
-         amount = $2,
-         category_id = $3,
-         attribution = $4::economia.attribution,
-         payment_method = $5::economia.payment_method,
-         concept = $6,
-         note = $7
-       WHERE id = $8
-       RETURNING
-         *,
-         (amount / 100.0) AS amount_eur`,
-      [
-        date_time || null,
-        amountCents,
-        category_id || null,
-        attribution,
-        payment_method,
-        concept && String(concept).trim() ? String(concept).trim() : null,
-        note || null,
-        id,
-      ]
-    );
+    if (type === "transaction") {
+      if (row.trashed_with_id) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({
+          error: "Este movimiento se borró con su mes o entrada de hucha: restaura ese elemento",
+          trashed_with_id: row.trashed_with_id,
+        });
+      }
+      if (!(await belongsToHousehold(client, "month", row.month_id, req.householdId))) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ error: "Su mes está en la papelera: restaura antes el mes" });
+      }
+    }
+
+    if (type === "piggy_bank_entry") {
+      if (await repo.trash.hasTrashedMonth(client, id)) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ error: "Su mes está en la papelera: restaura antes el mes" });
+      }
+
+      const noFunds = await piggyWithdrawalRestoreConflict(client, row);
+      if (noFunds) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ error: noFunds });
+      }
+    }
+
+    const before = await auditSnapshot(client, type, id);
+    await repo.trash.restore(client, type, id);
+    await recordAudit(client, req, type, "UPDATE", id, before);
+
+    let restoredTransactions = 0;
+    if (type === "month" || type === "piggy_bank_entry") {
+      restoredTransactions = await restoreTrashedWith(client, req, id);
+    }
 
-    if (!rows.length) return res.status(404).json({ error: "Movimiento no encontrado" });
-    res.json(rows[0]);
+    await client.query("COMMIT");
+    res.json({ ok: true, type, id, restored_transactions: restoredTransactions });
   } catch (error) {
-    console.error("❌ Error en PUT /transactions/:id:", error);
-    res.status(500).json({ error: "Error editando movimiento" });
+    await client.query("ROLLBACK");
+    if (error.code === "23505") {
+      return res.status(409).json({ error: "Ya existe otro mes con ese periodo" });
+    }
+    console.error("❌ Error en POST /trash/:type/:id/restore:", error);
+    res.status(500).json({ error: "Error restaurando de la papelera" });
+  } finally {
+    client.release();
   }
 });
 
-app.delete("/transactions/:id", async (req, res) => {
+app.delete("/trash/:type/:id", validate(TRASH_ITEM_SCHEMA), async (req, res) => {
   try {
-    const { id } = req.params;
+    const { type, id } = req.params;
 
-    const r = await pool.query(`DELETE FROM economia.transaction WHERE id=$1 RETURNING id`, [id]);
+    const purged = await purgeTrash(pool, req.householdId, { type, id });
+    if (!purged[type]) return res.status(404).json({ error: "No está en la papelera" });
 
-    if (!r.rows.length) return res.status(404).json({ error: "Movimiento no encontrado" });
-    res.json({ ok: true });
+    res.json({ ok: true, purged });
   } catch (error) {
-    console.error("❌ Error en DELETE /transactions/:id:", error);
-    res.status(500).json({ error: "Error borrando movimiento" });
+    console.error("❌ Error en DELETE /trash/:type/:id:", error);
+    res.status(500).json({ error: "Error purgando de la papelera" });
   }
 });
 
-/* ===================== PIGGYBANKS ===================== */
-app.get("/piggybanks/summary", async (_req, res) => {
-  try {
-    const { rows } = await pool.query(`
-      SELECT
-        p.id,
-        p.name,
-        p.type,
-        COALESCE(SUM(e.amount), 0)::int AS balance,
-        (COALESCE(SUM(e.amount), 0) / 100.0) AS balance_eur,
-        COUNT(e.id)::int AS entries_count,
-        MAX(e.date_time) AS last_entry_at
-      FROM economia.piggy_bank p
-      LEFT JOIN economia.piggy_bank_entry e ON e.piggy_bank_id = p.id
-      GROUP BY p.id, p.name, p.type
-      ORDER BY p.type ASC
-    `);
-
-    res.json(rows);
+app.delete("/trash", async (req, res) => {
+  try {
+    const purged = await purgeTrash(pool, req.householdId);
+    res.json({ ok: true, purged });
   } catch (error) {
-    console.error("❌ Error en GET /piggybanks/summary:", error);
-    res.status(500).json({ error: "Error obteniendo resumen de huchas" });
+    console.error("❌ Error en DELETE /trash:", error);
+    res.status(500).json({ error: "Error vaciando la papelera" });
   }
 });
 
-app.get("/piggybanks/:id/entries", async (req, res) => {
+/* ===================== AUDIT ===================== */
+const AUDIT_PAGE_MAX = 200;
+
+// Feed del hogar (más reciente primero)
+const AUDIT_QUERY_SCHEMA = {
+  limit: v.int({ min: 1 }),
+  entity_type: v.oneOf(AUDIT_ENTITIES),
+};
+
+app.get("/audit", validate({ query: AUDIT_QUERY_SCHEMA }), async (req, res) => {
   try {
-    const { id } = req.params;
+    const limit = Math.min(parseInt(req.query.limit || "50", 10), AUDIT_PAGE_MAX);
+    const entityType = req.query.entity_type || null;
 
-    const { rows } = await pool.query(
-      `SELECT
-         *,
-         (amount / 100.0) AS amount_eur
-       FROM economia.piggy_bank_entry
-       WHERE piggy_bank_id = $1
-       ORDER BY date_time DESC`,
-      [id]
-    );
+    res.json(await repo.audit.list(pool, req.householdId, { entityType, limit }));
+  } catch (error) {
+    console.error("❌ Error en GET /audit:", error);
+    res.status(500).json({ error: "Error obteniendo historial de cambios" });
+  }
+});
 
-    res.json(rows);
+// Historial de una entidad (transaction, month, week, piggy_bank_entry)
+const AUDIT_ENTITY_SCHEMA = { params: { entityType: v.oneOf(AUDIT_ENTITIES) } };
+
+app.get("/audit/:entityType/:entityId", validate(AUDIT_ENTITY_SCHEMA), async (req, res) => {
+  try {
+    const { entityType, entityId } = req.params;
+
+    res.json(await repo.audit.listEntity(pool, req.householdId, entityType, entityId));
   } catch (error) {
-    console.error("❌ Error en GET /piggybanks/:id/entries:", error);
-    res.status(500).json({ error: "Error obteniendo entradas de la hucha" });
+    console.error("❌ Error en GET /audit/:entityType/:entityId:", error);
+    res.status(500).json({ error: "Error obteniendo historial de la entidad" });
   }
 });
 
-// ✅ crear entry + crear transaction vinculada (y validar TWO_EURO)
-app.post("/piggybanks/:id/entries", async (req, res) => {
+/*
+  Deshacer: revierte todo el grupo (petición) al que pertenece el cambio, en orden inverso.
+  - No se permite si alguna de sus entidades tiene cambios posteriores sin deshacer.
+  - El propio deshacer queda auditado (undo_of_group_id) pero no se puede deshacer.
+*/
+app.post("/audit/:id/undo", async (req, res) => {
   const client = await pool.connect();
   try {
     const { id } = req.params;
-    const { amount, note, month_id } = req.body;
 
-    const amountCents = parseMoneyToCents(amount);
-    if (amountCents === null || amountCents <= 0) {
-      return res.status(400).json({ error: "amount es obligatorio (válido)" });
+    await client.query("BEGIN");
+
+    const g = await repo.audit.getById(client, id, req.householdId);
+    if (!g) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Cambio no encontrado" });
+    }
+    if (g.undo_of_group_id) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Un deshacer no se puede deshacer" });
     }
+    const groupId = g.group_id;
 
-    const pb = await client.query(
-      `SELECT id, type, name
-       FROM economia.piggy_bank
-       WHERE id=$1
-       LIMIT 1`,
-      [id]
-    );
-    if (!pb.rows.length) return res.status(404).json({ error: "Hucha no encontrada" });
+    const entries = await repo.audit.lockGroup(client, groupId);
+    if (entries.some((e) => e.undone_at)) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "Ese cambio ya se deshizo" });
+    }
 
-    const piggy = pb.rows[0];
+    // Cambios posteriores (vigentes) sobre las mismas entidades
+    const later = await repo.audit.laterChange(client, groupId);
+    if (later) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        error: "Hay cambios posteriores sobre los mismos datos: deshazlos primero",
+        conflict: later,
+      });
+    }
 
-    if (piggy.type === "TWO_EURO") {
-      if (amountCents % 200 !== 0) {
-        return res
-          .status(400)
-          .json({ error: "En la hucha 2€ solo se permiten múltiplos de 2€ (2, 4, 6...)." });
+    let conflict = null;
+    for (const e of entries) {
+      const current = await auditSnapshot(client, e.entity_type, e.entity_id);
+
+      if (e.action === "CREATE") {
+        if (!current) continue; // ya desaparecido (p.ej. en cascada con otra entidad del grupo)
+
+        if (e.entity_type === "month") {
+          if (await repo.months.hasTransactions(client, e.entity_id)) {
+            conflict = "El mes tiene movimientos creados después; bórralos antes de deshacer";
+            break;
+          }
+        }
+
+        await repo.audit.removeEntity(client, e.entity_type, e.entity_id);
+
+        // una ocurrencia de gasto previsto deshecha vuelve a estar pendiente
+        if (e.entity_type === "transaction" && current.planned_expense_id) {
+          await repo.plannedExpenses.rewindTo(
+            client,
+            current.planned_expense_id,
+            current.planned_due_date
+          );
+        }
+
+        await recordAudit(client, req, e.entity_type, "DELETE", e.entity_id, current, groupId);
+        continue;
       }
-    }
 
-    await client.query("BEGIN");
+      // UPDATE / DELETE: vuelve a la foto `before`
+      if (e.action === "UPDATE" && !current) {
+        conflict = `Ya no existe ${e.entity_type} ${e.entity_id}`;
+        break;
+      }
+      if (e.action === "DELETE" && current) {
+        conflict = `${e.entity_type} ${e.entity_id} ya existe`;
+        break;
+      }
 
-    const entryIns = await client.query(
-      `INSERT INTO economia.piggy_bank_entry (piggy_bank_id, amount, note, month_id)
-       VALUES ($1,$2,$3,$4)
-       RETURNING
-         *,
-         (amount / 100.0) AS amount_eur`,
-      [id, amountCents, note || null, month_id || null]
-    );
-    const entry = entryIns.rows[0];
+      // nunca dos meses OPEN en el mismo hogar (también al sacar uno de la papelera)
+      const reopens = current?.status !== "OPEN" || current?.deleted_at;
+      if (e.entity_type === "month" && e.before.status === "OPEN" && reopens) {
+        const open = await repo.months.getOpen(client, req.householdId);
+        if (open && open.id !== e.entity_id) {
+          conflict = `Ya hay otro mes OPEN (${open.period_key})`;
+          break;
+        }
+      }
 
-    if (month_id) {
-      const concept = piggy.type === "TWO_EURO" ? "Aporte hucha 2€" : "Aporte hucha normal";
+      // volver a poner una retirada de hucha borrada: como al sacarla de la papelera
+      const revives = !current || current.deleted_at;
+      if (e.entity_type === "piggy_bank_entry" && !e.before.deleted_at && revives) {
+        conflict = await piggyWithdrawalRestoreConflict(client, e.before);
+        if (conflict) break;
+      }
 
-      await client.query(
-        `INSERT INTO economia.transaction
-          (date_time, amount, direction, type, month_id, attribution, payment_method, concept, note, piggy_entry_id)
-         VALUES (NOW(), $1, 'OUT', 'PIGGYBANK_DEPOSIT', $2, 'HOUSE', 'CASH', $3, $4, $5)`,
-        [amountCents, month_id, concept, note || null, entry.id]
+      await repo.audit.restoreRow(client, e.entity_type, e.before, current);
+      await recordAudit(
+        client,
+        req,
+        e.entity_type,
+        e.action === "DELETE" ? "CREATE" : "UPDATE",
+        e.entity_id,
+        current,
+        groupId
       );
     }
 
+    if (conflict) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: conflict });
+    }
+
+    await repo.audit.markUndone(client, groupId, req.user.id);
+
     await client.query("COMMIT");
-    res.json(entry);
+    res.json({
+      ok: true,
+      undone_group_id: groupId,
+      undo_group_id: req.auditGroupId || null,
+      changes: entries.length,
+    });
   } catch (error) {
     await client.query("ROLLBACK");
-    console.error("❌ Error en POST /piggybanks/:id/entries:", error);
-    res.status(500).json({ error: "Error creando entrada en hucha" });
+    if (error.code === "23505" || error.code === "23503") {
+      return res.status(409).json({ error: "No se puede deshacer: choca con datos actuales" });
+    }
+    console.error("❌ Error en POST /audit/:id/undo:", error);
+    res.status(500).json({ error: "Error deshaciendo el cambio" });
   } finally {
     client.release();
   }
 });
 
-// ✅ borrar entry (y se borra su transaccion vinculada por FK/cascade)
-app.delete("/piggybanks/entries/:entryId", async (req, res) => {
+/* ===================== MONTH ROLLOVER ===================== */
+/*
+  Cierre automático: cada MONTH_ROLLOVER_INTERVAL_MS se buscan meses OPEN con end_date ya
+  pasado y, para cada uno, en una sola transacción:
+    1. se cierran sus semanas abiertas (sin mover efectivo: eso lo decide el hogar)
+    2. se cierra el mes con la misma consolidación que POST /month/close
+    3. se abre el siguiente con los importes y presupuestos del que se cierra, con las fechas
+       que marque el ciclo de cobro del hogar (ver PAY CYCLE)
+  Cada paso queda en la auditoría (ruta "AUTO /month/rollover") y en los avisos del hogar.
+  Con MONTH_ROLLOVER=false no se hace nada.
+*/
+const MONTH_ROLLOVER_ENABLED = process.env.MONTH_ROLLOVER !== "false";
+const MONTH_ROLLOVER_INTERVAL_MS = 60 * 60 * 1000;
+// tope de meses por pasada (servidor parado mucho tiempo): el resto en la siguiente
+const MONTH_ROLLOVER_MAX_MONTHS = 24;
+
+async function rolloverMonth(expired) {
+  const req = {
+    householdId: expired.household_id,
+    user: null,
+    method: "AUTO",
+    path: "/month/rollover",
+  };
   const client = await pool.connect();
-  try {
-    const { entryId } = req.params;
+  const notify = (type, message, data) =>
+    repo.notifications.create(client, { householdId: expired.household_id, type, message, data });
 
+  try {
     await client.query("BEGIN");
 
-    const e = await client.query(
-      `SELECT id FROM economia.piggy_bank_entry WHERE id=$1 LIMIT 1`,
-      [entryId]
-    );
-    if (!e.rows.length) {
+    const month = await repo.months.getById(client, expired.id, expired.household_id);
+    if (!month || month.status !== "OPEN") {
       await client.query("ROLLBACK");
-      return res.status(404).json({ error: "Entrada no encontrada" });
+      return null;
+    }
+
+    const weeks = [];
+    for (const week of await repo.weeks.listByMonth(client, month.id)) {
+      if (week.status !== "OPEN") continue;
+      const weekBefore = await auditSnapshot(client, "week", week.id);
+      const { balance } = await repo.weeks.cashPocket(client, week);
+      await repo.weeks.close(client, week.id);
+      await recordAudit(client, req, "week", "UPDATE", week.id, weekBefore);
+      weeks.push({ week_id: week.id, week_index: week.week_index, cash_left: balance });
     }
 
-    // borramos también la transacción vinculada explícitamente por seguridad
-    await client.query(`DELETE FROM economia.transaction WHERE piggy_entry_id=$1`, [entryId]);
-    await client.query(`DELETE FROM economia.piggy_bank_entry WHERE id=$1`, [entryId]);
+    const { totals } = await closeMonthWithConsolidation(client, req, month);
+    await notify(
+      "MONTH_CLOSED",
+      `Mes ${month.period_key} cerrado automáticamente: ${centsToEur(totals.consolidated)}€ al fondo de seguridad`,
+      { month_id: month.id, period_key: month.period_key, totals, weeks }
+    );
+
+    const period = await resolveMonthPeriod(client, month.household_id, {
+      startDate: toDateOnly(addDays(new Date(month.end_date), 1)),
+    });
+    let next = null;
+    if (period.conflict) {
+      await notify("MONTH_START_SKIPPED", `${period.conflict}: no se ha abierto otro mes`, {
+        after_month_id: month.id,
+      });
+    } else {
+      next = await createMonthWithWeeks(client, req, {
+        ...period,
+        income: month.income_amount,
+        weeklyBudget: month.weekly_budget_amount,
+        savingGoal: month.saving_goal_amount,
+        plannedIds: null,
+      });
+
+      await repo.categoryBudgets.copy(client, month.id, next.id);
+
+      await notify(
+        "MONTH_STARTED",
+        `Mes ${next.period_key} abierto automáticamente con los importes de ${month.period_key}`,
+        { month_id: next.id, period_key: next.period_key, from_month_id: month.id }
+      );
+    }
 
     await client.query("COMMIT");
-    res.json({ ok: true });
+    console.log(
+      `🔁 Mes ${month.period_key} cerrado automáticamente` +
+        (next ? `, abierto ${next.period_key}` : "") +
+        ` (hogar ${month.household_id})`
+    );
+    return { closed: month.id, opened: next ? next.id : null };
   } catch (error) {
     await client.query("ROLLBACK");
-    console.error("❌ Error en DELETE /piggybanks/entries/:entryId:", error);
-    res.status(500).json({ error: "Error borrando entrada de hucha" });
+    throw error;
   } finally {
     client.release();
   }
-});
+}
 
-/* ===================== SAFETY FUND ===================== */
-app.get("/safety/balance", async (_req, res) => {
-  try {
-    const { rows } = await pool.query(
-      `SELECT
-         COALESCE(SUM(CASE WHEN type='CONSOLIDATE_TO_SAFETY' THEN amount ELSE 0 END),0)::int
-         - COALESCE(SUM(CASE WHEN type='EMERGENCY_FROM_SAFETY' THEN amount ELSE 0 END),0)::int
-         AS balance
-       FROM economia.transaction`
-    );
+// Repite hasta que no quede ningún mes vencido (el que se abre puede estar vencido también)
+async function runMonthRollover() {
+  let done = 0;
+  while (done < MONTH_ROLLOVER_MAX_MONTHS) {
+    const expired = await repo.months.listExpiredOpen(pool, toDateOnly(new Date()));
+    if (!expired.length) break;
 
-    const balance = rows[0].balance || 0;
-    res.json({ balance, balance_eur: centsToEur(balance) });
-  } catch (error) {
-    console.error("❌ Error en GET /safety/balance:", error);
-    res.status(500).json({ error: "Error calculando fondo de seguridad" });
+    let progressed = false;
+    for (const month of expired) {
+      try {
+        if (await rolloverMonth(month)) progressed = true;
+      } catch (error) {
+        console.error(`❌ Error en el cierre automático del mes ${month.id}:`, error);
+      }
+      done += 1;
+    }
+    if (!progressed) break;
   }
-});
-
-app.post("/safety/emergency", async (req, res) => {
-  try {
-    const { month_id, amount, note } = req.body;
-
-    const amountCents = parseMoneyToCents(amount);
+  return done;
+}
 
-    if (!month_id || amountCents === null || amountCents <= 0 || !note) {
-      return res.status(400).json({ error: "month_id, amount y note son obligatorios (válidos)" });
-    }
+/* ===================== NOTIFICATIONS ===================== */
+const NOTIFICATIONS_DEFAULT = 50;
+const NOTIFICATIONS_MAX = 200;
 
-    const { rows } = await pool.query(
-      `INSERT INTO economia.transaction
-        (date_time, amount, direction, type, month_id, attribution, payment_method, concept, note)
-       VALUES (NOW(), $1, 'OUT', 'EMERGENCY_FROM_SAFETY', $2, 'HOUSE', 'TRANSFER', 'Imprevisto', $3)
-       RETURNING
-         *,
-         (amount / 100.0) AS amount_eur`,
-      [amountCents, month_id, note]
-    );
+const NOTIFICATION_LIST_SCHEMA = {
+  unread: v.boolean(),
+  limit: v.int({ min: 1 }),
+};
 
-    res.json(rows[0]);
+app.get("/notifications", validate({ query: NOTIFICATION_LIST_SCHEMA }), async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit || NOTIFICATIONS_DEFAULT), NOTIFICATIONS_MAX);
+
+    const [items, unread] = await Promise.all([
+      repo.notifications.list(pool, req.householdId, {
+        unreadOnly: req.query.unread === "true",
+        limit,
+      }),
+      repo.notifications.countUnread(pool, req.householdId),
+    ]);
+    res.json({ items, unread });
   } catch (error) {
-    console.error("❌ Error en POST /safety/emergency:", error);
-    res.status(500).json({ error: "Error usando fondo de seguridad" });
+    console.error("❌ Error en GET /notifications:", error);
+    res.status(500).json({ error: "Error obteniendo avisos" });
   }
 });
 
-app.get("/safety/history", async (req, res) => {
+app.post("/notifications/read-all", async (req, res) => {
   try {
-    const limit = Math.min(parseInt(req.query.limit || "50", 10), 200);
-
-    const { rows } = await pool.query(
-      `SELECT
-         id,
-         date_time,
-         amount,
-         (amount / 100.0) AS amount_eur,
-         direction,
-         type,
-         month_id,
-         concept,
-         note
-       FROM economia.transaction
-       WHERE type IN ('CONSOLIDATE_TO_SAFETY','EMERGENCY_FROM_SAFETY')
-       ORDER BY date_time DESC
-       LIMIT $1`,
-      [limit]
-    );
+    await repo.notifications.markRead(pool, req.householdId);
+    res.json({ ok: true });
+  } catch (error) {
+    console.error("❌ Error en POST /notifications/read-all:", error);
+    res.status(500).json({ error: "Error marcando avisos" });
+  }
+});
 
-    res.json(rows);
+app.post("/notifications/:id/read", async (req, res) => {
+  try {
+    if (!(await repo.notifications.markRead(pool, req.householdId, req.params.id))) {
+      return res.status(404).json({ error: "Aviso no encontrado" });
+    }
+    res.json({ ok: true });
   } catch (error) {
-    console.error("❌ Error en GET /safety/history:", error);
-    res.status(500).json({ error: "Error obteniendo histórico del fondo" });
+    console.error("❌ Error en POST /notifications/:id/read:", error);
+    res.status(500).json({ error: "Error marcando aviso" });
   }
 });
 
 /* ===================== BOOT ===================== */
+const runTrashPurge = () =>
+  purgeExpiredTrash().catch((err) => console.error("❌ Error purgando la papelera:", err));
+dbReady.then(runTrashPurge);
+setInterval(runTrashPurge, TRASH_PURGE_INTERVAL_MS).unref();
+
+const runRollover = () =>
+  runMonthRollover().catch((err) => console.error("❌ Error en el cierre automático:", err));
+if (MONTH_ROLLOVER_ENABLED) {
+  dbReady.then(runRollover);
+  setInterval(runRollover, MONTH_ROLLOVER_INTERVAL_MS).unref();
+}
+
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => console.log(`✅ Servidor corriendo en puerto ${PORT}`));
@@ -0,0 +1,23 @@
+const { createPostgresStorage } = require("./postgres");
+const { createSqliteStorage } = require("./sqlite");
+const { createRepositories } = require("./repositories");
+
+/* ===================== STORAGE ===================== */
+/*
+  STORAGE=postgres (por defecto) | sqlite
+  - postgres: DATABASE_URL, esquema en migrations/. Todas las funcionalidades.
+  - sqlite: SQLITE_FILE (economia.sqlite), sin servidor, para uso local. Las mismas
+    funcionalidades: esquema en storage/sqlite-schema.sql y SQL común en repositories.js.
+*/
+const STORAGE_KINDS = ["postgres", "sqlite"];
+
+function createStorage(kind = process.env.STORAGE || "postgres") {
+  if (!STORAGE_KINDS.includes(kind)) {
+    throw new Error(`STORAGE debe ser uno de: ${STORAGE_KINDS.join(", ")}`);
+  }
+
+  const storage = kind === "sqlite" ? createSqliteStorage() : createPostgresStorage();
+  return { ...storage, repos: createRepositories(storage.dialect) };
+}
+
+module.exports = { createStorage, STORAGE_KINDS };
@@ -0,0 +1,65 @@
+const { Pool } = require("pg");
+const { getMigrationStatus, runMigrations } = require("../migrate");
+
+/* ===================== POSTGRES ===================== */
+// Backend por defecto: el esquema completo vive en migrations/ (ver migrate.js)
+
+const TX_SEARCH_VECTOR_SQL = (alias) =>
+  `to_tsvector('spanish', COALESCE(${alias}.concept, '') || ' ' || COALESCE(${alias}.note, ''))`;
+
+// Fragmentos SQL que cambian entre backends (ver storage/sqlite.js)
+const dialect = {
+  name: "postgres",
+  cast: (expr, type) => `${expr}::${type}`,
+  date: (expr) => `(${expr})::date`,
+  daysBetween: (to, from) => `(${to} - ${from})`,
+  anyOf: (expr, param, type) => `${expr} = ANY(${param}::${type}[])`,
+  forUpdate: "FOR UPDATE",
+  forUpdateOf: (alias) => `FOR UPDATE OF ${alias}`,
+  // timestamp + días (days: número, no parámetro)
+  plusDays: (expr, days) => `(${expr} + make_interval(days => ${Number(days)}))`,
+  // full-text (stemming: "bares" ~ "bar") + subcadena para comercios tipo "MERCADONA 1234"
+  // (mismo texto que el índice idx_tx_search)
+  textSearch: (alias, tsParam, likeParam) =>
+    `(${TX_SEARCH_VECTOR_SQL(alias)} @@ websearch_to_tsquery('spanish', ${tsParam})
+      OR ${alias}.concept ILIKE ${likeParam} OR ${alias}.note ILIKE ${likeParam})`,
+  timestamp: (value) => value,
+};
+
+function createPostgresStorage({ connectionString = process.env.DATABASE_URL } = {}) {
+  const db = new Pool({
+    connectionString,
+    ssl: connectionString ? { rejectUnauthorized: false } : false,
+    max: 10,
+    idleTimeoutMillis: 30000,
+    connectionTimeoutMillis: 5000,
+  });
+
+  db.on("error", (err) => console.error("❌ Error en PostgreSQL:", err));
+
+  return {
+    kind: "postgres",
+    db,
+    dialect,
+
+    // Al arrancar se aplican las migraciones pendientes, salvo con MIGRATE_ON_BOOT=false:
+    // entonces se migra aparte (`npm run migrate`) y el servidor se niega a arrancar si
+    // queda alguna pendiente.
+    async init() {
+      if (process.env.MIGRATE_ON_BOOT === "false") {
+        const { pending } = await getMigrationStatus(db);
+        if (pending.length) {
+          throw new Error(`Migraciones pendientes: ${pending.map((m) => m.file).join(", ")}`);
+        }
+      } else {
+        await runMigrations(db);
+      }
+
+      console.log("✅ Economia DB OK (migraciones al día)");
+    },
+
+    close: () => db.end(),
+  };
+}
+
+module.exports = { createPostgresStorage };
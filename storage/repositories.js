@@ -0,0 +1,2854 @@
+/* ===================== REPOSITORIES ===================== */
+/*
+  Todo el acceso a datos de la API, común a Postgres y SQLite. Cada función recibe `db`
+  (pool o client de una transacción) igual que el resto de helpers; lo que cambia entre
+  backends sale del dialect.
+  - Importes en céntimos, con su *_eur calculado en SQL como en las rutas.
+  - "transaction" va entre comillas: es palabra reservada en SQLite.
+  - Lo que está en la papelera (deleted_at) no existe para estas funciones.
+*/
+
+const MONTH_EUR_SQL = `
+  (income_amount / 100.0) AS income_amount_eur,
+  (weekly_budget_amount / 100.0) AS weekly_budget_amount_eur,
+  (saving_goal_amount / 100.0) AS saving_goal_amount_eur`;
+
+const WEEK_EUR_SQL = `
+  (cash_withdraw_amount / 100.0) AS cash_withdraw_amount_eur,
+  (cash_returned_to_bank_amount / 100.0) AS cash_returned_to_bank_amount_eur`;
+
+// Columnas que se pueden escribir en una transacción (el resto las pone la base)
+const TX_COLUMNS = [
+  "household_id",
+  "date_time",
+  "amount",
+  "direction",
+  "type",
+  "month_id",
+  "week_id",
+  "category_id",
+  "attribution",
+  "attributed_user_id",
+  "payment_method",
+  "concept",
+  "note",
+  "piggy_entry_id",
+  "paid_by_user_id",
+  "original_currency",
+  "original_amount",
+  "exchange_rate",
+  "emergency_reason",
+];
+
+// Mismas categorías y huchas que economia.seed_household (migrations/0001_baseline.sql, 0007)
+const SEED_CATEGORIES = [
+  "Alquiler",
+  "Estudios",
+  "Café",
+  "Tabaco",
+  "Farmacia",
+  "Compra",
+  "Bares",
+  "Ocio",
+  "Comida a domicilio",
+  "Bebé",
+  "Pádel",
+  "Gasolina",
+  "Extra",
+];
+const SEED_PIGGY_BANKS = [
+  { name: "Hucha 2€", type: "TWO_EURO", rule: { multipleOf: 200 } },
+  { name: "Hucha normal", type: "NORMAL", rule: {} },
+];
+
+function createRepositories(d) {
+  const int = (expr) => `CAST(${expr} AS INTEGER)`;
+
+  /* ---- usuarios / hogar ---- */
+  const users = {
+    // Usuario + su pareja (el otro miembro del hogar)
+    async getById(db, userId) {
+      const { rows } = await db.query(
+        `SELECT
+           u.*,
+           (SELECT p.id
+            FROM economia.app_user p
+            WHERE p.household_id = u.household_id AND p.id <> u.id
+            ORDER BY p.created_at ASC
+            LIMIT 1) AS partner_user_id
+         FROM economia.app_user u
+         WHERE u.id = $1`,
+        [userId]
+      );
+      return rows[0] || null;
+    },
+
+    async getByEmail(db, email) {
+      const { rows } = await db.query(`SELECT * FROM economia.app_user WHERE email=$1`, [email]);
+      return rows[0] || null;
+    },
+
+    async any(db) {
+      const { rows } = await db.query(`SELECT 1 FROM economia.app_user LIMIT 1`);
+      return rows.length > 0;
+    },
+
+    async countInHousehold(db, householdId) {
+      const { rows } = await db.query(
+        `SELECT ${int("COUNT(*)")} AS n FROM economia.app_user WHERE household_id = $1`,
+        [householdId]
+      );
+      return rows[0].n;
+    },
+
+    async create(db, { householdId, email, name, passwordHash }) {
+      const { rows } = await db.query(
+        `INSERT INTO economia.app_user (household_id, email, name, password_hash)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id`,
+        [householdId, email, name, passwordHash]
+      );
+      return rows[0].id;
+    },
+
+    async setPassword(db, userId, passwordHash) {
+      await db.query(`UPDATE economia.app_user SET password_hash=$1 WHERE id=$2`, [
+        passwordHash,
+        userId,
+      ]);
+    },
+
+    async listByHousehold(db, householdId) {
+      const { rows } = await db.query(
+        `SELECT id, email, name, created_at
+         FROM economia.app_user
+         WHERE household_id = $1
+         ORDER BY created_at ASC`,
+        [householdId]
+      );
+      return rows;
+    },
+
+    async moveToHousehold(db, userId, householdId) {
+      await db.query(`UPDATE economia.app_user SET household_id=$1 WHERE id=$2`, [
+        householdId,
+        userId,
+      ]);
+    },
+  };
+
+  // safety_auto_replenish: BOOLEAN en Postgres, 0/1 en SQLite
+  const householdRow = (r) => r && { ...r, safety_auto_replenish: Boolean(r.safety_auto_replenish) };
+
+  const households = {
+    async create(db, name) {
+      const { rows } = await db.query(
+        `INSERT INTO economia.household (name) VALUES ($1) RETURNING id`,
+        [name]
+      );
+      return rows[0].id;
+    },
+
+    async getById(db, householdId) {
+      const { rows } = await db.query(`SELECT * FROM economia.household WHERE id=$1`, [
+        householdId,
+      ]);
+      return householdRow(rows[0]) || null;
+    },
+
+    async rename(db, householdId, name) {
+      const { rows } = await db.query(
+        `UPDATE economia.household SET name=$1 WHERE id=$2 RETURNING *`,
+        [name, householdId]
+      );
+      return householdRow(rows[0]) || null;
+    },
+
+    // Bloquea la fila del hogar hasta el final de la transacción (serializa escrituras)
+    async lock(db, householdId) {
+      await db.query(`SELECT id FROM economia.household WHERE id=$1 ${d.forUpdate}`, [householdId]);
+    },
+
+    // Con sus meses, categorías... (ON DELETE CASCADE)
+    async remove(db, householdId) {
+      await db.query(`DELETE FROM economia.household WHERE id=$1`, [householdId]);
+    },
+
+    // Ciclo de cobro: { type: CALENDAR | FIXED_DAY | LAST_WORKING_DAY, day }
+    async getPayCycle(db, householdId) {
+      const { rows } = await db.query(
+        `SELECT pay_cycle_type AS type, pay_cycle_day AS day
+         FROM economia.household
+         WHERE id = $1`,
+        [householdId]
+      );
+      return rows[0] || { type: "CALENDAR", day: null };
+    },
+
+    async setPayCycle(db, householdId, { type, day }) {
+      await db.query(
+        `UPDATE economia.household SET pay_cycle_type = $2, pay_cycle_day = $3 WHERE id = $1`,
+        [householdId, type, day]
+      );
+    },
+
+    // Fondo de seguridad: objetivo (meses de gasto o importe fijo) y plan de reposición
+    async getSafetyPlan(db, householdId) {
+      const { rows } = await db.query(
+        `SELECT
+           safety_target_months AS target_months,
+           safety_target_amount AS target_amount,
+           safety_replenish_months AS replenish_months,
+           safety_auto_replenish AS auto_replenish
+         FROM economia.household
+         WHERE id = $1`,
+        [householdId]
+      );
+      const r = rows[0] || { replenish_months: 6 };
+      return { ...r, auto_replenish: Boolean(r.auto_replenish) };
+    },
+
+    async setSafetyPlan(
+      db,
+      householdId,
+      { target_months, target_amount, replenish_months, auto_replenish }
+    ) {
+      await db.query(
+        `UPDATE economia.household
+         SET
+           safety_target_months = $2,
+           safety_target_amount = $3,
+           safety_replenish_months = $4,
+           safety_auto_replenish = $5
+         WHERE id = $1`,
+        [householdId, target_months, target_amount, replenish_months, auto_replenish]
+      );
+    },
+
+    // ✅ Categorías y huchas iniciales de un hogar (idempotente)
+    async seed(db, householdId) {
+      if (d.name === "postgres") {
+        await db.query(`SELECT economia.seed_household($1)`, [householdId]);
+        return;
+      }
+
+      for (const [i, name] of SEED_CATEGORIES.entries()) {
+        await db.query(
+          `INSERT INTO economia.category (household_id, name, sort_order)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (household_id, name) DO NOTHING`,
+          [householdId, name, (i + 1) * 10]
+        );
+      }
+      for (const p of SEED_PIGGY_BANKS) {
+        await db.query(
+          `INSERT INTO economia.piggy_bank (household_id, name, type, rule)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT DO NOTHING`,
+          [householdId, p.name, p.type, JSON.stringify(p.rule)]
+        );
+      }
+    },
+  };
+
+  const INVITATION_COLUMNS = "id, code, email, expires_at, created_at";
+
+  const invitations = {
+    // Pendientes y sin caducar
+    async listOpen(db, householdId) {
+      const { rows } = await db.query(
+        `SELECT ${INVITATION_COLUMNS}
+         FROM economia.household_invitation
+         WHERE household_id = $1
+           AND accepted_at IS NULL
+           AND expires_at > NOW()
+         ORDER BY created_at DESC`,
+        [householdId]
+      );
+      return rows;
+    },
+
+    // ttlDays: días hasta que caduca
+    async create(db, { householdId, code, email, invitedByUserId, ttlDays }) {
+      const { rows } = await db.query(
+        `INSERT INTO economia.household_invitation
+          (household_id, code, email, invited_by_user_id, expires_at)
+         VALUES ($1, $2, $3, $4, ${d.plusDays("NOW()", ttlDays)})
+         RETURNING ${INVITATION_COLUMNS}`,
+        [householdId, code, email, invitedByUserId]
+      );
+      return rows[0];
+    },
+
+    // Solo las pendientes; false si no había
+    async removeOpen(db, invitationId, householdId) {
+      const { rowCount } = await db.query(
+        `DELETE FROM economia.household_invitation
+         WHERE id=$1 AND household_id=$2 AND accepted_at IS NULL`,
+        [invitationId, householdId]
+      );
+      return rowCount > 0;
+    },
+
+    async findOpenByCode(db, code) {
+      const { rows } = await db.query(
+        `SELECT *
+         FROM economia.household_invitation
+         WHERE code = $1
+           AND accepted_at IS NULL
+           AND expires_at > NOW()
+         ${d.forUpdate}`,
+        [code]
+      );
+      return rows[0] || null;
+    },
+
+    async markAccepted(db, invitationId, userId) {
+      await db.query(
+        `UPDATE economia.household_invitation
+         SET accepted_at = NOW(), accepted_by_user_id = $1
+         WHERE id = $2`,
+        [userId, invitationId]
+      );
+    },
+  };
+
+  const CATEGORY_COLUMNS = "id, name, color, icon, sort_order, is_active, created_at";
+  const categoryRow = (r) => ({ ...r, is_active: Boolean(r.is_active) });
+
+  const categories = {
+    async list(db, householdId, { includeArchived = false } = {}) {
+      const { rows } = await db.query(
+        `SELECT ${CATEGORY_COLUMNS}
+         FROM economia.category
+         WHERE household_id = $1
+           AND (${d.cast("$2", "boolean")} OR is_active = true)
+         ORDER BY sort_order ASC, name ASC`,
+        [householdId, includeArchived]
+      );
+      return rows.map(categoryRow);
+    },
+
+    // sortOrder null = detrás de la última
+    async create(db, householdId, { name, color = null, icon = null, sortOrder = null }) {
+      const { rows } = await db.query(
+        `INSERT INTO economia.category (household_id, name, color, icon, sort_order)
+         VALUES (
+           $1, $2, $3, $4,
+           COALESCE(
+             ${d.cast("$5", "int")},
+             (SELECT COALESCE(MAX(sort_order), 0) + 10 FROM economia.category WHERE household_id = $1)
+           )
+         )
+         RETURNING ${CATEGORY_COLUMNS}`,
+        [householdId, name, color, icon, sortOrder]
+      );
+      return categoryRow(rows[0]);
+    },
+
+    // changes: undefined = se mantiene; color/icon admiten null para limpiar el valor
+    async update(db, categoryId, householdId, { name, color, icon, sortOrder }) {
+      const { rows } = await db.query(
+        `UPDATE economia.category
+         SET
+           name = COALESCE($1, name),
+           color = CASE WHEN ${d.cast("$2", "boolean")} THEN $3 ELSE color END,
+           icon = CASE WHEN ${d.cast("$4", "boolean")} THEN $5 ELSE icon END,
+           sort_order = COALESCE(${d.cast("$6", "int")}, sort_order)
+         WHERE id = $7 AND household_id = $8
+         RETURNING ${CATEGORY_COLUMNS}`,
+        [
+          name === undefined ? null : name,
+          color !== undefined,
+          color || null,
+          icon !== undefined,
+          icon || null,
+          sortOrder ?? null,
+          categoryId,
+          householdId,
+        ]
+      );
+      return rows[0] ? categoryRow(rows[0]) : null;
+    },
+
+    // Archivar (active = false) / reactivar; las transacciones conservan su categoría
+    async setActive(db, categoryId, householdId, active) {
+      const { rows } = await db.query(
+        `UPDATE economia.category
+         SET is_active = $3
+         WHERE id = $1 AND household_id = $2
+         RETURNING ${CATEGORY_COLUMNS}`,
+        [categoryId, householdId, active]
+      );
+      return rows[0] ? categoryRow(rows[0]) : null;
+    },
+
+    // Bloquea las categorías del hogar con esos ids; devuelve cuántas hay
+    async lockMany(db, categoryIds, householdId) {
+      const { rows } = await db.query(
+        `SELECT id
+         FROM economia.category
+         WHERE ${d.anyOf("id", "$1", "uuid")} AND household_id = $2
+         ${d.forUpdate}`,
+        [categoryIds, householdId]
+      );
+      return rows.length;
+    },
+
+    /*
+      Fusionar: movimientos, gastos previstos y presupuestos de sourceId pasan a targetId (si
+      ambas tenían presupuesto en el mismo mes, se suman) y sourceId desaparece.
+      -> { category, moved: { transactions, planned_expenses } }
+    */
+    async merge(db, sourceId, targetId) {
+      const tx = await db.query(
+        `UPDATE economia."transaction" SET category_id = $1 WHERE category_id = $2`,
+        [targetId, sourceId]
+      );
+      const planned = await db.query(
+        `UPDATE economia.planned_expense SET category_id = $1 WHERE category_id = $2`,
+        [targetId, sourceId]
+      );
+
+      await db.query(
+        `INSERT INTO economia.category_budget (month_id, category_id, amount)
+         SELECT month_id, $1, amount
+         FROM economia.category_budget
+         WHERE category_id = $2
+         ON CONFLICT (month_id, category_id)
+         DO UPDATE SET amount = economia.category_budget.amount + EXCLUDED.amount`,
+        [targetId, sourceId]
+      );
+      // las plantillas igual: borrar la categoría se llevaría sus presupuestos en cascada
+      await db.query(
+        `INSERT INTO economia.month_template_budget (template_id, category_id, amount)
+         SELECT template_id, $1, amount
+         FROM economia.month_template_budget
+         WHERE category_id = $2
+         ON CONFLICT (template_id, category_id)
+         DO UPDATE SET amount = economia.month_template_budget.amount + EXCLUDED.amount`,
+        [targetId, sourceId]
+      );
+
+      await db.query(`DELETE FROM economia.category WHERE id = $1`, [sourceId]);
+
+      const { rows } = await db.query(
+        `SELECT ${CATEGORY_COLUMNS} FROM economia.category WHERE id = $1`,
+        [targetId]
+      );
+      return {
+        category: categoryRow(rows[0]),
+        moved: { transactions: tx.rowCount, planned_expenses: planned.rowCount },
+      };
+    },
+  };
+
+  /* ---- meses ---- */
+  const months = {
+    async getOpen(db, householdId) {
+      const { rows } = await db.query(
+        `SELECT *
+         FROM economia.month
+         WHERE household_id = $1 AND status = 'OPEN' AND deleted_at IS NULL
+         ORDER BY created_at DESC
+         LIMIT 1`,
+        [householdId]
+      );
+      return rows[0] || null;
+    },
+
+    // Mes OPEN con los importes también en euros (lo que devuelve la API)
+    async getCurrent(db, householdId) {
+      const { rows } = await db.query(
+        `SELECT
+           *,
+           ${MONTH_EUR_SQL}
+         FROM economia.month
+         WHERE household_id = $1 AND status='OPEN' AND deleted_at IS NULL
+         ORDER BY created_at DESC
+         LIMIT 1`,
+        [householdId]
+      );
+      return rows[0] || null;
+    },
+
+    async getById(db, monthId, householdId) {
+      const { rows } = await db.query(
+        `SELECT * FROM economia.month WHERE id=$1 AND household_id=$2 AND deleted_at IS NULL`,
+        [monthId, householdId]
+      );
+      return rows[0] || null;
+    },
+
+    // El último mes que empieza antes de startDate
+    async getPrevious(db, householdId, startDate) {
+      const { rows } = await db.query(
+        `SELECT id
+         FROM economia.month
+         WHERE household_id = $1 AND start_date < $2 AND deleted_at IS NULL
+         ORDER BY start_date DESC
+         LIMIT 1`,
+        [householdId, startDate]
+      );
+      return rows[0] || null;
+    },
+
+    async list(db, householdId) {
+      const { rows } = await db.query(
+        `SELECT
+           id,
+           period_key,
+           start_date,
+           end_date,
+           income_amount,
+           (income_amount / 100.0) AS income_amount_eur,
+           weekly_budget_amount,
+           (weekly_budget_amount / 100.0) AS weekly_budget_amount_eur,
+           saving_goal_amount,
+           (saving_goal_amount / 100.0) AS saving_goal_amount_eur,
+           status,
+           created_at,
+           closed_at
+         FROM economia.month
+         WHERE household_id = $1 AND deleted_at IS NULL
+         ORDER BY start_date DESC`,
+        [householdId]
+      );
+      return rows;
+    },
+
+    async create(db, { householdId, periodKey, startDate, endDate, income, weeklyBudget, savingGoal }) {
+      const { rows } = await db.query(
+        `INSERT INTO economia.month
+          (household_id, period_key, start_date, end_date, income_amount, weekly_budget_amount, saving_goal_amount, status)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,'OPEN')
+         RETURNING
+           *,
+           ${MONTH_EUR_SQL}`,
+        [householdId, periodKey, startDate, endDate, income, weeklyBudget, savingGoal]
+      );
+      return rows[0];
+    },
+
+    async updateAmounts(db, monthId, { income, savingGoal, weeklyBudget }) {
+      const { rows } = await db.query(
+        `UPDATE economia.month
+         SET income_amount=$1,
+             saving_goal_amount=$2,
+             weekly_budget_amount=$3
+         WHERE id=$4
+         RETURNING
+           *,
+           ${MONTH_EUR_SQL}`,
+        [income, savingGoal, weeklyBudget, monthId]
+      );
+      return rows[0];
+    },
+
+    async close(db, monthId) {
+      const { rows } = await db.query(
+        `UPDATE economia.month
+         SET status='CLOSED', closed_at=NOW()
+         WHERE id=$1
+         RETURNING *`,
+        [monthId]
+      );
+      return rows[0];
+    },
+
+    // Meses OPEN (de cualquier hogar) cuyo end_date ya pasó: today = YYYY-MM-DD local
+    async listExpiredOpen(db, today) {
+      const { rows } = await db.query(
+        `SELECT *
+         FROM economia.month
+         WHERE status = 'OPEN' AND deleted_at IS NULL AND end_date < ${d.cast("$1", "date")}
+         ORDER BY end_date ASC`,
+        [today]
+      );
+      return rows;
+    },
+
+    // Un mes del hogar que pise [startDate..endDate] (YYYY-MM-DD), o null
+    async findOverlapping(db, householdId, startDate, endDate) {
+      const { rows } = await db.query(
+        `SELECT id, period_key, start_date, end_date
+         FROM economia.month
+         WHERE household_id = $1 AND deleted_at IS NULL
+           AND start_date <= ${d.cast("$3", "date")} AND end_date >= ${d.cast("$2", "date")}
+         ORDER BY start_date ASC
+         LIMIT 1`,
+        [householdId, startDate, endDate]
+      );
+      return rows[0] || null;
+    },
+
+    async existsPeriod(db, householdId, periodKey) {
+      const { rows } = await db.query(
+        `SELECT 1 FROM economia.month
+         WHERE household_id = $1 AND period_key = $2 AND deleted_at IS NULL
+         LIMIT 1`,
+        [householdId, periodKey]
+      );
+      return rows.length > 0;
+    },
+
+    // Días que quedan contando hoy (mínimo 1)
+    async daysLeft(db, monthId) {
+      const { rows } = await db.query(
+        `SELECT ${int(`${d.daysBetween("end_date", "CURRENT_DATE")} + 1`)} AS days_left
+         FROM economia.month
+         WHERE id=$1 AND deleted_at IS NULL`,
+        [monthId]
+      );
+      return Math.max(1, rows[0].days_left);
+    },
+
+    // El mes va a la papelera junto con sus movimientos activos; las semanas y las
+    // entradas de hucha se quedan como están y dejan de verse con el mes.
+    async softDelete(db, monthId) {
+      await db.query(`UPDATE economia.month SET deleted_at = NOW() WHERE id=$1`, [monthId]);
+      await db.query(
+        `UPDATE economia."transaction"
+         SET deleted_at = NOW(), trashed_with_id = $1
+         WHERE month_id = $1 AND deleted_at IS NULL`,
+        [monthId]
+      );
+    },
+
+    // Cualquier mes del hogar, también los de la papelera
+    async exists(db, householdId) {
+      const { rows } = await db.query(
+        `SELECT 1 FROM economia.month WHERE household_id = $1 LIMIT 1`,
+        [householdId]
+      );
+      return rows.length > 0;
+    },
+
+    // Cualquier movimiento, también los de la papelera
+    async hasTransactions(db, monthId) {
+      const { rows } = await db.query(
+        `SELECT 1 FROM economia."transaction" WHERE month_id=$1 LIMIT 1`,
+        [monthId]
+      );
+      return rows.length > 0;
+    },
+  };
+
+  /* ---- semanas ---- */
+  const weeks = {
+    async listByMonth(db, monthId) {
+      const { rows } = await db.query(
+        `SELECT
+           *,
+           ${WEEK_EUR_SQL}
+         FROM economia.week
+         WHERE month_id=$1
+         ORDER BY week_index ASC`,
+        [monthId]
+      );
+      return rows;
+    },
+
+    // Semana del mes que contiene date (YYYY-MM-DD)
+    async findContaining(db, monthId, date) {
+      const { rows } = await db.query(
+        `SELECT id
+         FROM economia.week
+         WHERE month_id = $1
+           AND start_date <= ${d.cast("$2", "date")}
+           AND end_date >= ${d.cast("$2", "date")}
+         LIMIT 1`,
+        [monthId, date]
+      );
+      return rows[0] || null;
+    },
+
+    // Semana del mes que contiene hoy
+    async getCurrent(db, monthId) {
+      const { rows } = await db.query(
+        `SELECT
+           *,
+           ${WEEK_EUR_SQL}
+         FROM economia.week
+         WHERE month_id = $1
+           AND start_date <= CURRENT_DATE
+           AND end_date >= CURRENT_DATE
+         ORDER BY week_index ASC
+         LIMIT 1`,
+        [monthId]
+      );
+      return rows[0] || null;
+    },
+
+    async getLast(db, monthId) {
+      const { rows } = await db.query(
+        `SELECT
+           *,
+           ${WEEK_EUR_SQL}
+         FROM economia.week
+         WHERE month_id = $1
+         ORDER BY week_index DESC
+         LIMIT 1`,
+        [monthId]
+      );
+      return rows[0] || null;
+    },
+
+    async getById(db, weekId, householdId) {
+      const { rows } = await db.query(
+        `SELECT * FROM economia.week WHERE id=$1 AND household_id=$2 LIMIT 1`,
+        [weekId, householdId]
+      );
+      return rows[0] || null;
+    },
+
+    async create(db, { householdId, monthId, weekIndex, startDate, endDate, cashWithdraw }) {
+      const { rows } = await db.query(
+        `INSERT INTO economia.week
+          (household_id, month_id, week_index, start_date, end_date, cash_withdraw_amount, status)
+         VALUES ($1,$2,$3,$4,$5,$6,'OPEN')
+         RETURNING id`,
+        [householdId, monthId, weekIndex, startDate, endDate, cashWithdraw]
+      );
+      return rows[0].id;
+    },
+
+    async addCashReturn(db, weekId, cents) {
+      const { rows } = await db.query(
+        `UPDATE economia.week
+         SET cash_returned_to_bank_amount = cash_returned_to_bank_amount + $1
+         WHERE id=$2
+         RETURNING
+           *,
+           (cash_returned_to_bank_amount / 100.0) AS cash_returned_to_bank_amount_eur`,
+        [cents, weekId]
+      );
+      return rows[0];
+    },
+
+    async close(db, weekId) {
+      await db.query(`UPDATE economia.week SET status='CLOSED', closed_at=NOW() WHERE id=$1`, [
+        weekId,
+      ]);
+    },
+
+    // La retirada semanal de las semanas aún abiertas sigue al presupuesto semanal del mes
+    async setOpenCashWithdraw(db, monthId, cents) {
+      await db.query(
+        `UPDATE economia.week
+         SET cash_withdraw_amount=$1
+         WHERE month_id=$2 AND status='OPEN'`,
+        [cents, monthId]
+      );
+    },
+
+    // ✅ bolsillo semana = retiradas - (gastos cash + piggy + devoluciones)
+    async cashPocket(db, week) {
+      const { rows } = await db.query(
+        `SELECT
+          ${int("COALESCE(SUM(CASE WHEN type='CASH_WITHDRAWAL' THEN amount ELSE 0 END),0)")} AS cash_in,
+          ${int("COALESCE(SUM(CASE WHEN type='PIGGYBANK_WITHDRAWAL' AND payment_method='CASH' THEN amount ELSE 0 END),0)")} AS piggy_in,
+          ${int("COALESCE(SUM(CASE WHEN type='EXPENSE' AND payment_method='CASH' THEN amount ELSE 0 END),0)")} AS cash_expense_out,
+          ${int("COALESCE(SUM(CASE WHEN type='PIGGYBANK_DEPOSIT' AND payment_method='CASH' THEN amount ELSE 0 END),0)")} AS piggy_out,
+          ${int("COALESCE(SUM(CASE WHEN type='CASH_RETURN' THEN amount ELSE 0 END),0)")} AS return_out
+        FROM economia."transaction"
+        WHERE month_id=$1 AND week_id=$2 AND deleted_at IS NULL`,
+        [week.month_id, week.id]
+      );
+      const r = rows[0];
+      return {
+        cashIn: r.cash_in + r.piggy_in,
+        cashOut: r.cash_expense_out + r.piggy_out + r.return_out,
+        balance: r.cash_in + r.piggy_in - (r.cash_expense_out + r.piggy_out + r.return_out),
+      };
+    },
+  };
+
+  /* ---- movimientos ---- */
+  const TX_SELECT_SQL = `
+    SELECT
+      t.*,
+      (t.amount / 100.0) AS amount_eur,
+      c.name AS category_name`;
+
+  // filter: { from, to, monthIds } (fechas YYYY-MM-DD incluidas)
+  const exportWhere = (householdId, { from, to, monthIds = [] }) => {
+    const where = ["t.household_id = $1"];
+    const params = [householdId];
+
+    if (from) {
+      params.push(from);
+      where.push(`${d.date("t.date_time")} >= ${d.cast(`$${params.length}`, "date")}`);
+    }
+    if (to) {
+      params.push(to);
+      where.push(`${d.date("t.date_time")} <= ${d.cast(`$${params.length}`, "date")}`);
+    }
+    if (monthIds.length) {
+      params.push(monthIds);
+      where.push(d.anyOf("t.month_id", `$${params.length}`, "uuid"));
+    }
+
+    return { where, params };
+  };
+
+  const transactions = {
+    // tx: columnas de TX_COLUMNS; date_time vacío = ahora
+    async create(db, tx) {
+      const columns = TX_COLUMNS.filter(
+        (c) => tx[c] !== undefined && !(c === "date_time" && tx[c] === null)
+      );
+      const values = columns.map((c) => (c === "date_time" ? d.timestamp(tx[c]) : tx[c]));
+
+      const { rows } = await db.query(
+        `INSERT INTO economia."transaction" (${columns.join(", ")})
+         VALUES (${columns.map((_, i) => `$${i + 1}`).join(", ")})
+         RETURNING
+           *,
+           (amount / 100.0) AS amount_eur`,
+        values
+      );
+      return rows[0];
+    },
+
+    async getById(db, txId, householdId) {
+      const { rows } = await db.query(
+        `${TX_SELECT_SQL}
+         FROM economia."transaction" t
+         LEFT JOIN economia.category c ON c.id = t.category_id
+         WHERE t.id = $1 AND t.household_id = $2 AND t.deleted_at IS NULL
+         LIMIT 1`,
+        [txId, householdId]
+      );
+      return rows[0] || null;
+    },
+
+    // changes: columnas de TX_COLUMNS a sobrescribir; date_time vacío = se mantiene
+    async update(db, txId, householdId, changes) {
+      const columns = TX_COLUMNS.filter(
+        (c) => changes[c] !== undefined && !(c === "date_time" && changes[c] === null)
+      );
+      const values = columns.map((c) => (c === "date_time" ? d.timestamp(changes[c]) : changes[c]));
+
+      const { rows } = await db.query(
+        `UPDATE economia."transaction"
+         SET ${columns.map((c, i) => `${c} = $${i + 1}`).join(", ")}
+         WHERE id = $${columns.length + 1} AND household_id = $${columns.length + 2}
+           AND deleted_at IS NULL
+         RETURNING
+           *,
+           (amount / 100.0) AS amount_eur`,
+        [...values, txId, householdId]
+      );
+      return rows[0] || null;
+    },
+
+    async softDelete(db, txId, householdId) {
+      const { rows } = await db.query(
+        `UPDATE economia."transaction"
+         SET deleted_at = NOW()
+         WHERE id=$1 AND household_id=$2 AND deleted_at IS NULL
+         RETURNING id`,
+        [txId, householdId]
+      );
+      return rows.length > 0;
+    },
+
+    /*
+      filter = { where: [...], params: [...] } sobre el alias t (ver buildTransactionFilter).
+      Sin cursor ni limit: todo ordenado por fecha (listado clásico por mes).
+    */
+    async list(db, filter) {
+      const { rows } = await db.query(
+        `${TX_SELECT_SQL}
+         FROM economia."transaction" t
+         LEFT JOIN economia.category c ON c.id = t.category_id
+         WHERE ${filter.where.join(" AND ")} AND t.deleted_at IS NULL
+         ORDER BY t.date_time DESC`,
+        filter.params
+      );
+      return rows;
+    },
+
+    // Resumen del conjunto filtrado completo, no solo de una página
+    async totals(db, filter) {
+      const { rows } = await db.query(
+        `SELECT
+           ${int("COUNT(*)")} AS count,
+           ${int("COALESCE(SUM(CASE WHEN t.direction='OUT' THEN t.amount ELSE 0 END),0)")} AS total_out,
+           ${int("COALESCE(SUM(CASE WHEN t.direction='IN' THEN t.amount ELSE 0 END),0)")} AS total_in
+         FROM economia."transaction" t
+         WHERE ${filter.where.join(" AND ")} AND t.deleted_at IS NULL`,
+        filter.params
+      );
+      return rows[0];
+    },
+
+    // Página por keyset (date_time, id) descendente. cursor = { d, id } del último de la
+    // página anterior; cada fila lleva cursor_ts (date_time como texto, sin perder precisión)
+    async page(db, filter, { cursor = null, limit }) {
+      const where = [...filter.where];
+      const params = [...filter.params];
+      if (cursor) {
+        params.push(cursor.d, cursor.id);
+        where.push(
+          `(t.date_time, t.id) < (${d.cast(`$${params.length - 1}`, "timestamptz")}, ${d.cast(
+            `$${params.length}`,
+            "uuid"
+          )})`
+        );
+      }
+      params.push(limit);
+
+      const { rows } = await db.query(
+        `${TX_SELECT_SQL},
+           ${d.cast("t.date_time", "text")} AS cursor_ts
+         FROM economia."transaction" t
+         LEFT JOIN economia.category c ON c.id = t.category_id
+         WHERE ${where.join(" AND ")} AND t.deleted_at IS NULL
+         ORDER BY t.date_time DESC, t.id DESC
+         LIMIT $${params.length}`,
+        params
+      );
+      return rows;
+    },
+
+    // Totales del mes por cuenta (céntimos). GASTOS = EXPENSE
+    // Romper una hucha hacia un objetivo no pasa por el banco: no cuenta en piggy_to_bank
+    async monthTotals(db, monthId) {
+      const { rows } = await db.query(
+        `SELECT
+          ${int("COALESCE(SUM(CASE WHEN t.direction='OUT' AND t.type='EXPENSE' THEN t.amount ELSE 0 END),0)")} AS total_expenses,
+          ${int("COALESCE(SUM(CASE WHEN t.direction='IN' AND t.type='EXTRA_INCOME' THEN t.amount ELSE 0 END),0)")} AS extra_income,
+          ${int("COALESCE(SUM(CASE WHEN t.type='EXTRA_INCOME' THEN t.amount ELSE 0 END),0)")} AS extra_in,
+          ${int("COALESCE(SUM(CASE WHEN t.type='CASH_RETURN' THEN t.amount ELSE 0 END),0)")} AS cash_return,
+          ${int("COALESCE(SUM(CASE WHEN t.type='EXPENSE' AND t.payment_method IN ('CARD','TRANSFER') THEN t.amount ELSE 0 END),0)")} AS bank_expenses,
+          ${int("COALESCE(SUM(CASE WHEN t.type='CASH_WITHDRAWAL' THEN t.amount ELSE 0 END),0)")} AS cash_withdraw,
+          ${int("COALESCE(SUM(CASE WHEN t.type='EXPENSE' AND t.payment_method='CASH' THEN t.amount ELSE 0 END),0)")} AS cash_expenses,
+          ${int("COALESCE(SUM(CASE WHEN t.type='PIGGYBANK_DEPOSIT' AND t.payment_method='CASH' THEN t.amount ELSE 0 END),0)")} AS piggy_cash,
+          ${int("COALESCE(SUM(CASE WHEN t.type='PIGGYBANK_WITHDRAWAL' AND t.payment_method='CASH' THEN t.amount ELSE 0 END),0)")} AS piggy_to_cash,
+          ${int("COALESCE(SUM(CASE WHEN t.type='PIGGYBANK_WITHDRAWAL' AND t.payment_method='TRANSFER' AND e.destination='BANK' THEN t.amount ELSE 0 END),0)")} AS piggy_to_bank,
+          ${int("COALESCE(SUM(CASE WHEN t.type='GOAL_CONTRIBUTION' THEN t.amount ELSE 0 END),0)")} AS goal_contributions
+        FROM economia."transaction" t
+        LEFT JOIN economia.piggy_bank_entry e ON e.id = t.piggy_entry_id
+        WHERE t.month_id=$1 AND t.deleted_at IS NULL`,
+        [monthId]
+      );
+      return rows[0];
+    },
+
+    // Gasto EXPENSE del mes por attribution guardada (MINE/PARTNER se resuelven al leer)
+    async monthExpensesByAttribution(db, monthId) {
+      const { rows } = await db.query(
+        `SELECT
+           attribution,
+           attributed_user_id,
+           ${int("COALESCE(SUM(amount),0)")} AS total
+         FROM economia."transaction"
+         WHERE month_id=$1 AND deleted_at IS NULL
+           AND direction='OUT'
+           AND type='EXPENSE'
+         GROUP BY attribution, attributed_user_id`,
+        [monthId]
+      );
+      return rows;
+    },
+
+    // Gasto en efectivo del mes entre dos fechas (incluidas)
+    async cashSpentBetween(db, monthId, from, to) {
+      const { rows } = await db.query(
+        `SELECT ${int("COALESCE(SUM(amount),0)")} AS spent
+         FROM economia."transaction"
+         WHERE month_id=$1 AND deleted_at IS NULL
+           AND direction='OUT'
+           AND type='EXPENSE'
+           AND payment_method='CASH'
+           AND ${d.date("date_time")} >= ${d.cast("$2", "date")}
+           AND ${d.date("date_time")} <= ${d.cast("$3", "date")}`,
+        [monthId, from, to]
+      );
+      return rows[0].spent;
+    },
+
+    async hasCashWithdrawal(db, weekId) {
+      const { rows } = await db.query(
+        `SELECT 1
+         FROM economia."transaction"
+         WHERE week_id = $1
+           AND type = 'CASH_WITHDRAWAL'
+           AND deleted_at IS NULL
+         LIMIT 1`,
+        [weekId]
+      );
+      return rows.length > 0;
+    },
+
+    // Totales del export: número, rango de fechas y saldo neto (céntimos)
+    async exportSummary(db, householdId, filter) {
+      const { where, params } = exportWhere(householdId, filter);
+      const { rows } = await db.query(
+        `SELECT
+           ${int("COUNT(*)")} AS count,
+           MIN(t.date_time) AS first_at,
+           MAX(t.date_time) AS last_at,
+           CAST(COALESCE(SUM(CASE WHEN t.direction='IN' THEN t.amount ELSE -t.amount END),0) AS BIGINT) AS net
+         FROM economia."transaction" t
+         WHERE ${where.join(" AND ")} AND t.deleted_at IS NULL`,
+        params
+      );
+      return rows[0];
+    },
+
+    // Un lote del export por keyset (date_time, id) ascendente. after = { d, id } con el
+    // cursor_ts y el id de la última fila del lote anterior (como en page)
+    async exportBatch(db, householdId, filter, after, limit) {
+      const { where, params } = exportWhere(householdId, filter);
+      if (after) {
+        params.push(after.d, after.id);
+        where.push(
+          `(t.date_time, t.id) > (${d.cast(`$${params.length - 1}`, "timestamptz")}, ${d.cast(
+            `$${params.length}`,
+            "uuid"
+          )})`
+        );
+      }
+      params.push(limit);
+
+      const { rows } = await db.query(
+        `SELECT
+           t.id,
+           t.date_time,
+           t.amount,
+           t.direction,
+           t.type,
+           t.attribution,
+           t.attributed_user_id,
+           t.payment_method,
+           t.concept,
+           t.note,
+           t.original_currency,
+           t.original_amount,
+           t.exchange_rate,
+           c.name AS category_name,
+           m.period_key,
+           ${d.cast("t.date_time", "text")} AS cursor_ts
+         FROM economia."transaction" t
+         JOIN economia.month m ON m.id = t.month_id
+         LEFT JOIN economia.category c ON c.id = t.category_id
+         WHERE ${where.join(" AND ")} AND t.deleted_at IS NULL
+         ORDER BY t.date_time ASC, t.id ASC
+         LIMIT $${params.length}`,
+        params
+      );
+      return rows;
+    },
+  };
+
+  /* ---- presupuestos por categoría ---- */
+  const categoryBudgets = {
+    // Presupuestos del mes con lo gastado (los gastos previstos publicados aparte) y los días
+    // del mes: totales y transcurridos hasta hoy (entre 1 y el total)
+    async listWithSpent(db, monthId) {
+      const daysTotal = `(${d.daysBetween("m.end_date", "m.start_date")} + 1)`;
+      const { rows } = await db.query(
+        `SELECT
+           b.category_id,
+           c.name AS category_name,
+           c.color,
+           c.icon,
+           b.amount AS budget,
+           ${int("COALESCE(SUM(t.amount) FILTER (WHERE t.planned_expense_id IS NOT NULL), 0)")} AS planned_spent,
+           ${int("COALESCE(SUM(t.amount) FILTER (WHERE t.planned_expense_id IS NULL), 0)")} AS variable_spent,
+           ${int(daysTotal)} AS days_total,
+           ${int(`(${d.daysBetween("CURRENT_DATE", "m.start_date")} + 1)`)} AS days_elapsed
+         FROM economia.category_budget b
+         JOIN economia.month m ON m.id = b.month_id
+         JOIN economia.category c ON c.id = b.category_id
+         LEFT JOIN economia."transaction" t
+           ON t.month_id = b.month_id
+          AND t.category_id = b.category_id
+          AND t.direction = 'OUT'
+          AND t.type = 'EXPENSE'
+          AND t.deleted_at IS NULL
+         WHERE b.month_id = $1
+         GROUP BY b.category_id, c.name, c.color, c.icon, c.sort_order, b.amount, m.start_date, m.end_date
+         ORDER BY c.sort_order ASC, c.name ASC`,
+        [monthId]
+      );
+      return rows.map((r) => ({
+        ...r,
+        days_elapsed: Math.min(Math.max(r.days_elapsed, 1), r.days_total),
+      }));
+    },
+
+    // Solo los de categorías activas
+    async listActive(db, monthId) {
+      const { rows } = await db.query(
+        `SELECT b.category_id, b.amount
+         FROM economia.category_budget b
+         JOIN economia.category c ON c.id = b.category_id AND c.is_active = true
+         WHERE b.month_id = $1`,
+        [monthId]
+      );
+      return rows;
+    },
+
+    async upsert(db, monthId, categoryId, amount) {
+      const { rows } = await db.query(
+        `INSERT INTO economia.category_budget (month_id, category_id, amount)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (month_id, category_id) DO UPDATE SET amount = EXCLUDED.amount
+         RETURNING
+           *,
+           (amount / 100.0) AS amount_eur`,
+        [monthId, categoryId, amount]
+      );
+      return rows[0];
+    },
+
+    // false si no había (o el mes no es del hogar)
+    async remove(db, monthId, categoryId, householdId) {
+      const { rowCount } = await db.query(
+        `DELETE FROM economia.category_budget
+         WHERE month_id = $1
+           AND category_id = $2
+           AND month_id IN (
+             SELECT id FROM economia.month WHERE household_id = $3 AND deleted_at IS NULL
+           )`,
+        [monthId, categoryId, householdId]
+      );
+      return rowCount > 0;
+    },
+
+    // Los de categorías activas de fromMonthId pasan a toMonthId; sin overwrite no pisa los
+    // que ya tenga. Devuelve cuántos se han escrito
+    async copy(db, fromMonthId, toMonthId, { overwrite = false } = {}) {
+      const { rowCount } = await db.query(
+        `INSERT INTO economia.category_budget (month_id, category_id, amount)
+         SELECT $1, b.category_id, b.amount
+         FROM economia.category_budget b
+         JOIN economia.category c ON c.id = b.category_id AND c.is_active = true
+         WHERE b.month_id = $2
+         ON CONFLICT (month_id, category_id) DO ${
+           overwrite ? "UPDATE SET amount = EXCLUDED.amount" : "NOTHING"
+         }`,
+        [toMonthId, fromMonthId]
+      );
+      return rowCount;
+    },
+  };
+
+  /* ---- plantillas de mes ---- */
+  const templateRow = (r) => ({ ...r, all_planned_expenses: Boolean(r.all_planned_expenses) });
+
+  const monthTemplates = {
+    /*
+      Una plantilla (templateId) o todas las del hogar, con:
+        budgets              [{ category_id, category_name, amount, amount_eur }]
+        planned_expense_ids  null = todos los gastos previstos activos
+    */
+    async list(db, householdId, templateId = null) {
+      const { rows } = await db.query(
+        `SELECT
+           t.*,
+           (t.income_amount / 100.0) AS income_amount_eur,
+           (t.weekly_budget_amount / 100.0) AS weekly_budget_amount_eur,
+           (t.saving_goal_amount / 100.0) AS saving_goal_amount_eur
+         FROM economia.month_template t
+         WHERE t.household_id = $1 AND (${d.cast("$2", "uuid")} IS NULL OR t.id = $2)
+         ORDER BY t.name ASC`,
+        [householdId, templateId]
+      );
+      if (!rows.length) return [];
+
+      const ids = rows.map((t) => t.id);
+      const budgets = await db.query(
+        `SELECT
+           b.template_id,
+           b.category_id,
+           c.name AS category_name,
+           b.amount,
+           (b.amount / 100.0) AS amount_eur
+         FROM economia.month_template_budget b
+         JOIN economia.category c ON c.id = b.category_id
+         WHERE ${d.anyOf("b.template_id", "$1", "uuid")}
+         ORDER BY c.sort_order, c.name`,
+        [ids]
+      );
+      const planned = await db.query(
+        `SELECT tp.template_id, tp.planned_expense_id
+         FROM economia.month_template_planned tp
+         JOIN economia.planned_expense p ON p.id = tp.planned_expense_id
+         WHERE ${d.anyOf("tp.template_id", "$1", "uuid")}
+         ORDER BY p.name`,
+        [ids]
+      );
+
+      return rows.map(templateRow).map((t) => ({
+        ...t,
+        budgets: budgets.rows
+          .filter((b) => b.template_id === t.id)
+          .map(({ template_id, ...b }) => b),
+        planned_expense_ids: t.all_planned_expenses
+          ? null
+          : planned.rows.filter((p) => p.template_id === t.id).map((p) => p.planned_expense_id),
+      }));
+    },
+
+    // amounts en céntimos; allPlannedExpenses: sin selección de gastos previstos
+    async create(db, householdId, { name, income, weeklyBudget, savingGoal, allPlannedExpenses }) {
+      const { rows } = await db.query(
+        `INSERT INTO economia.month_template
+          (household_id, name, income_amount, weekly_budget_amount, saving_goal_amount, all_planned_expenses)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id`,
+        [householdId, name, income, weeklyBudget, savingGoal, allPlannedExpenses]
+      );
+      return rows[0].id;
+    },
+
+    async update(
+      db,
+      templateId,
+      householdId,
+      { name, income, weeklyBudget, savingGoal, allPlannedExpenses }
+    ) {
+      await db.query(
+        `UPDATE economia.month_template
+         SET name = $3,
+             income_amount = $4,
+             weekly_budget_amount = $5,
+             saving_goal_amount = $6,
+             all_planned_expenses = $7,
+             updated_at = NOW()
+         WHERE id = $1 AND household_id = $2`,
+        [templateId, householdId, name, income, weeklyBudget, savingGoal, allPlannedExpenses]
+      );
+    },
+
+    // Reemplaza presupuestos ([[categoryId, amount]]) y gastos previstos de la plantilla
+    async replaceLines(db, templateId, { budgets, plannedIds }) {
+      await db.query(`DELETE FROM economia.month_template_budget WHERE template_id = $1`, [
+        templateId,
+      ]);
+      for (const [categoryId, amount] of budgets) {
+        await db.query(
+          `INSERT INTO economia.month_template_budget (template_id, category_id, amount)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (template_id, category_id) DO UPDATE SET amount = EXCLUDED.amount`,
+          [templateId, categoryId, amount]
+        );
+      }
+
+      await db.query(`DELETE FROM economia.month_template_planned WHERE template_id = $1`, [
+        templateId,
+      ]);
+      for (const plannedId of plannedIds) {
+        await db.query(
+          `INSERT INTO economia.month_template_planned (template_id, planned_expense_id) VALUES ($1, $2)`,
+          [templateId, plannedId]
+        );
+      }
+    },
+
+    async remove(db, templateId, householdId) {
+      const { rowCount } = await db.query(
+        `DELETE FROM economia.month_template WHERE id = $1 AND household_id = $2`,
+        [templateId, householdId]
+      );
+      return rowCount > 0;
+    },
+  };
+
+  /* ---- gastos previstos ---- */
+  const PLANNED_SELECT_SQL = `
+    SELECT
+      p.*,
+      (p.amount / 100.0) AS amount_eur,
+      c.name AS category_name
+    FROM economia.planned_expense p
+    LEFT JOIN economia.category c ON c.id = p.category_id`;
+  const plannedRow = (r) => ({ ...r, is_active: Boolean(r.is_active) });
+
+  const plannedExpenses = {
+    async list(db, householdId, { includeInactive = false } = {}) {
+      const { rows } = await db.query(
+        `${PLANNED_SELECT_SQL}
+         WHERE p.household_id = $1
+           AND (${d.cast("$2", "boolean")} OR p.is_active = true)
+         ORDER BY p.next_due_date ASC, p.name ASC`,
+        [householdId, includeInactive]
+      );
+      return rows.map(plannedRow);
+    },
+
+    async getById(db, plannedId, householdId) {
+      const { rows } = await db.query(
+        `${PLANNED_SELECT_SQL}
+         WHERE p.id = $1 AND p.household_id = $2
+         LIMIT 1`,
+        [plannedId, householdId]
+      );
+      return rows[0] ? plannedRow(rows[0]) : null;
+    },
+
+    async create(db, householdId, p) {
+      const { rows } = await db.query(
+        `INSERT INTO economia.planned_expense
+          (household_id, name, amount, frequency, next_due_date, attribution, attributed_user_id, category_id, payment_method)
+         VALUES (
+           $1, $2, $3, $4, ${d.cast("$5", "date")}, ${d.cast("$6", "economia.attribution")}, $7, $8,
+           ${d.cast("$9", "economia.payment_method")}
+         )
+         RETURNING
+           *,
+           (amount / 100.0) AS amount_eur`,
+        [
+          householdId,
+          p.name,
+          p.amount,
+          p.frequency,
+          p.next_due_date,
+          p.attribution,
+          p.attributed_user_id,
+          p.category_id,
+          p.payment_method,
+        ]
+      );
+      return plannedRow(rows[0]);
+    },
+
+    // name, amount, frequency, attributed_user_id y category_id se escriben tal cual; el
+    // resto, null = se mantiene
+    async update(db, plannedId, p) {
+      const { rows } = await db.query(
+        `UPDATE economia.planned_expense
+         SET
+           name = $1,
+           amount = $2,
+           frequency = $3,
+           next_due_date = COALESCE(${d.cast("$4", "date")}, next_due_date),
+           attribution = COALESCE(${d.cast("$5", "economia.attribution")}, attribution),
+           attributed_user_id = $6,
+           category_id = $7,
+           payment_method = COALESCE(${d.cast("$8", "economia.payment_method")}, payment_method),
+           is_active = COALESCE(${d.cast("$9", "boolean")}, is_active)
+         WHERE id = $10
+         RETURNING
+           *,
+           (amount / 100.0) AS amount_eur`,
+        [
+          p.name,
+          p.amount,
+          p.frequency,
+          p.next_due_date,
+          p.attribution,
+          p.attributed_user_id,
+          p.category_id,
+          p.payment_method,
+          p.is_active,
+          plannedId,
+        ]
+      );
+      return plannedRow(rows[0]);
+    },
+
+    // Los movimientos ya publicados se conservan (planned_expense_id -> NULL)
+    async remove(db, plannedId, householdId) {
+      const { rowCount } = await db.query(
+        `DELETE FROM economia.planned_expense WHERE id=$1 AND household_id=$2`,
+        [plannedId, householdId]
+      );
+      return rowCount > 0;
+    },
+
+    // Activos con vencimiento hasta untilDate (plannedIds null = todos), bloqueados hasta el
+    // final de la transacción
+    async listDue(db, householdId, untilDate, plannedIds = null) {
+      const { rows } = await db.query(
+        `SELECT *
+         FROM economia.planned_expense
+         WHERE household_id = $1
+           AND is_active = true
+           AND next_due_date <= ${d.cast("$2", "date")}
+           AND (${d.cast("$3", "uuid[]")} IS NULL OR ${d.anyOf("id", "$3", "uuid")})
+         ORDER BY next_due_date ASC
+         ${d.forUpdate}`,
+        [householdId, untilDate, plannedIds]
+      );
+      return rows;
+    },
+
+    // EXPENSE de la ocurrencia dueDate (YYYY-MM-DD); null si ya estaba publicada
+    async postOccurrence(db, planned, { monthId, weekId, dueDate }) {
+      const { rows } = await db.query(
+        `INSERT INTO economia."transaction"
+          (household_id, date_time, amount, direction, type, month_id, week_id, category_id, attribution,
+           attributed_user_id, payment_method, concept, note, planned_expense_id, planned_due_date)
+         VALUES
+          ($1, $2, $3, 'OUT', 'EXPENSE', $4, $5, $6, $7, $8, $9, $10, NULL, $11, ${d.cast("$12", "date")})
+         ON CONFLICT (planned_expense_id, planned_due_date) WHERE planned_expense_id IS NOT NULL
+         DO NOTHING
+         RETURNING *, (amount / 100.0) AS amount_eur`,
+        [
+          planned.household_id,
+          d.timestamp(dueDate),
+          planned.amount,
+          monthId,
+          weekId,
+          planned.category_id,
+          planned.attribution,
+          planned.attributed_user_id,
+          planned.payment_method,
+          planned.name,
+          planned.id,
+          dueDate,
+        ]
+      );
+      return rows[0] || null;
+    },
+
+    async setNextDueDate(db, plannedId, dueDate) {
+      await db.query(
+        `UPDATE economia.planned_expense SET next_due_date = ${d.cast("$1", "date")} WHERE id = $2`,
+        [dueDate, plannedId]
+      );
+    },
+
+    // La ocurrencia de dueDate vuelve a estar pendiente (p.ej. al deshacer su movimiento)
+    async rewindTo(db, plannedId, dueDate) {
+      await db.query(
+        `UPDATE economia.planned_expense
+         SET next_due_date = CASE
+           WHEN next_due_date <= ${d.cast("$1", "date")} THEN next_due_date
+           ELSE ${d.cast("$1", "date")}
+         END
+         WHERE id = $2`,
+        [dueDate, plannedId]
+      );
+    },
+  };
+
+  /* ---- huchas ---- */
+  // rule: JSONB en Postgres, texto JSON en SQLite
+  const parseRule = (r) => ({ ...r, rule: typeof r.rule === "string" ? JSON.parse(r.rule) : r.rule });
+
+  const PIGGY_COLUMNS = "id, name, type, rule, archived_at, created_at";
+
+  const piggyBanks = {
+    async summary(db, householdId, { includeArchived = false } = {}) {
+      const { rows } = await db.query(
+        `SELECT
+          p.id,
+          p.name,
+          p.type,
+          p.rule,
+          p.archived_at,
+          ${int("COALESCE(SUM(e.amount), 0)")} AS balance,
+          (COALESCE(SUM(e.amount), 0) / 100.0) AS balance_eur,
+          ${int("COUNT(e.id)")} AS entries_count,
+          MAX(e.date_time) AS last_entry_at
+        FROM economia.piggy_bank p
+        LEFT JOIN economia.piggy_bank_entry e ON e.piggy_bank_id = p.id AND e.deleted_at IS NULL
+        WHERE p.household_id = $1 AND (${d.cast("$2", "boolean")} OR p.archived_at IS NULL)
+        GROUP BY p.id, p.name, p.type, p.rule, p.archived_at
+        ORDER BY p.type = 'CUSTOM' ASC, p.type ASC, p.name ASC`,
+        [householdId, includeArchived]
+      );
+      return rows.map(parseRule);
+    },
+
+    async list(db, householdId) {
+      const { rows } = await db.query(
+        `SELECT id, type, name, rule, archived_at FROM economia.piggy_bank WHERE household_id=$1`,
+        [householdId]
+      );
+      return rows.map(parseRule);
+    },
+
+    async getById(db, piggyBankId, householdId) {
+      const { rows } = await db.query(
+        `SELECT id, type, name, rule, archived_at
+         FROM economia.piggy_bank
+         WHERE id=$1 AND household_id=$2
+         LIMIT 1`,
+        [piggyBankId, householdId]
+      );
+      return rows[0] ? parseRule(rows[0]) : null;
+    },
+
+    // Huchas del hogar (CUSTOM); rule ya en céntimos
+    async create(db, householdId, { name, rule }) {
+      const { rows } = await db.query(
+        `INSERT INTO economia.piggy_bank (household_id, name, type, rule)
+         VALUES ($1, $2, 'CUSTOM', $3)
+         RETURNING ${PIGGY_COLUMNS}`,
+        [householdId, name, JSON.stringify(rule)]
+      );
+      return parseRule(rows[0]);
+    },
+
+    // name undefined = se mantiene; rule sustituye a la anterior
+    async update(db, piggyBankId, householdId, { name, rule }) {
+      const { rows } = await db.query(
+        `UPDATE economia.piggy_bank
+         SET
+           name = COALESCE($1, name),
+           rule = CASE WHEN ${d.cast("$2", "boolean")} THEN ${d.cast("$3", "jsonb")} ELSE rule END
+         WHERE id = $4 AND household_id = $5
+         RETURNING ${PIGGY_COLUMNS}`,
+        [
+          name === undefined ? null : name,
+          rule !== undefined,
+          JSON.stringify(rule || {}),
+          piggyBankId,
+          householdId,
+        ]
+      );
+      return rows[0] ? parseRule(rows[0]) : null;
+    },
+
+    // Archivar conserva la fecha del primer archivado
+    async setArchived(db, piggyBankId, householdId, archived) {
+      const { rows } = await db.query(
+        `UPDATE economia.piggy_bank
+         SET archived_at = ${archived ? "COALESCE(archived_at, NOW())" : "NULL"}
+         WHERE id = $1 AND household_id = $2
+         RETURNING ${PIGGY_COLUMNS}`,
+        [piggyBankId, householdId]
+      );
+      return rows[0] ? parseRule(rows[0]) : null;
+    },
+
+    // Aportaciones y retiradas (amount < 0), la más reciente primero, con el saldo que dejó
+    // cada una y su movimiento vinculado
+    async listEntries(db, piggyBankId) {
+      const running = "SUM(e.amount) OVER (ORDER BY e.date_time, e.id)";
+      const { rows } = await db.query(
+        `SELECT
+           e.*,
+           (e.amount / 100.0) AS amount_eur,
+           CASE WHEN e.amount < 0 THEN 'WITHDRAWAL' ELSE 'DEPOSIT' END AS kind,
+           ${int(running)} AS balance_after,
+           (${running} / 100.0) AS balance_after_eur,
+           (SELECT t.id
+            FROM economia."transaction" t
+            WHERE t.piggy_entry_id = e.id AND t.deleted_at IS NULL
+            LIMIT 1) AS transaction_id
+         FROM economia.piggy_bank_entry e
+         WHERE e.piggy_bank_id = $1 AND e.deleted_at IS NULL
+         ORDER BY e.date_time DESC, e.id DESC`,
+        [piggyBankId]
+      );
+      return rows;
+    },
+
+    // Saldo de la hucha (céntimos). Bloquea la hucha hasta el final de la transacción para
+    // que dos retiradas a la vez no la dejen en negativo
+    async balance(db, piggyBankId) {
+      await db.query(`SELECT id FROM economia.piggy_bank WHERE id=$1 ${d.forUpdate}`, [
+        piggyBankId,
+      ]);
+      const { rows } = await db.query(
+        `SELECT ${int("COALESCE(SUM(amount), 0)")} AS balance
+         FROM economia.piggy_bank_entry
+         WHERE piggy_bank_id = $1 AND deleted_at IS NULL`,
+        [piggyBankId]
+      );
+      return rows[0].balance;
+    },
+
+    // amount < 0 = retirada (con destination)
+    async createEntry(
+      db,
+      { piggyBankId, amount, note = null, monthId = null, destination = null }
+    ) {
+      const { rows } = await db.query(
+        `INSERT INTO economia.piggy_bank_entry (piggy_bank_id, amount, note, month_id, destination)
+         VALUES ($1,$2,$3,$4,$5)
+         RETURNING
+           *,
+           (amount / 100.0) AS amount_eur`,
+        [piggyBankId, amount, note, monthId, destination]
+      );
+      return rows[0];
+    },
+
+    async getEntry(db, entryId, householdId) {
+      const { rows } = await db.query(
+        `SELECT e.*
+         FROM economia.piggy_bank_entry e
+         JOIN economia.piggy_bank p ON p.id = e.piggy_bank_id
+         WHERE e.id=$1 AND p.household_id=$2 AND e.deleted_at IS NULL
+         LIMIT 1`,
+        [entryId, householdId]
+      );
+      return rows[0] || null;
+    },
+
+    // la entrada va a la papelera junto con su transacción vinculada
+    async softDeleteEntry(db, entryId) {
+      await db.query(
+        `UPDATE economia."transaction"
+         SET deleted_at = NOW(), trashed_with_id = $1
+         WHERE piggy_entry_id = $1 AND deleted_at IS NULL`,
+        [entryId]
+      );
+      await db.query(`UPDATE economia.piggy_bank_entry SET deleted_at = NOW() WHERE id=$1`, [
+        entryId,
+      ]);
+    },
+  };
+
+  /* ---- objetivos de ahorro ---- */
+  // Una aportación cuenta si no tiene movimiento o si su movimiento no está en la papelera
+  const GOAL_CONTRIBUTION_COUNTS_SQL = `(c.transaction_id IS NULL OR EXISTS (
+    SELECT 1 FROM economia."transaction" t WHERE t.id = c.transaction_id AND t.deleted_at IS NULL
+  ))`;
+
+  const savingsGoals = {
+    // Un objetivo (id) o todos los del hogar, con lo ahorrado hasta ahora
+    async list(db, householdId, { id = null, includeArchived = false } = {}) {
+      const { rows } = await db.query(
+        `SELECT
+           g.id,
+           g.name,
+           g.target_amount,
+           ${d.cast("g.deadline", "text")} AS deadline,
+           g.archived_at,
+           g.created_at,
+           g.updated_at,
+           ${int(`COALESCE(SUM(c.amount) FILTER (WHERE ${GOAL_CONTRIBUTION_COUNTS_SQL}), 0)`)} AS saved_amount,
+           ${int(`COUNT(c.id) FILTER (WHERE ${GOAL_CONTRIBUTION_COUNTS_SQL})`)} AS contributions_count
+         FROM economia.savings_goal g
+         LEFT JOIN economia.savings_goal_contribution c ON c.goal_id = g.id
+         WHERE g.household_id = $1
+           AND (${d.cast("$2", "uuid")} IS NULL OR g.id = $2)
+           AND (${d.cast("$3", "boolean")} OR g.archived_at IS NULL)
+         GROUP BY g.id
+         ORDER BY g.archived_at IS NOT NULL, g.deadline ASC NULLS LAST, g.name ASC`,
+        [householdId, id, includeArchived]
+      );
+      return rows;
+    },
+
+    async create(db, householdId, { name, targetAmount, deadline = null }) {
+      const { rows } = await db.query(
+        `INSERT INTO economia.savings_goal (household_id, name, target_amount, deadline)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id`,
+        [householdId, name, targetAmount, deadline]
+      );
+      return rows[0].id;
+    },
+
+    // name/targetAmount undefined = se mantienen; deadline admite null para quitarla.
+    // false si no es del hogar
+    async update(db, goalId, householdId, { name, targetAmount, deadline }) {
+      const { rows } = await db.query(
+        `UPDATE economia.savings_goal
+         SET
+           name = COALESCE($1, name),
+           target_amount = COALESCE(${d.cast("$2", "int")}, target_amount),
+           deadline = CASE WHEN ${d.cast("$3", "boolean")} THEN ${d.cast("$4", "date")} ELSE deadline END,
+           updated_at = NOW()
+         WHERE id = $5 AND household_id = $6
+         RETURNING id`,
+        [
+          name === undefined ? null : name,
+          targetAmount ?? null,
+          deadline !== undefined,
+          deadline || null,
+          goalId,
+          householdId,
+        ]
+      );
+      return rows.length > 0;
+    },
+
+    async setArchived(db, goalId, householdId, archived) {
+      const { rows } = await db.query(
+        `UPDATE economia.savings_goal
+         SET archived_at = ${archived ? "COALESCE(archived_at, NOW())" : "NULL"}, updated_at = NOW()
+         WHERE id = $1 AND household_id = $2
+         RETURNING id`,
+        [goalId, householdId]
+      );
+      return rows.length > 0;
+    },
+
+    async hasContributions(db, goalId, householdId) {
+      const { rows } = await db.query(
+        `SELECT 1
+         FROM economia.savings_goal_contribution c
+         JOIN economia.savings_goal g ON g.id = c.goal_id
+         WHERE c.goal_id = $1 AND g.household_id = $2
+         LIMIT 1`,
+        [goalId, householdId]
+      );
+      return rows.length > 0;
+    },
+
+    async remove(db, goalId, householdId) {
+      const { rowCount } = await db.query(
+        `DELETE FROM economia.savings_goal WHERE id = $1 AND household_id = $2`,
+        [goalId, householdId]
+      );
+      return rowCount > 0;
+    },
+
+    // Más recientes primero, con lo acumulado tras cada una; counted = false si su movimiento
+    // está en la papelera
+    async listContributions(db, goalId) {
+      const { rows } = await db.query(
+        `SELECT
+           c.id,
+           c.amount,
+           (c.amount / 100.0) AS amount_eur,
+           c.source,
+           c.month_id,
+           m.period_key,
+           c.transaction_id,
+           c.note,
+           c.created_by_user_id,
+           u.name AS created_by_name,
+           c.created_at,
+           ${GOAL_CONTRIBUTION_COUNTS_SQL} AS counted,
+           ${int(`SUM(c.amount) FILTER (WHERE ${GOAL_CONTRIBUTION_COUNTS_SQL})
+             OVER (ORDER BY c.created_at, c.id)`)} AS saved_after
+         FROM economia.savings_goal_contribution c
+         LEFT JOIN economia.month m ON m.id = c.month_id
+         LEFT JOIN economia.app_user u ON u.id = c.created_by_user_id
+         WHERE c.goal_id = $1
+         ORDER BY c.created_at DESC, c.id DESC`,
+        [goalId]
+      );
+      return rows.map((r) => ({ ...r, counted: Boolean(r.counted) }));
+    },
+
+    async createContribution(
+      db,
+      { goalId, amount, source, monthId = null, transactionId = null, note = null, userId = null }
+    ) {
+      const { rows } = await db.query(
+        `INSERT INTO economia.savings_goal_contribution
+          (goal_id, amount, source, month_id, transaction_id, note, created_by_user_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *, (amount / 100.0) AS amount_eur`,
+        [goalId, amount, source, monthId, transactionId, note, userId]
+      );
+      return rows[0];
+    },
+
+    // Bloquea la aportación hasta el final de la transacción; null si no es del hogar
+    async getContribution(db, contributionId, householdId) {
+      const { rows } = await db.query(
+        `SELECT c.id, c.source, c.transaction_id
+         FROM economia.savings_goal_contribution c
+         JOIN economia.savings_goal g ON g.id = c.goal_id
+         WHERE c.id = $1 AND g.household_id = $2
+         ${d.forUpdateOf("c")}`,
+        [contributionId, householdId]
+      );
+      return rows[0] || null;
+    },
+
+    async removeContribution(db, contributionId) {
+      await db.query(`DELETE FROM economia.savings_goal_contribution WHERE id = $1`, [
+        contributionId,
+      ]);
+    },
+  };
+
+  /* ---- saldo entre la pareja ---- */
+  // Parte que debe el otro miembro a quien pagó (céntimos)
+  const OWED_TO_PAYER_SQL = `(CASE
+      WHEN t.attribution = 'HOUSE' OR t.attributed_user_id IS NULL THEN t.amount / 2
+      WHEN t.attributed_user_id <> t.paid_by_user_id THEN t.amount
+      ELSE 0
+    END)`;
+
+  // Movimientos que cuentan para el saldo de userId con partnerId ($1..$3)
+  const BALANCE_FROM_SQL = `
+    FROM economia."transaction" t
+    LEFT JOIN economia.category c ON c.id = t.category_id
+    WHERE t.household_id = $1 AND t.deleted_at IS NULL
+      AND t.paid_by_user_id IN ($2, $3)
+      AND ((t.type = 'EXPENSE' AND t.direction = 'OUT') OR t.type = 'SETTLEMENT')`;
+
+  // Positivo = lo que partnerId debe a userId
+  const BALANCE_EFFECT_SQL = `(CASE WHEN t.paid_by_user_id = $2 THEN 1 ELSE -1 END) * ${OWED_TO_PAYER_SQL}`;
+
+  const balances = {
+    async total(db, householdId, userId, partnerId) {
+      const { rows } = await db.query(
+        `SELECT ${int(`COALESCE(SUM(${BALANCE_EFFECT_SQL}), 0)`)} AS balance ${BALANCE_FROM_SQL}`,
+        [householdId, userId, partnerId]
+      );
+      return rows[0].balance || 0;
+    },
+
+    async lastSettlement(db, householdId, userId, partnerId) {
+      const { rows } = await db.query(
+        `SELECT t.* ${BALANCE_FROM_SQL} AND t.type = 'SETTLEMENT'
+         ORDER BY t.date_time DESC, t.id DESC
+         LIMIT 1`,
+        [householdId, userId, partnerId]
+      );
+      return rows[0] || null;
+    },
+
+    // Movimientos que generan deuda (desde since, si lo hay), con su efecto en el saldo
+    async movementsSince(db, householdId, userId, partnerId, since) {
+      const { rows } = await db.query(
+        `SELECT
+           t.id,
+           t.date_time,
+           t.amount,
+           (t.amount / 100.0) AS amount_eur,
+           t.type,
+           t.concept,
+           t.attribution,
+           t.attributed_user_id,
+           t.paid_by_user_id,
+           c.name AS category_name,
+           ${int(BALANCE_EFFECT_SQL)} AS effect,
+           ((${BALANCE_EFFECT_SQL}) / 100.0) AS effect_eur
+         ${BALANCE_FROM_SQL}
+           AND t.type <> 'SETTLEMENT'
+           AND ${OWED_TO_PAYER_SQL} > 0
+           AND (${d.cast("$4", "timestamptz")} IS NULL OR t.date_time > ${d.cast("$4", "timestamptz")})
+         ORDER BY t.date_time DESC, t.id DESC`,
+        [householdId, userId, partnerId, since ? d.timestamp(since) : null]
+      );
+      return rows;
+    },
+  };
+
+  /* ---- importación de CSV del banco ---- */
+  const parseJson = (value) => (typeof value === "string" ? JSON.parse(value) : value);
+  const batchRow = (r) => r && { ...r, options: parseJson(r.options) };
+  const draftRow = (r) => ({ ...r, raw: parseJson(r.raw), include: Boolean(r.include) });
+
+  const imports = {
+    async listBatches(db, householdId) {
+      const { rows } = await db.query(
+        `SELECT
+           b.id,
+           b.month_id,
+           b.filename,
+           b.status,
+           b.created_at,
+           b.confirmed_at,
+           ${int("COUNT(d.id)")} AS rows_count,
+           ${int("COUNT(d.transaction_id)")} AS created_count
+         FROM economia.import_batch b
+         LEFT JOIN economia.import_draft d ON d.batch_id = b.id
+         WHERE b.household_id = $1
+         GROUP BY b.id
+         ORDER BY b.created_at DESC`,
+        [householdId]
+      );
+      return rows;
+    },
+
+    async getBatch(db, batchId, householdId) {
+      const { rows } = await db.query(
+        `SELECT * FROM economia.import_batch WHERE id=$1 AND household_id=$2`,
+        [batchId, householdId]
+      );
+      return batchRow(rows[0]) || null;
+    },
+
+    // Con el estado de su mes; bloquea el lote hasta el final de la transacción
+    async lockBatch(db, batchId, householdId) {
+      const { rows } = await db.query(
+        `SELECT b.*, m.status AS month_status
+         FROM economia.import_batch b
+         JOIN economia.month m ON m.id = b.month_id
+         WHERE b.id=$1 AND b.household_id=$2
+         ${d.forUpdateOf("b")}`,
+        [batchId, householdId]
+      );
+      return batchRow(rows[0]) || null;
+    },
+
+    async createBatch(db, { householdId, monthId, filename, options }) {
+      const { rows } = await db.query(
+        `INSERT INTO economia.import_batch (household_id, month_id, filename, options)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id`,
+        [householdId, monthId, filename, JSON.stringify(options)]
+      );
+      return rows[0].id;
+    },
+
+    async confirmBatch(db, batchId) {
+      await db.query(
+        `UPDATE economia.import_batch SET status='CONFIRMED', confirmed_at=NOW() WHERE id=$1`,
+        [batchId]
+      );
+    },
+
+    // Solo lotes PENDING; false si no había ninguno
+    async discardBatch(db, batchId, householdId) {
+      const { rowCount } = await db.query(
+        `UPDATE economia.import_batch
+         SET status='DISCARDED'
+         WHERE id=$1 AND household_id=$2 AND status='PENDING'`,
+        [batchId, householdId]
+      );
+      return rowCount > 0;
+    },
+
+    // Movimientos del mes que pueden repetirse en el CSV (day = YYYY-MM-DD)
+    async duplicateCandidates(db, monthId) {
+      const { rows } = await db.query(
+        `SELECT id, ${d.cast(d.date("date_time"), "text")} AS day, amount, direction, concept
+         FROM economia."transaction"
+         WHERE month_id = $1 AND deleted_at IS NULL
+           AND type IN ('EXPENSE','EXTRA_INCOME')`,
+        [monthId]
+      );
+      return rows;
+    },
+
+    // Últimos gastos con concepto y categoría, para sugerir categoría por concepto
+    async conceptCategories(db, householdId, limit) {
+      const { rows } = await db.query(
+        `SELECT concept, category_id
+         FROM economia."transaction"
+         WHERE household_id = $1 AND deleted_at IS NULL
+           AND type = 'EXPENSE'
+           AND category_id IS NOT NULL
+           AND concept IS NOT NULL
+         ORDER BY date_time DESC
+         LIMIT $2`,
+        [householdId, limit]
+      );
+      return rows;
+    },
+
+    // draft.day: YYYY-MM-DD (o null si la fila no tiene fecha válida)
+    async createDraft(db, batchId, draft) {
+      await db.query(
+        `INSERT INTO economia.import_draft
+          (batch_id, row_number, raw, date_time, amount, direction, concept, category_id,
+           attribution, payment_method, duplicate_of, duplicate_of_row, error, include)
+         VALUES
+          ($1, $2, $3, ${d.cast("$4", "date")}, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+        [
+          batchId,
+          draft.rowNumber,
+          JSON.stringify(draft.raw),
+          draft.day ? d.timestamp(draft.day) : null,
+          draft.amount,
+          draft.direction,
+          draft.concept,
+          draft.categoryId,
+          draft.attribution,
+          draft.paymentMethod,
+          draft.duplicateOf,
+          draft.duplicateOfRow,
+          draft.error,
+          draft.include,
+        ]
+      );
+    },
+
+    // Borradores del lote con su categoría y el movimiento del que serían duplicado
+    async listDrafts(db, batchId) {
+      const { rows } = await db.query(
+        `SELECT
+           d.*,
+           (d.amount / 100.0) AS amount_eur,
+           c.name AS category_name,
+           t.date_time AS duplicate_date_time,
+           t.concept AS duplicate_concept
+         FROM economia.import_draft d
+         LEFT JOIN economia.category c ON c.id = d.category_id
+         LEFT JOIN economia."transaction" t ON t.id = d.duplicate_of
+         WHERE d.batch_id = $1
+         ORDER BY d.row_number ASC`,
+        [batchId]
+      );
+      return rows.map(draftRow);
+    },
+
+    // Los que se convierten en movimientos al confirmar
+    async listIncludedDrafts(db, batchId) {
+      const { rows } = await db.query(
+        `SELECT *
+         FROM economia.import_draft
+         WHERE batch_id=$1 AND include = true AND error IS NULL
+         ORDER BY row_number ASC`,
+        [batchId]
+      );
+      return rows.map(draftRow);
+    },
+
+    // Con el estado de su lote (para no tocar lotes ya confirmados)
+    async getDraft(db, draftId, batchId, householdId) {
+      const { rows } = await db.query(
+        `SELECT d.*, b.status AS batch_status
+         FROM economia.import_draft d
+         JOIN economia.import_batch b ON b.id = d.batch_id
+         WHERE d.id=$1 AND d.batch_id=$2 AND b.household_id=$3`,
+        [draftId, batchId, householdId]
+      );
+      return rows[0] ? draftRow(rows[0]) : null;
+    },
+
+    // attribution/paymentMethod/include null = se mantienen
+    async updateDraft(db, draftId, { categoryId, attribution, paymentMethod, concept, include }) {
+      const { rows } = await db.query(
+        `UPDATE economia.import_draft
+         SET
+           category_id = $1,
+           attribution = COALESCE(${d.cast("$2", "economia.attribution")}, attribution),
+           payment_method = COALESCE(${d.cast("$3", "economia.payment_method")}, payment_method),
+           concept = $4,
+           include = COALESCE($5, include)
+         WHERE id = $6
+         RETURNING
+           *,
+           (amount / 100.0) AS amount_eur`,
+        [categoryId, attribution, paymentMethod, concept, include, draftId]
+      );
+      return draftRow(rows[0]);
+    },
+
+    async linkDraft(db, draftId, transactionId) {
+      await db.query(`UPDATE economia.import_draft SET transaction_id=$1 WHERE id=$2`, [
+        transactionId,
+        draftId,
+      ]);
+    },
+  };
+
+  /* ---- informes ---- */
+  // Movimientos vivos de un conjunto de meses del hogar ($1 hogar, $2 ids de mes)
+  const REPORT_WHERE_SQL = `t.household_id = $1 AND t.deleted_at IS NULL
+    AND ${d.anyOf("t.month_id", "$2", "uuid")}`;
+
+  const reports = {
+    // Últimos `count` meses hasta `until` (period_key, incluido), de más antiguo a más reciente
+    async months(db, householdId, { count, until }) {
+      const { rows } = await db.query(
+        `SELECT *
+         FROM (
+           SELECT id, period_key, start_date, end_date, status, income_amount
+           FROM economia.month
+           WHERE household_id = $1 AND deleted_at IS NULL
+             AND (${d.cast("$2", "text")} IS NULL OR period_key <= $2)
+           ORDER BY start_date DESC
+           LIMIT $3
+         ) m
+         ORDER BY start_date ASC`,
+        [householdId, until || null, count]
+      );
+      return rows;
+    },
+
+    // Meses del año natural (por period_key)
+    async monthsOfYear(db, householdId, year) {
+      const { rows } = await db.query(
+        `SELECT id, period_key, status, income_amount
+         FROM economia.month
+         WHERE household_id = $1 AND period_key LIKE $2 AND deleted_at IS NULL
+         ORDER BY start_date ASC`,
+        [householdId, `${year}-%`]
+      );
+      return rows;
+    },
+
+    // Totales por mes: ingresos extra, gastos, ahorro y movimientos de huchas/fondo
+    async monthFlows(db, householdId, monthIds) {
+      const { rows } = await db.query(
+        `SELECT
+           t.month_id,
+           ${int("COALESCE(SUM(CASE WHEN t.direction='IN' AND t.type='EXTRA_INCOME' THEN t.amount ELSE 0 END),0)")} AS extra_income,
+           ${int("COALESCE(SUM(CASE WHEN t.direction='OUT' AND t.type='EXPENSE' THEN t.amount ELSE 0 END),0)")} AS expenses,
+           ${int("COALESCE(SUM(CASE WHEN t.type IN ('CONSOLIDATE_TO_SAFETY','GOAL_CONTRIBUTION') THEN t.amount ELSE 0 END),0)")} AS savings,
+           ${int("COALESCE(SUM(CASE WHEN t.type='PIGGYBANK_DEPOSIT' THEN t.amount ELSE 0 END),0)")} AS piggy_deposits,
+           ${int("COALESCE(SUM(CASE WHEN t.type='PIGGYBANK_WITHDRAWAL' THEN t.amount ELSE 0 END),0)")} AS piggy_withdrawals,
+           ${int("COALESCE(SUM(CASE WHEN t.type='EMERGENCY_FROM_SAFETY' THEN t.amount ELSE 0 END),0)")} AS emergency
+         FROM economia."transaction" t
+         WHERE ${REPORT_WHERE_SQL}
+         GROUP BY t.month_id`,
+        [householdId, monthIds]
+      );
+      return rows;
+    },
+
+    // Gasto EXPENSE por mes y categoría
+    async expensesByMonthAndCategory(db, householdId, monthIds) {
+      const { rows } = await db.query(
+        `SELECT
+           t.month_id,
+           t.category_id,
+           c.name AS category_name,
+           c.color,
+           c.icon,
+           c.sort_order,
+           ${int("SUM(t.amount)")} AS total
+         FROM economia."transaction" t
+         LEFT JOIN economia.category c ON c.id = t.category_id
+         WHERE ${REPORT_WHERE_SQL}
+           AND t.direction = 'OUT'
+           AND t.type = 'EXPENSE'
+         GROUP BY t.month_id, t.category_id, c.name, c.color, c.icon, c.sort_order`,
+        [householdId, monthIds]
+      );
+      return rows;
+    },
+
+    // Gasto EXPENSE del periodo por categoría, de mayor a menor
+    async expensesByCategory(db, householdId, monthIds) {
+      const { rows } = await db.query(
+        `SELECT
+           t.category_id,
+           COALESCE(c.name, 'Sin categoría') AS name,
+           c.color,
+           c.icon,
+           ${int("SUM(t.amount)")} AS total
+         FROM economia."transaction" t
+         LEFT JOIN economia.category c ON c.id = t.category_id
+         WHERE ${REPORT_WHERE_SQL}
+           AND t.direction = 'OUT'
+           AND t.type = 'EXPENSE'
+         GROUP BY t.category_id, c.name, c.color, c.icon
+         ORDER BY total DESC`,
+        [householdId, monthIds]
+      );
+      return rows;
+    },
+
+    // Gasto EXPENSE del periodo por attribution guardada (MINE/PARTNER se resuelven al leer)
+    async expensesByAttribution(db, householdId, monthIds) {
+      const { rows } = await db.query(
+        `SELECT t.attribution, t.attributed_user_id, ${int("SUM(t.amount)")} AS total
+         FROM economia."transaction" t
+         WHERE ${REPORT_WHERE_SQL}
+           AND t.direction = 'OUT'
+           AND t.type = 'EXPENSE'
+         GROUP BY t.attribution, t.attributed_user_id`,
+        [householdId, monthIds]
+      );
+      return rows;
+    },
+
+    // Gasto en otras monedas por mes: importe original (centésimas de su moneda) y en euros
+    async currencyExpenses(db, householdId, monthIds) {
+      const { rows } = await db.query(
+        `SELECT
+           t.month_id,
+           t.original_currency AS currency,
+           ${int("COUNT(*)")} AS count,
+           ${int("SUM(t.original_amount)")} AS original,
+           ${int("SUM(t.amount)")} AS total
+         FROM economia."transaction" t
+         WHERE ${REPORT_WHERE_SQL}
+           AND t.direction = 'OUT'
+           AND t.type = 'EXPENSE'
+           AND t.original_currency IS NOT NULL
+         GROUP BY t.month_id, t.original_currency`,
+        [householdId, monthIds]
+      );
+      return rows;
+    },
+  };
+
+  /* ---- previsión de cierre ---- */
+  const forecast = {
+    // Días del mes y transcurridos hasta hoy (mínimo 1, máximo los del mes)
+    async days(db, monthId) {
+      const daysTotal = `(${d.daysBetween("m.end_date", "m.start_date")} + 1)`;
+      const { rows } = await db.query(
+        `SELECT
+           ${int(daysTotal)} AS days_total,
+           ${int(`(${d.daysBetween("CURRENT_DATE", "m.start_date")} + 1)`)} AS days_elapsed,
+           ${d.cast("CURRENT_DATE", "text")} AS today
+         FROM economia.month m
+         WHERE m.id = $1 AND m.deleted_at IS NULL`,
+        [monthId]
+      );
+      const r = rows[0];
+      return { ...r, days_elapsed: Math.min(Math.max(r.days_elapsed, 1), r.days_total) };
+    },
+
+    // Gastado en el mes: total, previsto y efectivo (el resto es variable)
+    async spent(db, monthId) {
+      const { rows } = await db.query(
+        `SELECT
+           ${int("COALESCE(SUM(CASE WHEN t.direction='IN' AND t.type='EXTRA_INCOME' THEN t.amount ELSE 0 END),0)")} AS extra_income,
+           ${int("COALESCE(SUM(t.amount) FILTER (WHERE t.type='EXPENSE' AND t.direction='OUT'),0)")} AS total,
+           ${int(`COALESCE(SUM(t.amount) FILTER (
+             WHERE t.type='EXPENSE' AND t.direction='OUT' AND t.planned_expense_id IS NOT NULL
+           ),0)`)} AS planned,
+           ${int(`COALESCE(SUM(t.amount) FILTER (
+             WHERE t.type='EXPENSE' AND t.direction='OUT' AND t.planned_expense_id IS NULL AND t.payment_method='CASH'
+           ),0)`)} AS cash
+         FROM economia."transaction" t
+         WHERE t.month_id = $1 AND t.deleted_at IS NULL`,
+        [monthId]
+      );
+      return rows[0];
+    },
+
+    // Gastos previstos activos con vencimiento hasta untilDate (solo lectura, sin bloquear)
+    async plannedUntil(db, householdId, untilDate) {
+      const { rows } = await db.query(
+        `SELECT p.*, c.name AS category_name
+         FROM economia.planned_expense p
+         LEFT JOIN economia.category c ON c.id = p.category_id
+         WHERE p.household_id = $1
+           AND p.is_active = true
+           AND p.next_due_date <= ${d.cast("$2", "date")}
+         ORDER BY p.next_due_date ASC`,
+        [householdId, untilDate]
+      );
+      return rows;
+    },
+
+    // Semanas OPEN que no han terminado, con el efectivo no previsto ya gastado en cada una
+    async cashWeeks(db, monthId) {
+      const { rows } = await db.query(
+        `SELECT
+           w.id,
+           w.week_index,
+           w.start_date,
+           w.end_date,
+           w.cash_withdraw_amount,
+           (w.start_date > CURRENT_DATE) AS is_future,
+           ${int(`COALESCE(SUM(t.amount) FILTER (
+             WHERE t.type='EXPENSE' AND t.direction='OUT' AND t.payment_method='CASH'
+               AND t.planned_expense_id IS NULL
+           ),0)`)} AS cash_spent
+         FROM economia.week w
+         LEFT JOIN economia."transaction" t
+           ON t.month_id = w.month_id
+          AND ${d.date("t.date_time")} BETWEEN w.start_date AND w.end_date
+          AND t.deleted_at IS NULL
+         WHERE w.month_id = $1
+           AND w.status = 'OPEN'
+           AND w.end_date >= CURRENT_DATE
+         GROUP BY w.id
+         ORDER BY w.week_index ASC`,
+        [monthId]
+      );
+      return rows.map((r) => ({ ...r, is_future: Boolean(r.is_future) }));
+    },
+
+    // Últimos `limit` meses CLOSED anteriores a startDate, con sus días
+    async history(db, householdId, startDate, limit) {
+      const { rows } = await db.query(
+        `SELECT id, ${int(`${d.daysBetween("end_date", "start_date")} + 1`)} AS days
+         FROM economia.month
+         WHERE household_id = $1 AND status = 'CLOSED' AND start_date < ${d.cast("$2", "date")}
+           AND deleted_at IS NULL
+         ORDER BY start_date DESC
+         LIMIT $3`,
+        [householdId, startDate, limit]
+      );
+      return rows;
+    },
+
+    // Gasto variable (ni previsto ni en efectivo) por mes y categoría
+    async variableByCategory(db, monthIds) {
+      const { rows } = await db.query(
+        `SELECT
+           t.month_id,
+           t.category_id,
+           COALESCE(c.name, 'Sin categoría') AS category_name,
+           ${int("SUM(t.amount)")} AS total
+         FROM economia."transaction" t
+         LEFT JOIN economia.category c ON c.id = t.category_id
+         WHERE ${d.anyOf("t.month_id", "$1", "uuid")} AND t.deleted_at IS NULL
+           AND t.direction = 'OUT'
+           AND t.type = 'EXPENSE'
+           AND t.planned_expense_id IS NULL
+           AND t.payment_method <> 'CASH'
+         GROUP BY t.month_id, t.category_id, c.name`,
+        [monthIds]
+      );
+      return rows;
+    },
+  };
+
+  /* ---- fondo de seguridad ---- */
+  // Entra con CONSOLIDATE_TO_SAFETY (cierre de mes) y sale con EMERGENCY_FROM_SAFETY
+  const safety = {
+    // lock: bloquea el hogar hasta el final de la transacción, para que dos imprevistos a la
+    // vez no saquen los dos el mismo saldo
+    async balance(db, householdId, { lock = false } = {}) {
+      if (lock) {
+        await db.query(`SELECT id FROM economia.household WHERE id=$1 ${d.forUpdate}`, [
+          householdId,
+        ]);
+      }
+      const { rows } = await db.query(
+        `SELECT
+           ${int("COALESCE(SUM(CASE WHEN type='CONSOLIDATE_TO_SAFETY' THEN amount ELSE 0 END),0)")}
+           - ${int("COALESCE(SUM(CASE WHEN type='EMERGENCY_FROM_SAFETY' THEN amount ELSE 0 END),0)")}
+           AS balance
+         FROM economia."transaction"
+         WHERE household_id = $1 AND deleted_at IS NULL`,
+        [householdId]
+      );
+      return rows[0].balance || 0;
+    },
+
+    async history(db, householdId, limit) {
+      const { rows } = await db.query(
+        `SELECT
+           id,
+           date_time,
+           amount,
+           (amount / 100.0) AS amount_eur,
+           direction,
+           type,
+           month_id,
+           concept,
+           note,
+           emergency_reason
+         FROM economia."transaction"
+         WHERE household_id = $1 AND deleted_at IS NULL
+           AND type IN ('CONSOLIDATE_TO_SAFETY','EMERGENCY_FROM_SAFETY')
+         ORDER BY date_time DESC
+         LIMIT $2`,
+        [householdId, limit]
+      );
+      return rows;
+    },
+
+    // Gasto (EXPENSE) de los últimos meses cerrados, el más reciente primero
+    async closedMonthExpenses(db, householdId, limit) {
+      const { rows } = await db.query(
+        `SELECT
+           m.id,
+           m.period_key,
+           ${int("COALESCE(SUM(t.amount), 0)")} AS expenses
+         FROM economia.month m
+         LEFT JOIN economia."transaction" t
+           ON t.month_id = m.id AND t.deleted_at IS NULL
+          AND t.direction = 'OUT' AND t.type = 'EXPENSE'
+         WHERE m.household_id = $1 AND m.status = 'CLOSED' AND m.deleted_at IS NULL
+         GROUP BY m.id, m.period_key, m.start_date
+         ORDER BY m.start_date DESC
+         LIMIT $2`,
+        [householdId, limit]
+      );
+      return rows;
+    },
+  };
+
+  /* ---- tipos de cambio ---- */
+  // rate = euros por 1 unidad de currency; uno por moneda y día
+  const RATE_DATE_SQL = `${d.cast("rate_date", "text")} AS rate_date`;
+
+  const exchangeRates = {
+    async list(db, householdId, { currency = null } = {}) {
+      const { rows } = await db.query(
+        `SELECT id, currency, ${RATE_DATE_SQL}, rate, source, created_at
+         FROM economia.exchange_rate
+         WHERE household_id = $1 AND (${d.cast("$2", "text")} IS NULL OR currency = $2)
+         ORDER BY currency ASC, rate_date DESC`,
+        [householdId, currency]
+      );
+      return rows;
+    },
+
+    // mismo día y moneda = se sobrescribe
+    async upsert(db, householdId, { currency, rateDate, rate, source = "MANUAL" }) {
+      const { rows } = await db.query(
+        `INSERT INTO economia.exchange_rate (household_id, currency, rate_date, rate, source)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (household_id, currency, rate_date)
+         DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source
+         RETURNING id, currency, ${RATE_DATE_SQL}, rate, source, created_at`,
+        [householdId, currency, rateDate, rate, source]
+      );
+      return rows[0];
+    },
+
+    // el último publicado en o antes de la fecha (YYYY-MM-DD)
+    async findOn(db, householdId, currency, date) {
+      const { rows } = await db.query(
+        `SELECT id, currency, ${RATE_DATE_SQL}, rate, source
+         FROM economia.exchange_rate
+         WHERE household_id = $1 AND currency = $2 AND rate_date <= ${d.cast("$3", "date")}
+         ORDER BY rate_date DESC
+         LIMIT 1`,
+        [householdId, currency, date]
+      );
+      return rows[0] || null;
+    },
+
+    async remove(db, rateId, householdId) {
+      const { rowCount } = await db.query(
+        `DELETE FROM economia.exchange_rate WHERE id = $1 AND household_id = $2`,
+        [rateId, householdId]
+      );
+      return rowCount > 0;
+    },
+  };
+
+  /* ---- avisos ---- */
+  // data: JSON libre con los detalles (ids, importes...); en SQLite se guarda como texto
+  const parseData = (r) => ({ ...r, data: typeof r.data === "string" ? JSON.parse(r.data) : r.data });
+
+  const notifications = {
+    async create(db, { householdId, type, message, data = null }) {
+      const { rows } = await db.query(
+        `INSERT INTO economia.notification (household_id, type, message, data)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [householdId, type, message, data === null ? null : JSON.stringify(data)]
+      );
+      return parseData(rows[0]);
+    },
+
+    async list(db, householdId, { unreadOnly = false, limit }) {
+      const { rows } = await db.query(
+        `SELECT *
+         FROM economia.notification
+         WHERE household_id = $1 AND (${d.cast("$2", "boolean")} = false OR read_at IS NULL)
+         ORDER BY created_at DESC
+         LIMIT $3`,
+        [householdId, unreadOnly, limit]
+      );
+      return rows.map(parseData);
+    },
+
+    async countUnread(db, householdId) {
+      const { rows } = await db.query(
+        `SELECT ${int("COUNT(*)")} AS n
+         FROM economia.notification
+         WHERE household_id = $1 AND read_at IS NULL`,
+        [householdId]
+      );
+      return rows[0].n;
+    },
+
+    // notificationId null = todos los del hogar; devuelve cuántos había (leídos o no)
+    async markRead(db, householdId, notificationId = null) {
+      const { rowCount } = await db.query(
+        `UPDATE economia.notification
+         SET read_at = COALESCE(read_at, NOW())
+         WHERE household_id = $1 AND (${d.cast("$2", "uuid")} IS NULL OR id = $2)`,
+        [householdId, notificationId]
+      );
+      return rowCount;
+    },
+  };
+
+  /* ---- auditoría ---- */
+  // before / after: JSONB en Postgres, texto JSON en SQLite
+  const parseAudit = (r) => ({
+    ...r,
+    before: typeof r.before === "string" ? JSON.parse(r.before) : r.before,
+    after: typeof r.after === "string" ? JSON.parse(r.after) : r.after,
+  });
+
+  const AUDIT_SELECT_SQL = `
+    SELECT
+      l.id,
+      l.seq,
+      l.group_id,
+      l.entity_type,
+      l.entity_id,
+      l.action,
+      l.route,
+      l.before,
+      l.after,
+      l.undo_of_group_id,
+      l.undone_at,
+      l.created_at,
+      l.user_id,
+      u.name AS user_name,
+      l.undone_by_user_id
+    FROM economia.audit_log l
+    LEFT JOIN economia.app_user u ON u.id = l.user_id`;
+
+  const audit = {
+    /*
+      Foto de las filas tal cual están en DB; filter = { where: [...], params } sobre el alias x.
+      Postgres las serializa con to_jsonb (fechas DATE como texto y timestamps con
+      microsegundos, para restaurarlas sin desfases de zona horaria); SQLite ya guarda texto.
+    */
+    async snapshots(db, entityType, filter) {
+      const select = d.name === "postgres" ? "to_jsonb(x) AS row" : "x.*";
+      const { rows } = await db.query(
+        `SELECT ${select}
+         FROM economia."${entityType}" x
+         WHERE ${filter.where.join(" AND ")}
+         ORDER BY x.id`,
+        filter.params
+      );
+      return d.name === "postgres" ? rows.map((r) => r.row) : rows;
+    },
+
+    // seq: BIGSERIAL en Postgres; en SQLite el siguiente a mano (una sola conexión)
+    async insert(db, entry) {
+      const seq =
+        d.name === "postgres"
+          ? { column: "", value: "" }
+          : { column: ", seq", value: ", (SELECT COALESCE(MAX(seq), 0) + 1 FROM economia.audit_log)" };
+      await db.query(
+        `INSERT INTO economia.audit_log
+          (household_id, group_id, user_id, route, entity_type, entity_id, action, before, after,
+           undo_of_group_id${seq.column})
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10${seq.value})`,
+        [
+          entry.householdId,
+          entry.groupId,
+          entry.userId,
+          entry.route,
+          entry.entityType,
+          entry.entityId,
+          entry.action,
+          entry.before ? JSON.stringify(entry.before) : null,
+          entry.after ? JSON.stringify(entry.after) : null,
+          entry.undoOfGroupId || null,
+        ]
+      );
+    },
+
+    // Feed del hogar (más reciente primero)
+    async list(db, householdId, { entityType = null, limit }) {
+      const { rows } = await db.query(
+        `${AUDIT_SELECT_SQL}
+         WHERE l.household_id = $1
+           AND (${d.cast("$2", "text")} IS NULL OR l.entity_type = $2)
+         ORDER BY l.seq DESC
+         LIMIT $3`,
+        [householdId, entityType, limit]
+      );
+      return rows.map(parseAudit);
+    },
+
+    async listEntity(db, householdId, entityType, entityId) {
+      const { rows } = await db.query(
+        `${AUDIT_SELECT_SQL}
+         WHERE l.household_id = $1 AND l.entity_type = $2 AND l.entity_id = $3
+         ORDER BY l.seq DESC`,
+        [householdId, entityType, entityId]
+      );
+      return rows.map(parseAudit);
+    },
+
+    async getById(db, entryId, householdId) {
+      const { rows } = await db.query(
+        `SELECT group_id, undo_of_group_id FROM economia.audit_log WHERE id=$1 AND household_id=$2`,
+        [entryId, householdId]
+      );
+      return rows[0] || null;
+    },
+
+    // Filas del grupo en orden inverso (bloqueadas hasta el final de la transacción)
+    async lockGroup(db, groupId) {
+      const { rows } = await db.query(
+        `SELECT * FROM economia.audit_log WHERE group_id=$1 ORDER BY seq DESC ${d.forUpdate}`,
+        [groupId]
+      );
+      return rows.map(parseAudit);
+    },
+
+    // Primer cambio vigente de otro grupo posterior sobre alguna entidad del grupo
+    async laterChange(db, groupId) {
+      const { rows } = await db.query(
+        `SELECT l.entity_type, l.entity_id, l.route, l.created_at, u.name AS user_name
+         FROM economia.audit_log e
+         JOIN economia.audit_log l
+           ON l.entity_type = e.entity_type
+          AND l.entity_id = e.entity_id
+          AND l.seq > e.seq
+         LEFT JOIN economia.app_user u ON u.id = l.user_id
+         WHERE e.group_id = $1
+           AND l.group_id <> $1
+           AND l.undone_at IS NULL
+           AND l.undo_of_group_id IS NULL
+         ORDER BY l.seq ASC
+         LIMIT 1`,
+        [groupId]
+      );
+      return rows[0] || null;
+    },
+
+    async markUndone(db, groupId, userId) {
+      await db.query(
+        `UPDATE economia.audit_log SET undone_at=NOW(), undone_by_user_id=$2 WHERE group_id=$1`,
+        [groupId, userId]
+      );
+    },
+
+    // Restaura una foto: UPDATE vuelve a `row`, INSERT la reinserta tal cual (current = null).
+    // Solo se usan columnas que existen hoy en la tabla.
+    async restoreRow(db, entityType, row, current) {
+      if (d.name === "postgres") {
+        if (!current) {
+          await db.query(
+            `INSERT INTO economia."${entityType}"
+             SELECT * FROM jsonb_populate_record(NULL::economia."${entityType}", $1::jsonb)`,
+            [JSON.stringify(row)]
+          );
+          return;
+        }
+
+        const cols = Object.keys(row)
+          .filter((c) => c !== "id" && c in current)
+          .map((c) => `"${c}"`)
+          .join(", ");
+        await db.query(
+          `UPDATE economia."${entityType}"
+           SET (${cols}) = (SELECT ${cols} FROM jsonb_populate_record(NULL::economia."${entityType}", $1::jsonb))
+           WHERE id = $2`,
+          [JSON.stringify(row), row.id]
+        );
+        return;
+      }
+
+      const { rows: info } = await db.query(`PRAGMA economia.table_info("${entityType}")`);
+      const cols = Object.keys(row).filter((c) =>
+        current ? c !== "id" && c in current : info.some((i) => i.name === c)
+      );
+      const values = cols.map((c) => row[c]);
+
+      if (!current) {
+        await db.query(
+          `INSERT INTO economia."${entityType}" (${cols.map((c) => `"${c}"`).join(", ")})
+           VALUES (${cols.map((_, i) => `$${i + 1}`).join(", ")})`,
+          values
+        );
+        return;
+      }
+      await db.query(
+        `UPDATE economia."${entityType}"
+         SET ${cols.map((c, i) => `"${c}" = $${i + 1}`).join(", ")}
+         WHERE id = $${cols.length + 1}`,
+        [...values, row.id]
+      );
+    },
+
+    // Deshacer un CREATE: borrado definitivo (sin papelera)
+    async removeEntity(db, entityType, entityId) {
+      await db.query(`DELETE FROM economia."${entityType}" WHERE id=$1`, [entityId]);
+    },
+  };
+
+  /* ---- papelera ---- */
+  // Meses, movimientos y entradas de hucha con deleted_at. Un mes arrastra sus movimientos y
+  // una entrada su transacción (trashed_with_id); retentionDays: días hasta la purga
+  const trashWhere = (alias, householdSql, { expiredOnly = false, retentionDays } = {}) => {
+    const where = [`${alias}.deleted_at IS NOT NULL`];
+    if (householdSql) where.push(householdSql);
+    if (expiredOnly) where.push(`${alias}.deleted_at < ${d.plusDays("NOW()", -retentionDays)}`);
+    return where.join(" AND ");
+  };
+
+  const trash = {
+    async list(db, householdId, retentionDays) {
+      const purgeAt = (alias) => `${d.plusDays(`${alias}.deleted_at`, retentionDays)} AS purge_at`;
+
+      const months = await db.query(
+        `SELECT
+           m.id,
+           m.period_key,
+           m.status,
+           m.start_date,
+           m.end_date,
+           m.deleted_at,
+           ${purgeAt("m")},
+           (SELECT ${int("COUNT(*)")} FROM economia."transaction" t WHERE t.trashed_with_id = m.id) AS transactions_count
+         FROM economia.month m
+         WHERE ${trashWhere("m", "m.household_id = $1")}
+         ORDER BY m.deleted_at DESC`,
+        [householdId]
+      );
+
+      const transactions = await db.query(
+        `SELECT
+           t.id,
+           t.date_time,
+           t.amount,
+           (t.amount / 100.0) AS amount_eur,
+           t.direction,
+           t.type,
+           t.concept,
+           t.month_id,
+           m.period_key,
+           c.name AS category_name,
+           t.deleted_at,
+           ${purgeAt("t")}
+         FROM economia."transaction" t
+         JOIN economia.month m ON m.id = t.month_id
+         LEFT JOIN economia.category c ON c.id = t.category_id
+         WHERE ${trashWhere("t", "t.household_id = $1")}
+           AND t.trashed_with_id IS NULL
+         ORDER BY t.deleted_at DESC`,
+        [householdId]
+      );
+
+      const piggyEntries = await db.query(
+        `SELECT
+           e.id,
+           e.piggy_bank_id,
+           p.name AS piggy_bank_name,
+           e.date_time,
+           e.amount,
+           (e.amount / 100.0) AS amount_eur,
+           e.note,
+           e.month_id,
+           e.deleted_at,
+           ${purgeAt("e")}
+         FROM economia.piggy_bank_entry e
+         JOIN economia.piggy_bank p ON p.id = e.piggy_bank_id
+         WHERE ${trashWhere("e", "p.household_id = $1")}
+         ORDER BY e.deleted_at DESC`,
+        [householdId]
+      );
+
+      return {
+        months: months.rows,
+        transactions: transactions.rows,
+        piggyBankEntries: piggyEntries.rows,
+      };
+    },
+
+    // Fila en la papelera del hogar (bloqueada) o null
+    async getRow(db, type, id, householdId) {
+      const sql = {
+        month: `SELECT m.* FROM economia.month m
+                WHERE m.id = $1 AND m.household_id = $2 AND m.deleted_at IS NOT NULL
+                ${d.forUpdate}`,
+        transaction: `SELECT t.* FROM economia."transaction" t
+                      WHERE t.id = $1 AND t.household_id = $2 AND t.deleted_at IS NOT NULL
+                      ${d.forUpdate}`,
+        piggy_bank_entry: `SELECT e.* FROM economia.piggy_bank_entry e
+                           JOIN economia.piggy_bank p ON p.id = e.piggy_bank_id
+                           WHERE e.id = $1 AND p.household_id = $2 AND e.deleted_at IS NOT NULL
+                           ${d.forUpdateOf("e")}`,
+      }[type];
+      const { rows } = await db.query(sql, [id, householdId]);
+      return rows[0] || null;
+    },
+
+    async restore(db, type, id) {
+      await db.query(`UPDATE economia."${type}" SET deleted_at = NULL WHERE id = $1`, [id]);
+    },
+
+    // Saca de la papelera los movimientos arrastrados por un mes / entrada
+    async restoreTrashedWith(db, ownerId) {
+      await db.query(
+        `UPDATE economia."transaction"
+         SET deleted_at = NULL, trashed_with_id = NULL
+         WHERE trashed_with_id = $1`,
+        [ownerId]
+      );
+    },
+
+    // ¿Algún movimiento arrastrado por la entrada es de un mes que sigue en la papelera?
+    async hasTrashedMonth(db, ownerId) {
+      const { rows } = await db.query(
+        `SELECT 1
+         FROM economia."transaction" t
+         JOIN economia.month m ON m.id = t.month_id
+         WHERE t.trashed_with_id = $1 AND m.deleted_at IS NOT NULL
+         LIMIT 1`,
+        [ownerId]
+      );
+      return rows.length > 0;
+    },
+
+    /*
+      Purga definitiva. Sin householdId purga todos los hogares (solo con expiredOnly).
+      Los movimientos arrastrados por un mes/entrada caen por CASCADE con su dueño.
+      -> { month, transaction, piggy_bank_entry } filas borradas
+    */
+    async purge(db, householdId, { expiredOnly = false, retentionDays, type = null, id = null } = {}) {
+      const params = [];
+      const scope = (alias, column = `${alias}.household_id`) => {
+        const conds = [];
+        if (householdId) {
+          params.push(householdId);
+          conds.push(`${column} = $${params.length}`);
+        }
+        if (id) {
+          params.push(id);
+          conds.push(`${alias}.id = $${params.length}`);
+        }
+        return conds.join(" AND ");
+      };
+      const opts = { expiredOnly, retentionDays };
+
+      const purged = { month: 0, transaction: 0, piggy_bank_entry: 0 };
+
+      if (!type || type === "transaction") {
+        params.length = 0;
+        const r = await db.query(
+          `DELETE FROM economia."transaction"
+           WHERE id IN (
+             SELECT t.id FROM economia."transaction" t
+             WHERE ${trashWhere("t", scope("t"), opts)} AND t.trashed_with_id IS NULL
+           )`,
+          params
+        );
+        purged.transaction = r.rowCount;
+      }
+
+      if (!type || type === "piggy_bank_entry") {
+        params.length = 0;
+        const r = await db.query(
+          `DELETE FROM economia.piggy_bank_entry
+           WHERE id IN (
+             SELECT e.id
+             FROM economia.piggy_bank_entry e
+             JOIN economia.piggy_bank p ON p.id = e.piggy_bank_id
+             WHERE ${trashWhere("e", scope("e", "p.household_id"), opts)}
+           )`,
+          params
+        );
+        purged.piggy_bank_entry = r.rowCount;
+      }
+
+      if (!type || type === "month") {
+        params.length = 0;
+        const r = await db.query(
+          `DELETE FROM economia.month
+           WHERE id IN (SELECT m.id FROM economia.month m WHERE ${trashWhere("m", scope("m"), opts)})`,
+          params
+        );
+        purged.month = r.rowCount;
+      }
+
+      return purged;
+    },
+  };
+
+  return {
+    users,
+    households,
+    invitations,
+    categories,
+    months,
+    weeks,
+    transactions,
+    categoryBudgets,
+    monthTemplates,
+    plannedExpenses,
+    piggyBanks,
+    savingsGoals,
+    balances,
+    imports,
+    reports,
+    forecast,
+    safety,
+    exchangeRates,
+    notifications,
+    audit,
+    trash,
+  };
+}
+
+module.exports = { createRepositories };
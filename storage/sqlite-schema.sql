@@ -0,0 +1,329 @@
+-- Esquema SQLite (STORAGE=sqlite): el de migrations/ para uso local.
+-- Mismas tablas y columnas que en Postgres; los enums son CHECK, los UUID y fechas texto
+-- (ISO 8601), los JSONB texto JSON y gen_random_uuid() / now() son funciones registradas en
+-- storage/sqlite.js.
+-- Idempotente: se aplica entero en cada arranque (las tablas que cambian se rehacen, ver
+-- rebuildChangedTables en storage/sqlite.js).
+
+CREATE TABLE IF NOT EXISTS economia.household (
+  id TEXT PRIMARY KEY DEFAULT (gen_random_uuid()),
+  name TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (now()),
+  pay_cycle_type TEXT NOT NULL DEFAULT 'CALENDAR'
+    CHECK (pay_cycle_type IN ('CALENDAR', 'FIXED_DAY', 'LAST_WORKING_DAY')),
+  pay_cycle_day INTEGER CHECK (pay_cycle_day BETWEEN 1 AND 31),
+  safety_target_months INTEGER CHECK (safety_target_months BETWEEN 1 AND 24),
+  safety_target_amount INTEGER CHECK (safety_target_amount > 0),
+  safety_replenish_months INTEGER NOT NULL DEFAULT 6
+    CHECK (safety_replenish_months BETWEEN 1 AND 36),
+  safety_auto_replenish INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS economia.app_user (
+  id TEXT PRIMARY KEY DEFAULT (gen_random_uuid()),
+  household_id TEXT NOT NULL REFERENCES household(id) ON DELETE CASCADE,
+  email TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  password_hash TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (now())
+);
+
+CREATE INDEX IF NOT EXISTS economia.idx_app_user_household ON app_user (household_id);
+
+CREATE TABLE IF NOT EXISTS economia.household_invitation (
+  id TEXT PRIMARY KEY DEFAULT (gen_random_uuid()),
+  household_id TEXT NOT NULL REFERENCES household(id) ON DELETE CASCADE,
+  code TEXT NOT NULL UNIQUE,
+  email TEXT,
+  invited_by_user_id TEXT REFERENCES app_user(id) ON DELETE SET NULL,
+  expires_at TEXT NOT NULL,
+  accepted_at TEXT,
+  accepted_by_user_id TEXT REFERENCES app_user(id) ON DELETE SET NULL,
+  created_at TEXT NOT NULL DEFAULT (now())
+);
+
+CREATE TABLE IF NOT EXISTS economia.category (
+  id TEXT PRIMARY KEY DEFAULT (gen_random_uuid()),
+  household_id TEXT NOT NULL REFERENCES household(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  color TEXT,
+  icon TEXT,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  is_active INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT NOT NULL DEFAULT (now()),
+  UNIQUE (household_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS economia.idx_category_household ON category (household_id);
+
+CREATE TABLE IF NOT EXISTS economia.planned_expense (
+  id TEXT PRIMARY KEY DEFAULT (gen_random_uuid()),
+  household_id TEXT NOT NULL REFERENCES household(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  amount INTEGER NOT NULL,
+  frequency TEXT NOT NULL,
+  next_due_date TEXT NOT NULL,
+  attribution TEXT NOT NULL CHECK (attribution IN ('MINE', 'PARTNER', 'HOUSE')),
+  attributed_user_id TEXT REFERENCES app_user(id) ON DELETE SET NULL,
+  category_id TEXT REFERENCES category(id) ON DELETE SET NULL,
+  is_active INTEGER NOT NULL DEFAULT 1,
+  payment_method TEXT NOT NULL DEFAULT 'TRANSFER'
+    CHECK (payment_method IN ('CARD', 'CASH', 'TRANSFER')),
+  created_at TEXT NOT NULL DEFAULT (now())
+);
+
+CREATE INDEX IF NOT EXISTS economia.idx_planned_expense_household ON planned_expense (household_id);
+
+CREATE TABLE IF NOT EXISTS economia.month (
+  id TEXT PRIMARY KEY DEFAULT (gen_random_uuid()),
+  household_id TEXT NOT NULL REFERENCES household(id) ON DELETE CASCADE,
+  period_key TEXT NOT NULL,
+  start_date TEXT NOT NULL,
+  end_date TEXT NOT NULL,
+  income_amount INTEGER NOT NULL,
+  weekly_budget_amount INTEGER NOT NULL,
+  saving_goal_amount INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'OPEN' CHECK (status IN ('OPEN', 'CLOSED')),
+  closed_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (now()),
+  deleted_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS economia.idx_month_household ON month (household_id);
+CREATE UNIQUE INDEX IF NOT EXISTS economia.uq_month_household_period
+  ON month (household_id, period_key) WHERE deleted_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS economia.week (
+  id TEXT PRIMARY KEY DEFAULT (gen_random_uuid()),
+  household_id TEXT NOT NULL REFERENCES household(id) ON DELETE CASCADE,
+  month_id TEXT NOT NULL REFERENCES month(id) ON DELETE CASCADE,
+  week_index INTEGER NOT NULL,
+  start_date TEXT NOT NULL,
+  end_date TEXT NOT NULL,
+  cash_withdraw_amount INTEGER NOT NULL,
+  cash_returned_to_bank_amount INTEGER NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'OPEN' CHECK (status IN ('OPEN', 'CLOSED')),
+  closed_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (now()),
+  UNIQUE (month_id, week_index)
+);
+
+CREATE INDEX IF NOT EXISTS economia.idx_week_household ON week (household_id);
+
+CREATE TABLE IF NOT EXISTS economia.category_budget (
+  id TEXT PRIMARY KEY DEFAULT (gen_random_uuid()),
+  month_id TEXT NOT NULL REFERENCES month(id) ON DELETE CASCADE,
+  category_id TEXT NOT NULL REFERENCES category(id) ON DELETE CASCADE,
+  amount INTEGER NOT NULL CHECK (amount >= 0),
+  created_at TEXT NOT NULL DEFAULT (now()),
+  UNIQUE (month_id, category_id)
+);
+
+CREATE TABLE IF NOT EXISTS economia.piggy_bank (
+  id TEXT PRIMARY KEY DEFAULT (gen_random_uuid()),
+  household_id TEXT NOT NULL REFERENCES household(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('TWO_EURO', 'NORMAL', 'CUSTOM')),
+  created_at TEXT NOT NULL DEFAULT (now()),
+  rule TEXT NOT NULL DEFAULT '{}',
+  archived_at TEXT,
+  UNIQUE (household_id, name)
+);
+
+-- una sola hucha de cada tipo del seed por hogar; CUSTOM, las que se quieran
+CREATE UNIQUE INDEX IF NOT EXISTS economia.piggy_bank_household_seed_type_key
+  ON piggy_bank (household_id, type) WHERE type <> 'CUSTOM';
+
+CREATE TABLE IF NOT EXISTS economia.piggy_bank_entry (
+  id TEXT PRIMARY KEY DEFAULT (gen_random_uuid()),
+  piggy_bank_id TEXT NOT NULL REFERENCES piggy_bank(id) ON DELETE CASCADE,
+  date_time TEXT NOT NULL DEFAULT (now()),
+  amount INTEGER NOT NULL,
+  note TEXT,
+  month_id TEXT REFERENCES month(id) ON DELETE SET NULL,
+  deleted_at TEXT,
+  destination TEXT CHECK (destination IN ('BANK', 'CASH', 'GOAL')),
+  CHECK ((amount < 0) = (destination IS NOT NULL))
+);
+
+CREATE TABLE IF NOT EXISTS economia."transaction" (
+  id TEXT PRIMARY KEY DEFAULT (gen_random_uuid()),
+  household_id TEXT NOT NULL REFERENCES household(id) ON DELETE CASCADE,
+  date_time TEXT NOT NULL DEFAULT (now()),
+  amount INTEGER NOT NULL CHECK (amount > 0),
+  direction TEXT NOT NULL CHECK (direction IN ('OUT', 'IN')),
+  type TEXT NOT NULL CHECK (type IN (
+    'EXPENSE',
+    'EXTRA_INCOME',
+    'CASH_WITHDRAWAL',
+    'CASH_RETURN',
+    'CONSOLIDATE_TO_SAFETY',
+    'EMERGENCY_FROM_SAFETY',
+    'PIGGYBANK_DEPOSIT',
+    'SETTLEMENT',
+    'GOAL_CONTRIBUTION',
+    'PIGGYBANK_WITHDRAWAL'
+  )),
+  month_id TEXT NOT NULL REFERENCES month(id) ON DELETE CASCADE,
+  week_id TEXT REFERENCES week(id) ON DELETE SET NULL,
+  category_id TEXT REFERENCES category(id) ON DELETE SET NULL,
+  attribution TEXT NOT NULL CHECK (attribution IN ('MINE', 'PARTNER', 'HOUSE')),
+  attributed_user_id TEXT REFERENCES app_user(id) ON DELETE SET NULL,
+  paid_by_user_id TEXT REFERENCES app_user(id) ON DELETE SET NULL,
+  payment_method TEXT NOT NULL CHECK (payment_method IN ('CARD', 'CASH', 'TRANSFER')),
+  concept TEXT,
+  note TEXT,
+  piggy_entry_id TEXT REFERENCES piggy_bank_entry(id) ON DELETE CASCADE,
+  planned_expense_id TEXT REFERENCES planned_expense(id) ON DELETE SET NULL,
+  planned_due_date TEXT,
+  created_at TEXT NOT NULL DEFAULT (now()),
+  deleted_at TEXT,
+  trashed_with_id TEXT,
+  original_currency TEXT,
+  original_amount INTEGER CHECK (original_amount > 0),
+  exchange_rate REAL CHECK (exchange_rate > 0),
+  emergency_reason TEXT
+    CHECK (emergency_reason IN ('HEALTH', 'HOME', 'VEHICLE', 'JOB', 'FAMILY', 'OTHER'))
+);
+
+CREATE INDEX IF NOT EXISTS economia.idx_tx_month_date ON "transaction" (month_id, date_time);
+CREATE INDEX IF NOT EXISTS economia.idx_tx_piggy_entry ON "transaction" (piggy_entry_id);
+CREATE INDEX IF NOT EXISTS economia.idx_tx_household_date ON "transaction" (household_id, date_time DESC, id DESC);
+CREATE INDEX IF NOT EXISTS economia.idx_tx_trashed_with ON "transaction" (trashed_with_id)
+  WHERE trashed_with_id IS NOT NULL;
+-- una ocurrencia (gasto previsto + fecha) solo se publica una vez
+CREATE UNIQUE INDEX IF NOT EXISTS economia.uq_tx_planned_occurrence
+  ON "transaction" (planned_expense_id, planned_due_date) WHERE planned_expense_id IS NOT NULL;
+
+-- seq: orden de la auditoría (BIGSERIAL en Postgres; aquí MAX + 1, ver audit en repositories.js)
+CREATE TABLE IF NOT EXISTS economia.audit_log (
+  id TEXT PRIMARY KEY DEFAULT (gen_random_uuid()),
+  seq INTEGER NOT NULL,
+  household_id TEXT NOT NULL REFERENCES household(id) ON DELETE CASCADE,
+  group_id TEXT NOT NULL,
+  user_id TEXT REFERENCES app_user(id) ON DELETE SET NULL,
+  route TEXT NOT NULL,
+  entity_type TEXT NOT NULL
+    CHECK (entity_type IN ('transaction', 'month', 'week', 'piggy_bank_entry')),
+  entity_id TEXT NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('CREATE', 'UPDATE', 'DELETE')),
+  before TEXT,
+  after TEXT,
+  undo_of_group_id TEXT,
+  undone_at TEXT,
+  undone_by_user_id TEXT REFERENCES app_user(id) ON DELETE SET NULL,
+  created_at TEXT NOT NULL DEFAULT (now())
+);
+
+CREATE INDEX IF NOT EXISTS economia.idx_audit_entity ON audit_log (entity_type, entity_id, seq);
+CREATE INDEX IF NOT EXISTS economia.idx_audit_household ON audit_log (household_id, seq);
+CREATE INDEX IF NOT EXISTS economia.idx_audit_group ON audit_log (group_id);
+
+CREATE TABLE IF NOT EXISTS economia.import_batch (
+  id TEXT PRIMARY KEY DEFAULT (gen_random_uuid()),
+  household_id TEXT NOT NULL REFERENCES household(id) ON DELETE CASCADE,
+  month_id TEXT NOT NULL REFERENCES month(id) ON DELETE CASCADE,
+  filename TEXT,
+  options TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'CONFIRMED', 'DISCARDED')),
+  confirmed_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (now())
+);
+
+CREATE INDEX IF NOT EXISTS economia.idx_import_batch_household ON import_batch (household_id);
+
+CREATE TABLE IF NOT EXISTS economia.import_draft (
+  id TEXT PRIMARY KEY DEFAULT (gen_random_uuid()),
+  batch_id TEXT NOT NULL REFERENCES import_batch(id) ON DELETE CASCADE,
+  row_number INTEGER NOT NULL,
+  raw TEXT NOT NULL,
+  date_time TEXT,
+  amount INTEGER,
+  direction TEXT CHECK (direction IN ('OUT', 'IN')),
+  concept TEXT,
+  category_id TEXT REFERENCES category(id) ON DELETE SET NULL,
+  attribution TEXT NOT NULL DEFAULT 'HOUSE' CHECK (attribution IN ('MINE', 'PARTNER', 'HOUSE')),
+  payment_method TEXT NOT NULL DEFAULT 'CARD' CHECK (payment_method IN ('CARD', 'CASH', 'TRANSFER')),
+  duplicate_of TEXT REFERENCES "transaction"(id) ON DELETE SET NULL,
+  duplicate_of_row INTEGER CHECK (duplicate_of_row > 0),
+  error TEXT,
+  include INTEGER NOT NULL DEFAULT 1,
+  transaction_id TEXT REFERENCES "transaction"(id) ON DELETE SET NULL,
+  UNIQUE (batch_id, row_number)
+);
+
+CREATE TABLE IF NOT EXISTS economia.exchange_rate (
+  id TEXT PRIMARY KEY DEFAULT (gen_random_uuid()),
+  household_id TEXT NOT NULL REFERENCES household(id) ON DELETE CASCADE,
+  currency TEXT NOT NULL CHECK (length(currency) = 3 AND currency = upper(currency) AND currency <> 'EUR'),
+  rate_date TEXT NOT NULL,
+  rate REAL NOT NULL CHECK (rate > 0),
+  source TEXT NOT NULL DEFAULT 'MANUAL' CHECK (source IN ('MANUAL', 'IMPORT')),
+  created_at TEXT NOT NULL DEFAULT (now()),
+  UNIQUE (household_id, currency, rate_date)
+);
+
+CREATE TABLE IF NOT EXISTS economia.notification (
+  id TEXT PRIMARY KEY DEFAULT (gen_random_uuid()),
+  household_id TEXT NOT NULL REFERENCES household(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  message TEXT NOT NULL,
+  data TEXT,
+  created_at TEXT NOT NULL DEFAULT (now()),
+  read_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS economia.idx_notification_household ON notification (household_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS economia.month_template (
+  id TEXT PRIMARY KEY DEFAULT (gen_random_uuid()),
+  household_id TEXT NOT NULL REFERENCES household(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  income_amount INTEGER NOT NULL CHECK (income_amount > 0),
+  weekly_budget_amount INTEGER NOT NULL CHECK (weekly_budget_amount >= 0),
+  saving_goal_amount INTEGER NOT NULL CHECK (saving_goal_amount >= 0),
+  all_planned_expenses INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT NOT NULL DEFAULT (now()),
+  updated_at TEXT NOT NULL DEFAULT (now()),
+  UNIQUE (household_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS economia.month_template_budget (
+  template_id TEXT NOT NULL REFERENCES month_template(id) ON DELETE CASCADE,
+  category_id TEXT NOT NULL REFERENCES category(id) ON DELETE CASCADE,
+  amount INTEGER NOT NULL CHECK (amount >= 0),
+  PRIMARY KEY (template_id, category_id)
+);
+
+CREATE TABLE IF NOT EXISTS economia.month_template_planned (
+  template_id TEXT NOT NULL REFERENCES month_template(id) ON DELETE CASCADE,
+  planned_expense_id TEXT NOT NULL REFERENCES planned_expense(id) ON DELETE CASCADE,
+  PRIMARY KEY (template_id, planned_expense_id)
+);
+
+CREATE TABLE IF NOT EXISTS economia.savings_goal (
+  id TEXT PRIMARY KEY DEFAULT (gen_random_uuid()),
+  household_id TEXT NOT NULL REFERENCES household(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  target_amount INTEGER NOT NULL CHECK (target_amount > 0),
+  deadline TEXT,
+  archived_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (now()),
+  updated_at TEXT NOT NULL DEFAULT (now()),
+  UNIQUE (household_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS economia.savings_goal_contribution (
+  id TEXT PRIMARY KEY DEFAULT (gen_random_uuid()),
+  goal_id TEXT NOT NULL REFERENCES savings_goal(id) ON DELETE CASCADE,
+  amount INTEGER NOT NULL CHECK (amount > 0),
+  source TEXT NOT NULL CHECK (source IN ('MONTH_CLOSE', 'MANUAL', 'PIGGY_BREAK')),
+  month_id TEXT REFERENCES month(id) ON DELETE SET NULL,
+  transaction_id TEXT REFERENCES "transaction"(id) ON DELETE CASCADE,
+  note TEXT,
+  created_by_user_id TEXT REFERENCES app_user(id) ON DELETE SET NULL,
+  created_at TEXT NOT NULL DEFAULT (now())
+);
+
+CREATE INDEX IF NOT EXISTS economia.idx_goal_contribution_goal ON savings_goal_contribution (goal_id, created_at);
+CREATE INDEX IF NOT EXISTS economia.idx_goal_contribution_tx ON savings_goal_contribution (transaction_id);
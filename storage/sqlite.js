@@ -0,0 +1,362 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+/* ===================== SQLITE ===================== */
+/*
+  Backend local (STORAGE=sqlite): un fichero, sin servidor.
+  Expone la misma interfaz que el Pool de pg que usan las rutas:
+    db.query(sql, params) -> { rows, rowCount }
+    db.connect()          -> client { query, release }, con BEGIN/COMMIT/ROLLBACK
+  - Los parámetros $1, $2... se enlazan por nombre, así el SQL de los repositorios es el mismo.
+  - El fichero se adjunta como esquema "economia" para que economia.tabla resuelva igual.
+  - Una sola conexión: mientras un client tiene una transacción abierta, el resto de
+    consultas espera a que acabe (equivale a bloquear toda la base).
+  - Los errores de restricción llevan el code de Postgres (23505, 23503) para que las rutas
+    los traten igual.
+*/
+const SCHEMA_FILE = path.join(__dirname, "sqlite-schema.sql");
+
+const SQLITE_ERROR_CODES = {
+  SQLITE_CONSTRAINT_UNIQUE: "23505",
+  SQLITE_CONSTRAINT_PRIMARYKEY: "23505",
+  SQLITE_CONSTRAINT_FOREIGNKEY: "23503",
+  SQLITE_CONSTRAINT_CHECK: "23514",
+  SQLITE_CONSTRAINT_NOTNULL: "23502",
+};
+
+// Columnas añadidas después de crear su tabla: CREATE TABLE IF NOT EXISTS no las añade a un
+// fichero que ya existía, así que al arrancar se añaden las que falten (y, si hace falta,
+// backfill rellena las filas que ya había)
+const ADDED_COLUMNS = [
+  { table: "transaction", column: "original_currency", definition: "TEXT" },
+  { table: "transaction", column: "original_amount", definition: "INTEGER CHECK (original_amount > 0)" },
+  { table: "transaction", column: "exchange_rate", definition: "REAL CHECK (exchange_rate > 0)" },
+  {
+    table: "household",
+    column: "pay_cycle_type",
+    definition:
+      "TEXT NOT NULL DEFAULT 'CALENDAR' CHECK (pay_cycle_type IN ('CALENDAR', 'FIXED_DAY', 'LAST_WORKING_DAY'))",
+  },
+  {
+    table: "household",
+    column: "pay_cycle_day",
+    definition: "INTEGER CHECK (pay_cycle_day BETWEEN 1 AND 31)",
+  },
+  {
+    table: "piggy_bank",
+    column: "rule",
+    definition: "TEXT NOT NULL DEFAULT '{}'",
+    backfill: `UPDATE economia.piggy_bank SET rule = '{"multipleOf":200}' WHERE type = 'TWO_EURO'`,
+  },
+  { table: "piggy_bank", column: "archived_at", definition: "TEXT" },
+  {
+    table: "piggy_bank_entry",
+    column: "destination",
+    definition: "TEXT CHECK (destination IN ('BANK', 'CASH', 'GOAL'))",
+  },
+  {
+    table: "household",
+    column: "safety_target_months",
+    definition: "INTEGER CHECK (safety_target_months BETWEEN 1 AND 24)",
+  },
+  {
+    table: "household",
+    column: "safety_target_amount",
+    definition: "INTEGER CHECK (safety_target_amount > 0)",
+  },
+  {
+    table: "household",
+    column: "safety_replenish_months",
+    definition: "INTEGER NOT NULL DEFAULT 6 CHECK (safety_replenish_months BETWEEN 1 AND 36)",
+  },
+  { table: "household", column: "safety_auto_replenish", definition: "INTEGER NOT NULL DEFAULT 0" },
+  {
+    table: "transaction",
+    column: "emergency_reason",
+    definition:
+      "TEXT CHECK (emergency_reason IN ('HEALTH', 'HOME', 'VEHICLE', 'JOB', 'FAMILY', 'OTHER'))",
+  },
+  {
+    table: "import_draft",
+    column: "duplicate_of_row",
+    definition: "INTEGER CHECK (duplicate_of_row > 0)",
+  },
+];
+
+// Equivalente de migrations/0010: MINE/PARTNER sin attributed_user_id pasan al primer usuario
+// del hogar (por created_at) y al otro miembro. Solo toca filas a NULL, así que se puede
+// repetir en cada arranque.
+const ATTRIBUTED_USER_BACKFILL = ["transaction", "planned_expense"].map(
+  (table) => `
+    WITH member AS (
+      SELECT
+        id,
+        household_id,
+        ROW_NUMBER() OVER (PARTITION BY household_id ORDER BY created_at, id) AS position
+      FROM economia.app_user
+    )
+    UPDATE economia."${table}" AS r
+    SET attributed_user_id = m.id
+    FROM member m
+    WHERE r.attributed_user_id IS NULL
+      AND m.household_id = r.household_id
+      AND m.position = CASE r.attribution WHEN 'MINE' THEN 1 WHEN 'PARTNER' THEN 2 END`,
+);
+
+// Tablas cuyo CREATE TABLE cambió (CHECK, UNIQUE, FK...): SQLite no deja alterarlas, así que
+// se rehacen copiando las filas a una tabla nueva con la definición de sqlite-schema.sql
+// (https://www.sqlite.org/lang_altertable.html#otheralter). Se compara con el esquema aplicado
+// a una base vacía; el cuerpo de la definición basta (el nombre puede ir o no entre comillas).
+function tableBody(sql) {
+  return sql.slice(sql.indexOf("("));
+}
+
+function freshTables(schemaSql) {
+  const fresh = new Database(":memory:");
+  try {
+    fresh.exec(`ATTACH DATABASE ':memory:' AS economia`);
+    fresh.exec(schemaSql);
+    return fresh
+      .prepare(`SELECT name, sql FROM economia.sqlite_master WHERE type = 'table'`)
+      .all()
+      .map((t) => ({
+        ...t,
+        columns: fresh.pragma(`economia.table_info("${t.name}")`).map((c) => c.name),
+      }));
+  } finally {
+    fresh.close();
+  }
+}
+
+// -> nombres de las tablas rehechas
+async function rebuildChangedTables(db, schemaSql) {
+  const { rows: current } = await db.query(
+    `SELECT name, sql FROM economia.sqlite_master WHERE type = 'table'`
+  );
+  const changed = freshTables(schemaSql).filter((t) => {
+    const existing = current.find((c) => c.name === t.name);
+    return existing && tableBody(existing.sql) !== tableBody(t.sql);
+  });
+  if (!changed.length) return [];
+
+  // Con las FK activas, DROP TABLE borraría en cascada las filas que apuntan a la tabla
+  await db.query("PRAGMA foreign_keys = OFF");
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+    for (const table of changed) {
+      const { rows } = await client.query(`PRAGMA economia.table_info("${table.name}")`);
+      const columns = table.columns
+        .filter((c) => rows.some((r) => r.name === c))
+        .map((c) => `"${c}"`)
+        .join(", ");
+      const tmp = `${table.name}__rebuild`;
+
+      await client.query(`CREATE TABLE economia."${tmp}" ${tableBody(table.sql)}`);
+      await client.query(
+        `INSERT INTO economia."${tmp}" (${columns}) SELECT ${columns} FROM economia."${table.name}"`
+      );
+      await client.query(`DROP TABLE economia."${table.name}"`);
+      await client.query(`ALTER TABLE economia."${tmp}" RENAME TO "${table.name}"`);
+    }
+
+    const { rows: broken } = await client.query("PRAGMA economia.foreign_key_check");
+    if (broken.length) {
+      throw new Error(`FK rotas al rehacer tablas: ${JSON.stringify(broken.slice(0, 5))}`);
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+    await db.query("PRAGMA foreign_keys = ON");
+  }
+  return changed.map((t) => t.name);
+}
+
+const TX_CONTROL_RE = /^\s*(BEGIN|COMMIT|ROLLBACK)\s*;?\s*$/i;
+
+// Date -> ISO, boolean -> 0/1, array -> JSON (se consulta con json_each)
+function toSqliteValue(value) {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (Array.isArray(value)) return JSON.stringify(value);
+  return value;
+}
+
+function createSqliteDb(file) {
+  if (file !== ":memory:") fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+
+  const conn = new Database(":memory:");
+  conn.function("now", { deterministic: false }, () => new Date().toISOString());
+  conn.function("gen_random_uuid", { deterministic: false }, () => crypto.randomUUID());
+  conn.prepare(`ATTACH DATABASE ? AS economia`).run(file);
+  conn.pragma("foreign_keys = ON");
+  conn.pragma("economia.journal_mode = WAL");
+
+  // Cola de transacciones: cada una espera a que termine la anterior
+  let tail = Promise.resolve();
+  let owner = null;
+
+  function acquire(client) {
+    let release;
+    const done = new Promise((resolve) => (release = resolve));
+    const ready = tail.then(() => {
+      owner = { client, release };
+    });
+    tail = tail.then(() => done);
+    return ready;
+  }
+
+  function releaseOwner(client) {
+    if (!owner || owner.client !== client) return;
+    const { release } = owner;
+    owner = null;
+    release();
+  }
+
+  function run(sql, params = []) {
+    try {
+      const bind = {};
+      params.forEach((v, i) => (bind[i + 1] = toSqliteValue(v)));
+
+      const stmt = conn.prepare(sql);
+      if (stmt.reader) {
+        const rows = stmt.all(bind);
+        return { rows, rowCount: rows.length };
+      }
+      const info = stmt.run(bind);
+      return { rows: [], rowCount: info.changes };
+    } catch (err) {
+      if (SQLITE_ERROR_CODES[err.code]) {
+        err.sqliteCode = err.code;
+        err.code = SQLITE_ERROR_CODES[err.code];
+      }
+      throw err;
+    }
+  }
+
+  // Fuera de una transacción propia se espera a que no haya ninguna abierta
+  async function runAutocommit(sql, params) {
+    const client = {};
+    await acquire(client);
+    try {
+      return run(sql, params);
+    } finally {
+      releaseOwner(client);
+    }
+  }
+
+  const db = {
+    query(sql, params) {
+      return runAutocommit(sql, params);
+    },
+
+    async connect() {
+      const client = {
+        async query(sql, params) {
+          const control = TX_CONTROL_RE.exec(sql);
+          if (!control) {
+            if (owner && owner.client === client) return run(sql, params);
+            return runAutocommit(sql, params);
+          }
+
+          const command = control[1].toUpperCase();
+          if (command === "BEGIN") {
+            if (!(owner && owner.client === client)) await acquire(client);
+            return run("BEGIN IMMEDIATE");
+          }
+
+          // ROLLBACK sin transacción abierta (p.ej. en un catch) no hace nada, como en Postgres
+          if (!(owner && owner.client === client)) return { rows: [], rowCount: 0 };
+          try {
+            if (conn.inTransaction) run(command);
+          } finally {
+            releaseOwner(client);
+          }
+          return { rows: [], rowCount: 0 };
+        },
+
+        release() {
+          if (owner && owner.client === client) {
+            if (conn.inTransaction) conn.exec("ROLLBACK");
+            releaseOwner(client);
+          }
+        },
+      };
+      return client;
+    },
+
+    async exec(sql) {
+      const client = {};
+      await acquire(client);
+      try {
+        conn.exec(sql);
+      } finally {
+        releaseOwner(client);
+      }
+    },
+
+    async end() {
+      await tail;
+      conn.close();
+    },
+  };
+
+  return db;
+}
+
+// Fragmentos SQL que cambian respecto a Postgres (ver storage/postgres.js)
+const dialect = {
+  name: "sqlite",
+  cast: (expr) => expr,
+  date: (expr) => `date(${expr})`,
+  daysBetween: (to, from) => `CAST(julianday(${to}) - julianday(${from}) AS INTEGER)`,
+  anyOf: (expr, param) => `${expr} IN (SELECT value FROM json_each(${param}))`,
+  forUpdate: "",
+  forUpdateOf: () => "",
+  // mismo formato ISO que now() para que siga ordenando como texto
+  plusDays: (expr, days) => `strftime('%Y-%m-%dT%H:%M:%fZ', ${expr}, '${Number(days)} days')`,
+  // texto libre: subcadena sin distinguir mayúsculas (no hay full-text en español)
+  textSearch: (alias, _tsParam, likeParam) =>
+    `(${alias}.concept LIKE ${likeParam} ESCAPE '\\' OR ${alias}.note LIKE ${likeParam} ESCAPE '\\')`,
+  // timestamps guardados como ISO en UTC para que ordenen como texto
+  timestamp: (value) => (value === null || value === undefined ? null : new Date(value)),
+};
+
+function createSqliteStorage({ file = process.env.SQLITE_FILE || "economia.sqlite" } = {}) {
+  const db = createSqliteDb(file);
+
+  return {
+    kind: "sqlite",
+    db,
+    dialect,
+    async init() {
+      const schemaSql = fs.readFileSync(SCHEMA_FILE, "utf8");
+      await db.exec(schemaSql);
+      for (const { table, column, definition, backfill } of ADDED_COLUMNS) {
+        const { rows } = await db.query(`PRAGMA economia.table_info("${table}")`);
+        if (!rows.some((r) => r.name === column)) {
+          await db.exec(`ALTER TABLE economia."${table}" ADD COLUMN ${column} ${definition}`);
+          if (backfill) await db.exec(backfill);
+        }
+      }
+
+      const rebuilt = await rebuildChangedTables(db, schemaSql);
+      if (rebuilt.length) {
+        // DROP TABLE se llevó los índices de esas tablas
+        await db.exec(schemaSql);
+        console.log(`✅ Tablas SQLite rehechas: ${rebuilt.join(", ")}`);
+      }
+      for (const backfill of ATTRIBUTED_USER_BACKFILL) await db.exec(backfill);
+      console.log(`✅ Economia DB OK (SQLite: ${file})`);
+    },
+    close: () => db.end(),
+  };
+}
+
+module.exports = { createSqliteStorage };
@@ -0,0 +1,141 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { BACKENDS, startServer } = require("./support/server");
+const { startMonth, addExpense } = require("./support/fixtures");
+
+/* ===================== SALDO DE PAREJA E INFORMES ===================== */
+
+// Hogar de dos: a invita y b se registra con el código
+async function couple(server) {
+  const a = await server.signup();
+  const { code } = (await a.post("/household/invitations", {})).body;
+  const b = await server.signup({ inviteCode: code });
+  return { a, b };
+}
+
+for (const backend of BACKENDS) {
+  describe(`saldo de pareja e informes (${backend.name})`, { skip: backend.skip }, () => {
+    let server;
+
+    before(async () => {
+      server = await startServer(backend);
+    });
+
+    after(() => server?.stop());
+
+    test("saldo: quién debe a quién y saldar", async () => {
+      const { a, b } = await couple(server);
+      const month = await startMonth(a);
+
+      // HOUSE pagado por a: b debe la mitad; lo personal de b pagado por a, entero
+      await addExpense(a, month, { amount: "100", payer: "MINE" });
+      await addExpense(a, month, { amount: "30", attribution: "PARTNER", payer: "MINE" });
+      // desde la cuenta común no genera deuda
+      await addExpense(a, month, { amount: "70" });
+
+      const forA = (await a.get("/balances")).body;
+      assert.equal(forA.balance, 8000);
+      assert.equal(forA.status, "PARTNER_OWES_ME");
+      assert.equal(forA.partner.id, b.user.id);
+      assert.equal(forA.last_settlement, null);
+      assert.deepEqual(forA.movements.map((m) => m.effect).sort(), [3000, 5000]);
+
+      const forB = (await b.get("/balances")).body;
+      assert.equal(forB.balance, -8000);
+      assert.equal(forB.status, "I_OWE_PARTNER");
+
+      const settled = await b.post("/balances/settle", {});
+      assert.equal(settled.status, 200);
+      assert.equal(settled.body.settlement.amount, 8000);
+      assert.equal(settled.body.settlement.payer, "MINE");
+      assert.equal(settled.body.settlement.attribution, "PARTNER");
+      assert.equal(settled.body.settlement.month_id, month.id);
+
+      const cleared = (await a.get("/balances")).body;
+      assert.equal(cleared.balance, 0);
+      assert.equal(cleared.status, "SETTLED");
+      assert.equal(cleared.last_settlement.amount, 8000);
+      assert.deepEqual(cleared.movements, []);
+
+      assert.equal((await a.post("/balances/settle", {})).status, 400);
+
+      // solo cuenta lo posterior al ajuste
+      await addExpense(b, month, { amount: "10", payer: "MINE" });
+      const later = (await a.get("/balances")).body;
+      assert.equal(later.balance, -500);
+      assert.equal(later.movements.length, 1);
+
+      const single = await server.signup();
+      assert.equal((await single.get("/balances")).status, 400);
+    });
+
+    test("informes: categorías, ingresos y gastos, monedas y año", async () => {
+      const { a, b } = await couple(server);
+      const [food, fun] = (await a.get("/categories")).body;
+
+      const january = await startMonth(a, { startDate: "2020-01-01", endDate: "2020-01-31" });
+      await addExpense(a, january, { category_id: food.id, amount: "100" });
+      await addExpense(a, january, { category_id: fun.id, amount: "20", attribution: "MINE" });
+      await a.post("/transactions", {
+        month_id: january.id,
+        category_id: fun.id,
+        amount: "18",
+        currency: "USD",
+        original_amount: "20",
+        attribution: "HOUSE",
+        payment_method: "CARD",
+      });
+      await a.post("/month/close", { monthId: january.id });
+
+      const february = await startMonth(a, { startDate: "2020-02-01", endDate: "2020-02-29" });
+      await addExpense(a, february, { category_id: food.id, amount: "150" });
+
+      const categories = (await a.get("/reports/categories?months=6&until=2020-02")).body;
+      assert.deepEqual(categories.months, ["2020-01", "2020-02"]);
+      const byName = Object.fromEntries(categories.series.map((s) => [s.name, s]));
+      assert.deepEqual(byName[food.name].values, [10000, 15000]);
+      assert.deepEqual(byName[food.name].deltas, [null, 5000]);
+      assert.deepEqual(byName[fun.name].values, [3800, 0]);
+      assert.deepEqual(categories.totals.values, [13800, 15000]);
+
+      const limited = (await a.get("/reports/categories?months=1&until=2020-01")).body;
+      assert.deepEqual(limited.months, ["2020-01"]);
+
+      const cashflow = (await a.get("/reports/cashflow")).body;
+      assert.deepEqual(cashflow.status, ["CLOSED", "OPEN"]);
+      assert.deepEqual(cashflow.series.income.values, [200000, 200000]);
+      assert.deepEqual(cashflow.series.expenses.values, [13800, 15000]);
+      assert.deepEqual(cashflow.series.net.values, [186200, 185000]);
+
+      const currencies = (await a.get("/reports/currencies")).body;
+      assert.equal(currencies.series.length, 1);
+      assert.equal(currencies.series[0].currency, "USD");
+      assert.equal(currencies.series[0].count, 1);
+      assert.deepEqual(currencies.series[0].original.values, [2000, 0]);
+      assert.deepEqual(currencies.series[0].values, [1800, 0]);
+      assert.equal(currencies.series[0].average_rate, 0.9);
+
+      const year = await a.get("/reports/year/2020");
+      assert.equal(year.status, 200);
+      assert.equal(year.body.months_count, 2);
+      assert.equal(year.body.expenses.total, 28800);
+      assert.deepEqual(
+        year.body.expenses.byCategory.map((c) => [c.category_id, c.total]),
+        [
+          [food.id, 25000],
+          [fun.id, 3800],
+        ],
+      );
+      assert.deepEqual(year.body.expenses.byAttr, { MINE: 2000, PARTNER: 0, HOUSE: 26800 });
+      assert.equal(year.body.best_month.period_key, "2020-01");
+
+      // lo MINE de a es PARTNER para b
+      const forB = (await b.get("/reports/year/2020")).body;
+      assert.deepEqual(forB.expenses.byAttr, { MINE: 0, PARTNER: 2000, HOUSE: 26800 });
+
+      assert.equal((await a.get("/reports/year/2019")).status, 404);
+      const other = await server.signup();
+      assert.equal((await other.get("/reports/year/2020")).status, 404);
+    });
+  });
+}
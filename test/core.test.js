@@ -0,0 +1,253 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { BACKENDS, startServer } = require("./support/server");
+const { startMonth, addExpense } = require("./support/fixtures");
+
+/* ===================== NÚCLEO ===================== */
+// Cuentas, meses, semanas, movimientos, huchas y fondo de seguridad: lo mismo en cada backend
+
+for (const backend of BACKENDS) {
+  describe(`núcleo (${backend.name})`, { skip: backend.skip }, () => {
+    let server;
+
+    before(async () => {
+      server = await startServer(backend);
+    });
+
+    after(() => server?.stop());
+
+    test("registro, login y /auth/me", async () => {
+      const a = await server.signup({ name: "Ana" });
+
+      const login = await server.anonymous.post("/auth/login", {
+        email: a.email.toUpperCase(),
+        password: "password-123",
+      });
+      assert.equal(login.status, 200);
+      assert.equal(login.body.user.id, a.user.id);
+
+      const me = await a.get("/auth/me");
+      assert.equal(me.status, 200);
+      assert.equal(me.body.user?.email ?? me.body.email, a.email);
+
+      const wrong = await server.anonymous.post("/auth/login", {
+        email: a.email,
+        password: "otra-clave",
+      });
+      assert.equal(wrong.status, 401);
+
+      assert.equal((await server.anonymous.get("/months")).status, 401);
+    });
+
+    test("el hogar nuevo trae categorías y las dos huchas del seed", async () => {
+      const a = await server.signup();
+
+      const categories = await a.get("/categories");
+      assert.ok(categories.body.length > 0);
+
+      const piggies = await a.get("/piggybanks/summary");
+      assert.deepEqual(piggies.body.map((p) => p.type).sort(), ["NORMAL", "TWO_EURO"]);
+    });
+
+    test("abrir mes crea sus semanas y solo admite un mes OPEN", async () => {
+      const a = await server.signup();
+      const month = await startMonth(a);
+
+      assert.equal(month.status, "OPEN");
+      assert.equal(month.income_amount, 200000);
+      // *_eur calculado en SQL: numeric (texto) en Postgres, número en SQLite
+      assert.equal(Number(month.income_amount_eur), 2000);
+
+      const weeks = await a.get("/weeks");
+      assert.ok(weeks.body.length >= 1);
+      assert.equal(weeks.body[0].start_date, month.start_date);
+      assert.equal(weeks.body.at(-1).end_date, month.end_date);
+
+      const again = await a.post("/month/start", {
+        incomeAmount: "1",
+        savingGoalAmount: "0",
+        weeklyBudgetAmount: "0",
+      });
+      assert.equal(again.status, 400);
+    });
+
+    test("movimientos: alta, listado, edición y borrado", async () => {
+      const a = await server.signup();
+      const month = await startMonth(a);
+
+      const tx = await addExpense(a, month, { amount: "12,50", concept: "Mercado" });
+      assert.equal(tx.amount, 1250);
+      assert.equal(tx.type, "EXPENSE");
+
+      const list = await a.get("/transactions?q=merc");
+      assert.deepEqual(
+        list.body.items.map((t) => t.id),
+        [tx.id],
+      );
+
+      const updated = await a.put(`/transactions/${tx.id}`, {
+        amount: "20",
+        attribution: "HOUSE",
+        payment_method: "CARD",
+      });
+      assert.equal(updated.status, 200);
+      assert.equal((await a.get(`/transactions/${tx.id}`)).body.amount, 2000);
+
+      assert.equal((await a.del(`/transactions/${tx.id}`)).status, 200);
+      assert.equal((await a.get(`/transactions/${tx.id}`)).status, 404);
+    });
+
+    test("los movimientos de otro hogar no se ven", async () => {
+      const a = await server.signup();
+      const b = await server.signup();
+      const month = await startMonth(a);
+      const tx = await addExpense(a, month);
+
+      assert.equal((await b.get(`/transactions/${tx.id}`)).status, 404);
+      assert.equal((await b.del(`/transactions/${tx.id}`)).status, 404);
+    });
+
+    test("resumen del mes: gastos, restante y saldos", async () => {
+      const a = await server.signup();
+      const month = await startMonth(a);
+      await addExpense(a, month, { amount: "25" });
+
+      const summary = await a.get("/summary/current");
+      assert.equal(summary.status, 200);
+      assert.equal(summary.body.totals.totalExpenses, 2500);
+      assert.equal(summary.body.totals.remainingMonth, 197500);
+      // la semana actual retira su presupuesto en efectivo
+      assert.equal(summary.body.balances.cash, 10000);
+      assert.equal(summary.body.balances.bank, 200000 - 2500 - 10000);
+    });
+
+    test("cerrar semana: huchas y vuelta al banco", async () => {
+      const a = await server.signup();
+      await startMonth(a);
+      await a.get("/summary/current");
+      const week = (await a.get("/week/current")).body;
+
+      const closed = await a.post(`/weeks/${week.id}/close`, {
+        piggyTwoAmount: "4",
+        piggyNormalAmount: "3",
+        returnToBankAmount: "10",
+      });
+      assert.equal(closed.status, 200);
+      assert.equal(closed.body.moved.total, 1700);
+
+      const piggies = (await a.get("/piggybanks/summary")).body;
+      const balances = Object.fromEntries(piggies.map((p) => [p.type, p.balance]));
+      assert.deepEqual(balances, { TWO_EURO: 400, NORMAL: 300 });
+
+      // la hucha de 2€ solo admite múltiplos de 2€
+      const two = piggies.find((p) => p.type === "TWO_EURO");
+      const bad = await a.post(`/piggybanks/${two.id}/entries`, { amount: "3" });
+      assert.equal(bad.status, 422);
+
+      const entries = await a.get(`/piggybanks/${two.id}/entries`);
+      assert.equal(entries.body.length, 1);
+      assert.equal(entries.body[0].balance_after, 400);
+    });
+
+    test("cerrar mes consolida el sobrante en el fondo de seguridad", async () => {
+      const a = await server.signup();
+      const month = await startMonth(a);
+      await addExpense(a, month, { amount: "25" });
+
+      const closed = await a.post("/month/close", { monthId: month.id });
+      assert.equal(closed.status, 200);
+      assert.equal(closed.body.month.status, "CLOSED");
+      assert.equal(closed.body.totals.consolidated, 197500);
+
+      const balance = await a.get("/safety/balance");
+      assert.equal(balance.body.balance, 197500);
+
+      const history = await a.get("/safety/history");
+      assert.deepEqual(
+        history.body.map((x) => x.type),
+        ["CONSOLIDATE_TO_SAFETY"],
+      );
+    });
+
+    test("emergencia: no deja el fondo en negativo sin allowOverdraft", async () => {
+      const a = await server.signup();
+      const month = await startMonth(a, {
+        incomeAmount: "100",
+        savingGoalAmount: "0",
+        startDate: "2020-01-01",
+        endDate: "2020-01-31",
+      });
+      await a.post("/month/close", { monthId: month.id });
+      const next = await startMonth(a, { startDate: "2020-02-01", endDate: "2020-02-29" });
+
+      const over = await a.post("/safety/emergency", {
+        month_id: next.id,
+        amount: "150",
+        note: "Caldera",
+        reason: "home",
+      });
+      assert.equal(over.status, 422);
+
+      const ok = await a.post("/safety/emergency", {
+        month_id: next.id,
+        amount: "40",
+        note: "Caldera",
+        reason: "home",
+      });
+      assert.equal(ok.status, 200);
+      assert.equal((await a.get("/safety/balance")).body.balance, 6000);
+    });
+  });
+}
+
+/* ===================== ARRANQUE ===================== */
+// Con el mismo fichero SQLite entre arranques: solo con SQLite
+describe("arranque (sqlite)", () => {
+  const [sqlite] = BACKENDS;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "economia-boot-"));
+  const file = path.join(dir, "economia.sqlite");
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("sin AUTH_SECRET no arranca", async () => {
+    await assert.rejects(
+      startServer(sqlite, { SQLITE_FILE: file, AUTH_SECRET: "" }),
+      /AUTH_SECRET no definido/,
+    );
+  });
+
+  test("MINE/PARTNER sin usuario pasan al primer miembro y a su pareja", async () => {
+    const first = await startServer(sqlite, { SQLITE_FILE: file });
+    let b;
+    let month;
+    try {
+      const a = await first.signup();
+      const { code } = (await a.post("/household/invitations", {})).body;
+      b = await first.signup({ inviteCode: code });
+      month = await startMonth(a);
+      await addExpense(a, month, { concept: "Mío", attribution: "MINE" });
+      await addExpense(a, month, { concept: "De la pareja", attribution: "PARTNER" });
+    } finally {
+      await first.stop();
+    }
+
+    // filas de antes de las cuentas de usuario
+    const db = new Database(file);
+    db.prepare(`UPDATE "transaction" SET attributed_user_id = NULL`).run();
+    db.close();
+
+    const second = await startServer(sqlite, { SQLITE_FILE: file });
+    try {
+      const items = (await second.client(b.token).get(`/transactions?month_id=${month.id}`)).body
+        .items;
+      const byConcept = Object.fromEntries(items.map((t) => [t.concept, t.attribution]));
+      assert.deepEqual(byConcept, { Mío: "PARTNER", "De la pareja": "MINE" });
+    } finally {
+      await second.stop();
+    }
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { BACKENDS, startServer } = require("./support/server");
+const { startMonth, addExpense } = require("./support/fixtures");
+
+/* ===================== EXPORT ===================== */
+
+const jsonLines = (text) =>
+  text
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+
+for (const backend of BACKENDS) {
+  describe(`export de movimientos (${backend.name})`, { skip: backend.skip }, () => {
+    let server;
+
+    before(async () => {
+      server = await startServer(backend);
+    });
+
+    after(() => server?.stop());
+
+    test("CSV, JSON Lines y OFX con los movimientos del hogar", async () => {
+      const a = await server.signup();
+      const month = await startMonth(a);
+      await addExpense(a, month, { amount: "12,5", concept: "Pan; leche" });
+      await a.post("/transactions", {
+        month_id: month.id,
+        amount: "100",
+        type: "EXTRA_INCOME",
+        attribution: "HOUSE",
+        payment_method: "TRANSFER",
+        concept: "Venta",
+      });
+
+      const other = await server.signup();
+      await addExpense(other, await startMonth(other));
+
+      const csv = await a.get("/export/transactions");
+      assert.equal(csv.status, 200);
+      assert.match(csv.headers.get("content-type"), /^text\/csv/);
+      const lines = csv.body.split("\r\n").filter(Boolean);
+      assert.equal(lines.length, 3);
+      assert.ok(lines[0].includes("Fecha;Mes;Tipo;"));
+      assert.ok(lines.some((l) => l.includes("-12,50;") && l.includes('"Pan; leche"')));
+
+      const jsonl = await a.get("/export/transactions?format=jsonl");
+      const rows = jsonLines(jsonl.body);
+      assert.deepEqual(rows.map((r) => r.amount).sort(), [10000, 1250]);
+      assert.ok(rows.every((r) => r.period_key === month.period_key));
+
+      const ofx = await a.get("/export/transactions?format=OFX");
+      assert.equal(ofx.status, 200);
+      assert.equal((ofx.body.match(/<STMTTRN>/g) || []).length, 2);
+      assert.match(ofx.body, /<BALAMT>87\.50<\/BALAMT>/);
+    });
+
+    test("más de un lote: cada movimiento sale una sola vez", async () => {
+      const a = await server.signup();
+      const month = await startMonth(a);
+      const [category] = (await a.get("/categories")).body;
+
+      // sin date_time: NOW() con microsegundos en Postgres, justo lo que rompía el cursor
+      const total = 520;
+      for (let i = 0; i < total; i += 20) {
+        await Promise.all(
+          Array.from({ length: Math.min(20, total - i) }, () =>
+            addExpense(a, month, { category_id: category.id, amount: "1" }),
+          ),
+        );
+      }
+
+      const rows = jsonLines((await a.get("/export/transactions?format=jsonl")).body);
+      assert.equal(rows.length, total);
+      assert.equal(new Set(rows.map((r) => r.id)).size, total);
+    });
+
+    test("filtra por fechas y por meses", async () => {
+      const a = await server.signup();
+      const january = await startMonth(a, { startDate: "2020-01-01", endDate: "2020-01-31" });
+      await addExpense(a, january, { date_time: "2020-01-10T12:00:00Z" });
+      await addExpense(a, january, { date_time: "2020-01-20T12:00:00Z" });
+      await a.post("/month/close", { monthId: january.id });
+      const february = await startMonth(a, { startDate: "2020-02-01", endDate: "2020-02-29" });
+      await addExpense(a, february, { date_time: "2020-02-05T12:00:00Z" });
+
+      const byDate = jsonLines(
+        (await a.get("/export/transactions?format=jsonl&from=2020-01-15&to=2020-02-10")).body,
+      );
+      assert.deepEqual(
+        byDate.map((r) => r.date_time.slice(0, 10)),
+        ["2020-01-20", "2020-02-05"],
+      );
+
+      const byMonth = jsonLines(
+        (await a.get(`/export/transactions?format=jsonl&monthIds=${january.id}`)).body,
+      );
+      // el cierre de enero también deja su movimiento de ahorro en enero
+      assert.ok(byMonth.every((r) => r.period_key === january.period_key));
+      assert.equal(byMonth.filter((r) => r.type === "EXPENSE").length, 2);
+
+      assert.equal((await a.get("/export/transactions?format=xls")).status, 422);
+    });
+  });
+}
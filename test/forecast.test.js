@@ -0,0 +1,73 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { BACKENDS, startServer } = require("./support/server");
+const { startMonth, addExpense } = require("./support/fixtures");
+
+/* ===================== PREVISIÓN DE CIERRE ===================== */
+
+const day = (value) => String(value).slice(0, 10);
+
+for (const backend of BACKENDS) {
+  describe(`previsión de cierre (${backend.name})`, { skip: backend.skip }, () => {
+    let server;
+
+    before(async () => {
+      server = await startServer(backend);
+    });
+
+    after(() => server?.stop());
+
+    test("sin mes abierto no hay previsión", async () => {
+      const a = await server.signup();
+      const res = await a.get("/forecast/current");
+      assert.equal(res.status, 200);
+      assert.equal(res.body, null);
+    });
+
+    test("suma lo gastado, lo previsto pendiente y el ritmo variable", async () => {
+      const a = await server.signup();
+      const [food] = (await a.get("/categories")).body;
+      const month = await startMonth(a);
+
+      await addExpense(a, month, { category_id: food.id, amount: "60" });
+      await addExpense(a, month, { amount: "5", payment_method: "CASH" });
+      // creado con el mes ya abierto: su ocurrencia queda pendiente de publicar
+      await a.post("/planned-expenses", {
+        name: "Internet",
+        amount: "40",
+        frequency: "MONTHLY",
+        next_due_date: day(month.end_date),
+        attribution: "HOUSE",
+        category_id: food.id,
+      });
+
+      const res = await a.get("/forecast/current");
+      assert.equal(res.status, 200);
+      const f = res.body;
+
+      assert.equal(f.month_id, month.id);
+      assert.equal(f.history_months, 0);
+      assert.ok(f.days_elapsed >= 1 && f.days_elapsed <= f.days_total);
+      assert.equal(f.days_left, f.days_total - f.days_elapsed);
+      assert.match(f.as_of, /^\d{4}-\d{2}-\d{2}$/);
+
+      assert.equal(f.income, 200000);
+      assert.deepEqual(f.spent, { total: 6500, planned: 0, cash: 500, variable: 6000 });
+      assert.equal(f.pending.planned, 4000);
+      assert.deepEqual(
+        f.pending.planned_items.map((p) => [p.name, p.due_date]),
+        [["Internet", day(month.end_date)]],
+      );
+      assert.ok(f.pending.cash_weeks.length >= 1);
+      assert.equal(f.pending.variable_by_category[0].category_id, food.id);
+      assert.equal(f.pending.variable_by_category[0].spent, 6000);
+
+      assert.equal(
+        f.projected_expenses,
+        f.spent.total + f.pending.planned + f.pending.cash + f.pending.variable,
+      );
+      assert.equal(f.projected_remainder, f.income - f.projected_expenses);
+      assert.ok(f.range.low <= f.projected_remainder && f.projected_remainder <= f.range.high);
+    });
+  });
+}
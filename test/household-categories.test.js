@@ -0,0 +1,158 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { BACKENDS, startServer } = require("./support/server");
+const { startMonth, addExpense, categoryByName } = require("./support/fixtures");
+
+/* ===================== HOGAR Y CATEGORÍAS ===================== */
+
+for (const backend of BACKENDS) {
+  describe(`hogar y categorías (${backend.name})`, { skip: backend.skip }, () => {
+    let server;
+
+    before(async () => {
+      server = await startServer(backend);
+    });
+
+    after(() => server?.stop());
+
+    test("hogar: nombre y miembros", async () => {
+      const a = await server.signup({ name: "Ana", householdName: "Piso" });
+
+      const household = await a.get("/household");
+      assert.equal(household.status, 200);
+      assert.equal(household.body.household.name, "Piso");
+      assert.equal(household.body.household.safety_auto_replenish, false);
+      assert.deepEqual(
+        household.body.members.map((m) => m.id),
+        [a.user.id],
+      );
+
+      const renamed = await a.put("/household", { name: "  Casa  " });
+      assert.equal(renamed.status, 200);
+      assert.equal(renamed.body.name, "Casa");
+    });
+
+    test("invitación: registrarse con el código entra en el hogar", async () => {
+      const a = await server.signup();
+
+      const invitation = await a.post("/household/invitations", {});
+      assert.equal(invitation.status, 200);
+      assert.ok(new Date(invitation.body.expires_at) > new Date());
+      assert.deepEqual(
+        (await a.get("/household/invitations")).body.map((i) => i.id),
+        [invitation.body.id],
+      );
+
+      const b = await server.signup({ inviteCode: invitation.body.code.toLowerCase() });
+      const members = (await a.get("/household")).body.members.map((m) => m.id);
+      assert.deepEqual(members.sort(), [a.user.id, b.user.id].sort());
+      assert.equal((await a.get("/household/invitations")).body.length, 0);
+
+      // hogar completo
+      assert.equal((await a.post("/household/invitations", {})).status, 400);
+      await assert.rejects(server.signup({ inviteCode: invitation.body.code }), /400/);
+    });
+
+    test("invitación: un usuario sin meses se une y su hogar vacío desaparece", async () => {
+      const a = await server.signup();
+      const b = await server.signup();
+      const { code } = (await a.post("/household/invitations", {})).body;
+
+      const joined = await b.post("/household/join", { code });
+      assert.equal(joined.status, 200);
+      assert.equal((await b.get("/household")).body.members.length, 2);
+
+      // el de un hogar con meses no puede irse
+      const c = await server.signup();
+      await startMonth(c);
+      const other = (await server.signup().then((d) => d.post("/household/invitations", {}))).body;
+      assert.equal((await c.post("/household/join", { code: other.code })).status, 400);
+    });
+
+    test("invitación con email: solo vale para ese email", async () => {
+      const a = await server.signup();
+      const email = `Invitada-${Date.now()}@Example.com`;
+      const { code } = (await a.post("/household/invitations", { email })).body;
+
+      await assert.rejects(server.signup({ inviteCode: code }), /403/);
+      const stranger = await server.signup();
+      assert.equal((await stranger.post("/household/join", { code })).status, 403);
+
+      const invited = await server.signup({ email, inviteCode: code });
+      assert.equal(invited.user.household_id, a.user.household_id);
+    });
+
+    test("invitación con email: unirse con ese email", async () => {
+      const a = await server.signup();
+      const b = await server.signup();
+      const { code } = (await a.post("/household/invitations", { email: b.email.toUpperCase() }))
+        .body;
+
+      assert.equal((await b.post("/household/join", { code })).status, 200);
+    });
+
+    test("invitación: borrar una pendiente", async () => {
+      const a = await server.signup();
+      const b = await server.signup();
+      const invitation = (await a.post("/household/invitations", {})).body;
+
+      assert.equal((await b.del(`/household/invitations/${invitation.id}`)).status, 404);
+      assert.equal((await a.del(`/household/invitations/${invitation.id}`)).status, 200);
+      assert.equal((await a.del(`/household/invitations/${invitation.id}`)).status, 404);
+      assert.equal((await b.post("/household/join", { code: invitation.code })).status, 400);
+    });
+
+    test("categorías: alta, edición, archivo y nombres repetidos", async () => {
+      const a = await server.signup();
+      const before = (await a.get("/categories")).body;
+
+      const created = await a.post("/categories", { name: "Mascotas", color: "#112233" });
+      assert.equal(created.status, 200);
+      assert.equal(created.body.is_active, true);
+      assert.equal(created.body.sort_order, Math.max(...before.map((c) => c.sort_order)) + 10);
+
+      assert.equal((await a.post("/categories", { name: "Mascotas" })).status, 409);
+
+      const updated = await a.put(`/categories/${created.body.id}`, { color: null, icon: "🐶" });
+      assert.equal(updated.status, 200);
+      assert.equal(updated.body.name, "Mascotas");
+      assert.equal(updated.body.color, null);
+      assert.equal(updated.body.icon, "🐶");
+
+      const archived = await a.post(`/categories/${created.body.id}/archive`);
+      assert.equal(archived.body.is_active, false);
+      assert.equal(await categoryByName(a, "Mascotas"), undefined);
+      const all = (await a.get("/categories?includeArchived=true")).body;
+      assert.ok(all.some((c) => c.id === created.body.id));
+
+      const unarchived = await a.post(`/categories/${created.body.id}/unarchive`);
+      assert.equal(unarchived.body.is_active, true);
+
+      const b = await server.signup();
+      assert.equal((await b.put(`/categories/${created.body.id}`, { name: "X" })).status, 404);
+      assert.equal((await b.post(`/categories/${created.body.id}/archive`)).status, 404);
+    });
+
+    test("categorías: fusionar mueve los movimientos", async () => {
+      const a = await server.signup();
+      const month = await startMonth(a);
+      const [target, source] = (await a.get("/categories")).body;
+      const tx = await addExpense(a, month, { category_id: source.id });
+
+      const self = await a.post(`/categories/${source.id}/merge`, { targetId: source.id });
+      assert.equal(self.status, 422);
+
+      const merged = await a.post(`/categories/${source.id}/merge`, { targetId: target.id });
+      assert.equal(merged.status, 200);
+      assert.equal(merged.body.category.id, target.id);
+      assert.equal(merged.body.moved.transactions, 1);
+      assert.equal((await a.get(`/transactions/${tx.id}`)).body.category_id, target.id);
+      assert.ok(!(await a.get("/categories")).body.some((c) => c.id === source.id));
+
+      const b = await server.signup();
+      const [other] = (await b.get("/categories")).body;
+      const foreign = await b.post(`/categories/${other.id}/merge`, { targetId: target.id });
+      assert.equal(foreign.status, 404);
+    });
+  });
+}
@@ -0,0 +1,187 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { BACKENDS, startServer } = require("./support/server");
+const { startMonth, addExpense } = require("./support/fixtures");
+
+/* ===================== IMPORTACIÓN DE CSV ===================== */
+
+const JANUARY = { startDate: "2020-01-01", endDate: "2020-01-31" };
+const MAPPING = { date: "Fecha", amount: "Importe", description: "Concepto" };
+
+const csv = (...rows) => ["Fecha;Importe;Concepto", ...rows].join("\n");
+
+for (const backend of BACKENDS) {
+  describe(`importación de CSV (${backend.name})`, { skip: backend.skip }, () => {
+    let server;
+
+    before(async () => {
+      server = await startServer(backend);
+    });
+
+    after(() => server?.stop());
+
+    test("borradores: errores, duplicados y categoría sugerida", async () => {
+      const a = await server.signup();
+      const [food] = (await a.get("/categories")).body;
+      const month = await startMonth(a, JANUARY);
+      await addExpense(a, month, {
+        category_id: food.id,
+        amount: "12,30",
+        concept: "MERCADONA",
+        date_time: "2020-01-03T12:00:00Z",
+      });
+
+      const res = await a.post("/imports", {
+        filename: "banco.csv",
+        mapping: MAPPING,
+        csv: csv(
+          "03/01/2020;-12,30;MERCADONA",
+          "05/01/2020;-20,00;Mercadona",
+          "07/01/2020;1.500,00;Nómina",
+          "10/02/2020;-5,00;Fuera",
+          "xx;-5,00;Sin fecha",
+        ),
+      });
+      assert.equal(res.status, 200);
+      const { batch, stats, drafts } = res.body;
+      assert.equal(batch.status, "PENDING");
+      assert.equal(batch.options.delimiter, ";");
+      assert.deepEqual(stats, {
+        rows: 5,
+        included: 2,
+        duplicates: 1,
+        errors: 2,
+        missingCategory: 0,
+      });
+
+      const [dup, expense, income, outside, invalid] = drafts;
+      assert.equal(dup.include, false);
+      assert.equal(dup.duplicate_concept, "MERCADONA");
+      assert.equal(expense.include, true);
+      assert.equal(expense.direction, "OUT");
+      assert.equal(expense.category_id, food.id);
+      assert.equal(expense.raw.Concepto, "Mercadona");
+      assert.equal(income.direction, "IN");
+      assert.equal(income.amount, 150000);
+      assert.equal(outside.error, "Fecha fuera del mes OPEN");
+      assert.equal(invalid.error, "Fecha inválida");
+
+      const list = (await a.get("/imports")).body;
+      assert.deepEqual(
+        list.map((b) => [b.id, b.rows_count, b.created_count]),
+        [[batch.id, 5, 0]],
+      );
+
+      const b = await server.signup();
+      assert.equal((await b.get(`/imports/${batch.id}`)).status, 404);
+      assert.equal((await b.del(`/imports/${batch.id}`)).status, 404);
+
+      assert.equal((await a.del(`/imports/${batch.id}`)).status, 200);
+      assert.equal((await a.del(`/imports/${batch.id}`)).status, 404);
+    });
+
+    test("duplicados: mismo sentido y filas repetidas en el CSV", async () => {
+      const a = await server.signup();
+      const month = await startMonth(a, JANUARY);
+      await addExpense(a, month, {
+        amount: "25,00",
+        concept: "Bizum Ana",
+        date_time: "2020-01-04T12:00:00Z",
+      });
+
+      const { stats, drafts } = (
+        await a.post("/imports", {
+          filename: "banco.csv",
+          mapping: MAPPING,
+          csv: csv(
+            "04/01/2020;25,00;Bizum Ana",
+            "06/01/2020;-3,20;Café",
+            "06/01/2020;-3,20;Café",
+            "06/01/2020;3,20;Café",
+          ),
+        })
+      ).body;
+      assert.equal(stats.included, 3);
+      assert.equal(stats.duplicates, 1);
+
+      const [refund, coffee, repeated, income] = drafts;
+      // mismo día, importe y concepto, pero entra dinero: no es el gasto ya apuntado
+      assert.equal(refund.direction, "IN");
+      assert.equal(refund.duplicate_of, null);
+      assert.equal(refund.include, true);
+      assert.equal(coffee.include, true);
+      assert.equal(repeated.duplicate_of_row, coffee.row_number);
+      assert.equal(repeated.include, false);
+      assert.equal(income.duplicate_of_row, null);
+      assert.equal(income.include, true);
+    });
+
+    test("editar borradores y confirmar crea los movimientos", async () => {
+      const a = await server.signup();
+      const [, fun] = (await a.get("/categories")).body;
+      const month = await startMonth(a, JANUARY);
+
+      const { batch, drafts } = (
+        await a.post("/imports", {
+          filename: "enero.csv",
+          mapping: MAPPING,
+          csv: csv("08/01/2020;-40,00;Cine", "09/01/2020;-9,99;Kiosco", "xx;1;Roto"),
+        })
+      ).body;
+      const [cine, kiosco, roto] = drafts;
+      assert.equal(cine.category_id, null);
+
+      const blocked = await a.post(`/imports/${batch.id}/confirm`);
+      assert.equal(blocked.status, 400);
+      assert.deepEqual(blocked.body.draft_ids.sort(), [cine.id, kiosco.id].sort());
+
+      const edited = await a.put(`/imports/${batch.id}/drafts/${cine.id}`, {
+        category_id: fun.id,
+        attribution: "MINE",
+        concept: "  Cine Yelmo ",
+      });
+      assert.equal(edited.status, 200);
+      assert.equal(edited.body.category_id, fun.id);
+      assert.equal(edited.body.attribution, "MINE");
+      assert.equal(edited.body.payment_method, "CARD");
+      assert.equal(edited.body.concept, "Cine Yelmo");
+      assert.equal(edited.body.include, true);
+
+      const excluded = await a.put(`/imports/${batch.id}/drafts/${kiosco.id}`, {
+        include: false,
+      });
+      assert.equal(excluded.body.include, false);
+      assert.equal(excluded.body.category_id, null);
+
+      const withError = await a.put(`/imports/${batch.id}/drafts/${roto.id}`, { include: true });
+      assert.equal(withError.status, 400);
+
+      const confirmed = await a.post(`/imports/${batch.id}/confirm`);
+      assert.equal(confirmed.status, 200);
+      assert.equal(confirmed.body.created, 1);
+      const [tx] = confirmed.body.transactions;
+      assert.equal(tx.type, "EXPENSE");
+      assert.equal(tx.amount, 4000);
+      assert.equal(tx.category_id, fun.id);
+      assert.equal(tx.attribution, "MINE");
+      assert.equal(tx.note, "Importado de enero.csv");
+      assert.ok(tx.week_id);
+      assert.equal(tx.month_id, month.id);
+
+      const history = (await a.get(`/audit/transaction/${tx.id}`)).body;
+      assert.deepEqual(
+        history.map((e) => e.action),
+        ["CREATE"],
+      );
+
+      assert.equal((await a.post(`/imports/${batch.id}/confirm`)).status, 400);
+      const [listed] = (await a.get("/imports")).body;
+      assert.equal(listed.status, "CONFIRMED");
+      assert.equal(listed.created_count, 1);
+      assert.equal(
+        (await a.put(`/imports/${batch.id}/drafts/${kiosco.id}`, { include: true })).status,
+        400,
+      );
+    });
+  });
+}
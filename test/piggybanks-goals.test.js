@@ -0,0 +1,244 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { BACKENDS, startServer } = require("./support/server");
+const { startMonth, addExpense } = require("./support/fixtures");
+
+/* ===================== HUCHAS Y OBJETIVOS DE AHORRO ===================== */
+
+for (const backend of BACKENDS) {
+  describe(`huchas y objetivos de ahorro (${backend.name})`, { skip: backend.skip }, () => {
+    let server;
+
+    before(async () => {
+      server = await startServer(backend);
+    });
+
+    after(() => server?.stop());
+
+    test("huchas propias: alta con regla, edición y archivo", async () => {
+      const a = await server.signup();
+
+      const created = await a.post("/piggybanks", {
+        name: "Viaje",
+        rule: { denominations: ["5", "10"], max: "50" },
+      });
+      assert.equal(created.status, 200);
+      assert.equal(created.body.type, "CUSTOM");
+      assert.deepEqual(created.body.rule, { denominations: [1000, 500], max: 5000 });
+      assert.deepEqual(created.body.rule_eur.denominations.map(Number), [10, 5]);
+
+      assert.equal((await a.post("/piggybanks", { name: "Viaje" })).status, 409);
+
+      const bad = await a.post(`/piggybanks/${created.body.id}/entries`, { amount: "7" });
+      assert.equal(bad.status, 422);
+      const ok = await a.post(`/piggybanks/${created.body.id}/entries`, { amount: "15" });
+      assert.equal(ok.status, 200);
+
+      const renamed = await a.put(`/piggybanks/${created.body.id}`, { name: "Viajes" });
+      assert.equal(renamed.body.name, "Viajes");
+      assert.deepEqual(renamed.body.rule, created.body.rule);
+
+      const cleared = await a.put(`/piggybanks/${created.body.id}`, { rule: {} });
+      assert.deepEqual(cleared.body.rule, {});
+
+      const archived = await a.post(`/piggybanks/${created.body.id}/archive`);
+      assert.ok(archived.body.archived_at);
+      const closed = await a.post(`/piggybanks/${created.body.id}/entries`, { amount: "5" });
+      assert.equal(closed.status, 422);
+
+      const summary = (await a.get("/piggybanks/summary")).body;
+      assert.ok(!summary.some((p) => p.id === created.body.id));
+
+      const unarchived = await a.post(`/piggybanks/${created.body.id}/unarchive`);
+      assert.equal(unarchived.body.archived_at, null);
+
+      const b = await server.signup();
+      assert.equal((await b.put(`/piggybanks/${created.body.id}`, { name: "X" })).status, 404);
+    });
+
+    test("huchas propias: límite por aportación y muchas monedas", async () => {
+      const a = await server.signup();
+      const piggy = (
+        await a.post("/piggybanks", { name: "Monedas", rule: { denominations: ["4,99", "5"] } })
+      ).body;
+      const deposit = (amount) => a.post(`/piggybanks/${piggy.id}/entries`, { amount });
+
+      assert.equal((await deposit("7")).status, 422);
+      // por encima de 498·499 céntimos todo se junta con 4,99 y 5
+      assert.equal((await deposit("9999")).status, 200);
+
+      const tooMuch = await deposit("10000,01");
+      assert.equal(tooMuch.status, 422);
+      assert.equal(tooMuch.body.field, "amount");
+
+      const denominations = Array.from({ length: 21 }, (_, i) => String(i + 1));
+      const many = await a.post("/piggybanks", { name: "Muchas", rule: { denominations } });
+      assert.equal(many.status, 422);
+      assert.equal(many.body.field, "rule.denominations");
+    });
+
+    test("sacar dinero de una hucha al banco y a un objetivo", async () => {
+      const a = await server.signup();
+      const month = await startMonth(a);
+      const [piggy] = (await a.get("/piggybanks/summary")).body.filter((p) => p.type === "NORMAL");
+      await a.post(`/piggybanks/${piggy.id}/entries`, { amount: "30" });
+
+      const tooMuch = await a.post(`/piggybanks/${piggy.id}/withdraw`, {
+        amount: "31",
+        destination: "BANK",
+      });
+      assert.equal(tooMuch.status, 422);
+
+      const bank = async () => (await a.get("/summary/current")).body.balances.bank;
+      const bankBefore = await bank();
+
+      const toBank = await a.post(`/piggybanks/${piggy.id}/withdraw`, {
+        amount: "10",
+        destination: "BANK",
+      });
+      assert.equal(toBank.status, 200);
+      assert.equal(toBank.body.balance, 2000);
+      assert.equal(toBank.body.transaction.type, "PIGGYBANK_WITHDRAWAL");
+      assert.equal(toBank.body.transaction.month_id, month.id);
+      assert.equal(await bank(), bankBefore + 1000);
+
+      const goal = (await a.post("/savings-goals", { name: "Coche", targetAmount: "100" })).body;
+      const toGoal = await a.post(`/piggybanks/${piggy.id}/withdraw`, {
+        destination: "GOAL",
+        goal_id: goal.id,
+      });
+      assert.equal(toGoal.status, 200);
+      assert.equal(toGoal.body.balance, 0);
+      assert.equal(toGoal.body.contribution.source, "PIGGY_BREAK");
+      assert.equal((await a.get(`/savings-goals/${goal.id}`)).body.saved_amount, 2000);
+      // de la hucha al objetivo: el banco no se entera
+      assert.equal(await bank(), bankBefore + 1000);
+
+      // con el mes cerrado no se puede sacar dinero a él
+      await a.post(`/piggybanks/${piggy.id}/entries`, { amount: "5" });
+      await a.post("/month/close", { monthId: month.id });
+      const closed = await a.post(`/piggybanks/${piggy.id}/withdraw`, {
+        destination: "BANK",
+        month_id: month.id,
+      });
+      assert.equal(closed.status, 422);
+      assert.equal(closed.body.field, "month_id");
+
+      const entries = (await a.get(`/piggybanks/${piggy.id}/entries`)).body;
+      assert.deepEqual(
+        entries.map((e) => [e.kind, e.balance_after]),
+        [
+          ["DEPOSIT", 500],
+          ["WITHDRAWAL", 0],
+          ["WITHDRAWAL", 2000],
+          ["DEPOSIT", 3000],
+        ],
+      );
+    });
+
+    test("objetivos: alta, edición, archivo y borrado", async () => {
+      const a = await server.signup();
+
+      const created = await a.post("/savings-goals", {
+        name: "Vacaciones",
+        targetAmount: "1200",
+        deadline: "2099-12-31",
+      });
+      assert.equal(created.status, 200);
+      assert.equal(created.body.deadline, "2099-12-31");
+      assert.equal(created.body.saved_amount, 0);
+      assert.equal(created.body.status, "ACTIVE");
+
+      assert.equal(
+        (await a.post("/savings-goals", { name: "Vacaciones", targetAmount: "1" })).status,
+        409,
+      );
+
+      const updated = await a.put(`/savings-goals/${created.body.id}`, {
+        targetAmount: "1500",
+        deadline: null,
+      });
+      assert.equal(updated.body.target_amount, 150000);
+      assert.equal(updated.body.deadline, null);
+      assert.equal(updated.body.name, "Vacaciones");
+
+      const archived = await a.post(`/savings-goals/${created.body.id}/archive`);
+      assert.equal(archived.body.status, "ARCHIVED");
+      assert.equal((await a.get("/savings-goals")).body.goals.length, 0);
+      const rejected = await a.post(`/savings-goals/${created.body.id}/contributions`, {
+        amount: "10",
+      });
+      assert.equal(rejected.status, 422);
+      await a.post(`/savings-goals/${created.body.id}/unarchive`);
+
+      assert.equal((await a.del(`/savings-goals/${created.body.id}`)).status, 200);
+      assert.equal((await a.get(`/savings-goals/${created.body.id}`)).status, 404);
+    });
+
+    test("aportaciones: manuales, desde el mes y al cerrar el mes", async () => {
+      const a = await server.signup();
+      const month = await startMonth(a);
+      await addExpense(a, month, { amount: "100" });
+      const goal = (await a.post("/savings-goals", { name: "Coche", targetAmount: "1000" })).body;
+
+      const manual = await a.post(`/savings-goals/${goal.id}/contributions`, { amount: "50" });
+      assert.equal(manual.status, 200);
+      assert.equal(manual.body.transaction_id, null);
+
+      const summaryBefore = (await a.get("/summary/current")).body;
+      const fromMonth = await a.post(`/savings-goals/${goal.id}/contributions`, {
+        amount: "25",
+        monthId: month.id,
+      });
+      assert.ok(fromMonth.body.transaction_id);
+
+      // lo aportado desde el mes sale del banco y de lo que queda del mes
+      const summaryAfter = (await a.get("/summary/current")).body;
+      assert.equal(summaryAfter.totals.remainingMonth, summaryBefore.totals.remainingMonth - 2500);
+      assert.equal(summaryAfter.balances.bank, summaryBefore.balances.bank - 2500);
+
+      const history = (await a.get(`/savings-goals/${goal.id}/contributions`)).body;
+      assert.deepEqual(
+        history.map((c) => [c.source, c.counted, c.saved_after]),
+        [
+          ["MANUAL", true, 7500],
+          ["MANUAL", true, 5000],
+        ],
+      );
+
+      assert.equal((await a.del(`/savings-goals/${goal.id}`)).status, 409);
+
+      const closed = await a.post("/month/close", {
+        monthId: month.id,
+        goals: [{ goalId: goal.id, amount: "100" }],
+      });
+      assert.equal(closed.status, 200);
+      assert.equal((await a.get(`/savings-goals/${goal.id}`)).body.saved_amount, 17500);
+
+      assert.equal((await a.del(`/savings-goals/contributions/${manual.body.id}`)).status, 200);
+      assert.equal((await a.get(`/savings-goals/${goal.id}`)).body.saved_amount, 12500);
+
+      const late = await a.post(`/savings-goals/${goal.id}/contributions`, {
+        amount: "10",
+        monthId: month.id,
+      });
+      assert.equal(late.status, 422);
+
+      const b = await server.signup();
+      assert.equal((await b.del(`/savings-goals/contributions/${fromMonth.body.id}`)).status, 404);
+      assert.equal((await b.del(`/savings-goals/${goal.id}`)).status, 404);
+
+      // el movimiento de la aportación va a la papelera y vuelve con ella
+      const txId = fromMonth.body.transaction_id;
+      assert.equal((await a.del(`/savings-goals/contributions/${fromMonth.body.id}`)).status, 200);
+      assert.equal((await a.get(`/savings-goals/${goal.id}`)).body.saved_amount, 10000);
+      assert.equal((await a.del(`/savings-goals/contributions/${fromMonth.body.id}`)).status, 404);
+      const [deletion] = (await a.get(`/audit/transaction/${txId}`)).body;
+      assert.equal(deletion.action, "UPDATE");
+      assert.ok((await a.get("/trash")).body.transactions.some((t) => t.id === txId));
+
+      assert.equal((await a.post(`/trash/transaction/${txId}/restore`)).status, 200);
+      assert.equal((await a.get(`/savings-goals/${goal.id}`)).body.saved_amount, 12500);
+    });
+  });
+}
@@ -0,0 +1,330 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { BACKENDS, startServer } = require("./support/server");
+const { startMonth, addExpense } = require("./support/fixtures");
+
+/* ===================== PRESUPUESTOS, GASTOS PREVISTOS Y PLANTILLAS ===================== */
+
+const JANUARY = { startDate: "2020-01-01", endDate: "2020-01-31" };
+
+// pg devuelve las columnas date como Date (JSON con hora); SQLite, el texto tal cual
+const day = (value) => String(value).slice(0, 10);
+
+for (const backend of BACKENDS) {
+  describe(`presupuestos y planificación (${backend.name})`, { skip: backend.skip }, () => {
+    let server;
+
+    before(async () => {
+      server = await startServer(backend);
+    });
+
+    after(() => server?.stop());
+
+    test("presupuestos: alta, estado, borrado y copiar del mes anterior", async () => {
+      const a = await server.signup();
+      const [food, fun] = (await a.get("/categories")).body;
+      const january = await startMonth(a, JANUARY);
+
+      const put = await a.put(`/month/${january.id}/budgets/${food.id}`, { amount: "100" });
+      assert.equal(put.status, 200);
+      assert.equal(put.body.amount, 10000);
+      await a.put(`/month/${january.id}/budgets/${fun.id}`, { amount: "10" });
+      await addExpense(a, january, { category_id: fun.id, amount: "15" });
+
+      const budgets = (await a.get(`/month/${january.id}/budgets`)).body;
+      const byCategory = Object.fromEntries(budgets.map((b) => [b.category_id, b]));
+      assert.equal(byCategory[food.id].spent, 0);
+      assert.equal(byCategory[food.id].status, "OK");
+      assert.equal(byCategory[fun.id].spent, 1500);
+      assert.equal(byCategory[fun.id].status, "OVER");
+
+      assert.equal((await a.del(`/month/${january.id}/budgets/${fun.id}`)).status, 200);
+      assert.equal((await a.del(`/month/${january.id}/budgets/${fun.id}`)).status, 404);
+
+      await a.post("/month/close", { monthId: january.id });
+      const february = await startMonth(a, { startDate: "2020-02-01", endDate: "2020-02-29" });
+      await a.put(`/month/${february.id}/budgets/${food.id}`, { amount: "1" });
+
+      const kept = await a.post(`/month/${february.id}/budgets/copy-previous`, {});
+      assert.equal(kept.status, 200);
+      assert.equal(kept.body.copied, 0);
+      assert.equal(kept.body.from_month_id, january.id);
+
+      const overwritten = await a.post(`/month/${february.id}/budgets/copy-previous`, {
+        overwrite: true,
+      });
+      assert.equal(overwritten.body.copied, 1);
+      assert.equal(overwritten.body.budgets[0].budget, 10000);
+
+      const b = await server.signup();
+      assert.equal((await b.get(`/month/${january.id}/budgets`)).status, 404);
+      assert.equal((await b.del(`/month/${february.id}/budgets/${food.id}`)).status, 404);
+    });
+
+    test("fusionar categorías suma sus presupuestos", async () => {
+      const a = await server.signup();
+      const [target, source] = (await a.get("/categories")).body;
+      const month = await startMonth(a, JANUARY);
+      await a.put(`/month/${month.id}/budgets/${target.id}`, { amount: "100" });
+      await a.put(`/month/${month.id}/budgets/${source.id}`, { amount: "20" });
+
+      await a.post(`/categories/${source.id}/merge`, { targetId: target.id });
+
+      const budgets = (await a.get(`/month/${month.id}/budgets`)).body;
+      assert.deepEqual(
+        budgets.map((b) => [b.category_id, b.budget]),
+        [[target.id, 12000]],
+      );
+    });
+
+    test("fusionar categorías pasa los presupuestos de las plantillas", async () => {
+      const a = await server.signup();
+      const [target, source, other] = (await a.get("/categories")).body;
+      const template = (
+        await a.post("/month-templates", {
+          name: "Normal",
+          incomeAmount: "1800",
+          savingGoalAmount: "0",
+          weeklyBudgetAmount: "0",
+          budgets: [
+            { categoryId: target.id, amount: "100" },
+            { categoryId: source.id, amount: "20" },
+            { categoryId: other.id, amount: "5" },
+          ],
+          plannedExpenseIds: [],
+        })
+      ).body;
+
+      await a.post(`/categories/${source.id}/merge`, { targetId: target.id });
+
+      // los 20 del origen se suman a los 100 del destino
+      const expected = [
+        [other.id, 500],
+        [target.id, 12000],
+      ].sort();
+
+      const merged = (await a.get(`/month-templates/${template.id}`)).body;
+      assert.deepEqual(merged.budgets.map((b) => [b.category_id, b.amount]).sort(), expected);
+
+      const started = await a.post("/month/start-next", { templateId: template.id, ...JANUARY });
+      assert.deepEqual(started.body.budgets.map((b) => [b.category_id, b.budget]).sort(), expected);
+    });
+
+    test("gastos previstos: alta, edición y publicación idempotente", async () => {
+      const a = await server.signup();
+      const [category] = (await a.get("/categories")).body;
+
+      const created = await a.post("/planned-expenses", {
+        name: "Gimnasio",
+        amount: "30",
+        frequency: "weekly",
+        next_due_date: "2020-01-06",
+        attribution: "HOUSE",
+        category_id: category.id,
+      });
+      assert.equal(created.status, 200);
+      assert.equal(created.body.frequency, "WEEKLY");
+      assert.equal(created.body.is_active, true);
+      assert.equal(created.body.payment_method, "TRANSFER");
+
+      const updated = await a.put(`/planned-expenses/${created.body.id}`, { amount: "35" });
+      assert.equal(updated.body.amount, 3500);
+      assert.equal(updated.body.name, "Gimnasio");
+
+      // abrir el mes publica las ocurrencias que caen dentro
+      const month = await startMonth(a, JANUARY);
+      const list = (await a.get(`/transactions?month_id=${month.id}`)).body.items;
+      const occurrences = list.filter((t) => t.planned_expense_id === created.body.id);
+      assert.deepEqual(occurrences.map((t) => day(t.planned_due_date)).sort(), [
+        "2020-01-06",
+        "2020-01-13",
+        "2020-01-20",
+        "2020-01-27",
+      ]);
+      assert.ok(occurrences.every((t) => t.amount === 3500 && t.week_id));
+
+      const again = await a.post("/planned-expenses/post-due");
+      assert.equal(again.status, 200);
+      assert.equal(again.body.posted.length, 0);
+    });
+
+    test("gastos previstos: borrar conserva los movimientos publicados", async () => {
+      const a = await server.signup();
+      const [category] = (await a.get("/categories")).body;
+      const planned = (
+        await a.post("/planned-expenses", {
+          name: "Seguro",
+          amount: "50",
+          frequency: "MONTHLY",
+          next_due_date: "2020-01-15",
+          attribution: "HOUSE",
+          category_id: category.id,
+        })
+      ).body;
+      await startMonth(a, JANUARY);
+
+      assert.equal(
+        day((await a.get(`/planned-expenses/${planned.id}`)).body.next_due_date),
+        "2020-02-15",
+      );
+
+      const paused = await a.put(`/planned-expenses/${planned.id}`, { is_active: false });
+      assert.equal(paused.body.is_active, false);
+      assert.equal((await a.get("/planned-expenses")).body.length, 0);
+      assert.equal((await a.get("/planned-expenses?includeInactive=true")).body.length, 1);
+
+      const b = await server.signup();
+      assert.equal((await b.del(`/planned-expenses/${planned.id}`)).status, 404);
+      assert.equal((await a.del(`/planned-expenses/${planned.id}`)).status, 200);
+      assert.equal((await a.get(`/planned-expenses/${planned.id}`)).status, 404);
+
+      const txs = (await a.get("/transactions?q=seguro")).body.items;
+      assert.equal(txs.filter((t) => t.concept === "Seguro").length, 1);
+    });
+
+    test("plantillas y abrir el mes siguiente", async () => {
+      const a = await server.signup();
+      const [food, fun] = (await a.get("/categories")).body;
+      const planned = (
+        await a.post("/planned-expenses", {
+          name: "Luz",
+          amount: "40",
+          frequency: "MONTHLY",
+          next_due_date: "2020-01-20",
+          attribution: "HOUSE",
+          category_id: food.id,
+        })
+      ).body;
+
+      const created = await a.post("/month-templates", {
+        name: "Normal",
+        incomeAmount: "1800",
+        savingGoalAmount: "200",
+        weeklyBudgetAmount: "80",
+        budgets: [
+          { categoryId: food.id, amount: "300" },
+          { categoryId: fun.id, amount: "50" },
+        ],
+        plannedExpenseIds: [],
+      });
+      assert.equal(created.status, 200);
+      assert.equal(created.body.income_amount, 180000);
+      assert.equal(created.body.all_planned_expenses, false);
+      assert.deepEqual(created.body.planned_expense_ids, []);
+      assert.deepEqual(
+        created.body.budgets.map((b) => [b.category_id, b.amount]),
+        [
+          [food.id, 30000],
+          [fun.id, 5000],
+        ],
+      );
+
+      const duplicate = await a.post("/month-templates", {
+        name: "Normal",
+        incomeAmount: "1",
+        savingGoalAmount: "0",
+        weeklyBudgetAmount: "0",
+      });
+      assert.equal(duplicate.status, 409);
+
+      const replaced = await a.put(`/month-templates/${created.body.id}`, {
+        name: "Normal",
+        incomeAmount: "1800",
+        savingGoalAmount: "200",
+        weeklyBudgetAmount: "80",
+        budgets: [{ categoryId: food.id, amount: "250" }],
+        plannedExpenseIds: [planned.id],
+      });
+      assert.deepEqual(replaced.body.planned_expense_ids, [planned.id]);
+      assert.equal(replaced.body.budgets.length, 1);
+
+      // sin meses, start-next necesita plantilla
+      assert.equal((await a.post("/month/start-next", {})).status, 404);
+
+      const fromTemplate = await a.post("/month/start-next", {
+        templateId: created.body.id,
+        ...JANUARY,
+      });
+      assert.equal(fromTemplate.status, 200);
+      assert.equal(fromTemplate.body.source.type, "TEMPLATE");
+      assert.equal(fromTemplate.body.month.income_amount, 180000);
+      assert.deepEqual(
+        fromTemplate.body.budgets.map((b) => [b.category_id, b.budget]),
+        [[food.id, 25000]],
+      );
+      const january = fromTemplate.body.month;
+      const janTxs = (await a.get(`/transactions?month_id=${january.id}`)).body.items;
+      assert.equal(janTxs.filter((t) => t.planned_expense_id === planned.id).length, 1);
+
+      await a.post("/month/close", { monthId: january.id });
+      const fromPrevious = await a.post("/month/start-next", { incomeAmount: "2000" });
+      assert.equal(fromPrevious.status, 200);
+      assert.equal(fromPrevious.body.source.type, "PREVIOUS");
+      assert.equal(day(fromPrevious.body.month.start_date), "2020-02-01");
+      assert.equal(fromPrevious.body.month.income_amount, 200000);
+      assert.equal(fromPrevious.body.month.weekly_budget_amount, 8000);
+      assert.deepEqual(
+        fromPrevious.body.budgets.map((b) => [b.category_id, b.budget]),
+        [[food.id, 25000]],
+      );
+
+      assert.equal((await a.get("/month-templates")).body.length, 1);
+      assert.equal((await a.del(`/month-templates/${created.body.id}`)).status, 200);
+      assert.equal((await a.get(`/month-templates/${created.body.id}`)).status, 404);
+    });
+  });
+}
+
+// El cierre automático recorre todos los hogares de la base: con la de tests de Postgres
+// compartida entre ficheros pisaría los meses de otros tests, así que solo con SQLite
+describe("cierre automático de mes (sqlite)", () => {
+  const [sqlite] = BACKENDS;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "economia-rollover-"));
+  const env = { SQLITE_FILE: path.join(dir, "economia.sqlite") };
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("cierra el mes vencido y abre el siguiente con sus presupuestos", async () => {
+    // mes que terminó ayer: el siguiente empieza hoy y no vence en la misma pasada
+    const dateOnly = (daysAgo) =>
+      new Date(Date.now() - daysAgo * 86400000).toLocaleDateString("sv-SE");
+
+    const first = await startServer(sqlite, env);
+    let token;
+    let expired;
+    let food;
+    try {
+      const a = await first.signup();
+      token = a.token;
+      [food] = (await a.get("/categories")).body;
+      expired = await startMonth(a, { startDate: dateOnly(20), endDate: dateOnly(1) });
+      await a.put(`/month/${expired.id}/budgets/${food.id}`, { amount: "120" });
+    } finally {
+      await first.stop();
+    }
+
+    const second = await startServer(sqlite, { ...env, MONTH_ROLLOVER: "true" });
+    try {
+      for (let i = 0; i < 50 && !second.output().includes("cerrado automáticamente"); i++) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+      }
+      const a = second.client(token);
+
+      const months = (await a.get("/months")).body;
+      assert.equal(months.find((m) => m.id === expired.id).status, "CLOSED");
+
+      const next = months.find((m) => m.status === "OPEN");
+      assert.equal(day(next.start_date), dateOnly(0));
+      const budgets = (await a.get(`/month/${next.id}/budgets`)).body;
+      assert.deepEqual(
+        budgets.map((b) => [b.category_id, b.budget]),
+        [[food.id, 12000]],
+      );
+    } finally {
+      await second.stop();
+    }
+  });
+});
@@ -0,0 +1,41 @@
+/* ===================== FIXTURES ===================== */
+// Datos de partida comunes para los tests (importes en euros, como los manda la app)
+
+// Mes natural actual (ver resolveMonthPeriod) con sus semanas
+async function startMonth(client, body = {}) {
+  const res = await client.post("/month/start", {
+    incomeAmount: "2000",
+    savingGoalAmount: "300",
+    weeklyBudgetAmount: "100",
+    ...body,
+  });
+  if (res.status !== 200) {
+    throw new Error(`No se pudo abrir el mes (${res.status}): ${JSON.stringify(res.body)}`);
+  }
+  return res.body;
+}
+
+// Gasto con tarjeta; sin category_id va a la primera categoría del hogar
+async function addExpense(client, month, body = {}) {
+  const categoryId = body.category_id || (await client.get("/categories")).body[0].id;
+  const res = await client.post("/transactions", {
+    month_id: month.id,
+    category_id: categoryId,
+    amount: "25",
+    attribution: "HOUSE",
+    payment_method: "CARD",
+    concept: "Compra",
+    ...body,
+  });
+  if (res.status !== 200) {
+    throw new Error(`No se pudo crear el movimiento (${res.status}): ${JSON.stringify(res.body)}`);
+  }
+  return res.body;
+}
+
+async function categoryByName(client, name) {
+  const res = await client.get("/categories");
+  return res.body.find((c) => c.name === name);
+}
+
+module.exports = { startMonth, addExpense, categoryByName };
@@ -0,0 +1,153 @@
+const { spawn } = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+/* ===================== TEST SERVER ===================== */
+/*
+  Arranca server.js en un proceso aparte contra cada backend de storage/ y habla con él por
+  HTTP, así los mismos tests de comportamiento pasan por SQLite y por Postgres.
+  - sqlite: siempre, con un fichero nuevo en un directorio temporal.
+  - postgres: solo con TEST_DATABASE_URL (una base de datos vacía o de tests: se migra al
+    arrancar y cada test crea su propio hogar).
+  TEST_SERVER_LOGS=1 muestra la salida del servidor.
+*/
+const ROOT = path.join(__dirname, "..", "..");
+const BOOT_TIMEOUT_MS = 20000;
+
+const BACKENDS = [
+  { name: "sqlite", skip: false },
+  {
+    name: "postgres",
+    skip: process.env.TEST_DATABASE_URL ? false : "TEST_DATABASE_URL no definida",
+  },
+];
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.unref();
+    srv.on("error", reject);
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+async function request(baseUrl, token, method, url, body) {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+
+  const res = await fetch(baseUrl + url, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await res.text();
+  let data = text;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // CSV, texto plano...
+  }
+  return { status: res.status, body: data, headers: res.headers };
+}
+
+function createClient(baseUrl, token) {
+  return {
+    token,
+    get: (url) => request(baseUrl, token, "GET", url),
+    post: (url, body = {}) => request(baseUrl, token, "POST", url, body),
+    put: (url, body = {}) => request(baseUrl, token, "PUT", url, body),
+    del: (url) => request(baseUrl, token, "DELETE", url),
+  };
+}
+
+async function startServer(backend, env = {}) {
+  const port = await freePort();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "economia-test-"));
+
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    stdio: ["ignore", "pipe", "pipe"],
+    env: {
+      ...process.env,
+      PORT: String(port),
+      STORAGE: backend.name,
+      SQLITE_FILE: path.join(dir, "economia.sqlite"),
+      DATABASE_URL: process.env.TEST_DATABASE_URL || "",
+      AUTH_SECRET: "test-secret",
+      ALLOW_REGISTRATION: "true",
+      MONTH_ROLLOVER: "false",
+      ...env,
+    },
+  });
+
+  let output = "";
+  const onData = (chunk) => {
+    output += chunk;
+    if (process.env.TEST_SERVER_LOGS === "1") process.stderr.write(chunk);
+  };
+  child.stdout.on("data", onData);
+  child.stderr.on("data", onData);
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+
+  // Listo cuando escucha y el esquema está al día (ver BOOT en server.js)
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`El servidor no arrancó a tiempo:\n${output}`));
+    }, BOOT_TIMEOUT_MS);
+    const check = () => {
+      if (output.includes("Servidor corriendo") && output.includes("Economia DB OK")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on("data", check);
+    exited.then((code) => {
+      clearTimeout(timer);
+      reject(new Error(`El servidor terminó (código ${code}):\n${output}`));
+    });
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  return {
+    baseUrl,
+    output: () => output,
+    anonymous: createClient(baseUrl, null),
+    // Otro cliente con un token ya emitido (p.ej. por otro arranque con el mismo AUTH_SECRET)
+    client: (token) => createClient(baseUrl, token),
+
+    // Usuario nuevo (y hogar nuevo salvo con inviteCode)
+    async signup({ name = "Test", email, inviteCode, householdName } = {}) {
+      const finalEmail = email || `test-${crypto.randomUUID()}@example.com`;
+      const res = await request(baseUrl, null, "POST", "/auth/register", {
+        email: finalEmail,
+        password: "password-123",
+        name,
+        inviteCode,
+        householdName,
+      });
+      if (res.status !== 200) {
+        throw new Error(`Registro fallido (${res.status}): ${JSON.stringify(res.body)}`);
+      }
+      return { ...createClient(baseUrl, res.body.token), user: res.body.user, email: finalEmail };
+    },
+
+    async stop() {
+      if (child.exitCode === null) {
+        child.kill();
+        await exited;
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = { BACKENDS, startServer };
@@ -0,0 +1,169 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { BACKENDS, startServer } = require("./support/server");
+const { startMonth, addExpense } = require("./support/fixtures");
+
+/* ===================== PAPELERA Y AUDITORÍA ===================== */
+
+for (const backend of BACKENDS) {
+  describe(`papelera y auditoría (${backend.name})`, { skip: backend.skip }, () => {
+    let server;
+
+    before(async () => {
+      server = await startServer(backend);
+    });
+
+    after(() => server?.stop());
+
+    test("un movimiento borrado va a la papelera y se restaura", async () => {
+      const a = await server.signup();
+      const month = await startMonth(a);
+      const tx = await addExpense(a, month);
+
+      await a.del(`/transactions/${tx.id}`);
+
+      const trash = await a.get("/trash");
+      assert.equal(trash.status, 200);
+      assert.deepEqual(
+        trash.body.transactions.map((t) => t.id),
+        [tx.id]
+      );
+      const purgeAt = new Date(trash.body.transactions[0].purge_at);
+      const deletedAt = new Date(trash.body.transactions[0].deleted_at);
+      assert.equal(Math.round((purgeAt - deletedAt) / 86400000), trash.body.retention_days);
+
+      const restored = await a.post(`/trash/transaction/${tx.id}/restore`);
+      assert.equal(restored.status, 200);
+      assert.equal((await a.get(`/transactions/${tx.id}`)).status, 200);
+      assert.equal((await a.get("/trash")).body.transactions.length, 0);
+    });
+
+    test("un mes borrado arrastra sus movimientos y vuelven con él", async () => {
+      const a = await server.signup();
+      const month = await startMonth(a);
+      const tx = await addExpense(a, month);
+
+      assert.equal((await a.del(`/month/${month.id}`)).status, 200);
+
+      const trash = (await a.get("/trash")).body;
+      assert.equal(trash.months.length, 1);
+      assert.ok(trash.months[0].transactions_count >= 1);
+      // los arrastrados no salen sueltos
+      assert.equal(trash.transactions.length, 0);
+
+      const blocked = await a.post(`/trash/transaction/${tx.id}/restore`);
+      assert.equal(blocked.status, 409);
+
+      const restored = await a.post(`/trash/month/${month.id}/restore`);
+      assert.equal(restored.status, 200);
+      assert.ok(restored.body.restored_transactions >= 1);
+      assert.equal((await a.get(`/transactions/${tx.id}`)).status, 200);
+    });
+
+    test("purgar y vaciar la papelera borran del todo", async () => {
+      const a = await server.signup();
+      const month = await startMonth(a);
+      const one = await addExpense(a, month);
+      const two = await addExpense(a, month);
+      await a.del(`/transactions/${one.id}`);
+      await a.del(`/transactions/${two.id}`);
+
+      const purged = await a.del(`/trash/transaction/${one.id}`);
+      assert.equal(purged.status, 200);
+      assert.equal(purged.body.purged.transaction, 1);
+      assert.equal((await a.post(`/trash/transaction/${one.id}/restore`)).status, 404);
+
+      const emptied = await a.del("/trash");
+      assert.equal(emptied.body.purged.transaction, 1);
+      assert.equal((await a.get("/trash")).body.transactions.length, 0);
+    });
+
+    test("la papelera de otro hogar no se ve ni se toca", async () => {
+      const a = await server.signup();
+      const b = await server.signup();
+      const month = await startMonth(a);
+      const tx = await addExpense(a, month);
+      await a.del(`/transactions/${tx.id}`);
+
+      assert.equal((await b.get("/trash")).body.transactions.length, 0);
+      assert.equal((await b.post(`/trash/transaction/${tx.id}/restore`)).status, 404);
+      assert.equal((await b.del(`/trash/transaction/${tx.id}`)).status, 404);
+    });
+
+    test("auditoría: historial de una entidad y deshacer", async () => {
+      const a = await server.signup();
+      const month = await startMonth(a);
+      const tx = await addExpense(a, month, { amount: "10" });
+      await a.put(`/transactions/${tx.id}`, {
+        amount: "30",
+        attribution: "HOUSE",
+        payment_method: "CARD",
+      });
+
+      const history = await a.get(`/audit/transaction/${tx.id}`);
+      assert.equal(history.status, 200);
+      assert.deepEqual(
+        history.body.map((e) => e.action),
+        ["UPDATE", "CREATE"]
+      );
+      assert.equal(history.body[0].before.amount, 1000);
+      assert.equal(history.body[0].after.amount, 3000);
+
+      // no se puede deshacer el alta mientras la edición siga vigente
+      const blocked = await a.post(`/audit/${history.body[1].id}/undo`);
+      assert.equal(blocked.status, 409);
+
+      const undoUpdate = await a.post(`/audit/${history.body[0].id}/undo`);
+      assert.equal(undoUpdate.status, 200);
+      assert.equal((await a.get(`/transactions/${tx.id}`)).body.amount, 1000);
+
+      const undoCreate = await a.post(`/audit/${history.body[1].id}/undo`);
+      assert.equal(undoCreate.status, 200);
+      assert.equal((await a.get(`/transactions/${tx.id}`)).status, 404);
+
+      const again = await a.post(`/audit/${history.body[1].id}/undo`);
+      assert.equal(again.status, 409);
+
+      const feed = await a.get("/audit?entity_type=transaction&limit=3");
+      assert.equal(feed.body.length, 3);
+      assert.ok(feed.body[0].seq > feed.body[2].seq);
+    });
+
+    test("deshacer un borrado devuelve el movimiento", async () => {
+      const a = await server.signup();
+      const month = await startMonth(a);
+      const tx = await addExpense(a, month);
+      await a.del(`/transactions/${tx.id}`);
+
+      const [deletion] = (await a.get(`/audit/transaction/${tx.id}`)).body;
+      assert.equal(deletion.action, "UPDATE");
+      assert.ok(deletion.after.deleted_at);
+
+      assert.equal((await a.post(`/audit/${deletion.id}/undo`)).status, 200);
+      assert.equal((await a.get(`/transactions/${tx.id}`)).status, 200);
+    });
+
+    test("deshacer el borrado de una retirada de hucha comprueba el saldo", async () => {
+      const a = await server.signup();
+      await startMonth(a);
+      const [piggy] = (await a.get("/piggybanks/summary")).body.filter((p) => p.type === "NORMAL");
+      const withdraw = () =>
+        a.post(`/piggybanks/${piggy.id}/withdraw`, { amount: "10", destination: "BANK" });
+
+      await a.post(`/piggybanks/${piggy.id}/entries`, { amount: "10" });
+      const first = (await withdraw()).body.entry;
+      assert.equal((await a.del(`/piggybanks/entries/${first.id}`)).status, 200);
+      assert.equal((await withdraw()).status, 200);
+
+      // volver a poner la primera retirada dejaría la hucha en -10€
+      const [deletion] = (await a.get(`/audit/piggy_bank_entry/${first.id}`)).body;
+      assert.ok(deletion.after.deleted_at);
+      const undo = await a.post(`/audit/${deletion.id}/undo`);
+      assert.equal(undo.status, 409);
+      assert.equal((await a.post(`/trash/piggy_bank_entry/${first.id}/restore`)).status, 409);
+
+      const [summary] = (await a.get("/piggybanks/summary")).body.filter((p) => p.id === piggy.id);
+      assert.equal(summary.balance, 0);
+    });
+  });
+}